@@ -0,0 +1,86 @@
+/**
+ * Genera la capa de límites departamentales del mapa de conglomerados
+ * (public/mapas/colombia-departamentos.geojson) a partir de la capa de departamentos del
+ * Marco Geoestadístico Nacional (DANE) exportada a GeoJSON en WGS84.
+ * Simplifica los polígonos (Douglas-Peucker) y conserva solo nombre y código.
+ * Ejecutar con: npm run mapa:departamentos -- <origen.geojson> [tolerancia en grados, 0.01]
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs'
+import { dirname, resolve } from 'path'
+import { fileURLToPath } from 'url'
+
+const DESTINO = resolve(dirname(fileURLToPath(import.meta.url)), '../public/mapas/colombia-departamentos.geojson')
+const DECIMALES = 3
+
+const [origen, toleranciaArg] = process.argv.slice(2)
+const tolerancia = Number(toleranciaArg) || 0.01
+
+if (!origen) {
+  console.error('Uso: npm run mapa:departamentos -- <origen.geojson> [tolerancia]')
+  process.exit(1)
+}
+
+// Nombres de atributos del MGN (DPTO_CNMBR, DPTO_CCDGO) y de otras fuentes habituales
+const nombreDepartamento = (p) => p.DPTO_CNMBR || p.NOMBRE_DPT || p.nombre || p.name || null
+const codigoDepartamento = (p) => p.DPTO_CCDGO || p.DPTO || p.codigo || p.iso_3166_2 || null
+
+// Distancia de un punto al segmento a-b (en grados; suficiente para simplificar)
+function distanciaSegmento([x, y], [x1, y1], [x2, y2]) {
+  const dx = x2 - x1
+  const dy = y2 - y1
+  const largo = dx * dx + dy * dy
+  const t = largo ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / largo)) : 0
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy))
+}
+
+function douglasPeucker(puntos) {
+  if (puntos.length < 3) return puntos
+  let maxima = 0
+  let indice = 0
+  for (let i = 1; i < puntos.length - 1; i++) {
+    const distancia = distanciaSegmento(puntos[i], puntos[0], puntos[puntos.length - 1])
+    if (distancia > maxima) {
+      maxima = distancia
+      indice = i
+    }
+  }
+  if (maxima <= tolerancia) return [puntos[0], puntos[puntos.length - 1]]
+  return [...douglasPeucker(puntos.slice(0, indice + 1)).slice(0, -1), ...douglasPeucker(puntos.slice(indice))]
+}
+
+const redondear = (valor) => Number(valor.toFixed(DECIMALES))
+
+// Anillo simplificado y cerrado, o null si queda sin área (islotes menores que la tolerancia)
+function simplificarAnillo(anillo) {
+  const puntos = douglasPeucker(anillo).map(([x, y]) => [redondear(x), redondear(y)])
+  const unicos = puntos.filter(([x, y], i) => i === 0 || x !== puntos[i - 1][0] || y !== puntos[i - 1][1])
+  return unicos.length >= 4 ? unicos : null
+}
+
+function simplificarPoligono(anillos) {
+  const [exterior, ...huecos] = anillos.map(simplificarAnillo)
+  return exterior ? [exterior, ...huecos.filter(Boolean)] : null
+}
+
+function simplificarGeometria(geometria) {
+  const poligonos = geometria.type === 'Polygon' ? [geometria.coordinates] : geometria.coordinates
+  const simplificados = poligonos.map(simplificarPoligono).filter(Boolean)
+  return simplificados.length ? { type: 'MultiPolygon', coordinates: simplificados } : null
+}
+
+const entrada = JSON.parse(readFileSync(origen, 'utf8'))
+const features = entrada.features
+  .filter(f => ['Polygon', 'MultiPolygon'].includes(f.geometry?.type))
+  .map(f => ({
+    type: 'Feature',
+    properties: { nombre: nombreDepartamento(f.properties || {}), codigo: codigoDepartamento(f.properties || {}) },
+    geometry: simplificarGeometria(f.geometry)
+  }))
+  .filter(f => f.geometry)
+
+mkdirSync(dirname(DESTINO), { recursive: true })
+writeFileSync(DESTINO, JSON.stringify({ type: 'FeatureCollection', features }))
+
+const vertices = features.reduce((total, f) => total + f.geometry.coordinates.flat(2).length, 0)
+console.log(`✅ ${features.length} departamentos, ${vertices} vértices → ${DESTINO}`)
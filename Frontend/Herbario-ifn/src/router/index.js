@@ -0,0 +1,146 @@
+// Rutas de la aplicación y guardas por sesión y permisos
+// Historial con hash (#/...): los enlaces de correo (#/restablecer, #/invitacion) y el frontend
+// estático funcionan sin configurar el servidor.
+import { createRouter, createWebHashHistory } from 'vue-router'
+import { authService } from '../services/api.js'
+// Componentes comunes
+import MainPage from '../components/common/MainPage.vue'
+import PaginaNoEncontrada from '../components/common/PaginaNoEncontrada.vue'
+// Componentes de autenticación
+import LoginPage from '../components/auth/LoginPage.vue'
+import SeguridadCuenta from '../components/auth/SeguridadCuenta.vue'
+// Componentes de recepción
+import RecepcionDashboard from '../components/recepcion/RecepcionDashboard.vue'
+// Componentes de laboratorio
+import LaboratorioDashboard from '../components/laboratorio/LaboratorioDashboard.vue'
+// Componentes de consultas
+import HerbarioDigital from '../components/consultas/HerbarioDigital.vue'
+import EstadisticasPanel from '../components/consultas/EstadisticasPanel.vue'
+import FichaEspecimen from '../components/consultas/FichaEspecimen.vue'
+import MapaConglomerados from '../components/consultas/MapaConglomerados.vue'
+// Componentes de administración
+import AdminDashboard from '../components/admin/AdminDashboard.vue'
+import AdminHerbarios from '../components/admin/AdminHerbarios.vue'
+import AdminUsuarios from '../components/admin/AdminUsuarios.vue'
+import AdminRegiones from '../components/admin/AdminRegiones.vue'
+import AdminDepartamentos from '../components/admin/AdminDepartamentos.vue'
+import AdminMunicipios from '../components/admin/AdminMunicipios.vue'
+import AdminExportaciones from '../components/admin/AdminExportaciones.vue'
+import AdminImportarTaxonomia from '../components/admin/AdminImportarTaxonomia.vue'
+// Demo (mantener en raíz)
+import ImageDemo from '../components/ImageDemo.vue'
+
+// Permisos del claim `permisos` del access token (mismos valores que Servicios/shared/models/Permisos.js)
+export const PERMISOS = {
+  MUESTRA_CLASIFICAR: 'muestra:clasificar',
+  PAQUETE_RECIBIR: 'paquete:recibir',
+  TAXONOMIA_EDITAR: 'taxonomia:editar',
+  ADMIN_USUARIOS: 'admin:usuarios',
+  ADMIN_CATALOGOS: 'admin:catalogos',
+  ADMIN_EXPORTAR: 'admin:exportar',
+  ADMIN_ESTADISTICAS: 'admin:estadisticas',
+  HERBARIO_CAMBIAR: 'herbario:cambiar'
+}
+
+// Parámetro :id numérico como prop de la vista
+const idComoProp = (route) => ({ id: Number(route.params.id) })
+
+// meta.permisos: permisos exigidos (implica sesión); meta.sesion: solo sesión;
+// meta.invitado: solo sin sesión; meta.conUsuario: la vista recibe currentUser
+const routes = [
+  { path: '/', name: 'inicio', component: MainPage },
+
+  // Autenticación
+  { path: '/login', name: 'login', component: LoginPage, meta: { invitado: true } },
+  { path: '/restablecer', name: 'restablecer', component: LoginPage },
+  { path: '/invitacion', name: 'invitacion', component: LoginPage },
+  { path: '/seguridad', name: 'seguridad', component: SeguridadCuenta, meta: { sesion: true } },
+
+  // Recepción
+  { path: '/recepcion', name: 'recepcion', component: RecepcionDashboard, meta: { permisos: [PERMISOS.PAQUETE_RECIBIR] } },
+
+  // Laboratorio: /laboratorio/muestras/:id abre la muestra según su estado
+  {
+    path: '/laboratorio',
+    name: 'laboratorio',
+    component: LaboratorioDashboard,
+    meta: { permisos: [PERMISOS.MUESTRA_CLASIFICAR], conUsuario: true }
+  },
+  {
+    path: '/laboratorio/muestras/:id(\\d+)',
+    name: 'laboratorio-muestra',
+    component: LaboratorioDashboard,
+    props: idComoProp,
+    meta: { permisos: [PERMISOS.MUESTRA_CLASIFICAR], conUsuario: true }
+  },
+
+  // Consulta pública: /herbario/especimen/:id abre la ficha del espécimen
+  { path: '/herbario', name: 'herbario', component: HerbarioDigital },
+  { path: '/herbario/especimen/:id(\\d+)', name: 'herbario-especimen', component: HerbarioDigital, props: idComoProp },
+  // Ficha pública con URL permanente: /especimen/<número de catálogo> (ej. /especimen/IFN-7K3M-Q9XD)
+  { path: '/especimen/:numeroCatalogo', name: 'especimen', component: FichaEspecimen, props: true },
+  // Mapa de conglomerados; el filtro por taxón va en la consulta (?familia=, ?genero= o ?especie=)
+  { path: '/mapa', name: 'mapa', component: MapaConglomerados },
+  { path: '/estadisticas', name: 'estadisticas', component: EstadisticasPanel },
+  { path: '/demo/imagenes', name: 'demo-imagenes', component: ImageDemo },
+
+  // Administración (el mismo permiso que exige el gateway para cada grupo de rutas /admin)
+  { path: '/admin', name: 'admin', component: AdminDashboard, meta: { permisos: [PERMISOS.ADMIN_ESTADISTICAS] } },
+  { path: '/admin/herbarios', name: 'admin-herbarios', component: AdminHerbarios, meta: { permisos: [PERMISOS.ADMIN_CATALOGOS] } },
+  { path: '/admin/usuarios', name: 'admin-usuarios', component: AdminUsuarios, meta: { permisos: [PERMISOS.ADMIN_USUARIOS] } },
+  { path: '/admin/regiones', name: 'admin-regiones', component: AdminRegiones, meta: { permisos: [PERMISOS.ADMIN_CATALOGOS] } },
+  { path: '/admin/departamentos', name: 'admin-departamentos', component: AdminDepartamentos, meta: { permisos: [PERMISOS.ADMIN_CATALOGOS] } },
+  { path: '/admin/municipios', name: 'admin-municipios', component: AdminMunicipios, meta: { permisos: [PERMISOS.ADMIN_CATALOGOS] } },
+  { path: '/admin/exportaciones', name: 'admin-exportaciones', component: AdminExportaciones, meta: { permisos: [PERMISOS.ADMIN_EXPORTAR] } },
+  { path: '/admin/taxonomia', name: 'admin-taxonomia', component: AdminImportarTaxonomia, meta: { permisos: [PERMISOS.TAXONOMIA_EDITAR] } },
+
+  { path: '/:ruta(.*)*', name: 'no-encontrada', component: PaginaNoEncontrada }
+]
+
+/**
+ * Indica si la sesión actual tiene un permiso (claims del access token)
+ * @param {string} permiso - Valor de PERMISOS
+ * @returns {boolean}
+ */
+export function tienePermiso(permiso) {
+  return (authService.getClaims()?.permisos || []).includes(permiso)
+}
+
+/**
+ * Vista inicial de la sesión según sus permisos
+ * @returns {Object} Ubicación para router.push
+ */
+export function rutaInicio() {
+  if (!authService.getClaims()) return { name: 'inicio' }
+  if (tienePermiso(PERMISOS.ADMIN_ESTADISTICAS)) return { name: 'admin' }
+  if (tienePermiso(PERMISOS.MUESTRA_CLASIFICAR)) return { name: 'laboratorio' }
+  if (tienePermiso(PERMISOS.PAQUETE_RECIBIR)) return { name: 'recepcion' }
+  return { name: 'herbario' }
+}
+
+const router = createRouter({
+  history: createWebHashHistory(),
+  routes,
+  scrollBehavior: () => ({ top: 0 })
+})
+
+// Sin sesión: al login y de vuelta a la ruta pedida; sin permiso: a la vista inicial de la sesión.
+// Los servicios vuelven a comprobar cada permiso; las guardas solo evitan vistas inútiles.
+router.beforeEach((to) => {
+  const claims = authService.getClaims()
+  const permisos = to.meta.permisos || []
+
+  if (to.meta.invitado && claims) return rutaInicio()
+
+  if ((to.meta.sesion || permisos.length) && !claims) {
+    return { name: 'login', query: { redirect: to.fullPath } }
+  }
+
+  const faltantes = permisos.filter(p => !tienePermiso(p))
+  if (faltantes.length) {
+    console.warn(`[FRONTEND] Sin permiso para ${to.fullPath}:`, faltantes)
+    return rutaInicio()
+  }
+})
+
+export default router
@@ -1,26 +1,69 @@
 // Servicio de API para comunicación con el backend
+// Todas las peticiones pasan por el API Gateway (un solo origen); ningún componente llama
+// directamente a los microservicios.
 import axios from 'axios'
 
-// Configuración base de URLs
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
-const AUTH_URL = import.meta.env.VITE_AUTH_URL || 'http://localhost:3001'
-const GEST_HERB_URL = import.meta.env.VITE_GEST_HERB_URL || 'http://localhost:3002'
-const RECEPCION_URL = import.meta.env.VITE_RECEPCION_URL || 'http://localhost:3004'
-const LAB_URL = import.meta.env.VITE_LAB_URL || 'http://localhost:3005'
 
-// Instancia de axios para Auth Service
+/**
+ * @typedef {Object} Sesion
+ * @property {string} access_token
+ * @property {string} refresh_token
+ * @property {number} expires_in - Segundos de vigencia del access token
+ * @property {Object} user - { id, email, nombre, rol, permisos, herbario, herbario_id }
+ */
+
+/**
+ * @typedef {Object} Muestra
+ * @property {number} id
+ * @property {string} num_coleccion
+ * @property {string} [colector]
+ * @property {number} [id_clasificacion]
+ * @property {Object} [paquete] - { num_paquete, fecha_recibido_herbario, conglomerado }
+ */
+
+/**
+ * @typedef {Object} Clasificacion
+ * @property {number} id
+ * @property {number} id_muestra
+ * @property {number|null} id_especie
+ * @property {number|null} id_infraespecie
+ * @property {string} estado - en_analisis | borrador | firmado | completado
+ * @property {string|null} estado_reproductivo
+ * @property {number|null} id_foto
+ */
+
+/**
+ * @typedef {Object} HistorialDeterminaciones
+ * @property {number} id_muestra
+ * @property {Object|null} determinacion_aceptada
+ * @property {Object[]} determinaciones - { nombre_cientifico, calificador, familia, determinador, fecha_determinacion, motivo, referencia, aceptada }
+ */
+
+/**
+ * @typedef {Object} FichaEspecimen
+ * @property {string} numero_catalogo - Número permanente asignado en la recepción (ej. IFN-7K3M-Q9XD)
+ * @property {string} id_ocurrencia - occurrenceID publicado en el DwC-A
+ * @property {string} url - URL permanente de la ficha
+ * @property {Object} determinacion - { nombre_cientifico, familia, nombre_comun, calificador, determinador, fecha_determinacion, referencia }
+ * @property {Object[]} determinaciones - Historial, como en HistorialDeterminaciones
+ * @property {Object} recoleccion - { colector, num_coleccion, fecha_coleccion, observaciones }
+ * @property {Object} localidad - { pais, departamento, municipio, conglomerado, descripcion, latitud, longitud }
+ * @property {Object[]} imagenes - { url, descripcion }
+ * @property {string} cita - Texto de cita para publicaciones
+ */
+
+/**
+ * @typedef {Object} Paquete
+ * @property {number} id
+ * @property {string} num_paquete
+ * @property {string} estado
+ * @property {Object[]} [muestras]
+ */
+
+// Instancia de axios para Auth_Service (a través del gateway, sin interceptores)
 const authAPI = axios.create({
-  baseURL: AUTH_URL,
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json; charset=utf-8',
-    'Accept': 'application/json; charset=utf-8'
-  }
-})
-
-// Instancia de axios para Gestión Herbario
-const gestHerbAPI = axios.create({
-  baseURL: GEST_HERB_URL,
+  baseURL: API_BASE_URL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json; charset=utf-8',
@@ -38,13 +81,37 @@ const api = axios.create({
   }
 })
 
-// Interceptor para agregar token a las peticiones
+// ===== CONTEXTO DE HERBARIO =====
+// Los servicios filtran paquetes, muestras, clasificaciones y usuarios por el herbario del usuario.
+// Quien tiene el permiso herbario:cambiar (super_admin) elige el herbario con la cabecera
+// x-herbario-id; sin elegir ninguno ve todos.
+const CLAVE_HERBARIO_CONTEXTO = 'herbario_contexto'
+
+export const herbarioContexto = {
+  obtener() {
+    return localStorage.getItem(CLAVE_HERBARIO_CONTEXTO)
+  },
+
+  cambiar(idHerbario) {
+    if (idHerbario) localStorage.setItem(CLAVE_HERBARIO_CONTEXTO, String(idHerbario))
+    else localStorage.removeItem(CLAVE_HERBARIO_CONTEXTO)
+  }
+}
+
+// Token y herbario elegido
+const cabecerasSesion = () => {
+  const headers = {}
+  const token = localStorage.getItem('auth_token')
+  if (token) headers.Authorization = `Bearer ${token}`
+  const herbario = herbarioContexto.obtener()
+  if (herbario) headers['x-herbario-id'] = herbario
+  return headers
+}
+
+// Interceptor para agregar token y herbario a las peticiones
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('auth_token')
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`
-    }
+    Object.assign(config.headers, cabecerasSesion())
     return config
   },
   (error) => {
@@ -52,35 +119,136 @@ api.interceptors.request.use(
   }
 )
 
+// ===== SESIÓN: RENOVACIÓN DEL ACCESS TOKEN =====
+// El access token dura 15 minutos; se renueva con el refresh token antes de expirar
+// y, si aun así una petición recibe 401, se renueva y se reintenta una vez.
+
+const MARGEN_RENOVACION_MS = 60 * 1000
+
+let renovacionEnCurso = null
+let temporizadorRenovacion = null
+
+const limpiarSesion = () => {
+  clearTimeout(temporizadorRenovacion)
+  localStorage.removeItem('auth_token')
+  localStorage.removeItem('refresh_token')
+  localStorage.removeItem('auth_expira')
+  localStorage.removeItem('user_data')
+  localStorage.removeItem(CLAVE_HERBARIO_CONTEXTO)
+}
+
+const guardarTokens = ({ access_token, refresh_token, expires_in }) => {
+  localStorage.setItem('auth_token', access_token)
+  if (refresh_token) localStorage.setItem('refresh_token', refresh_token)
+  if (expires_in) localStorage.setItem('auth_expira', String(Date.now() + expires_in * 1000))
+  programarRenovacion()
+}
+
+// Una sola renovación a la vez: las peticiones que fallan juntas esperan la misma
+const renovarSesion = () => {
+  if (!renovacionEnCurso) {
+    const refreshToken = localStorage.getItem('refresh_token')
+    renovacionEnCurso = (refreshToken
+      ? authAPI.post('/auth/refresh', { refresh_token: refreshToken })
+      : Promise.reject(new Error('Sin refresh token')))
+      .then(({ data }) => {
+        guardarTokens(data)
+        localStorage.setItem('user_data', JSON.stringify(data.user))
+        return data.access_token
+      })
+      .catch((error) => {
+        // Otra pestaña pudo rotar el refresh token mientras tanto
+        if (localStorage.getItem('refresh_token') !== refreshToken) {
+          return localStorage.getItem('auth_token')
+        }
+        limpiarSesion()
+        throw error
+      })
+      .finally(() => {
+        renovacionEnCurso = null
+      })
+  }
+  return renovacionEnCurso
+}
+
+function programarRenovacion() {
+  clearTimeout(temporizadorRenovacion)
+  const expira = parseInt(localStorage.getItem('auth_expira') || '0', 10)
+  if (!expira || !localStorage.getItem('refresh_token')) return
+
+  // Desfase aleatorio para que varias pestañas no renueven al mismo tiempo
+  const espera = Math.max(expira - Date.now() - MARGEN_RENOVACION_MS - Math.random() * 20000, 0)
+  temporizadorRenovacion = setTimeout(() => {
+    // Si otra pestaña ya renovó, solo reprogramar
+    const vigente = parseInt(localStorage.getItem('auth_expira') || '0', 10)
+    if (vigente - Date.now() > MARGEN_RENOVACION_MS) {
+      programarRenovacion()
+      return
+    }
+    renovarSesion().catch((error) => console.warn('No se pudo renovar la sesión:', error.message))
+  }, espera)
+}
+
 // Interceptor para manejar errores de autenticación
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // Token expirado o inválido
-      localStorage.removeItem('auth_token')
-      localStorage.removeItem('user_data')
-      window.location.href = '/#/login'
+  async (error) => {
+    const original = error.config
+    if (error.response && error.response.status === 401 && original && !original._reintento) {
+      // Token expirado o revocado: renovar y reintentar una vez
+      original._reintento = true
+      let token
+      try {
+        token = await renovarSesion()
+      } catch {
+        limpiarSesion()
+        window.location.href = '/#/login'
+        return Promise.reject(error)
+      }
+      original.headers.Authorization = `Bearer ${token}`
+      return api(original)
     }
     return Promise.reject(error)
   }
 )
 
+// authAPI no tiene interceptores: las rutas protegidas de Auth_Service llevan el token explícito
+const conBearer = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem('auth_token')}` }
+})
+
 // ===== SERVICIOS DE AUTENTICACIÓN =====
 export const authService = {
+  // Devuelve la sesión, o { mfa_requerido, mfa_token } si el usuario tiene verificación en dos pasos
   async login(email, password) {
     const response = await authAPI.post('/auth/login', { email, password })
     return response.data
   },
 
+  async completarLoginMfa(mfaToken, codigo) {
+    const response = await authAPI.post('/auth/login/mfa', { mfa_token: mfaToken, codigo })
+    return response.data
+  },
+
   async register(userData) {
     const response = await authAPI.post('/auth/register', userData)
     return response.data
   },
 
-  logout() {
-    localStorage.removeItem('auth_token')
-    localStorage.removeItem('user_data')
+  // Cierra la sesión localmente y la revoca en Auth_Service
+  async logout() {
+    const token = localStorage.getItem('auth_token')
+    const refreshToken = localStorage.getItem('refresh_token')
+    limpiarSesion()
+
+    if (!token && !refreshToken) return
+    try {
+      await authAPI.post('/auth/logout', { refresh_token: refreshToken }, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      })
+    } catch (error) {
+      console.warn('No se pudo revocar la sesión en el servidor:', error.message)
+    }
   },
 
   isAuthenticated() {
@@ -92,163 +260,566 @@ export const authService = {
     return userData ? JSON.parse(userData) : null
   },
 
-  saveAuthData(token, user) {
-    localStorage.setItem('auth_token', token)
-    localStorage.setItem('user_data', JSON.stringify(user))
+  // Claims del access token ({ sub, role, permisos, herbario_id, ... }) sin verificar la firma:
+  // solo para decidir qué vistas mostrar, los servicios verifican el token en cada petición
+  getClaims() {
+    const token = localStorage.getItem('auth_token')
+    if (!token) return null
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+      const bytes = Uint8Array.from(atob(payload), c => c.charCodeAt(0))
+      return JSON.parse(new TextDecoder().decode(bytes))
+    } catch {
+      return null
+    }
+  },
+
+  // Recibe la respuesta completa de /auth/login
+  saveAuthData(sesion) {
+    guardarTokens(sesion)
+    localStorage.setItem('user_data', JSON.stringify(sesion.user))
+  },
+
+  // Reanuda la renovación automática al recargar la aplicación
+  resumeSession() {
+    const expira = parseInt(localStorage.getItem('auth_expira') || '0', 10)
+    if (expira && expira - Date.now() <= MARGEN_RENOVACION_MS) {
+      return renovarSesion().then(() => true, () => false)
+    }
+    programarRenovacion()
+    return Promise.resolve(true)
+  },
+
+  // Re-autenticación antes de firmar: devuelve { step_up_token } de corta duración
+  async stepUp(password, codigoTotp = null) {
+    const response = await authAPI.post('/auth/step-up', {
+      password,
+      codigo_totp: codigoTotp || undefined
+    }, conBearer())
+    return response.data
+  },
+
+  // ===== RECUPERACIÓN DE CONTRASEÑA =====
+  async solicitarRestablecimiento(email) {
+    const response = await authAPI.post('/auth/password/olvido', { email })
+    return response.data
+  },
+
+  async validarTokenRestablecimiento(token) {
+    const response = await authAPI.get('/auth/password/restablecer', { params: { token } })
+    return response.data
+  },
+
+  async restablecerPassword(token, password) {
+    const response = await authAPI.post('/auth/password/restablecer', { token, password })
+    return response.data
+  },
+
+  // Envía al usuario un enlace de restablecimiento (solo administradores)
+  async enviarEnlaceRestablecimiento(idUsuario) {
+    const response = await authAPI.post(`/auth/usuarios/${idUsuario}/restablecer`, {}, conBearer())
+    return response.data
+  },
+
+  // Cierra todas las sesiones de un usuario (solo administradores)
+  async revocarSesiones(idUsuario, { motivo = null, deshabilitar = false } = {}) {
+    const response = await authAPI.post(`/auth/usuarios/${idUsuario}/revocar`, { motivo, deshabilitar }, conBearer())
+    return response.data
+  },
+
+  // ===== INVITACIONES =====
+  // Crea una invitación con rol y herbario (solo administradores); el usuario define sus datos al aceptarla
+  async invitarUsuario({ email, rol, id_herbario = null }) {
+    const response = await authAPI.post('/auth/invitaciones', { email, rol, id_herbario: id_herbario || null }, conBearer())
+    return response.data
+  },
+
+  async obtenerInvitaciones({ pendientes = false } = {}) {
+    const response = await authAPI.get('/auth/invitaciones', { params: { pendientes }, ...conBearer() })
+    return response.data.invitaciones
+  },
+
+  async anularInvitacion(id) {
+    const response = await authAPI.delete(`/auth/invitaciones/${id}`, conBearer())
+    return response.data
+  },
+
+  async validarInvitacion(token) {
+    const response = await authAPI.get('/auth/invitaciones/aceptar', { params: { token } })
+    return response.data
+  },
+
+  async aceptarInvitacion(token, datos) {
+    const response = await authAPI.post('/auth/invitaciones/aceptar', { token, ...datos })
+    return response.data
+  },
+
+  // ===== VERIFICACIÓN EN DOS PASOS (TOTP) =====
+  async estadoTotp() {
+    const response = await authAPI.get('/auth/totp', conBearer())
+    return response.data
+  },
+
+  async iniciarInscripcionTotp(password) {
+    const response = await authAPI.post('/auth/totp/inscripcion', { password }, conBearer())
+    return response.data
+  },
+
+  async activarTotp(codigo) {
+    const response = await authAPI.post('/auth/totp/activar', { codigo }, conBearer())
+    return response.data
+  },
+
+  async regenerarCodigosRespaldo(codigo) {
+    const response = await authAPI.post('/auth/totp/codigos-respaldo', { codigo }, conBearer())
+    return response.data
+  },
+
+  async desactivarTotp(password, codigo) {
+    const response = await authAPI.post('/auth/totp/desactivar', { password, codigo }, conBearer())
+    return response.data
+  },
+
+  // Quita la verificación en dos pasos de otro usuario (solo administradores)
+  async desactivarTotpUsuario(idUsuario) {
+    const response = await authAPI.post(`/auth/usuarios/${idUsuario}/totp/desactivar`, {}, conBearer())
+    return response.data
+  },
+
+  // ===== BLOQUEOS POR INTENTOS FALLIDOS (solo administradores) =====
+  async obtenerBloqueos() {
+    const response = await authAPI.get('/auth/bloqueos', conBearer())
+    return response.data.bloqueos
+  },
+
+  async desbloquearUsuario(idUsuario) {
+    const response = await authAPI.post(`/auth/usuarios/${idUsuario}/desbloquear`, {}, conBearer())
+    return response.data
+  },
+
+  async obtenerEventosAcceso(idUsuario, limite = 50) {
+    const response = await authAPI.get(`/auth/usuarios/${idUsuario}/eventos-acceso`, {
+      ...conBearer(),
+      params: { limite }
+    })
+    return response.data.eventos
   }
 }
 
-// ===== SERVICIOS DE RECEPCIÓN =====
+// Mensaje legible de un error de axios (cuerpo { mensaje } o { error } del backend)
+export const mensajeError = (error) =>
+  error.response?.data?.mensaje || error.response?.data?.error || error.message
+
+// ===== SERVICIOS DE RECEPCIÓN (Recepcion_service, permiso paquete:recibir) =====
 export const recepcionService = {
+  /** @returns {Promise<Paquete>} Paquete con sus muestras */
+  async buscarPaquete(numeroPaquete) {
+    const response = await api.get(`/recepcion/paquetes/buscar/${encodeURIComponent(numeroPaquete)}`)
+    return response.data
+  },
+
+  async confirmarRecepcion(recepcionData) {
+    const response = await api.put('/recepcion/paquetes/confirmar-recepcion', recepcionData)
+    return response.data
+  },
+
+  /** @returns {Promise<Paquete>} */
   async registrarPaquete(paqueteData) {
-    const response = await api.post('/api/recepcion/paquetes', paqueteData)
+    const response = await api.post('/recepcion/paquetes', paqueteData)
     return response.data
   },
 
+  /** @returns {Promise<Paquete[]>} */
   async obtenerPaquetes(filtros = {}) {
-    const response = await api.get('/api/recepcion/paquetes', { params: filtros })
+    const response = await api.get('/recepcion/paquetes', { params: filtros })
+    return response.data
+  },
+
+  async obtenerConglomerados() {
+    const response = await api.get('/recepcion/conglomerados')
+    return response.data
+  }
+}
+
+// ===== SERVICIOS DE LABORATORIO (Lab_Service, permiso muestra:clasificar) =====
+export const laboratorioService = {
+  /** @returns {Promise<Muestra[]>} */
+  async obtenerMuestrasPendientes() {
+    const response = await api.get('/laboratorio/muestras/pendientes')
+    return response.data
+  },
+
+  /** @returns {Promise<Clasificacion|null>} Clasificación vigente de la muestra */
+  async obtenerClasificacionDeMuestra(idMuestra) {
+    const response = await api.get(`/laboratorio/clasificaciones/muestra/${idMuestra}`)
+    return response.data
+  },
+
+  /** @returns {Promise<Clasificacion>} */
+  async registrarClasificacion(clasificacionData) {
+    const response = await api.post('/laboratorio/clasificaciones', clasificacionData)
     return response.data
   },
 
-  async registrarMuestra(muestraData) {
-    const response = await api.post('/api/recepcion/muestras', muestraData)
+  // Asistente de determinación: busca taxones por caracteres observados
+  async buscarEnAsistente(params = {}) {
+    const response = await api.get('/laboratorio/asistente/buscar', { params })
     return response.data
   },
 
-  async obtenerMuestras(filtros = {}) {
-    const response = await api.get('/api/recepcion/muestras', { params: filtros })
+  async obtenerEstadisticas(params = {}) {
+    const response = await api.get('/laboratorio/estadisticas', { params })
+    return response.data
+  },
+
+  async obtenerEstadisticasTaxonomia(params = {}) {
+    const response = await api.get('/laboratorio/estadisticas/taxonomia', { params })
     return response.data
   }
 }
 
-// ===== SERVICIOS DE LABORATORIO =====
-export const laboratorioService = {
-  async obtenerMuestrasParaClasificar(filtros = {}) {
-    const response = await api.get('/api/laboratorio/muestras', { params: filtros })
+// ===== SERVICIOS DE GESTIÓN HERBARIO (Gest_Herb_service) =====
+// Lecturas para cualquier usuario autenticado de su herbario; las escrituras exigen
+// muestra:clasificar y la firma además clasificacion:firmar
+export const herbarioService = {
+  // Muestras
+  /** @returns {Promise<Muestra[]>} */
+  async obtenerMuestrasPendientes() {
+    const response = await api.get('/herbario/muestras/pendientes')
+    return response.data
+  },
+
+  /**
+   * @param {string} estado - en_analisis | borrador | firmado | completado
+   * @returns {Promise<Muestra[]>}
+   */
+  async obtenerMuestrasPorEstado(estado) {
+    const response = await api.get(`/herbario/muestras/estado/${estado}`)
+    return response.data
+  },
+
+  /** @returns {Promise<Muestra>} */
+  async obtenerMuestra(idMuestra) {
+    const response = await api.get(`/herbario/muestras/${idMuestra}`)
+    return response.data
+  },
+
+  // Determinaciones
+  /** @returns {Promise<FichaEspecimen>} */
+  async obtenerEspecimen(numeroCatalogo) {
+    const response = await api.get(`/publico/especimenes/${encodeURIComponent(numeroCatalogo)}`)
+    return response.data
+  },
+
+  /** @returns {Promise<HistorialDeterminaciones>} */
+  async obtenerDeterminaciones(idMuestra) {
+    const response = await api.get(`/herbario/muestras/${idMuestra}/determinaciones`)
+    return response.data
+  },
+
+  // Con aceptada: true, y al aceptar una existente: 409 DETERMINACION_FIRMADA si la muestra tiene una clasificación firmada
+  async registrarDeterminacion(idMuestra, determinacionData) {
+    const response = await api.post(`/herbario/muestras/${idMuestra}/determinaciones`, determinacionData)
+    return response.data
+  },
+
+  async aceptarDeterminacion(idMuestra, idDeterminacion) {
+    const response = await api.put(`/herbario/muestras/${idMuestra}/determinaciones/${idDeterminacion}/aceptada`)
+    return response.data
+  },
+
+  // Clasificaciones
+  /** @returns {Promise<Clasificacion>} Clasificación con su archivo (archivos.path) */
+  async obtenerClasificacion(idClasificacion) {
+    const response = await api.get(`/herbario/clasificaciones/${idClasificacion}`)
+    return response.data
+  },
+
+  /** @returns {Promise<Clasificacion>} */
+  async crearClasificacion(clasificacionData) {
+    const response = await api.post('/herbario/clasificaciones', clasificacionData)
+    return response.data
+  },
+
+  /** @returns {Promise<Clasificacion>} */
+  async actualizarClasificacion(idClasificacion, clasificacionData) {
+    const response = await api.put(`/herbario/clasificaciones/${idClasificacion}`, clasificacionData)
+    return response.data
+  },
+
+  // Cambia el estado de la clasificación de una muestra (la crea en en_analisis si no existe)
+  async cambiarEstadoMuestra(idMuestra, estado) {
+    const response = await api.put(`/herbario/clasificaciones/${idMuestra}/estado`, { estado })
+    return response.data
+  },
+
+  async cambiarEstadoClasificacion(idClasificacion, estado) {
+    const response = await api.put(`/herbario/clasificaciones/id/${idClasificacion}/estado`, { estado })
+    return response.data
+  },
+
+  // Firma electrónica con el token de authService.stepUp
+  async firmarClasificacion(idClasificacion, stepUpToken) {
+    const response = await api.post(`/herbario/clasificaciones/${idClasificacion}/firma`, { step_up_token: stepUpToken })
+    return response.data
+  },
+
+  // 404 si la clasificación no fue firmada
+  async verificarFirma(idClasificacion) {
+    const response = await api.get(`/herbario/clasificaciones/${idClasificacion}/firma/verificar`)
+    return response.data
+  },
+
+  // Archivos, especies y ubicaciones (solo lectura)
+  async obtenerArchivo(idArchivo) {
+    const response = await api.get(`/herbario/archivos/${idArchivo}`)
+    return response.data
+  },
+
+  // Especie con su género y familia
+  async obtenerEspecie(idEspecie) {
+    const response = await api.get(`/herbario/especies/${idEspecie}`)
+    return response.data
+  },
+
+  async obtenerConglomerados() {
+    const response = await api.get('/herbario/ubicaciones/conglomerados')
+    return response.data
+  },
+
+  async buscarTaxonomia(params = {}) {
+    const response = await api.get('/herbario/taxonomia/buscar', { params })
+    return response.data
+  }
+}
+
+// ===== CATÁLOGO TAXONÓMICO (selector de clasificación) =====
+export const catalogoService = {
+  async obtenerFamilias() {
+    const response = await api.get('/herbario/catalogo/familias')
+    return response.data
+  },
+
+  async obtenerGeneros(idFamilia) {
+    const response = await api.get(`/herbario/catalogo/familias/${idFamilia}/generos`)
+    return response.data
+  },
+
+  async obtenerEspecies(idGenero) {
+    const response = await api.get(`/herbario/catalogo/generos/${idGenero}/especies`)
+    return response.data
+  },
+
+  async obtenerInfraespecies(idEspecie) {
+    const response = await api.get(`/herbario/catalogo/especies/${idEspecie}/infraespecies`)
+    return response.data
+  },
+
+  async obtenerEspecieCompleta(idEspecie) {
+    const response = await api.get(`/herbario/catalogo/especies/${idEspecie}/completa`)
+    return response.data
+  },
+
+  // Requiere muestra:clasificar; como sinónimo o dudosa, también taxonomia:editar
+  async crearEspecie(especieData) {
+    const response = await api.post('/herbario/catalogo/especies', especieData)
+    return response.data
+  },
+
+  // Requiere taxonomia:editar
+  async crearInfraespecie(infraespecieData) {
+    const response = await api.post('/herbario/catalogo/infraespecies', infraespecieData)
+    return response.data
+  }
+}
+
+// ===== SERVICIOS DE CONSULTA PÚBLICA (sin autenticación) =====
+// El gateway los reenvía sin credenciales: responden lo publicado de todos los herbarios
+export const publicoService = {
+  async obtenerResumen() {
+    const response = await api.get('/publico/estadisticas')
+    return response.data
+  },
+
+  async buscarTaxonomia(params = {}) {
+    const response = await api.get('/publico/taxonomia', { params })
+    return response.data
+  },
+
+  /**
+   * Búsqueda en el herbario digital (especímenes con clasificación completada o firmada)
+   * @param {Object} [params] - { q, familia, genero, departamento, region, conglomerado, amenaza,
+   *   estado_reproductivo, desde, hasta, limit, cursor }
+   * @returns {Promise<Object>} { resultados, total, siguiente, facetas, criterios }
+   */
+  async obtenerEspecimenes(params = {}) {
+    const response = await api.get('/publico/especimenes', { params })
     return response.data
   },
 
-  async clasificarMuestra(muestraId, clasificacionData) {
-    const response = await api.put(`/api/laboratorio/muestras/${muestraId}/clasificar`, clasificacionData)
+  /** @returns {Promise<HistorialDeterminaciones>} */
+  async obtenerDeterminaciones(idMuestra) {
+    const response = await api.get(`/publico/muestras/${idMuestra}/determinaciones`)
     return response.data
   },
 
-  async actualizarEstado(muestraId, nuevoEstado) {
-    const response = await api.put(`/api/laboratorio/muestras/${muestraId}/estado`, { estado: nuevoEstado })
+  /**
+   * Conglomerados del mapa (GeoJSON) con especímenes y especies publicados
+   * @param {Object} [params] - { familia, genero, especie } (especie: binomio)
+   * @returns {Promise<Object>} FeatureCollection con { totales, filtros }
+   */
+  async obtenerConglomerados(params = {}) {
+    const response = await api.get('/publico/conglomerados', { params })
+    return response.data
+  },
+
+  // Distribución geográfica y taxonómica del panel de estadísticas
+  async obtenerDistribucion(params = {}) {
+    const response = await api.get('/publico/distribucion', { params })
+    return response.data
+  },
+
+  async obtenerDistribucionTaxonomica(params = {}) {
+    const response = await api.get('/publico/distribucion/taxonomia', { params })
     return response.data
   }
 }
 
 // ===== SERVICIOS DE ADMINISTRACIÓN =====
+// A través del API Gateway: Gest_Herb rechaza /admin/* sin su firma
 export const adminService = {
   // Herbarios
   async obtenerHerbarios() {
-    const response = await gestHerbAPI.get('/admin/herbario')
+    const response = await api.get('/admin/herbario')
     return response.data
   },
 
   async crearHerbario(herbarioData) {
-    const response = await gestHerbAPI.post('/admin/herbario', herbarioData)
+    const response = await api.post('/admin/herbario', herbarioData)
     return response.data
   },
 
   async actualizarHerbario(id, herbarioData) {
-    const response = await gestHerbAPI.put(`/admin/herbario/${id}`, herbarioData)
+    const response = await api.put(`/admin/herbario/${id}`, herbarioData)
     return response.data
   },
 
   async eliminarHerbario(id) {
-    const response = await gestHerbAPI.delete(`/admin/herbario/${id}`)
+    const response = await api.delete(`/admin/herbario/${id}`)
     return response.data
   },
 
   // Usuarios
   async obtenerUsuarios(filtros = {}) {
-    const response = await gestHerbAPI.get('/admin/usuarios', { params: filtros })
-    return response.data
-  },
-
-  async crearUsuario(usuarioData) {
-    const response = await gestHerbAPI.post('/admin/usuarios', usuarioData)
+    const response = await api.get('/admin/usuarios', { params: filtros })
     return response.data
   },
 
   async actualizarUsuario(id, usuarioData) {
-    const response = await gestHerbAPI.put(`/admin/usuarios/${id}`, usuarioData)
+    const response = await api.put(`/admin/usuarios/${id}`, usuarioData)
     return response.data
   },
 
   async eliminarUsuario(id) {
-    const response = await gestHerbAPI.delete(`/admin/usuarios/${id}`)
+    const response = await api.delete(`/admin/usuarios/${id}`)
     return response.data
   },
 
   // Estadísticas
   async obtenerEstadisticas() {
-    const response = await gestHerbAPI.get('/admin/estadisticas')
+    const response = await api.get('/admin/estadisticas')
     return response.data
   },
 
   // Regiones
   async obtenerRegiones() {
-    const response = await gestHerbAPI.get('/admin/regiones')
+    const response = await api.get('/admin/regiones')
     return response.data
   },
 
   async crearRegion(regionData) {
-    const response = await gestHerbAPI.post('/admin/regiones', regionData)
+    const response = await api.post('/admin/regiones', regionData)
     return response.data
   },
 
   async actualizarRegion(id, regionData) {
-    const response = await gestHerbAPI.put(`/admin/regiones/${id}`, regionData)
+    const response = await api.put(`/admin/regiones/${id}`, regionData)
     return response.data
   },
 
   async eliminarRegion(id) {
-    const response = await gestHerbAPI.delete(`/admin/regiones/${id}`)
+    const response = await api.delete(`/admin/regiones/${id}`)
     return response.data
   },
 
   // Departamentos
   async obtenerDepartamentos(filtros = {}) {
-    const response = await gestHerbAPI.get('/admin/departamentos', { params: filtros })
+    const response = await api.get('/admin/departamentos', { params: filtros })
     return response.data
   },
 
   async crearDepartamento(departamentoData) {
-    const response = await gestHerbAPI.post('/admin/departamentos', departamentoData)
+    const response = await api.post('/admin/departamentos', departamentoData)
     return response.data
   },
 
   async actualizarDepartamento(id, departamentoData) {
-    const response = await gestHerbAPI.put(`/admin/departamentos/${id}`, departamentoData)
+    const response = await api.put(`/admin/departamentos/${id}`, departamentoData)
     return response.data
   },
 
   async eliminarDepartamento(id) {
-    const response = await gestHerbAPI.delete(`/admin/departamentos/${id}`)
+    const response = await api.delete(`/admin/departamentos/${id}`)
     return response.data
   },
 
   // Municipios
   async obtenerMunicipios(filtros = {}) {
-    const response = await gestHerbAPI.get('/admin/municipios', { params: filtros })
+    const response = await api.get('/admin/municipios', { params: filtros })
     return response.data
   },
 
   async crearMunicipio(municipioData) {
-    const response = await gestHerbAPI.post('/admin/municipios', municipioData)
+    const response = await api.post('/admin/municipios', municipioData)
     return response.data
   },
 
   async actualizarMunicipio(id, municipioData) {
-    const response = await gestHerbAPI.put(`/admin/municipios/${id}`, municipioData)
+    const response = await api.put(`/admin/municipios/${id}`, municipioData)
     return response.data
   },
 
   async eliminarMunicipio(id) {
-    const response = await gestHerbAPI.delete(`/admin/municipios/${id}`)
+    const response = await api.delete(`/admin/municipios/${id}`)
+    return response.data
+  },
+
+  // Exportación Darwin Core Archive
+  async crearExportacionDwca(desde = null) {
+    const response = await api.post('/admin/exportaciones/dwca', { desde })
+    return response.data
+  },
+
+  async obtenerExportacionesDwca() {
+    const response = await api.get('/admin/exportaciones/dwca')
+    return response.data
+  },
+
+  async descargarExportacionDwca(id) {
+    const response = await api.get(`/admin/exportaciones/dwca/${id}/descarga`, {
+      responseType: 'blob',
+      timeout: 60000
+    })
+    return response.data
+  },
+
+  // Importación de listas de chequeo (CSV / DwC taxon.txt)
+  async importarTaxonomia(contenido, { dryRun = true, modo = 'omitir' } = {}) {
+    const response = await api.post('/admin/taxonomia/importar', contenido, {
+      params: { dry_run: dryRun, modo },
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+      timeout: 60000
+    })
     return response.data
   }
 }
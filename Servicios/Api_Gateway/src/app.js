@@ -6,6 +6,10 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { requireAuth } from './middleware/auth.js';
+import { requierePermiso } from '../../shared/middleware/permisos.js';
+import { cabecerasGateway } from '../../shared/middleware/gateway.js';
+import { conservarCuerpo } from '../../shared/middleware/servicios.js';
+import { PERMISOS, PERMISOS_RUTAS_ADMIN } from '../../shared/models/Permisos.js';
 import { initJwtFromEnv } from '../../shared/crypto/jwt.js';
 import proxy from 'express-http-proxy';
 
@@ -32,13 +36,19 @@ try {
 }
 
 const app = express();
-app.use(express.json());
+app.set('logger', logger);
+// El cuerpo recibido se conserva para reenviarlo (y firmarlo) sin volver a serializarlo
+app.use(express.json({ verify: conservarCuerpo }));
+app.use(express.text({ type: ['text/*', 'application/csv'], limit: '5mb', verify: conservarCuerpo }));
 app.use(cors());
 app.use(helmet());
 app.use(logger.expressMiddleware());
 
-// Rate limiting básico
-const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 });
+// Detrás de un balanceador, TRUST_PROXY indica de quién aceptar x-forwarded-for
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
+
+// Rate limiting por cliente: el frontend hace todas sus peticiones a través del gateway
+const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: parseInt(process.env.RATE_LIMIT_MAX || '1000', 10) });
 app.use(limiter);
 
 // Healthcheck público
@@ -52,81 +62,154 @@ app.get('/secure/ping', requireAuth, (req, res) => {
   res.json({ ok: true, service: 'api-gateway' });
 });
 
-// Utilidad simple para autorización por roles
-function requireRole(role) {
-  return (req, res, next) => {
-    try {
-      const userRole = req.user?.role;
-      if (userRole !== role) {
-        return res.status(403).json({ error: `Role required: ${role}. Current role: ${userRole}` });
-      }
-      next();
-    } catch (err) {
-      return res.status(403).json({ error: 'Role validation failed' });
-    }
-  };
-}
-
 // URLs de microservicios
 const LAB_URL = process.env.LAB_SERVICE_URL || 'http://localhost:3005';
 const RECEPCION_URL = process.env.RECEPCION_SERVICE_URL || 'http://localhost:3004';
 const GESTION_HERBARIO_URL = process.env.GESTION_HERBARIO_URL || 'http://localhost:3002';
+const AUTH_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3001';
+
+// Gest_Herb solo acepta /admin/* con la firma del gateway (GATEWAY_HMAC_KEY_B64, la misma en ambos)
+const GATEWAY_HMAC_KEY = process.env.GATEWAY_HMAC_KEY_B64;
+if (!GATEWAY_HMAC_KEY) {
+  logger.warn('GATEWAY_HMAC_KEY_B64 no configurada: Gest_Herb rechazará las rutas /admin');
+}
+
+// La lista de revocación se pide a Auth_Service firmada como servicio api_gateway
+if (!process.env.SERVICIO_HMAC_KEY_B64) {
+  logger.warn('SERVICIO_HMAC_KEY_B64 no configurada: no se podrá obtener la lista de revocación');
+}
+
+/**
+ * Proxy hacia un microservicio
+ * Reenvía la IP del cliente en x-forwarded-for: los servicios la usan en sus límites por IP y en
+ * la auditoría (con TRUST_PROXY). El cuerpo sale tal como llegó; hacia Gest_Herb agrega la firma
+ * del gateway, que cubre ese cuerpo.
+ * @param {string} url - URL del servicio
+ * @param {Function} rutaDestino - (req) => ruta en el servicio
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.soloLectura=false] - Reenviar solo GET
+ * @param {boolean} [opciones.publica=false] - Reenviar sin Authorization ni x-herbario-id
+ */
+function proxyServicio(url, rutaDestino, { soloLectura = false, publica = false } = {}) {
+  return proxy(url, {
+    proxyReqPathResolver: rutaDestino,
+    filter: (req) => !soloLectura || req.method === 'GET',
+    proxyReqBodyDecorator: (cuerpo, srcReq) => srcReq.cuerpoCrudo || '',
+    proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
+      proxyReqOpts.headers['x-forwarded-for'] = srcReq.ip;
+      if (publica) {
+        delete proxyReqOpts.headers.authorization;
+        delete proxyReqOpts.headers['x-herbario-id'];
+      }
+      if (url === GESTION_HERBARIO_URL && GATEWAY_HMAC_KEY) {
+        Object.assign(proxyReqOpts.headers, cabecerasGateway({
+          metodo: srcReq.method,
+          ruta: rutaDestino(srcReq),
+          usuario: srcReq.user?.sub,
+          cuerpo: srcReq.cuerpoCrudo
+        }, GATEWAY_HMAC_KEY));
+      }
+      return proxyReqOpts;
+    }
+  });
+}
+
+// Lecturas para cualquier usuario autenticado; escrituras con el permiso indicado
+const permisoParaEscribir = (permiso) => (req, res, next) =>
+  (req.method === 'GET' ? next() : requierePermiso(permiso)(req, res, next));
+
+// ===== RUTAS DE LABORATORIO (permiso muestra:clasificar) =====
+app.use('/laboratorio/muestras', requireAuth, requierePermiso(PERMISOS.MUESTRA_CLASIFICAR),
+  proxyServicio(LAB_URL, (req) => `/muestras${req.url}`));
+
+app.use('/laboratorio/clasificaciones', requireAuth, requierePermiso(PERMISOS.MUESTRA_CLASIFICAR),
+  proxyServicio(LAB_URL, (req) => `/clasificaciones${req.url}`));
+
+app.use('/laboratorio/asistente', requireAuth, requierePermiso(PERMISOS.MUESTRA_CLASIFICAR),
+  proxyServicio(LAB_URL, (req) => `/asistente${req.url}`));
+
+app.use('/laboratorio/estadisticas', requireAuth, requierePermiso(PERMISOS.MUESTRA_CLASIFICAR),
+  proxyServicio(LAB_URL, (req) => `/estadisticas${req.url}`));
 
-// ===== RUTAS DE LABORATORIO (solo laboratoristas) =====
-app.use('/laboratorio/muestras', requireAuth, requireRole('laboratorista'), proxy(LAB_URL, {
-  proxyReqPathResolver: (req) => `/muestras${req.url}`
-}));
-
-app.use('/laboratorio/clasificaciones', requireAuth, requireRole('laboratorista'), proxy(LAB_URL, {
-  proxyReqPathResolver: (req) => `/clasificaciones${req.url}`
-}));
-
-app.use('/laboratorio/asistente', requireAuth, requireRole('laboratorista'), proxy(LAB_URL, {
-  proxyReqPathResolver: (req) => `/asistente${req.url}`
-}));
-
-app.use('/laboratorio/estadisticas', requireAuth, requireRole('laboratorista'), proxy(LAB_URL, {
-  proxyReqPathResolver: (req) => `/estadisticas${req.url}`
-}));
-
-// ===== RUTAS DE RECEPCIÓN (solo recepcionistas) =====
-app.use('/recepcion/paquetes', requireAuth, requireRole('recepcionista'), proxy(RECEPCION_URL, {
-  proxyReqPathResolver: (req) => `/paquetes${req.url}`
-}));
-
-app.use('/recepcion/conglomerados', requireAuth, requireRole('recepcionista'), proxy(RECEPCION_URL, {
-  proxyReqPathResolver: (req) => `/conglomerados${req.url}`
-}));
-
-// ===== RUTAS DE GESTIÓN HERBARIO (acceso directo limitado - principalmente para servicios internos) =====
-// Solo operaciones de consulta para usuarios finales
-app.use('/herbario/taxonomia', requireAuth, proxy(GESTION_HERBARIO_URL, {
-  proxyReqPathResolver: (req) => `/taxonomia${req.url}`,
-  filter: (req) => req.method === 'GET' // Solo lectura
-}));
-
-app.use('/herbario/herbarios', requireAuth, proxy(GESTION_HERBARIO_URL, {
-  proxyReqPathResolver: (req) => `/herbarios${req.url}`,
-  filter: (req) => req.method === 'GET' // Solo lectura
-}));
-
-app.use('/herbario/ubicaciones', requireAuth, proxy(GESTION_HERBARIO_URL, {
-  proxyReqPathResolver: (req) => `/ubicaciones${req.url}`,
-  filter: (req) => req.method === 'GET' // Solo lectura
-}));
+// ===== RUTAS DE RECEPCIÓN (permiso paquete:recibir) =====
+app.use('/recepcion/paquetes', requireAuth, requierePermiso(PERMISOS.PAQUETE_RECIBIR),
+  proxyServicio(RECEPCION_URL, (req) => `/paquetes${req.url}`));
+
+app.use('/recepcion/conglomerados', requireAuth, requierePermiso(PERMISOS.PAQUETE_RECIBIR),
+  proxyServicio(RECEPCION_URL, (req) => `/conglomerados${req.url}`));
+
+// ===== RUTAS DE GESTIÓN HERBARIO =====
+// Gest_Herb comprueba además el permiso de las operaciones que lo exigen (firma, determinaciones)
+// y aplica el herbario del usuario
+app.use('/herbario/muestras', requireAuth, permisoParaEscribir(PERMISOS.MUESTRA_CLASIFICAR),
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/muestras${req.url}`));
+
+app.use('/herbario/clasificaciones', requireAuth, requierePermiso(PERMISOS.MUESTRA_CLASIFICAR),
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/clasificaciones${req.url}`));
+
+// Catálogo taxonómico jerárquico del selector de clasificación; los laboratoristas agregan especies
+// y la sinonimia y las infraespecies quedan para quien edita el catálogo (taxonomia:editar)
+const catalogoTaxonomico = proxyServicio(GESTION_HERBARIO_URL,
+  (req) => req.originalUrl.replace(/^\/herbario\/catalogo/, '/api/taxonomia'));
+
+app.put('/herbario/catalogo/especies/:especieId/sinonimia', requireAuth, requierePermiso(PERMISOS.TAXONOMIA_EDITAR),
+  catalogoTaxonomico);
+
+app.post('/herbario/catalogo/infraespecies', requireAuth, requierePermiso(PERMISOS.TAXONOMIA_EDITAR),
+  catalogoTaxonomico);
+
+app.use('/herbario/catalogo', requireAuth, permisoParaEscribir(PERMISOS.MUESTRA_CLASIFICAR),
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/api/taxonomia${req.url}`));
+
+app.use('/herbario/taxonomia', requireAuth,
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/taxonomia${req.url}`, { soloLectura: true }));
+
+app.use('/herbario/especies', requireAuth,
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/especies${req.url}`, { soloLectura: true }));
+
+app.use('/herbario/archivos', requireAuth,
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/archivos${req.url}`, { soloLectura: true }));
+
+app.use('/herbario/ubicaciones', requireAuth,
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/ubicaciones${req.url}`, { soloLectura: true }));
+
+// ===== RUTAS DE ADMINISTRACIÓN (Gest_Herb /admin/*, un permiso por grupo de rutas) =====
+for (const [ruta, permiso] of Object.entries(PERMISOS_RUTAS_ADMIN)) {
+  app.use(ruta, requireAuth, requierePermiso(permiso),
+    proxyServicio(GESTION_HERBARIO_URL, (req) => `${ruta}${req.url}`));
+}
+
+// ===== RUTAS DE AUTENTICACIÓN (Auth_Service) =====
+// Auth_Service autentica cada ruta por su cuenta. La lista de revocación es solo para el gateway.
+app.use('/auth/revocaciones', (req, res) => res.status(404).json({ error: 'Not found' }));
+app.use('/auth', proxyServicio(AUTH_URL, (req) => `/auth${req.url}`));
 
 // ===== RUTAS DE CONSULTA PÚBLICA (sin autenticación) =====
+// Se reenvían sin credenciales: los servicios responden lo publicado de todos los herbarios
+
 // Estadísticas generales para público
-app.use('/publico/estadisticas', proxy(GESTION_HERBARIO_URL, {
-  proxyReqPathResolver: (req) => `/estadisticas/resumen${req.url}`,
-  filter: (req) => req.method === 'GET'
-}));
+app.use('/publico/estadisticas',
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/estadisticas/resumen${req.url}`, { soloLectura: true, publica: true }));
 
 // Búsqueda taxonómica pública
-app.use('/publico/taxonomia', proxy(GESTION_HERBARIO_URL, {
-  proxyReqPathResolver: (req) => `/taxonomia/buscar${req.url}`,
-  filter: (req) => req.method === 'GET'
-}));
+app.use('/publico/taxonomia',
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/taxonomia/buscar${req.url}`, { soloLectura: true, publica: true }));
+
+// Búsqueda del herbario digital, ficha de cada espécimen por su número de catálogo (URL permanente)
+// e historial de determinaciones
+app.use('/publico/especimenes',
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/publico/especimenes${req.url}`, { soloLectura: true, publica: true }));
+
+app.use('/publico/muestras',
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/publico/muestras${req.url}`, { soloLectura: true, publica: true }));
+
+// Conglomerados en GeoJSON con especímenes y especies publicados (mapa de consultas)
+app.use('/publico/conglomerados',
+  proxyServicio(GESTION_HERBARIO_URL, (req) => `/publico/conglomerados${req.url}`, { soloLectura: true, publica: true }));
+
+// Distribución geográfica y taxonómica del panel de estadísticas
+app.use('/publico/distribucion',
+  proxyServicio(LAB_URL, (req) => `/estadisticas${req.url}`, { soloLectura: true, publica: true }));
 
 // ===== RUTAS DE SALUD DE SERVICIOS =====
 app.get('/health/all', async (req, res) => {
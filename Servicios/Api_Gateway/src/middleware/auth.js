@@ -1,15 +1,22 @@
 import { verifyAccessToken } from '../../../shared/crypto/jwt.js';
+import { tokenRevocado } from '../revocacion.js';
 
 export async function requireAuth(req, res, next) {
+  let payload;
   try {
     const auth = req.headers['authorization'] || '';
     const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
     if (!token) return res.status(401).json({ error: 'Missing token' });
-    const { payload } = await verifyAccessToken(token);
-    // Adjuntar claims al request para autorización posterior
-    req.user = payload;
-    next();
+    ({ payload } = await verifyAccessToken(token));
   } catch (err) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  if (await tokenRevocado(payload)) {
+    return res.status(401).json({ error: 'Token revoked' });
+  }
+
+  // Adjuntar claims al request para autorización posterior
+  req.user = payload;
+  next();
 }
@@ -0,0 +1,63 @@
+import { cabecerasServicio } from '../../shared/middleware/servicios.js';
+import { SERVICIOS } from '../../shared/models/Servicios.js';
+
+// Lista de revocación de sesiones publicada por Auth_Service (GET /auth/revocaciones)
+// Se mantiene en memoria y se refresca cada REVOCACION_CACHE_MS; si Auth_Service no responde
+// se conserva la última lista conocida (los access tokens expiran igual a los 15 minutos).
+// La consulta va firmada con SERVICIO_HMAC_KEY_B64, la clave que Auth_Service tiene para
+// api_gateway en SERVICIOS_HMAC_KEYS.
+
+const RUTA_REVOCACIONES = '/auth/revocaciones';
+const CACHE_MS = parseInt(process.env.REVOCACION_CACHE_MS || '15000', 10);
+
+let tokens = new Set();
+let usuarios = new Map();
+let actualizadoEn = 0;
+let pendiente = null;
+
+const authServiceUrl = () => process.env.AUTH_SERVICE_URL || 'http://localhost:3001';
+
+async function actualizar() {
+  try {
+    // La clave se lee aquí: el .env se carga después de importar este módulo
+    const clave = process.env.SERVICIO_HMAC_KEY_B64;
+    if (!clave) throw new Error('SERVICIO_HMAC_KEY_B64 no configurada');
+
+    const response = await fetch(`${authServiceUrl()}${RUTA_REVOCACIONES}`, {
+      headers: cabecerasServicio({ servicio: SERVICIOS.GATEWAY, metodo: 'GET', ruta: RUTA_REVOCACIONES }, clave)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+
+    tokens = new Set(data.tokens || []);
+    usuarios = new Map((data.usuarios || []).map(u => [u.id_user, Date.parse(u.revocado_desde)]));
+  } catch (error) {
+    console.warn('⚠️  No se pudo actualizar la lista de revocación:', error.message);
+  } finally {
+    // También tras un fallo, para no consultar en cada petición mientras Auth_Service está caído
+    actualizadoEn = Date.now();
+    pendiente = null;
+  }
+}
+
+/**
+ * Indica si un access token verificado fue revocado
+ * - Por jti (logout)
+ * - Por usuario: tokens emitidos (iat) antes de revocado_desde
+ * @param {Object} payload - Claims del JWT ya verificado
+ * @returns {Promise<boolean>}
+ */
+export async function tokenRevocado(payload) {
+  if (Date.now() - actualizadoEn > CACHE_MS) {
+    pendiente = pendiente || actualizar();
+    await pendiente;
+  }
+
+  if (payload.jti && tokens.has(payload.jti)) return true;
+
+  const revocadoDesde = usuarios.get(payload.sub);
+  if (revocadoDesde === undefined) return false;
+  // iat tiene resolución de segundos: un token emitido en el mismo segundo de la revocación
+  // también se considera revocado, igual que uno sin iat (tokens antiguos)
+  return !payload.iat || payload.iat <= Math.floor(revocadoDesde / 1000);
+}
@@ -0,0 +1,121 @@
+/**
+ * Administración del conjunto de claves de firma JWT (ver src/keys.js)
+ * Ejecutar:
+ *   node scripts/rotate-keys.js status   Lista las claves y su estado
+ *   node scripts/rotate-keys.js init     Crea el archivo: JWT_PRIVATE_KEY_PEM (o una nueva) como current + una next
+ *   node scripts/rotate-keys.js rotate   next → current, current → retired, genera una nueva next
+ *
+ * Auth_Service relee el archivo en menos de 30 s; no hace falta reiniciarlo.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { generateKeyPair, exportPKCS8 } from 'jose';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Después de cargar el .env (JWT_KEYSET_FILE, RETIRED_GRACE_SECONDS)
+const { keysetFile, leerKeyset, importarClave, publicada } = await import('../src/keys.js');
+
+const ALG = process.env.JWT_ALG || 'ES256';
+
+async function nuevaClave(estado) {
+  const { privateKey } = await generateKeyPair(ALG, { extractable: true });
+  const pem = await exportPKCS8(privateKey);
+  const { kid } = await importarClave(pem, ALG);
+  return {
+    kid,
+    alg: ALG,
+    estado,
+    private_key_pem: pem,
+    creado_en: new Date().toISOString(),
+    activado_en: estado === 'current' ? new Date().toISOString() : null,
+    retirado_en: null
+  };
+}
+
+// Escritura atómica y solo legible por el propietario (contiene claves privadas)
+function guardar(keyset) {
+  const archivo = keysetFile();
+  fs.mkdirSync(path.dirname(archivo), { recursive: true });
+  const temporal = `${archivo}.tmp`;
+  fs.writeFileSync(temporal, JSON.stringify(keyset, null, 2), { mode: 0o600 });
+  fs.renameSync(temporal, archivo);
+}
+
+async function init() {
+  if (leerKeyset()) throw new Error(`${keysetFile()} ya existe; use rotate`);
+
+  let current;
+  if (process.env.JWT_PRIVATE_KEY_PEM) {
+    // Conservar la clave actual evita invalidar las sesiones vigentes al migrar
+    const pem = process.env.JWT_PRIVATE_KEY_PEM;
+    const { kid } = await importarClave(pem, ALG);
+    const ahora = new Date().toISOString();
+    current = { kid, alg: ALG, estado: 'current', private_key_pem: pem, creado_en: ahora, activado_en: ahora, retirado_en: null };
+  } else {
+    current = await nuevaClave('current');
+  }
+
+  const keyset = { keys: [current, await nuevaClave('next')] };
+  guardar(keyset);
+  return keyset;
+}
+
+async function rotate() {
+  const keyset = leerKeyset() || await init();
+  const ahora = new Date().toISOString();
+
+  // Las retiradas fuera del periodo de gracia ya no verifican ningún token vigente
+  keyset.keys = keyset.keys.filter(k => publicada(k));
+
+  let next = keyset.keys.find(k => k.estado === 'next');
+  if (!next) {
+    console.warn('⚠️  No había clave next publicada; los verificadores la obtendrán al ver un kid desconocido');
+    next = await nuevaClave('next');
+    keyset.keys.push(next);
+  }
+
+  for (const clave of keyset.keys) {
+    if (clave.estado === 'current') {
+      clave.estado = 'retired';
+      clave.retirado_en = ahora;
+    }
+  }
+  next.estado = 'current';
+  next.activado_en = ahora;
+
+  keyset.keys.push(await nuevaClave('next'));
+  guardar(keyset);
+  return keyset;
+}
+
+function mostrar(keyset) {
+  if (!keyset) {
+    console.log(`Sin ${keysetFile()}: se usa JWT_PRIVATE_KEY_PEM como única clave`);
+    return;
+  }
+  console.log(`Archivo: ${keysetFile()}`);
+  for (const k of keyset.keys) {
+    const publicacion = publicada(k) ? 'publicada' : 'no publicada';
+    console.log(`  ${k.estado.padEnd(8)} ${k.kid}  ${k.alg}  creada ${k.creado_en}  ${k.retirado_en ? `retirada ${k.retirado_en}  ` : ''}(${publicacion})`);
+  }
+}
+
+const comandos = { status: async () => leerKeyset(), init, rotate };
+const comando = process.argv[2] || 'status';
+
+if (!comandos[comando]) {
+  console.error(`Comando desconocido: ${comando}. Use status, init o rotate`);
+  process.exit(1);
+}
+
+try {
+  mostrar(await comandos[comando]());
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,27 @@
+-- Bloqueo de cuentas por intentos fallidos y auditoría de accesos (src/bloqueos.js)
+-- Ejecutar en el editor SQL de Supabase.
+
+-- Se cuenta por correo, exista o no la cuenta; la clave primaria resuelve los primeros fallos simultáneos
+create table if not exists bloqueo_cuenta (
+  email text primary key check (email = lower(email)),
+  fallos integer not null default 0,
+  ultimo_fallo timestamptz,
+  espera_hasta timestamptz,
+  bloqueado_hasta timestamptz,
+  bloqueado_en timestamptz
+);
+
+-- evento: fallo | exito | bloqueo | rechazado | desbloqueo
+-- origen: login | login-mfa | validate-password | step-up | admin | restablecimiento
+create table if not exists evento_acceso (
+  id bigint generated always as identity primary key,
+  email text not null,
+  evento text not null,
+  origen text not null,
+  ip text,
+  user_agent text,
+  detalle jsonb,
+  creado_en timestamptz not null default now()
+);
+
+create index if not exists evento_acceso_email_idx on evento_acceso (email, creado_en desc);
@@ -0,0 +1,21 @@
+-- Invitaciones para crear cuentas con rol distinto de consulta (src/invitaciones.js)
+-- Ejecutar en el editor SQL de Supabase.
+
+create table if not exists invitacion (
+  id uuid primary key,
+  email text not null,
+  rol text not null,
+  id_herbario bigint references herbario (id),
+  -- SHA-256 (hex) del nonce; el nonce en claro solo va en el enlace
+  nonce_hash text not null,
+  expira_en timestamptz not null,
+  usada_en timestamptz,
+  revocada_en timestamptz,
+  creada_por uuid references auth.users (id),
+  -- Cuenta creada al aceptarla
+  id_user uuid references auth.users (id),
+  creado_en timestamptz not null default now()
+);
+
+create index if not exists invitacion_email_idx on invitacion (email) where usada_en is null and revocada_en is null;
+create index if not exists invitacion_id_herbario_idx on invitacion (id_herbario, creado_en desc);
@@ -0,0 +1,15 @@
+-- Tokens de restablecimiento de contraseña (src/recuperacion.js)
+-- Ejecutar en el editor SQL de Supabase.
+
+create table if not exists reset_password (
+  id uuid primary key,
+  id_user uuid not null references auth.users (id) on delete cascade,
+  -- SHA-256 (hex) del nonce; el nonce en claro solo va en el enlace
+  nonce_hash text not null,
+  expira_en timestamptz not null,
+  usado_en timestamptz,
+  ip text,
+  creado_en timestamptz not null default now()
+);
+
+create index if not exists reset_password_id_user_idx on reset_password (id_user) where usado_en is null;
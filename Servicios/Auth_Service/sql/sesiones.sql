@@ -0,0 +1,40 @@
+-- Sesiones con refresh token rotatorio y revocación de access tokens (src/tokens.js)
+-- Ejecutar en el editor SQL de Supabase.
+
+create table if not exists refresh_token (
+  id bigint generated always as identity primary key,
+  id_user uuid not null references auth.users (id) on delete cascade,
+  -- SHA-256 (hex) del token; el token en claro nunca se guarda
+  token_hash text not null unique,
+  -- Sesión: todos los refresh tokens emitidos por rotación desde un mismo login
+  familia uuid not null,
+  creado_en timestamptz not null default now(),
+  expira_en timestamptz not null,
+  usado_en timestamptz,
+  revocado_en timestamptz,
+  reemplazado_por bigint references refresh_token (id),
+  user_agent text,
+  ip text
+);
+
+create index if not exists refresh_token_familia_idx on refresh_token (familia);
+create index if not exists refresh_token_id_user_idx on refresh_token (id_user);
+
+-- Access tokens revocados antes de expirar (logout); se pueden borrar al pasar expira_en
+create table if not exists token_revocado (
+  jti text primary key,
+  id_user uuid not null references auth.users (id) on delete cascade,
+  expira_en timestamptz not null,
+  motivo text,
+  creado_en timestamptz not null default now()
+);
+
+create index if not exists token_revocado_expira_en_idx on token_revocado (expira_en);
+
+-- Invalida los access tokens del usuario emitidos antes de revocado_desde
+create table if not exists usuario_revocado (
+  id_user uuid primary key references auth.users (id) on delete cascade,
+  revocado_desde timestamptz not null,
+  motivo text,
+  revocado_por uuid references auth.users (id)
+);
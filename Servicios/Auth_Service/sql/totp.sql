@@ -0,0 +1,24 @@
+-- Verificación en dos pasos con TOTP y códigos de respaldo (src/totp.js)
+-- Ejecutar en el editor SQL de Supabase.
+
+create table if not exists totp_usuario (
+  id_user uuid primary key references auth.users (id) on delete cascade,
+  -- AES-256-GCM con TOTP_ENC_KEY_B64: iv.cifrado.tag en base64
+  secreto_cifrado text not null,
+  -- false mientras la inscripción no se confirma con un código
+  activo boolean not null default false,
+  creado_en timestamptz not null default now(),
+  activado_en timestamptz,
+  -- Último paso de 30 s aceptado: un código no se puede usar dos veces
+  ultimo_paso bigint
+);
+
+create table if not exists totp_codigo_respaldo (
+  id bigint generated always as identity primary key,
+  id_user uuid not null references auth.users (id) on delete cascade,
+  -- SHA-256 (hex) del código; los códigos en claro solo se muestran al generarlos
+  codigo_hash text not null,
+  usado_en timestamptz,
+  creado_en timestamptz not null default now(),
+  unique (id_user, codigo_hash)
+);
@@ -4,9 +4,56 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import { hashPassword, verifyPassword } from '../../shared/crypto/password.js';
-import { SignJWT } from 'jose';
-import { initKeys, getKid, getAlg } from './keys.js';
+import { SignJWT, jwtVerify } from 'jose';
+import crypto from 'crypto';
+import { initKeys, getPublicJwks, getVerificationKey } from './keys.js';
 import { supabase } from './supabase.js';
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  emitirAccessToken,
+  emitirRefreshToken,
+  rotarRefreshToken,
+  revocarRefreshToken,
+  revocarAccessToken,
+  revocarUsuario,
+  accesoRevocado,
+  listarRevocaciones
+} from './tokens.js';
+import { emitirTokenReset, validarTokenReset, consumirTokenReset } from './recuperacion.js';
+import { crearNotificador } from './notificador.js';
+import { crearCuenta } from './cuentas.js';
+import {
+  emitirInvitacion,
+  validarInvitacion,
+  consumirInvitacion,
+  liberarInvitacion,
+  completarInvitacion,
+  listarInvitaciones,
+  revocarInvitacion
+} from './invitaciones.js';
+import {
+  estadoTotp,
+  iniciarInscripcion,
+  activarTotp,
+  verificarTotpUsuario,
+  verificarSegundoFactor,
+  generarCodigosRespaldo,
+  desactivarTotp
+} from './totp.js';
+import {
+  comprobarAcceso,
+  registrarFallo,
+  registrarExito,
+  registrarEvento,
+  listarBloqueos,
+  desbloquearCuenta,
+  listarEventos
+} from './bloqueos.js';
+import { requierePermiso } from '../../shared/middleware/permisos.js';
+import { contextoHerbario, enContextoHerbario } from '../../shared/middleware/herbario.js';
+import { clavesServicios, conservarCuerpo, exigirServicio, identificarServicio } from '../../shared/middleware/servicios.js';
+import { PERMISOS, PERMISOS_POR_ROL, permisosDeRol, tienePermiso } from '../../shared/models/Permisos.js';
 import createLogger from '../../shared/logger/index.js';
 
 dotenv.config();
@@ -24,7 +71,9 @@ app.set('logger', logger);
 // Middleware de logging
 app.use(logger.expressMiddleware());
 
-app.use(express.json({ charset: 'utf-8' }));
+// Detrás del Api_Gateway: la IP del cliente llega en x-forwarded-for (límites por IP y registros)
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+app.use(express.json({ charset: 'utf-8', verify: conservarCuerpo }));
 app.use(express.urlencoded({ extended: true, charset: 'utf-8' }));
 app.use(cors());
 app.use(helmet());
@@ -38,23 +87,43 @@ app.use((req, res, next) => {
 const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 200 });
 app.use(limiter);
 
+const notificador = crearNotificador(logger);
+
+// Identificación del usuario (req.user) a partir del Bearer, como en los demás servicios;
+// las rutas que lo exigen usan requerirBearer o requierePermiso
+app.use(async (req, res, next) => {
+  req.user = await verificarBearer(req);
+  next();
+});
+
+// Identificación del servicio interno que llama (req.servicio): el Api_Gateway firma la consulta
+// de la lista de revocación y solo puede invocar sus operaciones de OPERACIONES_POR_SERVICIO
+const clavesDeServicios = clavesServicios();
+if (Object.keys(clavesDeServicios).length === 0) {
+  logger.warn('SERVICIOS_HMAC_KEYS no configurada: se rechazará la consulta de la lista de revocación');
+}
+app.use(identificarServicio(clavesDeServicios));
+
 // Registro
 
+const PASSWORD_MIN_LENGTH = 8;
+
 /**
  * POST /auth/register
- * Registra un nuevo usuario en el sistema
+ * Registro público: crea siempre un usuario de consulta, sin herbario
+ * Las cuentas con otro rol se crean aceptando una invitación (POST /auth/invitaciones/aceptar).
  * @param {Object} req.body - Datos del usuario
  * @param {string} req.body.email - Email del usuario
  * @param {string} req.body.password - Contraseña del usuario
  * @param {string} req.body.nombres - Nombres del usuario
  * @param {string} req.body.apellidos - Apellidos del usuario
- * @param {string} [req.body.rol=consulta] - Rol del usuario
- * @param {number} [req.body.herbario_id] - ID del herbario
+ * @param {string} [req.body.rol] - Solo se admite 'consulta'
  * @returns {Object} Confirmación de registro exitoso
  */
 app.post('/auth/register', async (req, res) => {
   try {
-    const { email, password, nombres, apellidos, rol = 'consulta', herbario_id } = req.body;
+    const { password, nombres, apellidos, rol = 'consulta' } = req.body;
+    const email = (req.body.email || '').trim().toLowerCase();
     
     if (!email || !password) {
       logger.warn('Intento de registro sin credenciales completas', { email });
@@ -66,31 +135,36 @@ app.post('/auth/register', async (req, res) => {
       return res.status(400).json({ error: 'nombres y apellidos requeridos' });
     }
 
-    logger.info('Intentando registrar usuario', { email, rol });
+    if (rol !== 'consulta' || req.body.herbario_id) {
+      logger.warn('Registro público con rol o herbario rechazado', { email, rol, herbario_id: req.body.herbario_id });
+      return res.status(403).json({
+        error: 'El registro público solo crea usuarios de consulta; las demás cuentas requieren una invitación',
+        codigo: 'INVITACION_REQUERIDA'
+      });
+    }
+
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres` });
+    }
+
+    logger.info('Intentando registrar usuario', { email, rol: 'consulta' });
 
-    // Registrar en auth.users
-    const { data, error } = await supabase.auth.admin.createUser({
+    const cuenta = await crearCuenta({
       email,
       password,
-      email_confirm: true
+      nombre_completo: `${nombres} ${apellidos}`.trim(),
+      rol: 'consulta'
     });
 
-    if (error) {
-      if (error.message.includes('already registered')) {
-        logger.warn('Usuario ya existe', { email });
-        return res.status(409).json({ error: 'Usuario ya existe' });
-      }
-      logger.error('Error en Supabase durante registro', {
-        email,
-        error: error.message
-      });
-      return res.status(400).json({ error: error.message });
+    if (!cuenta.ok) {
+      logger.warn('Usuario ya existe', { email });
+      return res.status(409).json({ error: 'Usuario ya existe' });
     }
 
     logger.info('Usuario registrado exitosamente', { 
       email, 
-      rol,
-      userId: data.user.id 
+      rol: 'consulta',
+      userId: cuenta.idUser 
     });
 
     res.status(201).json({ ok: true });
@@ -106,13 +180,261 @@ app.post('/auth/register', async (req, res) => {
 // Login -> emite JWT
 await initKeys();
 
+/**
+ * Perfil del usuario para los claims del token (info_usuario + herbario)
+ * Si no existe en info_usuario se usan los metadatos de auth.users.
+ * @param {Object} user - Usuario de Supabase Auth
+ * @returns {Promise<{rol: string, nombre: string, herbario: Object|null}>}
+ */
+async function cargarPerfil(user) {
+  const { data: infoUsuario, error: infoError } = await supabase
+    .from('info_usuario')
+    .select('*')
+    .eq('id_user', user.id)
+    .single();
+
+  let userRole = 'consulta';
+  let userName = user.email;
+  let herbarioData = null;
+
+  if (infoUsuario && !infoError) {
+    // Datos desde info_usuario
+    userRole = infoUsuario.rol || 'consulta';
+    userName = infoUsuario.nombre_completo || user.email;
+
+    // Obtener datos del herbario si existe id_herbario
+    if (infoUsuario.id_herbario) {
+      const { data: herbario, error: herbarioError } = await supabase
+        .from('herbario')
+        .select('id, nombre, codigo_postal')
+        .eq('id', infoUsuario.id_herbario)
+        .single();
+
+      if (!herbarioError && herbario) {
+        herbarioData = herbario;
+      }
+    }
+
+    logger.info('Usuario encontrado en info_usuario', {
+      userId: user.id,
+      rol: userRole,
+      nombre: userName,
+      herbario: herbarioData?.nombre || 'sin herbario'
+    });
+  } else {
+    // Fallback: usar metadatos si existe
+    if (user.user_metadata) {
+      userRole = user.user_metadata.rol || userRole;
+      userName = user.user_metadata.nombres || userName;
+    }
+
+    logger.warn('Usuario no encontrado en info_usuario, usando fallback', {
+      userId: user.id,
+      email: user.email
+    });
+  }
+
+  return { rol: userRole, nombre: userName, herbario: herbarioData };
+}
+
+/**
+ * Respuesta de sesión común a login y refresh
+ * @param {Object} user - Usuario de Supabase Auth
+ * @param {Object} perfil - Resultado de cargarPerfil
+ * @param {string} refreshToken - Refresh token recién emitido
+ * @returns {Promise<Object>}
+ */
+async function respuestaSesion(user, perfil, refreshToken) {
+  const permisos = permisosDeRol(perfil.rol);
+  const { token } = await emitirAccessToken({
+    sub: user.id,
+    email: user.email,
+    role: perfil.rol,
+    permisos,
+    herbario_id: perfil.herbario?.id || null
+  });
+
+  return {
+    access_token: token,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken,
+    refresh_expires_in: REFRESH_TOKEN_TTL_SECONDS,
+    user: {
+      id: user.id,
+      email: user.email,
+      nombre: perfil.nombre,
+      rol: perfil.rol,
+      permisos,
+      herbario: perfil.herbario?.nombre || null,
+      herbario_id: perfil.herbario?.id || null
+    }
+  };
+}
+
+// Metadatos de la sesión guardados con cada refresh token
+const metaSesion = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ip: req.ip || null
+});
+
+/**
+ * Verifica el Bearer de la petición contra nuestra propia clave pública y la lista de revocación
+ * (las rutas /auth no pasan por requireAuth en el gateway)
+ * @returns {Promise<Object|null>} Claims del token o null si falta, es inválido o fue revocado
+ */
+async function verificarBearer(req) {
+  const auth = req.headers['authorization'] || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  if (!token) return null;
+
+  let payload;
+  try {
+    ({ payload } = await jwtVerify(token, getVerificationKey, {
+      issuer: 'ideam',
+      audience: 'ideam-services'
+    }));
+  } catch (e) {
+    return null;
+  }
+
+  try {
+    if (await accesoRevocado(payload)) {
+      logger.warn('Token de acceso revocado', { userId: payload.sub, path: req.originalUrl });
+      return null;
+    }
+  } catch (e) {
+    // Sin poder consultar la revocación el token no se acepta
+    logger.error('Error comprobando revocación del token', { error: e.message });
+    return null;
+  }
+  return payload;
+}
+
+// ===== PROTECCIÓN CONTRA FUERZA BRUTA =====
+
+// Solo cuentan los rechazos de credenciales: una caída de Supabase no debe bloquear cuentas
+const esFalloCredenciales = (error) => error.status === 400 || error.code === 'invalid_credentials';
+
+/**
+ * Rechaza el intento si la cuenta está bloqueada o en espera (429 con Retry-After)
+ * @param {string} email - Cuenta que intenta autenticarse
+ * @param {string} origen - Endpoint que verifica las credenciales
+ * @returns {Promise<boolean>} true si se puede continuar; false si ya se respondió
+ */
+async function permitirIntento(req, res, email, origen) {
+  const acceso = await comprobarAcceso(email);
+  if (acceso.permitido) return true;
+
+  await registrarEvento({ email, evento: 'rechazado', origen, ...metaSesion(req), detalle: { motivo: acceso.motivo } }, logger);
+  responderBloqueo(res, acceso.motivo, acceso.reintentarEn);
+  return false;
+}
+
+function responderBloqueo(res, motivo, reintentarEn) {
+  res.set('Retry-After', String(reintentarEn));
+  res.status(429).json(motivo === 'bloqueada'
+    ? { error: 'Cuenta bloqueada temporalmente por intentos fallidos', codigo: 'CUENTA_BLOQUEADA', reintentar_en: reintentarEn }
+    : { error: 'Demasiados intentos fallidos; espere antes de volver a intentar', codigo: 'ESPERA_REQUERIDA', reintentar_en: reintentarEn });
+}
+
+/**
+ * Registra un intento fallido, con su evento de auditoría
+ * @returns {Promise<number>} Minutos de bloqueo impuestos por este fallo (0 si no bloqueó)
+ */
+async function registrarIntentoFallido(req, email, origen, detalle = {}) {
+  const { fallos, bloqueoMinutos } = await registrarFallo(email);
+  const meta = metaSesion(req);
+
+  await registrarEvento({ email, evento: 'fallo', origen, ...meta, detalle: { ...detalle, fallos } }, logger);
+  if (bloqueoMinutos) {
+    logger.warn('Cuenta bloqueada por intentos fallidos', { email, origen, fallos, minutos: bloqueoMinutos });
+    await registrarEvento({ email, evento: 'bloqueo', origen, ...meta, detalle: { fallos, minutos: bloqueoMinutos } }, logger);
+  }
+  return bloqueoMinutos;
+}
+
+async function registrarIntentoCorrecto(req, email, origen) {
+  await registrarExito(email);
+  await registrarEvento({ email, evento: 'exito', origen, ...metaSesion(req) }, logger);
+}
+
+// ===== VERIFICACIÓN EN DOS PASOS (TOTP) =====
+
+// Token intermedio entre la contraseña y el segundo factor: no sirve como token de acceso
+const MFA_AUDIENCE = 'ideam-mfa';
+const MFA_TTL_SECONDS = 300;
+
+// Roles que deben tener TOTP activo para firmar clasificaciones (vacío: opcional para todos)
+const ROLES_TOTP_FIRMA = (process.env.TOTP_FIRMA_ROLES || '')
+  .split(',')
+  .map(rol => rol.trim())
+  .filter(Boolean);
+
+// Intentos de código limitados: 6 dígitos no resisten fuerza bruta sin límite
+const limiterSegundoFactor = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
+
+async function emitirTokenMfa(user) {
+  const { alg, kid, privateKey } = await initKeys();
+  return new SignJWT({ sub: user.id, email: user.email, amr: ['pwd'] })
+    .setProtectedHeader({ alg, kid })
+    .setIssuer('ideam')
+    .setAudience(MFA_AUDIENCE)
+    .setIssuedAt()
+    .setJti(crypto.randomUUID())
+    .setExpirationTime(`${MFA_TTL_SECONDS}s`)
+    .sign(privateKey);
+}
+
+/**
+ * Carga el usuario de :id en req.usuarioObjetivo si el administrador puede gestionarlo
+ * Va después de requierePermiso y contextoHerbario. Los usuarios de otro herbario se responden
+ * como inexistentes (404) y los que tienen herbario:cambiar solo los gestiona quien también lo tiene.
+ */
+async function usuarioGestionable(req, res, next) {
+  try {
+    const { data: usuario, error } = await supabase
+      .from('info_usuario')
+      .select('id_user, rol, id_herbario, correo_electronico')
+      .eq('id_user', req.params.id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!usuario || !enContextoHerbario(req, usuario.id_herbario ?? null)) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    if (tienePermiso({ rol: usuario.rol }, PERMISOS.HERBARIO_CAMBIAR) && !tienePermiso(req.user, PERMISOS.HERBARIO_CAMBIAR)) {
+      logger.warn('Gestión de usuario con herbario:cambiar rechazada', { userId: usuario.id_user, por: req.user.sub });
+      return res.status(403).json({ error: `No puede gestionar usuarios con rol ${usuario.rol}`, codigo: 'PERMISO_REQUERIDO' });
+    }
+
+    req.usuarioObjetivo = usuario;
+    next();
+  } catch (e) {
+    logger.error('Error cargando el usuario a gestionar', { error: e.message, path: req.originalUrl });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * Exige un Bearer válido; responde 401 si falta
+ * @returns {Promise<Object|null>} Claims del token, o null si ya se respondió
+ */
+async function requerirBearer(req, res) {
+  if (!req.user) {
+    res.status(401).json({ error: 'Token de acceso requerido' });
+    return null;
+  }
+  return req.user;
+}
+
 /**
  * POST /auth/login
- * Autentica un usuario y emite un token JWT
+ * Autentica un usuario y emite un token JWT y un refresh token
  * @param {Object} req.body - Credenciales del usuario
  * @param {string} req.body.email - Email del usuario
  * @param {string} req.body.password - Contraseña del usuario
- * @returns {Object} Token de acceso y información del usuario
+ * @returns {Object} Tokens de acceso y renovación, e información del usuario
  */
 app.post('/auth/login', async (req, res) => {
   try {
@@ -125,6 +447,8 @@ app.post('/auth/login', async (req, res) => {
 
     logger.info('Intento de login', { email });
 
+    if (!(await permitirIntento(req, res, email, 'login'))) return;
+
     // Autenticar con Supabase
     const { data, error } = await supabase.auth.signInWithPassword({ email, password });
     
@@ -133,95 +457,42 @@ app.post('/auth/login', async (req, res) => {
         email, 
         error: error.message 
       });
+      if (esFalloCredenciales(error)) {
+        const bloqueoMinutos = await registrarIntentoFallido(req, email, 'login');
+        if (bloqueoMinutos) return responderBloqueo(res, 'bloqueada', bloqueoMinutos * 60);
+      }
       return res.status(401).json({ error: 'credenciales inválidas' });
     }
 
     // Cerrar sesión del usuario para las siguientes consultas
     await supabase.auth.signOut();
-    
-    // Obtener información del usuario desde info_usuario
-    const { data: infoUsuario, error: infoError } = await supabase
-      .from('info_usuario')
-      .select('*')
-      .eq('id_user', data.user.id)
-      .single();
-
-    let userRole = 'consulta';
-    let userName = data.user.email;
-    let herbarioData = null;
-
-    if (infoUsuario && !infoError) {
-      // Datos desde info_usuario
-      userRole = infoUsuario.rol || 'consulta';
-      userName = infoUsuario.nombre_completo || data.user.email;
-      
-      // Obtener datos del herbario si existe id_herbario
-      if (infoUsuario.id_herbario) {
-        const { data: herbario, error: herbarioError } = await supabase
-          .from('herbario')
-          .select('id, nombre, codigo_postal')
-          .eq('id', infoUsuario.id_herbario)
-          .single();
-        
-        if (!herbarioError && herbario) {
-          herbarioData = herbario;
-        }
-      }
-      
-      logger.info('Usuario encontrado en info_usuario', {
-        userId: data.user.id,
-        rol: userRole,
-        nombre: userName,
-        herbario: herbarioData?.nombre || 'sin herbario'
-      });
-    } else {
-      // Fallback: usar metadatos si existe
-      if (data.user.user_metadata) {
-        userRole = data.user.user_metadata.rol || userRole;
-        userName = data.user.user_metadata.nombres || userName;
-      }
-      
-      logger.warn('Usuario no encontrado en info_usuario, usando fallback', {
-        userId: data.user.id,
-        email: email
+
+    // Con verificación en dos pasos activa, la sesión se emite en POST /auth/login/mfa.
+    // El contador de fallos no se reinicia hasta validar el código: con la contraseña
+    // sola no se podrían seguir probando códigos indefinidamente
+    const { activo: totpActivo } = await estadoTotp(data.user.id);
+    if (totpActivo) {
+      logger.info('Login requiere segundo factor', { userId: data.user.id });
+      return res.json({
+        mfa_requerido: true,
+        mfa_token: await emitirTokenMfa(data.user),
+        expires_in: MFA_TTL_SECONDS,
+        metodos: ['totp', 'respaldo']
       });
     }
 
-    const { alg } = await initKeys();
-    const pk = (await initKeys()).privateKey;
-    const claims = {
-      sub: data.user.id,
-      email: data.user.email,
-      role: userRole,
-      herbario_id: herbarioData?.id || null
-    };
+    await registrarIntentoCorrecto(req, email, 'login');
 
-    const token = await new SignJWT(claims)
-      .setProtectedHeader({ alg, kid: getKid() })
-      .setIssuer('ideam')
-      .setAudience('ideam-services')
-      .setExpirationTime('15m')
-      .sign(pk);
+    const perfil = await cargarPerfil(data.user);
+    const refresh = await emitirRefreshToken(data.user.id, metaSesion(req));
 
     logger.info('Login exitoso', { 
       email: data.user.email,
       userId: data.user.id,
-      rol: userRole 
+      rol: perfil.rol
     });
 
-    res.json({ 
-      access_token: token, 
-      token_type: 'Bearer', 
-      expires_in: 900,
-      user: {
-        id: data.user.id,
-        email: data.user.email,
-        nombre: userName,
-        rol: userRole,
-        herbario: herbarioData?.nombre || null,
-        herbario_id: herbarioData?.id || null
-      }
-    });
+    res.json(await respuestaSesion(data.user, perfil, refresh.token));
   } catch (e) {
     logger.error('Error crítico en login', {
       error: e.message,
@@ -231,46 +502,1039 @@ app.post('/auth/login', async (req, res) => {
   }
 });
 
-// Health
-app.get('/health', (req, res) => res.json({ ok: true }));
+/**
+ * POST /auth/login/mfa
+ * Segundo paso del login: valida el código TOTP (o un código de respaldo) y emite la sesión
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.mfa_token - Token devuelto por /auth/login con mfa_requerido
+ * @param {string} req.body.codigo - Código de 6 dígitos o código de respaldo
+ * @returns {Object} Misma respuesta que /auth/login sin segundo factor
+ */
+app.post('/auth/login/mfa', limiterSegundoFactor, async (req, res) => {
+  try {
+    const { mfa_token: mfaToken, codigo } = req.body;
+    if (!mfaToken || !codigo) {
+      return res.status(400).json({ error: 'mfa_token y codigo requeridos' });
+    }
 
-// Validar contraseña (para firma de clasificación)
+    let mfa;
+    try {
+      ({ payload: mfa } = await jwtVerify(mfaToken, getVerificationKey, {
+        issuer: 'ideam',
+        audience: MFA_AUDIENCE
+      }));
+    } catch (e) {
+      return res.status(401).json({ error: 'La verificación expiró; inicie sesión de nuevo' });
+    }
+
+    if (!(await permitirIntento(req, res, mfa.email, 'login-mfa'))) return;
+
+    const metodo = await verificarSegundoFactor(mfa.sub, codigo);
+    if (!metodo) {
+      logger.warn('Segundo factor inválido en login', { userId: mfa.sub });
+      const bloqueoMinutos = await registrarIntentoFallido(req, mfa.email, 'login-mfa');
+      if (bloqueoMinutos) return responderBloqueo(res, 'bloqueada', bloqueoMinutos * 60);
+      return res.status(401).json({ error: 'Código de verificación inválido' });
+    }
+
+    // Puede haber sido deshabilitado entre la contraseña y el código
+    const { data, error } = await supabase.auth.admin.getUserById(mfa.sub);
+    const bloqueado = data?.user?.banned_until && new Date(data.user.banned_until) > new Date();
+    if (error || !data?.user || bloqueado) {
+      return res.status(401).json({ error: 'credenciales inválidas' });
+    }
+
+    await registrarIntentoCorrecto(req, mfa.email, 'login-mfa');
+
+    const perfil = await cargarPerfil(data.user);
+    const refresh = await emitirRefreshToken(data.user.id, metaSesion(req));
+
+    logger.info('Login exitoso con segundo factor', { userId: data.user.id, metodo });
+    if (metodo === 'respaldo') {
+      logger.warn('Login con código de respaldo', { userId: data.user.id });
+    }
+
+    res.json(await respuestaSesion(data.user, perfil, refresh.token));
+  } catch (e) {
+    logger.error('Error en POST /auth/login/mfa', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'error autenticando' });
+  }
+});
 
 /**
- * POST /validate-password
- * Valida las credenciales de un usuario sin emitir token (para firma de clasificaciones)
- * @param {Object} req.body - Credenciales del usuario
- * @param {string} req.body.email - Email del usuario
- * @param {string} req.body.password - Contraseña del usuario
- * @returns {Object} Confirmación de validación exitosa
+ * GET /auth/totp
+ * Estado de la verificación en dos pasos del usuario autenticado
+ * @returns {Object} inscrito, activo, activado_en, codigos_respaldo_restantes, requerido_para_firmar
  */
-app.post('/validate-password', async (req, res) => {
+app.get('/auth/totp', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const acceso = await requerirBearer(req, res);
+    if (!acceso) return;
 
-    if (!email || !password) {
-      logger.warn('Intento de validación sin credenciales completas');
-      return res.status(400).json({ error: 'email y password requeridos' });
+    res.json({
+      ...(await estadoTotp(acceso.sub)),
+      requerido_para_firmar: ROLES_TOTP_FIRMA.includes(acceso.role)
+    });
+  } catch (e) {
+    logger.error('Error en GET /auth/totp', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/totp/inscripcion
+ * Genera un secreto TOTP pendiente de confirmación
+ * Pide la contraseña, como el step-up: un token de acceso robado no basta para inscribir otro dispositivo
+ * @param {string} req.body.password - Contraseña actual
+ * @returns {Object} secreto (base32, para ingreso manual) y uri (otpauth://, contenido del QR)
+ */
+app.post('/auth/totp/inscripcion', limiterSegundoFactor, async (req, res) => {
+  try {
+    const acceso = await requerirBearer(req, res);
+    if (!acceso) return;
+
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ error: 'password requerido' });
     }
 
-    logger.info('Validando contraseña para usuario', { email });
+    const { error } = await supabase.auth.signInWithPassword({ email: acceso.email, password });
+    if (error) {
+      logger.warn('Inscripción TOTP con contraseña incorrecta', { userId: acceso.sub });
+      return res.status(401).json({ error: 'Credenciales inválidas' });
+    }
+    await supabase.auth.signOut();
 
-    // Validar contraseña con Supabase Auth
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password
-    });
+    const { activo } = await estadoTotp(acceso.sub);
+    if (activo) {
+      return res.status(409).json({ error: 'La verificación en dos pasos ya está activa; desactívela para inscribir otro dispositivo' });
+    }
+
+    const inscripcion = await iniciarInscripcion(acceso.sub, acceso.email);
+    logger.info('Inscripción TOTP iniciada', { userId: acceso.sub });
+    res.json(inscripcion);
+  } catch (e) {
+    logger.error('Error en POST /auth/totp/inscripcion', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/totp/activar
+ * Confirma la inscripción con un código de la aplicación y entrega los códigos de respaldo
+ * @param {string} req.body.codigo - Código actual de 6 dígitos
+ * @returns {Object} codigos_respaldo (se muestran una sola vez)
+ */
+app.post('/auth/totp/activar', limiterSegundoFactor, async (req, res) => {
+  try {
+    const acceso = await requerirBearer(req, res);
+    if (!acceso) return;
+
+    const codigos = await activarTotp(acceso.sub, req.body.codigo);
+    if (!codigos) {
+      return res.status(400).json({ error: 'Código inválido; verifique la hora del dispositivo e intente de nuevo' });
+    }
+
+    logger.info('TOTP activado', { userId: acceso.sub });
+    res.json({ ok: true, codigos_respaldo: codigos });
+  } catch (e) {
+    logger.error('Error en POST /auth/totp/activar', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/totp/codigos-respaldo
+ * Genera un juego nuevo de códigos de respaldo (los anteriores dejan de servir)
+ * @param {string} req.body.codigo - Código TOTP actual
+ * @returns {Object} codigos_respaldo
+ */
+app.post('/auth/totp/codigos-respaldo', limiterSegundoFactor, async (req, res) => {
+  try {
+    const acceso = await requerirBearer(req, res);
+    if (!acceso) return;
 
+    if (!(await verificarTotpUsuario(acceso.sub, req.body.codigo))) {
+      return res.status(400).json({ error: 'Código de verificación inválido' });
+    }
+
+    const codigos = await generarCodigosRespaldo(acceso.sub);
+    logger.info('Códigos de respaldo regenerados', { userId: acceso.sub });
+    res.json({ ok: true, codigos_respaldo: codigos });
+  } catch (e) {
+    logger.error('Error en POST /auth/totp/codigos-respaldo', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/totp/desactivar
+ * Desactiva la verificación en dos pasos del usuario autenticado
+ * @param {string} req.body.password - Contraseña actual
+ * @param {string} req.body.codigo - Código TOTP o de respaldo
+ * @returns {Object} Confirmación
+ */
+app.post('/auth/totp/desactivar', limiterSegundoFactor, async (req, res) => {
+  try {
+    const acceso = await requerirBearer(req, res);
+    if (!acceso) return;
+
+    const { password, codigo } = req.body;
+    if (!password || !codigo) {
+      return res.status(400).json({ error: 'password y codigo requeridos' });
+    }
+
+    const { error } = await supabase.auth.signInWithPassword({ email: acceso.email, password });
     if (error) {
-      logger.warn('Contraseña incorrecta', { email });
       return res.status(401).json({ error: 'Credenciales inválidas' });
     }
+    await supabase.auth.signOut();
 
-    logger.info('Contraseña validada exitosamente', { email });
-    res.json({ valid: true, message: 'Contraseña correcta' });
+    if (!(await verificarSegundoFactor(acceso.sub, codigo))) {
+      return res.status(401).json({ error: 'Código de verificación inválido' });
+    }
 
+    await desactivarTotp(acceso.sub);
+    logger.info('TOTP desactivado', { userId: acceso.sub });
+    res.json({ ok: true });
   } catch (e) {
-    logger.error('Error validando contraseña', {
+    logger.error('Error en POST /auth/totp/desactivar', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/usuarios/:id/totp/desactivar
+ * Quita la verificación en dos pasos de un usuario que perdió su dispositivo y sus códigos (permiso admin:usuarios)
+ * @param {string} req.headers.authorization - Bearer de un administrador
+ * @param {string} req.params.id - ID del usuario (auth.users)
+ * @returns {Object} Confirmación
+ */
+app.post('/auth/usuarios/:id/totp/desactivar', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, usuarioGestionable, async (req, res) => {
+  try {
+    const admin = req.user;
+
+    await desactivarTotp(req.params.id);
+    logger.warn('TOTP desactivado por administrador', { userId: req.params.id, por: admin.sub });
+    res.json({ ok: true });
+  } catch (e) {
+    logger.error('Error en POST /auth/usuarios/:id/totp/desactivar', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== RENOVACIÓN, CIERRE Y REVOCACIÓN DE SESIONES =====
+
+/**
+ * POST /auth/refresh
+ * Canjea un refresh token por un nuevo access token y un nuevo refresh token (rotación)
+ * El perfil se vuelve a leer, de modo que cambios de rol o herbario aplican en la renovación.
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.refresh_token - Refresh token vigente
+ * @returns {Object} Misma respuesta que /auth/login
+ */
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refresh_token requerido' });
+    }
+
+    const rotacion = await rotarRefreshToken(refreshToken, metaSesion(req));
+    if (!rotacion.ok) {
+      if (rotacion.motivo === 'reutilizado') {
+        logger.warn('Refresh token reutilizado: sesión revocada', { userId: rotacion.idUser });
+      }
+      return res.status(401).json({ error: 'refresh token inválido', motivo: rotacion.motivo });
+    }
+
+    // Usuarios eliminados o deshabilitados (ban en Supabase Auth) no renuevan
+    const { data, error } = await supabase.auth.admin.getUserById(rotacion.idUser);
+    const bloqueado = data?.user?.banned_until && new Date(data.user.banned_until) > new Date();
+    if (error || !data?.user || bloqueado) {
+      await revocarRefreshToken(rotacion.token);
+      logger.warn('Refresh denegado a usuario deshabilitado', { userId: rotacion.idUser });
+      return res.status(401).json({ error: 'usuario deshabilitado' });
+    }
+
+    const perfil = await cargarPerfil(data.user);
+
+    logger.info('Sesión renovada', { userId: data.user.id });
+
+    res.json(await respuestaSesion(data.user, perfil, rotacion.token));
+  } catch (e) {
+    logger.error('Error en POST /auth/refresh', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Cierra la sesión: revoca la familia del refresh token y el access token presentado
+ * @param {string} [req.headers.authorization] - Bearer con el access token a revocar
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} [req.body.refresh_token] - Refresh token de la sesión
+ * @returns {Object} Confirmación
+ */
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const { refresh_token: refreshToken } = req.body || {};
+    const acceso = req.user;
+
+    if (!refreshToken && !acceso) {
+      return res.status(400).json({ error: 'refresh_token o token de acceso requerido' });
+    }
+
+    if (refreshToken) {
+      await revocarRefreshToken(refreshToken, acceso?.sub || null);
+    }
+    if (acceso) {
+      await revocarAccessToken(acceso, 'logout');
+    }
+
+    logger.info('Sesión cerrada', { userId: acceso?.sub || null });
+    res.json({ ok: true });
+  } catch (e) {
+    logger.error('Error en POST /auth/logout', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/usuarios/:id/revocar
+ * Cierra todas las sesiones de un usuario (permiso admin:usuarios)
+ * @param {string} req.headers.authorization - Bearer de un administrador
+ * @param {string} req.params.id - ID del usuario (auth.users)
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} [req.body.motivo] - Motivo de la revocación
+ * @param {boolean} [req.body.deshabilitar=false] - Además bloquea el inicio de sesión en Supabase Auth
+ * @returns {Object} revocado_desde, deshabilitado
+ */
+app.post('/auth/usuarios/:id/revocar', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, usuarioGestionable, async (req, res) => {
+  try {
+    const admin = req.user;
+
+    const { id } = req.params;
+    const { motivo = null, deshabilitar = false } = req.body || {};
+
+    if (deshabilitar) {
+      const { error } = await supabase.auth.admin.updateUserById(id, { ban_duration: '876000h' });
+      if (error) {
+        logger.error('Error deshabilitando usuario', { userId: id, error: error.message });
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    const { revocado_desde } = await revocarUsuario(id, { motivo, revocadoPor: admin.sub });
+
+    logger.info('Sesiones de usuario revocadas', { userId: id, por: admin.sub, deshabilitar });
+    res.json({ ok: true, revocado_desde, deshabilitado: !!deshabilitar });
+  } catch (e) {
+    logger.error('Error en POST /auth/usuarios/:id/revocar', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * GET /auth/revocaciones
+ * Lista de revocación vigente, consultada periódicamente por el API Gateway
+ * Solo con la firma de servicio del gateway (403 SERVICIO_REQUERIDO sin ella).
+ * @returns {Object} tokens (jti revocados), usuarios ({ id_user, revocado_desde }), generado_en
+ */
+app.get('/auth/revocaciones', exigirServicio(), async (req, res) => {
+  try {
+    const revocaciones = await listarRevocaciones();
+    res.json({ ...revocaciones, generado_en: new Date().toISOString() });
+  } catch (e) {
+    logger.error('Error en GET /auth/revocaciones', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== RECUPERACIÓN DE CONTRASEÑA =====
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Límite estricto para solicitudes de enlace (evita usar el servicio para enviar correo masivo)
+const limiterRecuperacion = rateLimit({ windowMs: 15 * 60 * 1000, max: 5 });
+
+const RESPUESTA_OLVIDO = {
+  ok: true,
+  mensaje: 'Si el correo está registrado, recibirá un enlace para restablecer la contraseña'
+};
+
+const MENSAJES_TOKEN_RESET = {
+  invalido: 'El enlace de restablecimiento no es válido',
+  expirado: 'El enlace de restablecimiento expiró; solicite uno nuevo',
+  usado: 'El enlace de restablecimiento ya fue utilizado; solicite uno nuevo'
+};
+
+/**
+ * Emite un token de restablecimiento y envía el enlace al correo del usuario
+ * @param {string} idUser - ID del usuario (auth.users)
+ * @param {string} email - Correo de destino
+ * @param {Object} req - Petición (para registrar la IP)
+ * @returns {Promise<string>} Fecha de expiración del enlace
+ */
+async function enviarEnlaceReset(idUser, email, req) {
+  const { token, expira_en } = await emitirTokenReset(idUser, { ip: req.ip || null });
+  const enlace = `${FRONTEND_URL}/#/restablecer?token=${encodeURIComponent(token)}`;
+
+  await notificador.enviar({
+    para: email,
+    asunto: 'Restablecer contraseña - Herbario Digital IDEAM',
+    texto: `Para definir una nueva contraseña abra el siguiente enlace antes de ${new Date(expira_en).toLocaleString('es-CO')}:\n${enlace}\n\nSi no solicitó el cambio, ignore este mensaje.`,
+    tipo: 'reset_password',
+    datos: { enlace, expira_en }
+  });
+
+  return expira_en;
+}
+
+/**
+ * POST /auth/password/olvido
+ * Solicita un enlace de restablecimiento de contraseña
+ * Responde lo mismo exista o no el correo, para no revelar qué cuentas existen.
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.email - Correo del usuario
+ * @returns {Object} Mensaje genérico
+ */
+app.post('/auth/password/olvido', limiterRecuperacion, async (req, res) => {
+  try {
+    const email = (req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ error: 'email requerido' });
+    }
+
+    const { data: usuario, error } = await supabase
+      .from('info_usuario')
+      .select('id_user, correo_electronico')
+      .eq('correo_electronico', email)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (usuario) {
+      await enviarEnlaceReset(usuario.id_user, usuario.correo_electronico, req);
+      logger.info('Enlace de restablecimiento enviado', { userId: usuario.id_user });
+    } else {
+      logger.warn('Restablecimiento solicitado para correo no registrado');
+    }
+
+    res.status(202).json(RESPUESTA_OLVIDO);
+  } catch (e) {
+    logger.error('Error en POST /auth/password/olvido', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * GET /auth/password/restablecer
+ * Comprueba un token de restablecimiento sin consumirlo (para mostrar el formulario o un aviso)
+ * @param {string} req.query.token - Token recibido en el enlace
+ * @returns {Object} valido, expira_en
+ */
+app.get('/auth/password/restablecer', async (req, res) => {
+  try {
+    const validacion = await validarTokenReset(req.query.token);
+    if (!validacion.ok) {
+      return res.status(400).json({ error: MENSAJES_TOKEN_RESET[validacion.motivo], motivo: validacion.motivo });
+    }
+    res.json({ valido: true, expira_en: validacion.registro.expira_en });
+  } catch (e) {
+    logger.error('Error en GET /auth/password/restablecer', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/password/restablecer
+ * Define una nueva contraseña con un token de restablecimiento y cierra todas las sesiones del usuario
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.token - Token recibido en el enlace (un solo uso)
+ * @param {string} req.body.password - Nueva contraseña
+ * @returns {Object} Confirmación
+ */
+app.post('/auth/password/restablecer', limiterRecuperacion, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'token y password requeridos' });
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres` });
+    }
+
+    const consumo = await consumirTokenReset(token);
+    if (!consumo.ok) {
+      return res.status(400).json({ error: MENSAJES_TOKEN_RESET[consumo.motivo], motivo: consumo.motivo });
+    }
+
+    const { data, error } = await supabase.auth.admin.updateUserById(consumo.idUser, { password });
+    if (error) {
+      logger.error('Error actualizando contraseña', { userId: consumo.idUser, error: error.message });
+      return res.status(400).json({ error: 'No se pudo actualizar la contraseña; solicite un nuevo enlace' });
+    }
+
+    // Quien tuviera la contraseña anterior pierde sus sesiones
+    await revocarUsuario(consumo.idUser, { motivo: 'restablecimiento de contraseña' });
+
+    // El enlace demuestra la titularidad del correo: se levanta el bloqueo por intentos fallidos
+    if (await desbloquearCuenta(data.user.email)) {
+      await registrarEvento({ email: data.user.email, evento: 'desbloqueo', origen: 'restablecimiento', ...metaSesion(req) }, logger);
+    }
+
+    await notificador.enviar({
+      para: data.user.email,
+      asunto: 'Contraseña actualizada - Herbario Digital IDEAM',
+      texto: 'Su contraseña fue restablecida y se cerraron todas sus sesiones. Si no fue usted, contacte al administrador.',
+      tipo: 'password_actualizada',
+      datos: {}
+    });
+
+    logger.info('Contraseña restablecida', { userId: consumo.idUser });
+    res.json({ ok: true });
+  } catch (e) {
+    logger.error('Error en POST /auth/password/restablecer', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/usuarios/:id/restablecer
+ * Envía al usuario un enlace de restablecimiento (permiso admin:usuarios)
+ * Sustituye a fijar la contraseña desde el panel: el administrador nunca la conoce.
+ * @param {string} req.headers.authorization - Bearer de un administrador
+ * @param {string} req.params.id - ID del usuario (auth.users)
+ * @returns {Object} expira_en
+ */
+app.post('/auth/usuarios/:id/restablecer', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, usuarioGestionable, async (req, res) => {
+  try {
+    const admin = req.user;
+
+    const { data, error } = await supabase.auth.admin.getUserById(req.params.id);
+    if (error || !data?.user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const expiraEn = await enviarEnlaceReset(data.user.id, data.user.email, req);
+
+    logger.info('Enlace de restablecimiento enviado por administrador', { userId: data.user.id, por: admin.sub });
+    res.json({ ok: true, expira_en: expiraEn });
+  } catch (e) {
+    logger.error('Error en POST /auth/usuarios/:id/restablecer', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== INVITACIONES =====
+
+// Las cuentas con rol distinto de consulta solo se crean aceptando una invitación de un
+// administrador: enlace firmado y con vencimiento, ligado a correo, rol y herbario (ver invitaciones.js)
+
+const limiterInvitacion = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
+
+const MENSAJES_INVITACION = {
+  invalido: 'El enlace de invitación no es válido',
+  expirado: 'La invitación expiró; solicite una nueva al administrador',
+  usado: 'La invitación ya fue utilizada',
+  revocado: 'La invitación fue anulada; solicite una nueva al administrador'
+};
+
+/**
+ * POST /auth/invitaciones
+ * Invita a un correo a crear su cuenta con un rol y herbario (permiso admin:usuarios)
+ * El administrador solo invita a su herbario, salvo que tenga herbario:cambiar; los roles con
+ * herbario:cambiar solo los puede otorgar quien ya lo tiene.
+ * @param {string} req.headers.authorization - Bearer de un administrador
+ * @param {Object} req.body - Datos de la invitación
+ * @param {string} req.body.email - Correo del invitado
+ * @param {string} req.body.rol - Rol de la cuenta
+ * @param {number} [req.body.id_herbario] - Herbario (por defecto el del administrador)
+ * @returns {Object} Invitación creada (sin el token, que solo recibe el invitado)
+ */
+app.post('/auth/invitaciones', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, async (req, res) => {
+  try {
+    const email = (req.body.email || '').trim().toLowerCase();
+    const { rol } = req.body;
+    const idHerbario = req.body.id_herbario ? parseInt(req.body.id_herbario, 10) : req.herbario;
+
+    if (!email || !rol) {
+      return res.status(400).json({ error: 'email y rol requeridos' });
+    }
+    if (!PERMISOS_POR_ROL[rol]) {
+      return res.status(400).json({ error: `Rol desconocido: ${rol}` });
+    }
+    if (tienePermiso({ rol }, PERMISOS.HERBARIO_CAMBIAR) && !tienePermiso(req.user, PERMISOS.HERBARIO_CAMBIAR)) {
+      return res.status(403).json({ error: `No puede invitar usuarios con rol ${rol}`, codigo: 'PERMISO_REQUERIDO' });
+    }
+    if (!enContextoHerbario(req, idHerbario)) {
+      return res.status(403).json({ error: 'No puede invitar usuarios a otro herbario', codigo: 'HERBARIO_AJENO' });
+    }
+
+    // Solo los usuarios que operan sobre cualquier herbario y los de consulta pueden no tener uno
+    if (idHerbario) {
+      const { data: herbario, error: herbarioError } = await supabase
+        .from('herbario')
+        .select('id')
+        .eq('id', idHerbario)
+        .maybeSingle();
+
+      if (herbarioError) throw new Error(herbarioError.message);
+      if (!herbario) return res.status(400).json({ error: 'Herbario no encontrado' });
+    } else if (rol !== 'consulta' && !tienePermiso({ rol }, PERMISOS.HERBARIO_CAMBIAR)) {
+      return res.status(400).json({ error: `El rol ${rol} requiere herbario` });
+    }
+
+    const { data: existente, error: existenteError } = await supabase
+      .from('info_usuario')
+      .select('id_user')
+      .eq('correo_electronico', email)
+      .maybeSingle();
+
+    if (existenteError) throw new Error(existenteError.message);
+    if (existente) {
+      return res.status(409).json({ error: 'Ya existe un usuario con ese correo' });
+    }
+
+    const { token, invitacion } = await emitirInvitacion({
+      email,
+      rol,
+      id_herbario: idHerbario || null,
+      creada_por: req.user.sub
+    });
+    const enlace = `${FRONTEND_URL}/#/invitacion?token=${encodeURIComponent(token)}`;
+
+    await notificador.enviar({
+      para: email,
+      asunto: 'Invitación - Herbario Digital IDEAM',
+      texto: `Fue invitado a crear una cuenta (${rol}) en el Herbario Digital IDEAM. Abra el siguiente enlace antes de ${new Date(invitacion.expira_en).toLocaleString('es-CO')}:\n${enlace}\n\nSi no esperaba esta invitación, ignore este mensaje.`,
+      tipo: 'invitacion',
+      datos: { enlace, rol, expira_en: invitacion.expira_en }
+    });
+
+    logger.info('Invitación enviada', { invitacion: invitacion.id, rol, herbario: invitacion.id_herbario, por: req.user.sub });
+    res.status(201).json(invitacion);
+  } catch (e) {
+    logger.error('Error en POST /auth/invitaciones', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * GET /auth/invitaciones
+ * Lista las invitaciones del herbario del administrador (permiso admin:usuarios)
+ * @param {string} req.headers.authorization - Bearer de un administrador
+ * @param {string} [req.query.pendientes] - 'true' para ver solo las que aún pueden aceptarse
+ * @returns {Object} invitaciones
+ */
+app.get('/auth/invitaciones', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, async (req, res) => {
+  try {
+    const invitaciones = await listarInvitaciones({
+      id_herbario: req.herbario,
+      pendientes: req.query.pendientes === 'true'
+    });
+    res.json({ invitaciones });
+  } catch (e) {
+    logger.error('Error en GET /auth/invitaciones', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * DELETE /auth/invitaciones/:id
+ * Anula una invitación pendiente (permiso admin:usuarios)
+ * @param {string} req.headers.authorization - Bearer de un administrador
+ * @param {string} req.params.id - ID de la invitación
+ * @returns {Object} Confirmación
+ */
+app.delete('/auth/invitaciones/:id', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, async (req, res) => {
+  try {
+    if (!(await revocarInvitacion(req.params.id, req.herbario))) {
+      return res.status(404).json({ error: 'Invitación pendiente no encontrada' });
+    }
+
+    logger.info('Invitación anulada', { invitacion: req.params.id, por: req.user.sub });
+    res.json({ ok: true });
+  } catch (e) {
+    logger.error('Error en DELETE /auth/invitaciones/:id', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * GET /auth/invitaciones/aceptar
+ * Comprueba una invitación sin consumirla (para mostrar el formulario de registro)
+ * @param {string} req.query.token - Token recibido en el enlace
+ * @returns {Object} email, rol, herbario, expira_en
+ */
+app.get('/auth/invitaciones/aceptar', async (req, res) => {
+  try {
+    const validacion = await validarInvitacion(req.query.token);
+    if (!validacion.ok) {
+      return res.status(400).json({ error: MENSAJES_INVITACION[validacion.motivo], motivo: validacion.motivo });
+    }
+
+    const { email, rol, id_herbario, expira_en } = validacion.invitacion;
+    let herbario = null;
+    if (id_herbario) {
+      const { data } = await supabase.from('herbario').select('nombre').eq('id', id_herbario).maybeSingle();
+      herbario = data?.nombre || null;
+    }
+
+    res.json({ valido: true, email, rol, herbario, expira_en });
+  } catch (e) {
+    logger.error('Error en GET /auth/invitaciones/aceptar', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/invitaciones/aceptar
+ * Crea la cuenta de la invitación: usuario de Supabase Auth e info_usuario con el correo,
+ * rol y herbario de la invitación (ver cuentas.js). Si la cuenta no se crea, la invitación
+ * queda disponible de nuevo.
+ * @param {Object} req.body - Datos de la cuenta
+ * @param {string} req.body.token - Token recibido en el enlace (un solo uso)
+ * @param {string} req.body.password - Contraseña
+ * @param {string} req.body.nombres - Nombres
+ * @param {string} req.body.apellidos - Apellidos
+ * @param {string} [req.body.cedula] - Cédula
+ * @param {string} [req.body.telefono] - Teléfono
+ * @returns {Object} Confirmación y correo con que iniciar sesión
+ */
+app.post('/auth/invitaciones/aceptar', limiterInvitacion, async (req, res) => {
+  try {
+    const { token, password, nombres, apellidos, cedula, telefono } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'token y password requeridos' });
+    }
+    if (!nombres || !apellidos) {
+      return res.status(400).json({ error: 'nombres y apellidos requeridos' });
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres` });
+    }
+
+    const consumo = await consumirInvitacion(token);
+    if (!consumo.ok) {
+      return res.status(400).json({ error: MENSAJES_INVITACION[consumo.motivo], motivo: consumo.motivo });
+    }
+    const { invitacion } = consumo;
+
+    let cuenta;
+    try {
+      cuenta = await crearCuenta({
+        email: invitacion.email,
+        password,
+        nombre_completo: `${nombres} ${apellidos}`.trim(),
+        rol: invitacion.rol,
+        id_herbario: invitacion.id_herbario,
+        cedula: cedula || null,
+        telefono: telefono || null
+      });
+    } catch (e) {
+      await liberarInvitacion(invitacion.id);
+      throw e;
+    }
+
+    if (!cuenta.ok) {
+      await liberarInvitacion(invitacion.id);
+      return res.status(409).json({ error: 'Ya existe un usuario con ese correo o cédula' });
+    }
+
+    await completarInvitacion(invitacion.id, cuenta.idUser);
+
+    logger.info('Invitación aceptada', { invitacion: invitacion.id, userId: cuenta.idUser, rol: invitacion.rol });
+    res.status(201).json({ ok: true, email: invitacion.email });
+  } catch (e) {
+    logger.error('Error en POST /auth/invitaciones/aceptar', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Health
+app.get('/health', (req, res) => res.json({ ok: true }));
+
+// Validar contraseña (para firma de clasificación)
+
+/**
+ * POST /validate-password
+ * Valida las credenciales de un usuario sin emitir token (para firma de clasificaciones)
+ * @param {Object} req.body - Credenciales del usuario
+ * @param {string} req.body.email - Email del usuario
+ * @param {string} req.body.password - Contraseña del usuario
+ * @returns {Object} Confirmación de validación exitosa
+ */
+app.post('/validate-password', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      logger.warn('Intento de validación sin credenciales completas');
+      return res.status(400).json({ error: 'email y password requeridos' });
+    }
+
+    logger.info('Validando contraseña para usuario', { email });
+
+    if (!(await permitirIntento(req, res, email, 'validate-password'))) return;
+
+    // Validar contraseña con Supabase Auth
+    const { data, error } = await supabase.auth.signInWithPassword({
+      email,
+      password
+    });
+
+    if (error) {
+      logger.warn('Contraseña incorrecta', { email });
+      if (esFalloCredenciales(error)) {
+        const bloqueoMinutos = await registrarIntentoFallido(req, email, 'validate-password');
+        if (bloqueoMinutos) return responderBloqueo(res, 'bloqueada', bloqueoMinutos * 60);
+      }
+      return res.status(401).json({ error: 'Credenciales inválidas' });
+    }
+    await supabase.auth.signOut();
+
+    // Con TOTP activo la contraseña sola no reinicia el contador (ver /auth/login)
+    const { activo: totpActivo } = await estadoTotp(data.user.id);
+    if (!totpActivo) {
+      await registrarIntentoCorrecto(req, email, 'validate-password');
+    }
+
+    logger.info('Contraseña validada exitosamente', { email });
+    res.json({ valid: true, message: 'Contraseña correcta' });
+
+  } catch (e) {
+    logger.error('Error validando contraseña', {
+      error: e.message,
+      stack: e.stack
+    });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== BLOQUEOS DE CUENTA (ADMINISTRACIÓN) =====
+
+/**
+ * Correo de un usuario de auth.users, o null si no existe
+ * @param {string} idUser
+ */
+async function correoUsuario(idUser) {
+  const { data, error } = await supabase.auth.admin.getUserById(idUser);
+  return error || !data?.user ? null : data.user.email;
+}
+
+/**
+ * GET /auth/bloqueos
+ * Cuentas con intentos fallidos recientes o bloqueadas (permiso admin:usuarios)
+ * Sin herbario:cambiar solo se listan las cuentas del herbario del administrador.
+ * @returns {Object} bloqueos: [{ email, fallos, ultimo_fallo, bloqueado_hasta, bloqueado_en, bloqueada }]
+ */
+app.get('/auth/bloqueos', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, async (req, res) => {
+  try {
+    let emails;
+    if (req.herbario !== null) {
+      const { data, error } = await supabase
+        .from('info_usuario')
+        .select('correo_electronico')
+        .eq('id_herbario', req.herbario);
+
+      if (error) throw new Error(error.message);
+      emails = (data || []).map(usuario => usuario.correo_electronico);
+    }
+
+    res.json({ bloqueos: await listarBloqueos({ emails }) });
+  } catch (e) {
+    logger.error('Error en GET /auth/bloqueos', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /auth/usuarios/:id/desbloquear
+ * Quita el bloqueo por intentos fallidos y reinicia el contador (permiso admin:usuarios)
+ * @param {string} req.params.id - ID del usuario (auth.users)
+ * @returns {Object} ok, habia_bloqueo
+ */
+app.post('/auth/usuarios/:id/desbloquear', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, usuarioGestionable, async (req, res) => {
+  try {
+    const admin = req.user;
+
+    const email = await correoUsuario(req.params.id);
+    if (!email) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const habiaBloqueo = await desbloquearCuenta(email);
+    await registrarEvento({ email, evento: 'desbloqueo', origen: 'admin', ...metaSesion(req), detalle: { por: admin.sub } }, logger);
+    logger.warn('Cuenta desbloqueada por administrador', { userId: req.params.id, por: admin.sub });
+
+    res.json({ ok: true, habia_bloqueo: habiaBloqueo });
+  } catch (e) {
+    logger.error('Error en POST /auth/usuarios/:id/desbloquear', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * GET /auth/usuarios/:id/eventos-acceso
+ * Auditoría de accesos de un usuario: fallos, bloqueos, rechazos, desbloqueos y accesos correctos (permiso admin:usuarios)
+ * @param {string} req.params.id - ID del usuario (auth.users)
+ * @param {number} [req.query.limite=50] - Máximo de eventos (hasta 200)
+ * @returns {Object} eventos
+ */
+app.get('/auth/usuarios/:id/eventos-acceso', requierePermiso(PERMISOS.ADMIN_USUARIOS), contextoHerbario, usuarioGestionable, async (req, res) => {
+  try {
+
+    const email = await correoUsuario(req.params.id);
+    if (!email) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    const limite = Math.min(parseInt(req.query.limite, 10) || 50, 200);
+    res.json({ eventos: await listarEventos(email, limite) });
+  } catch (e) {
+    logger.error('Error en GET /auth/usuarios/:id/eventos-acceso', { error: e.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== STEP-UP PARA FIRMA ELECTRÓNICA =====
+
+// Audiencia exclusiva de los tokens de step-up: no sirven como token de acceso
+const STEP_UP_AUDIENCE = 'ideam-firma';
+const STEP_UP_TTL_SECONDS = parseInt(process.env.STEP_UP_TTL_SECONDS || '300', 10);
+// Operaciones que se autorizan con un step-up (claim scope); Gest_Herb solo acepta 'firma'
+const PROPOSITOS_STEP_UP = ['firma'];
+
+/**
+ * POST /auth/step-up
+ * Re-autentica al usuario con su contraseña y emite un token de corta duración
+ * que autoriza una firma electrónica (POST /clasificaciones/:id/firma en Gest_Herb)
+ * @param {string} req.headers.authorization - Bearer con el token de acceso vigente
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.password - Contraseña del usuario
+ * @param {string} [req.body.codigo_totp] - Código TOTP o de respaldo (requerido si el usuario tiene TOTP activo)
+ * @param {string} [req.body.proposito=firma] - Propósito del step-up (uno de PROPOSITOS_STEP_UP)
+ * @returns {Object} step_up_token, expires_in
+ */
+app.post('/auth/step-up', async (req, res) => {
+  try {
+    const auth = req.headers['authorization'] || '';
+    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+    if (!token) {
+      return res.status(401).json({ error: 'Token de acceso requerido' });
+    }
+
+    const { password, codigo_totp: codigoTotp, proposito = 'firma' } = req.body;
+    if (!password) {
+      return res.status(400).json({ error: 'password requerido' });
+    }
+    if (!PROPOSITOS_STEP_UP.includes(proposito)) {
+      return res.status(400).json({ error: `proposito debe ser uno de: ${PROPOSITOS_STEP_UP.join(', ')}` });
+    }
+
+    const { alg, kid, privateKey } = await initKeys();
+
+    let acceso;
+    try {
+      ({ payload: acceso } = await jwtVerify(token, getVerificationKey, {
+        issuer: 'ideam',
+        audience: 'ideam-services'
+      }));
+    } catch (e) {
+      logger.warn('Step-up con token de acceso inválido', { error: e.message });
+      return res.status(401).json({ error: 'Token de acceso inválido' });
+    }
+
+    if (await accesoRevocado(acceso)) {
+      logger.warn('Step-up con token de acceso revocado', { userId: acceso.sub });
+      return res.status(401).json({ error: 'Token de acceso revocado' });
+    }
+
+    if (!(await permitirIntento(req, res, acceso.email, 'step-up'))) return;
+
+    // Re-autenticación: la contraseña debe corresponder al titular del token
+    const { error } = await supabase.auth.signInWithPassword({ email: acceso.email, password });
+    if (error) {
+      logger.warn('Step-up fallido: contraseña incorrecta', { email: acceso.email });
+      if (esFalloCredenciales(error)) {
+        const bloqueoMinutos = await registrarIntentoFallido(req, acceso.email, 'step-up');
+        if (bloqueoMinutos) return responderBloqueo(res, 'bloqueada', bloqueoMinutos * 60);
+      }
+      return res.status(401).json({ error: 'Credenciales inválidas' });
+    }
+    await supabase.auth.signOut();
+
+    // Segundo factor: obligatorio con TOTP activo; los roles de TOTP_FIRMA_ROLES no firman sin él
+    const totp = await estadoTotp(acceso.sub);
+    if (!totp.activo && proposito === 'firma' && ROLES_TOTP_FIRMA.includes(acceso.role)) {
+      return res.status(403).json({
+        error: 'Debe activar la verificación en dos pasos para firmar',
+        codigo: 'TOTP_NO_INSCRITO'
+      });
+    }
+    if (totp.activo) {
+      if (!codigoTotp) {
+        return res.status(401).json({ error: 'Código de verificación requerido', codigo: 'TOTP_REQUERIDO' });
+      }
+      if (!(await verificarSegundoFactor(acceso.sub, codigoTotp))) {
+        logger.warn('Step-up fallido: código de verificación inválido', { userId: acceso.sub });
+        const bloqueoMinutos = await registrarIntentoFallido(req, acceso.email, 'step-up', { factor: 'totp' });
+        if (bloqueoMinutos) return responderBloqueo(res, 'bloqueada', bloqueoMinutos * 60);
+        return res.status(401).json({ error: 'Código de verificación inválido', codigo: 'TOTP_INVALIDO' });
+      }
+    }
+
+    await registrarIntentoCorrecto(req, acceso.email, 'step-up');
+
+    const stepUpToken = await new SignJWT({
+      sub: acceso.sub,
+      email: acceso.email,
+      role: acceso.role,
+      scope: proposito,
+      amr: totp.activo ? ['pwd', 'otp'] : ['pwd']
+    })
+      .setProtectedHeader({ alg, kid })
+      .setIssuer('ideam')
+      .setAudience(STEP_UP_AUDIENCE)
+      .setIssuedAt()
+      .setJti(crypto.randomUUID())
+      .setExpirationTime(`${STEP_UP_TTL_SECONDS}s`)
+      .sign(privateKey);
+
+    logger.info('Step-up emitido', { userId: acceso.sub, proposito, totp: totp.activo });
+
+    res.json({ step_up_token: stepUpToken, token_type: 'Bearer', expires_in: STEP_UP_TTL_SECONDS });
+  } catch (e) {
+    logger.error('Error emitiendo step-up', {
       error: e.message,
       stack: e.stack
     });
@@ -278,11 +1542,11 @@ app.post('/validate-password', async (req, res) => {
   }
 });
 
-// JWKS endpoint
+// JWKS endpoint: clave current, la next y las retiradas recientemente (ver keys.js)
 app.get('/.well-known/jwks.json', async (req, res) => {
   try {
-    const { jwk } = await initKeys();
-    res.json({ keys: [{ kid: getKid(), alg: getAlg(), use: 'sig', kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y, n: jwk.n, e: jwk.e }] });
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json({ keys: await getPublicJwks() });
   } catch (e) {
     res.status(500).json({ error: 'jwks error' });
   }
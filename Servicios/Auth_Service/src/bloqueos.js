@@ -0,0 +1,214 @@
+import { supabase } from './supabase.js';
+
+/*
+ * Protección contra fuerza bruta por cuenta (el rate limit global es por IP)
+ *
+ * Tablas (sql/bloqueos.sql):
+ * bloqueo_cuenta: email (pk, en minúsculas), fallos (consecutivos), ultimo_fallo, espera_hasta,
+ *   bloqueado_hasta, bloqueado_en
+ * evento_acceso: id, email, evento, origen, ip, user_agent, detalle (jsonb), creado_en
+ *   evento: 'fallo' | 'exito' | 'bloqueo' | 'rechazado' | 'desbloqueo'
+ *   origen: 'login' | 'login-mfa' | 'validate-password' | 'step-up' | 'admin' | 'restablecimiento'
+ *
+ * Se cuenta por correo, exista o no la cuenta: un correo inexistente se comporta igual
+ * que uno real y las respuestas no permiten enumerar usuarios.
+ *
+ * Cada fallo a partir del segundo impone una espera creciente (1 s, 2 s, 4 s...) antes del
+ * siguiente intento. Cada LOGIN_MAX_FALLOS fallos la cuenta se bloquea LOGIN_BLOQUEO_MINUTOS,
+ * el doble en cada bloqueo siguiente (máximo 24 h). Un acceso correcto reinicia el contador,
+ * y también pasar LOGIN_VENTANA_HORAS sin fallos.
+ */
+
+const MAX_FALLOS = parseInt(process.env.LOGIN_MAX_FALLOS || '5', 10);
+const BLOQUEO_MINUTOS = parseInt(process.env.LOGIN_BLOQUEO_MINUTOS || '15', 10);
+const VENTANA_HORAS = parseInt(process.env.LOGIN_VENTANA_HORAS || '24', 10);
+const ESPERA_MAXIMA_SEGUNDOS = 30;
+const BLOQUEO_MAXIMO_MINUTOS = 24 * 60;
+
+const normalizar = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Consecuencia de acumular `fallos` fallos consecutivos
+ * @param {number} fallos
+ * @returns {{esperaSegundos: number, bloqueoMinutos: number}}
+ */
+function penalizacion(fallos) {
+  if (fallos > 0 && fallos % MAX_FALLOS === 0) {
+    const bloqueoMinutos = Math.min(BLOQUEO_MINUTOS * 2 ** (fallos / MAX_FALLOS - 1), BLOQUEO_MAXIMO_MINUTOS);
+    return { esperaSegundos: 0, bloqueoMinutos };
+  }
+  const esperaSegundos = fallos >= 2 ? Math.min(2 ** (fallos - 2), ESPERA_MAXIMA_SEGUNDOS) : 0;
+  return { esperaSegundos, bloqueoMinutos: 0 };
+}
+
+/**
+ * Registra un evento de acceso para auditoría; un error al guardarlo no interrumpe el acceso
+ * @param {Object} evento - { email, evento, origen, ip, userAgent, detalle }
+ * @param {Object} [logger]
+ */
+export async function registrarEvento({ email, evento, origen, ip = null, userAgent = null, detalle = null }, logger) {
+  const { error } = await supabase
+    .from('evento_acceso')
+    .insert([{ email: normalizar(email), evento, origen, ip, user_agent: userAgent, detalle }]);
+
+  if (error) logger?.error('Error registrando evento de acceso', { error: error.message, evento, origen });
+}
+
+async function leerBloqueo(email) {
+  const { data, error } = await supabase
+    .from('bloqueo_cuenta')
+    .select('email, fallos, ultimo_fallo, espera_hasta, bloqueado_hasta, bloqueado_en')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) throw new Error(`Error consultando bloqueo: ${error.message}`);
+  return data;
+}
+
+/**
+ * Indica si la cuenta puede intentar autenticarse ahora
+ * @param {string} email
+ * @returns {Promise<{permitido: boolean, motivo?: 'bloqueada'|'espera', reintentarEn?: number}>}
+ *   reintentarEn: segundos hasta el siguiente intento permitido
+ */
+export async function comprobarAcceso(email) {
+  const registro = await leerBloqueo(normalizar(email));
+  if (!registro) return { permitido: true };
+
+  const ahora = Date.now();
+  const bloqueadoHasta = registro.bloqueado_hasta ? new Date(registro.bloqueado_hasta).getTime() : 0;
+  if (bloqueadoHasta > ahora) {
+    return { permitido: false, motivo: 'bloqueada', reintentarEn: Math.ceil((bloqueadoHasta - ahora) / 1000) };
+  }
+
+  const esperaHasta = registro.espera_hasta ? new Date(registro.espera_hasta).getTime() : 0;
+  if (esperaHasta > ahora) {
+    return { permitido: false, motivo: 'espera', reintentarEn: Math.ceil((esperaHasta - ahora) / 1000) };
+  }
+
+  return { permitido: true };
+}
+
+/**
+ * Registra un fallo y aplica la espera o el bloqueo que corresponda
+ * @param {string} email
+ * @returns {Promise<{fallos: number, esperaSegundos: number, bloqueoMinutos: number}>}
+ */
+export async function registrarFallo(email) {
+  const cuenta = normalizar(email);
+
+  // Actualización optimista: si otro fallo simultáneo ganó, se relee y se reintenta
+  for (let intento = 0; intento < 3; intento++) {
+    const registro = await leerBloqueo(cuenta);
+    const ahora = new Date();
+    const vigente = registro?.ultimo_fallo &&
+      ahora.getTime() - new Date(registro.ultimo_fallo).getTime() < VENTANA_HORAS * 3600 * 1000;
+    const fallos = (vigente ? registro.fallos : 0) + 1;
+    const { esperaSegundos, bloqueoMinutos } = penalizacion(fallos);
+
+    const cambios = {
+      email: cuenta,
+      fallos,
+      ultimo_fallo: ahora.toISOString(),
+      espera_hasta: esperaSegundos ? new Date(ahora.getTime() + esperaSegundos * 1000).toISOString() : null
+    };
+    if (bloqueoMinutos) {
+      cambios.bloqueado_hasta = new Date(ahora.getTime() + bloqueoMinutos * 60 * 1000).toISOString();
+      cambios.bloqueado_en = ahora.toISOString();
+    }
+
+    let resultado;
+    if (!registro) {
+      resultado = await supabase.from('bloqueo_cuenta').insert([cambios]).select('email');
+      // Otro fallo insertó la fila primero (violación de la clave primaria): releer
+      if (resultado.error?.code === '23505') continue;
+    } else {
+      resultado = await supabase
+        .from('bloqueo_cuenta')
+        .update(cambios)
+        .eq('email', cuenta)
+        .eq('fallos', registro.fallos)
+        .select('email');
+    }
+
+    if (resultado.error) throw new Error(`Error registrando fallo: ${resultado.error.message}`);
+    if (resultado.data?.length) return { fallos, esperaSegundos, bloqueoMinutos };
+  }
+
+  throw new Error('No se pudo registrar el fallo por concurrencia');
+}
+
+/**
+ * Reinicia el contador tras un acceso correcto
+ * @param {string} email
+ */
+export async function registrarExito(email) {
+  const { error } = await supabase
+    .from('bloqueo_cuenta')
+    .delete()
+    .eq('email', normalizar(email))
+    .or(`bloqueado_hasta.is.null,bloqueado_hasta.lt.${new Date().toISOString()}`);
+
+  if (error) throw new Error(`Error reiniciando fallos: ${error.message}`);
+}
+
+/**
+ * Cuentas con fallos recientes o bloqueadas
+ * @param {Object} [opciones]
+ * @param {Array<string>} [opciones.emails] - Limitar a estas cuentas (las de un herbario)
+ * @returns {Promise<Array<Object>>} email, fallos, ultimo_fallo, bloqueado_hasta, bloqueada
+ */
+export async function listarBloqueos({ emails } = {}) {
+  if (emails && !emails.length) return [];
+
+  const desde = new Date(Date.now() - VENTANA_HORAS * 3600 * 1000).toISOString();
+  let consulta = supabase
+    .from('bloqueo_cuenta')
+    .select('email, fallos, ultimo_fallo, bloqueado_hasta, bloqueado_en')
+    .or(`ultimo_fallo.gte.${desde},bloqueado_hasta.gt.${new Date().toISOString()}`);
+  if (emails) consulta = consulta.in('email', emails.map(normalizar));
+
+  const { data, error } = await consulta.order('ultimo_fallo', { ascending: false });
+
+  if (error) throw new Error(`Error listando bloqueos: ${error.message}`);
+
+  const ahora = Date.now();
+  return (data || []).map(registro => ({
+    ...registro,
+    bloqueada: !!registro.bloqueado_hasta && new Date(registro.bloqueado_hasta).getTime() > ahora
+  }));
+}
+
+/**
+ * Quita el bloqueo y reinicia el contador de fallos de una cuenta
+ * @param {string} email
+ * @returns {Promise<boolean>} true si había un registro
+ */
+export async function desbloquearCuenta(email) {
+  const { data, error } = await supabase
+    .from('bloqueo_cuenta')
+    .delete()
+    .eq('email', normalizar(email))
+    .select('email');
+
+  if (error) throw new Error(`Error desbloqueando cuenta: ${error.message}`);
+  return !!data?.length;
+}
+
+/**
+ * Eventos de acceso recientes de una cuenta
+ * @param {string} email
+ * @param {number} [limite=50]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listarEventos(email, limite = 50) {
+  const { data, error } = await supabase
+    .from('evento_acceso')
+    .select('evento, origen, ip, user_agent, detalle, creado_en')
+    .eq('email', normalizar(email))
+    .order('creado_en', { ascending: false })
+    .limit(limite);
+
+  if (error) throw new Error(`Error listando eventos de acceso: ${error.message}`);
+  return data || [];
+}
@@ -0,0 +1,60 @@
+import { supabase } from './supabase.js';
+
+/*
+ * Alta de cuentas: usuario de Supabase Auth + fila de info_usuario
+ *
+ * Supabase no ofrece una transacción que abarque auth.users y las tablas públicas, así que
+ * crearCuenta compensa: si la fila de info_usuario no se puede insertar elimina el usuario
+ * de Auth recién creado. Nunca queda una cuenta que inicie sesión sin perfil (rol) ni un
+ * perfil sin cuenta.
+ */
+
+/**
+ * Crea la cuenta completa de un usuario
+ * @param {Object} datos
+ * @param {string} datos.email
+ * @param {string} datos.password
+ * @param {string} datos.nombre_completo
+ * @param {string} datos.rol
+ * @param {number|null} [datos.id_herbario]
+ * @param {string|null} [datos.cedula]
+ * @param {string|null} [datos.telefono]
+ * @returns {Promise<{ok: boolean, motivo?: string, idUser?: string}>}
+ *   motivo: 'existente' si el correo (o la cédula) ya está registrado
+ */
+export async function crearCuenta({ email, password, nombre_completo, rol, id_herbario = null, cedula = null, telefono = null }) {
+  const { data, error } = await supabase.auth.admin.createUser({
+    email,
+    password,
+    email_confirm: true
+  });
+
+  if (error) {
+    if (error.message.includes('already')) return { ok: false, motivo: 'existente' };
+    throw new Error(`Error creando usuario de autenticación: ${error.message}`);
+  }
+
+  const idUser = data.user.id;
+  const { error: perfilError } = await supabase
+    .from('info_usuario')
+    .insert({
+      id_user: idUser,
+      nombre_completo,
+      correo_electronico: email,
+      cedula,
+      telefono,
+      rol,
+      id_herbario
+    });
+
+  if (perfilError) {
+    const { error: borrarError } = await supabase.auth.admin.deleteUser(idUser);
+    if (borrarError) {
+      throw new Error(`Usuario ${idUser} creado sin perfil y no se pudo eliminar: ${borrarError.message}`);
+    }
+    if (perfilError.code === '23505') return { ok: false, motivo: 'existente' };
+    throw new Error(`Error creando perfil de usuario: ${perfilError.message}`);
+  }
+
+  return { ok: true, idUser };
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { signMessage, verifyMessage } from '../../shared/crypto/hmac.js';
+import { supabase } from './supabase.js';
+
+/*
+ * Invitaciones para crear cuentas con rol distinto de consulta
+ *
+ * Tabla (sql/invitaciones.sql):
+ * invitacion: id (uuid), email, rol, id_herbario, nonce_hash (sha256 del nonce), expira_en,
+ *   usada_en, revocada_en, creada_por (auth.users), id_user (cuenta creada), creado_en
+ *
+ * Token entregado al invitado: <id>.<nonce>.<firma>, con firma = HMAC-SHA-256 de id, nonce, email,
+ * rol, herbario y expiración usando INVITACION_HMAC_KEY_B64. La firma liga el enlace a lo que el
+ * administrador autorizó: cambiar el rol o el herbario en la tabla invalida la invitación.
+ * Cada invitación es de un solo uso, expira a los INVITACION_TTL_SECONDS y solo la más reciente
+ * de cada correo sirve.
+ */
+
+export const INVITACION_TTL_SECONDS = parseInt(process.env.INVITACION_TTL_SECONDS || String(7 * 24 * 3600), 10);
+
+const FORMATO_TOKEN = /^[0-9a-f-]{36}\.[A-Za-z0-9_-]{43}\.[A-Za-z0-9_-]{43}$/;
+
+const COLUMNAS = 'id, email, rol, id_herbario, nonce_hash, expira_en, usada_en, revocada_en';
+
+function claveInvitacion() {
+  const clave = process.env.INVITACION_HMAC_KEY_B64;
+  if (!clave) throw new Error('INVITACION_HMAC_KEY_B64 no configurada');
+  return clave;
+}
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('hex');
+
+const mensajeFirma = ({ id, email, rol, id_herbario, expira_en }, nonce) =>
+  [id, nonce, email, rol, id_herbario ?? '', new Date(expira_en).toISOString()].join('.');
+
+const firmar = (invitacion, nonce) =>
+  Buffer.from(signMessage(mensajeFirma(invitacion, nonce), claveInvitacion()), 'base64').toString('base64url');
+
+/**
+ * Emite una invitación; anula las pendientes del mismo correo
+ * @param {Object} datos - { email, rol, id_herbario, creada_por }
+ * @returns {Promise<{token: string, invitacion: Object}>}
+ */
+export async function emitirInvitacion({ email, rol, id_herbario = null, creada_por }) {
+  claveInvitacion(); // fallar antes de tocar la base si falta la clave
+  const ahora = new Date();
+
+  const { error: anularError } = await supabase
+    .from('invitacion')
+    .update({ revocada_en: ahora.toISOString() })
+    .eq('email', email)
+    .is('usada_en', null)
+    .is('revocada_en', null);
+
+  if (anularError) throw new Error(`Error anulando invitaciones anteriores: ${anularError.message}`);
+
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const invitacion = {
+    id: crypto.randomUUID(),
+    email,
+    rol,
+    id_herbario,
+    expira_en: new Date(ahora.getTime() + INVITACION_TTL_SECONDS * 1000).toISOString()
+  };
+
+  const { error } = await supabase
+    .from('invitacion')
+    .insert([{ ...invitacion, nonce_hash: hashNonce(nonce), creada_por }]);
+
+  if (error) throw new Error(`No se pudo guardar la invitación: ${error.message}`);
+
+  return { token: `${invitacion.id}.${nonce}.${firmar(invitacion, nonce)}`, invitacion };
+}
+
+/**
+ * Valida un token de invitación sin consumirlo
+ * @param {string} token
+ * @returns {Promise<{ok: boolean, motivo?: string, invitacion?: Object}>}
+ *   motivo: 'invalido' | 'expirado' | 'usado' | 'revocado'
+ */
+export async function validarInvitacion(token) {
+  if (typeof token !== 'string' || !FORMATO_TOKEN.test(token)) return { ok: false, motivo: 'invalido' };
+
+  const [id, nonce, firma] = token.split('.');
+
+  const { data: invitacion, error } = await supabase
+    .from('invitacion')
+    .select(COLUMNAS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(`Error consultando invitación: ${error.message}`);
+  if (!invitacion || invitacion.nonce_hash !== hashNonce(nonce)) return { ok: false, motivo: 'invalido' };
+
+  const firmaB64 = Buffer.from(firma, 'base64url').toString('base64');
+  if (!verifyMessage(mensajeFirma(invitacion, nonce), firmaB64, claveInvitacion())) return { ok: false, motivo: 'invalido' };
+
+  if (invitacion.usada_en) return { ok: false, motivo: 'usado' };
+  if (invitacion.revocada_en) return { ok: false, motivo: 'revocado' };
+  if (new Date(invitacion.expira_en) <= new Date()) return { ok: false, motivo: 'expirado' };
+
+  delete invitacion.nonce_hash;
+  return { ok: true, invitacion };
+}
+
+/**
+ * Valida y reserva una invitación (un solo uso, también ante peticiones simultáneas)
+ * Si la creación de la cuenta falla se libera con liberarInvitacion.
+ * @param {string} token
+ * @returns {Promise<{ok: boolean, motivo?: string, invitacion?: Object}>}
+ */
+export async function consumirInvitacion(token) {
+  const validacion = await validarInvitacion(token);
+  if (!validacion.ok) return validacion;
+
+  const { data, error } = await supabase
+    .from('invitacion')
+    .update({ usada_en: new Date().toISOString() })
+    .eq('id', validacion.invitacion.id)
+    .is('usada_en', null)
+    .is('revocada_en', null)
+    .select('id');
+
+  if (error) throw new Error(`Error consumiendo invitación: ${error.message}`);
+  if (!data?.length) return { ok: false, motivo: 'usado' };
+
+  return validacion;
+}
+
+/**
+ * Deja disponible de nuevo una invitación reservada cuyo registro no se completó
+ * @param {string} id - ID de la invitación
+ */
+export async function liberarInvitacion(id) {
+  const { error } = await supabase
+    .from('invitacion')
+    .update({ usada_en: null })
+    .eq('id', id)
+    .is('id_user', null);
+
+  if (error) throw new Error(`Error liberando invitación: ${error.message}`);
+}
+
+/**
+ * Registra la cuenta creada con una invitación consumida
+ * @param {string} id - ID de la invitación
+ * @param {string} idUser - ID del usuario creado (auth.users)
+ */
+export async function completarInvitacion(id, idUser) {
+  const { error } = await supabase
+    .from('invitacion')
+    .update({ id_user: idUser })
+    .eq('id', id);
+
+  if (error) throw new Error(`Error completando invitación: ${error.message}`);
+}
+
+/**
+ * Lista invitaciones, las más recientes primero
+ * @param {Object} [filtros] - { id_herbario, pendientes }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listarInvitaciones({ id_herbario = null, pendientes = false } = {}) {
+  let query = supabase
+    .from('invitacion')
+    .select('id, email, rol, id_herbario, expira_en, usada_en, revocada_en, creada_por, id_user, creado_en')
+    .order('creado_en', { ascending: false });
+
+  if (id_herbario !== null) query = query.eq('id_herbario', id_herbario);
+  if (pendientes) {
+    query = query.is('usada_en', null).is('revocada_en', null).gt('expira_en', new Date().toISOString());
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Error listando invitaciones: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Revoca una invitación pendiente
+ * @param {string} id - ID de la invitación
+ * @param {number|null} [idHerbario] - Si se indica, solo la revoca si es de ese herbario
+ * @returns {Promise<boolean>} true si había una invitación pendiente
+ */
+export async function revocarInvitacion(id, idHerbario = null) {
+  let query = supabase
+    .from('invitacion')
+    .update({ revocada_en: new Date().toISOString() })
+    .eq('id', id)
+    .is('usada_en', null)
+    .is('revocada_en', null);
+
+  if (idHerbario !== null) query = query.eq('id_herbario', idHerbario);
+
+  const { data, error } = await query.select('id');
+  if (error) throw new Error(`Error revocando invitación: ${error.message}`);
+  return !!data?.length;
+}
@@ -1,43 +1,166 @@
+import { createPublicKey } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { importPKCS8, exportJWK, calculateJwkThumbprint, importSPKI } from 'jose';
 
-let privateKey;
-let publicKey;
-let jwk;
-let kid;
+/*
+ * Conjunto de claves de firma (JWKS) con rotación
+ *
+ * Archivo JWT_KEYSET_FILE (por defecto keys/keyset.json, fuera del control de versiones):
+ *   { "keys": [ { kid, alg, estado, private_key_pem, creado_en, activado_en, retirado_en } ] }
+ * estado:
+ *   - current: firma los tokens nuevos (exactamente una)
+ *   - next: publicada en el JWKS antes de firmar, para que los verificadores ya la tengan en caché
+ *   - retired: ya no firma ni se publica
+ * Una clave retirada sigue publicándose durante RETIRED_GRACE_SECONDS (vida de un access token)
+ * para que los tokens que firmó no se invaliden al rotar; pasado ese plazo la siguiente rotación
+ * la elimina del archivo.
+ *
+ * Sin archivo se usa JWT_PRIVATE_KEY_PEM como única clave current (comportamiento anterior).
+ * La rotación se hace con scripts/rotate-keys.js; el servicio relee el archivo cuando cambia.
+ */
 
-export async function initKeys() {
-  if (jwk && kid && privateKey && publicKey) return { alg: process.env.JWT_ALG || 'ES256', kid, jwk, privateKey, publicKey };
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ESTADOS_CLAVE = ['current', 'next', 'retired'];
+
+// Se leen al usarse: este módulo se evalúa antes de que dotenv cargue el .env
+export const keysetFile = () => path.resolve(__dirname, '..', process.env.JWT_KEYSET_FILE || 'keys/keyset.json');
+export const retiredGraceSeconds = () =>
+  parseInt(process.env.RETIRED_GRACE_SECONDS || process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+
+// Cada cuánto se comprueba si el archivo cambió (rotación sin reiniciar)
+const RECARGA_MS = 30 * 1000;
+
+let claves = [];      // [{ kid, alg, estado, retirado_en, privateKey, publicKey, jwk }]
+let actual = null;
+let origen = null;    // mtime del archivo cargado, o 'env'
+let revisadoEn = 0;
+
+/**
+ * Importa una clave privada PKCS8 y deriva su clave pública, JWK y kid (thumbprint)
+ * @param {string} privatePem
+ * @param {string} alg
+ * @param {string} [publicPem] - Clave pública explícita (opcional)
+ */
+export async function importarClave(privatePem, alg, publicPem = null) {
+  const privateKey = await importPKCS8(privatePem, alg);
+  const publicKey = publicPem ? await importSPKI(publicPem, alg) : createPublicKey(privateKey);
+  const jwk = await exportJWK(publicKey);
+  const kid = await calculateJwkThumbprint(jwk, 'sha256');
+  return { kid, alg, privateKey, publicKey, jwk };
+}
 
+/**
+ * Lee el archivo del conjunto de claves
+ * @returns {Object|null} Contenido del archivo o null si no existe
+ */
+export function leerKeyset(archivo = keysetFile()) {
+  if (!fs.existsSync(archivo)) return null;
+  return JSON.parse(fs.readFileSync(archivo, 'utf8'));
+}
+
+async function cargarDesdeArchivo(mtime) {
+  const keyset = leerKeyset();
+  const cargadas = await Promise.all(
+    keyset.keys
+      .filter(k => ESTADOS_CLAVE.includes(k.estado))
+      .map(async (k) => ({
+        ...(await importarClave(k.private_key_pem, k.alg)),
+        estado: k.estado,
+        retirado_en: k.retirado_en || null
+      }))
+  );
+
+  const current = cargadas.filter(k => k.estado === 'current');
+  if (current.length !== 1) {
+    throw new Error(`${keysetFile()} debe tener exactamente una clave current (tiene ${current.length})`);
+  }
+
+  claves = cargadas;
+  actual = current[0];
+  origen = mtime;
+}
+
+async function cargarDesdeEnv() {
   const alg = process.env.JWT_ALG || 'ES256';
   const privPem = process.env.JWT_PRIVATE_KEY_PEM;
   const pubPem = process.env.JWT_PUBLIC_KEY_PEM; // opcional si quieres fijarla
 
-  if (!privPem) throw new Error('JWT_PRIVATE_KEY_PEM no configurada');
+  if (!privPem) throw new Error(`Configura ${keysetFile()} o JWT_PRIVATE_KEY_PEM`);
+
+  actual = { ...(await importarClave(privPem, alg, pubPem)), estado: 'current', retirado_en: null };
+  claves = [actual];
+  origen = 'env';
+}
+
+async function cargarClaves() {
+  const archivo = keysetFile();
+  const stat = fs.existsSync(archivo) ? fs.statSync(archivo) : null;
+  const mtime = stat ? stat.mtimeMs : 'env';
+  if (actual && mtime === origen) return;
 
-  privateKey = await importPKCS8(privPem, alg);
-  if (pubPem) {
-    publicKey = await importSPKI(pubPem, alg);
+  if (stat) {
+    await cargarDesdeArchivo(mtime);
   } else {
-    // Derivar JWK pública a partir de la privada exportándola
-    const pubJwk = await exportJWK(privateKey);
-    delete pubJwk.d; // eliminar parte privada si aparece
-    jwk = pubJwk;
-    kid = await calculateJwkThumbprint(pubJwk, 'sha256');
-    return { alg, kid, jwk: pubJwk, privateKey };
+    await cargarDesdeEnv();
+  }
+}
+
+/**
+ * Clave de firma vigente (current)
+ * @returns {Promise<{alg, kid, jwk, privateKey, publicKey}>}
+ */
+export async function initKeys() {
+  if (!actual || Date.now() - revisadoEn > RECARGA_MS) {
+    revisadoEn = Date.now();
+    await cargarClaves();
   }
+  const { alg, kid, jwk, privateKey, publicKey } = actual;
+  return { alg, kid, jwk, privateKey, publicKey };
+}
+
+/**
+ * Indica si una clave debe publicarse (no retirada, o retirada dentro del periodo de gracia)
+ * @param {Object} clave - { estado, retirado_en }
+ * @returns {boolean}
+ */
+export const publicada = (clave) =>
+  clave.estado !== 'retired' ||
+  (!!clave.retirado_en && Date.now() - Date.parse(clave.retirado_en) < retiredGraceSeconds() * 1000);
+
+/**
+ * Claves públicas a publicar en /.well-known/jwks.json
+ * @returns {Promise<Object[]>} JWKs (current, next y retiradas dentro del periodo de gracia)
+ */
+export async function getPublicJwks() {
+  await initKeys();
+  return claves
+    .filter(publicada)
+    .map(({ kid, alg, jwk }) => ({ ...jwk, kid, alg, use: 'sig' }));
+}
 
-  // Si tienes publicPem, exporta JWK pública desde ella
-  const pubJwk = await exportJWK(publicKey);
-  jwk = pubJwk;
-  kid = await calculateJwkThumbprint(pubJwk, 'sha256');
-  return { alg, kid, jwk: pubJwk, privateKey, publicKey };
+/**
+ * Resolución de clave para jwtVerify según el kid del encabezado
+ * Permite verificar en este servicio tokens firmados por una clave ya rotada.
+ * @param {Object} protectedHeader - Encabezado del JWT
+ * @returns {Promise<KeyObject>}
+ */
+export async function getVerificationKey(protectedHeader) {
+  await initKeys();
+  const clave = protectedHeader.kid
+    ? claves.find(k => k.kid === protectedHeader.kid && publicada(k))
+    : actual;
+  if (!clave) throw new Error(`Clave desconocida: ${protectedHeader.kid}`);
+  return clave.publicKey;
 }
 
 export function getKid() {
-  if (!kid) throw new Error('Keys not initialized');
-  return kid;
+  if (!actual) throw new Error('Keys not initialized');
+  return actual.kid;
 }
 
 export function getAlg() {
-  return process.env.JWT_ALG || 'ES256';
+  return actual?.alg || process.env.JWT_ALG || 'ES256';
 }
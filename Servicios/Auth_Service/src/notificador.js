@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/*
+ * Notificador enchufable para mensajes a usuarios (restablecimiento de contraseña, avisos de cuenta)
+ *
+ * Un notificador es un objeto con enviar({ para, asunto, texto, tipo, datos }) → Promise.
+ * NOTIFICADOR elige la implementación:
+ *   - consola (por defecto): escribe el mensaje en el log del servicio
+ *   - archivo: agrega el mensaje como JSON a NOTIFICADOR_ARCHIVO (por defecto Servicios/logs/notificaciones.log)
+ * Ambos son sustitutos para desarrollo local; para correo real se registra otra implementación
+ * con registrarNotificador('smtp', (logger) => ({ enviar: ... })) antes de crear el notificador.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const fabricas = {
+  consola: (logger) => ({
+    async enviar({ para, asunto, texto, tipo }) {
+      logger.info('Notificación (consola)', { para, asunto, tipo, texto });
+    }
+  }),
+
+  archivo: () => {
+    const archivo = path.resolve(__dirname, '..', process.env.NOTIFICADOR_ARCHIVO || '../logs/notificaciones.log');
+    return {
+      async enviar(mensaje) {
+        await fs.promises.mkdir(path.dirname(archivo), { recursive: true });
+        await fs.promises.appendFile(archivo, JSON.stringify({ ...mensaje, enviado_en: new Date().toISOString() }) + '\n');
+      }
+    };
+  }
+};
+
+/**
+ * Registra una implementación de notificador
+ * @param {string} nombre - Valor de NOTIFICADOR que la selecciona
+ * @param {Function} fabrica - (logger) => { enviar(mensaje) }
+ */
+export function registrarNotificador(nombre, fabrica) {
+  fabricas[nombre] = fabrica;
+}
+
+/**
+ * Crea el notificador configurado en NOTIFICADOR
+ * @param {Object} logger - Logger del servicio
+ * @returns {{enviar: Function}}
+ */
+export function crearNotificador(logger) {
+  const nombre = process.env.NOTIFICADOR || 'consola';
+  const fabrica = fabricas[nombre];
+  if (!fabrica) throw new Error(`Notificador desconocido: ${nombre} (disponibles: ${Object.keys(fabricas).join(', ')})`);
+  return fabrica(logger);
+}
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { signMessage, verifyMessage } from '../../shared/crypto/hmac.js';
+import { supabase } from './supabase.js';
+
+/*
+ * Tokens de restablecimiento de contraseña
+ *
+ * Tabla (sql/recuperacion.sql):
+ * reset_password: id (uuid), id_user, nonce_hash (sha256 del nonce), expira_en, usado_en, ip, creado_en
+ *
+ * Token entregado al usuario: <id>.<nonce>.<firma>, con firma = HMAC-SHA-256(id.nonce) usando RESET_HMAC_KEY_B64.
+ * La firma descarta tokens alterados sin consultar la base; el nonce solo se guarda como hash,
+ * de modo que una copia de la tabla no permite restablecer contraseñas.
+ * Cada token es de un solo uso y expira a los RESET_TOKEN_TTL_SECONDS.
+ */
+
+export const RESET_TOKEN_TTL_SECONDS = parseInt(process.env.RESET_TOKEN_TTL_SECONDS || '3600', 10);
+
+const FORMATO_TOKEN = /^[0-9a-f-]{36}\.[A-Za-z0-9_-]{43}\.[A-Za-z0-9_-]{43}$/;
+
+function claveReset() {
+  const clave = process.env.RESET_HMAC_KEY_B64;
+  if (!clave) throw new Error('RESET_HMAC_KEY_B64 no configurada');
+  return clave;
+}
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('hex');
+
+const firmar = (id, nonce) =>
+  Buffer.from(signMessage(`${id}.${nonce}`, claveReset()), 'base64').toString('base64url');
+
+/**
+ * Emite un token de restablecimiento; anula los pendientes del mismo usuario
+ * @param {string} idUser - ID del usuario (auth.users)
+ * @param {Object} [opciones] - { ip }
+ * @returns {Promise<{token: string, expira_en: string}>}
+ */
+export async function emitirTokenReset(idUser, { ip = null } = {}) {
+  claveReset(); // fallar antes de tocar la base si falta la clave
+  const ahora = new Date();
+
+  // Solo el enlace más reciente sirve
+  const { error: anularError } = await supabase
+    .from('reset_password')
+    .update({ usado_en: ahora.toISOString() })
+    .eq('id_user', idUser)
+    .is('usado_en', null);
+
+  if (anularError) throw new Error(`Error anulando tokens anteriores: ${anularError.message}`);
+
+  const id = crypto.randomUUID();
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const expiraEn = new Date(ahora.getTime() + RESET_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+  const { error } = await supabase
+    .from('reset_password')
+    .insert([{ id, id_user: idUser, nonce_hash: hashNonce(nonce), expira_en: expiraEn, ip }]);
+
+  if (error) throw new Error(`No se pudo guardar el token de restablecimiento: ${error.message}`);
+
+  return { token: `${id}.${nonce}.${firmar(id, nonce)}`, expira_en: expiraEn };
+}
+
+/**
+ * Valida un token sin consumirlo
+ * @param {string} token
+ * @returns {Promise<{ok: boolean, motivo?: string, registro?: Object}>}
+ *   motivo: 'invalido' | 'expirado' | 'usado'
+ */
+export async function validarTokenReset(token) {
+  if (typeof token !== 'string' || !FORMATO_TOKEN.test(token)) return { ok: false, motivo: 'invalido' };
+
+  const [id, nonce, firma] = token.split('.');
+  const firmaB64 = Buffer.from(firma, 'base64url').toString('base64');
+  if (!verifyMessage(`${id}.${nonce}`, firmaB64, claveReset())) return { ok: false, motivo: 'invalido' };
+
+  const { data: registro, error } = await supabase
+    .from('reset_password')
+    .select('id, id_user, nonce_hash, expira_en, usado_en')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error(`Error consultando token de restablecimiento: ${error.message}`);
+  if (!registro || registro.nonce_hash !== hashNonce(nonce)) return { ok: false, motivo: 'invalido' };
+  if (registro.usado_en) return { ok: false, motivo: 'usado' };
+  if (new Date(registro.expira_en) <= new Date()) return { ok: false, motivo: 'expirado' };
+
+  return { ok: true, registro };
+}
+
+/**
+ * Valida y consume un token (un solo uso, también ante peticiones simultáneas)
+ * @param {string} token
+ * @returns {Promise<{ok: boolean, motivo?: string, idUser?: string}>}
+ */
+export async function consumirTokenReset(token) {
+  const validacion = await validarTokenReset(token);
+  if (!validacion.ok) return validacion;
+
+  const { data, error } = await supabase
+    .from('reset_password')
+    .update({ usado_en: new Date().toISOString() })
+    .eq('id', validacion.registro.id)
+    .is('usado_en', null)
+    .select('id');
+
+  if (error) throw new Error(`Error consumiendo token de restablecimiento: ${error.message}`);
+  if (!data?.length) return { ok: false, motivo: 'usado' };
+
+  return { ok: true, idUser: validacion.registro.id_user };
+}
@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import { SignJWT } from 'jose';
+import { initKeys } from './keys.js';
+import { supabase } from './supabase.js';
+
+/*
+ * Sesiones: access token JWT de vida corta + refresh token opaco rotatorio
+ *
+ * Tablas (sql/sesiones.sql):
+ * refresh_token: id, id_user, token_hash (sha256, nunca el token en claro), familia (uuid de la sesión),
+ *   creado_en, expira_en, usado_en, revocado_en, reemplazado_por, user_agent, ip
+ * token_revocado: jti (pk), id_user, expira_en, motivo, creado_en
+ *   Access tokens revocados antes de expirar (logout); se descartan al pasar expira_en.
+ * usuario_revocado: id_user (pk), revocado_desde, motivo, revocado_por
+ *   Invalida todos los access tokens del usuario emitidos antes de revocado_desde.
+ *
+ * Cada refresh token se usa una sola vez: al renovar se marca como usado y se emite otro de la misma familia.
+ * Presentar un refresh token ya usado indica robo o reutilización y revoca la familia completa.
+ */
+
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+export const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '43200', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Firma un access token para los claims dados
+ * @param {Object} claims - { sub, email, role, herbario_id }
+ * @returns {Promise<{token: string, jti: string}>}
+ */
+export async function emitirAccessToken(claims) {
+  const { alg, kid, privateKey } = await initKeys();
+  const jti = crypto.randomUUID();
+
+  const token = await new SignJWT(claims)
+    .setProtectedHeader({ alg, kid })
+    .setIssuer('ideam')
+    .setAudience('ideam-services')
+    .setIssuedAt()
+    .setJti(jti)
+    .setExpirationTime(`${ACCESS_TOKEN_TTL_SECONDS}s`)
+    .sign(privateKey);
+
+  return { token, jti };
+}
+
+/**
+ * Emite un refresh token y guarda su hash
+ * @param {string} idUser - ID del usuario (auth.users)
+ * @param {Object} [opciones]
+ * @param {string} [opciones.familia] - Familia a la que pertenece (rotación); nueva si se omite
+ * @param {string} [opciones.userAgent]
+ * @param {string} [opciones.ip]
+ * @returns {Promise<{token: string, id: number, familia: string}>}
+ */
+export async function emitirRefreshToken(idUser, { familia = crypto.randomUUID(), userAgent = null, ip = null } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiraEn = new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('refresh_token')
+    .insert([{
+      id_user: idUser,
+      token_hash: hashToken(token),
+      familia,
+      expira_en: expiraEn,
+      user_agent: userAgent,
+      ip
+    }])
+    .select('id')
+    .single();
+
+  if (error) throw new Error(`No se pudo guardar el refresh token: ${error.message}`);
+
+  return { token, id: data.id, familia };
+}
+
+/**
+ * Consume un refresh token y emite su reemplazo en la misma familia
+ * @param {string} token - Refresh token presentado por el cliente
+ * @param {Object} [meta] - { userAgent, ip }
+ * @returns {Promise<{ok: boolean, motivo?: string, idUser?: string, token?: string}>}
+ *   motivo: 'invalido' | 'expirado' | 'revocado' | 'reutilizado'
+ */
+export async function rotarRefreshToken(token, meta = {}) {
+  const { data: registro, error } = await supabase
+    .from('refresh_token')
+    .select('id, id_user, familia, expira_en, usado_en, revocado_en')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw new Error(`Error consultando refresh token: ${error.message}`);
+  if (!registro) return { ok: false, motivo: 'invalido' };
+  if (registro.revocado_en) return { ok: false, motivo: 'revocado' };
+
+  if (registro.usado_en) {
+    await revocarFamilia(registro.familia);
+    return { ok: false, motivo: 'reutilizado', idUser: registro.id_user };
+  }
+
+  if (new Date(registro.expira_en) <= new Date()) return { ok: false, motivo: 'expirado' };
+
+  // Marcar como usado solo si nadie lo usó entre la lectura y esta actualización
+  const { data: consumido, error: usoError } = await supabase
+    .from('refresh_token')
+    .update({ usado_en: new Date().toISOString() })
+    .eq('id', registro.id)
+    .is('usado_en', null)
+    .select('id');
+
+  if (usoError) throw new Error(`Error consumiendo refresh token: ${usoError.message}`);
+  if (!consumido?.length) {
+    await revocarFamilia(registro.familia);
+    return { ok: false, motivo: 'reutilizado', idUser: registro.id_user };
+  }
+
+  const nuevo = await emitirRefreshToken(registro.id_user, { familia: registro.familia, ...meta });
+
+  await supabase
+    .from('refresh_token')
+    .update({ reemplazado_por: nuevo.id })
+    .eq('id', registro.id);
+
+  return { ok: true, idUser: registro.id_user, token: nuevo.token };
+}
+
+/**
+ * Revoca todos los refresh tokens vigentes de una familia (sesión)
+ * @param {string} familia
+ */
+export async function revocarFamilia(familia) {
+  const { error } = await supabase
+    .from('refresh_token')
+    .update({ revocado_en: new Date().toISOString() })
+    .eq('familia', familia)
+    .is('revocado_en', null);
+
+  if (error) throw new Error(`Error revocando sesión: ${error.message}`);
+}
+
+/**
+ * Revoca la sesión a la que pertenece un refresh token (logout)
+ * @param {string} token - Refresh token en claro
+ * @param {string} [idUser] - Si se indica, solo se revoca si el token es de ese usuario
+ * @returns {Promise<boolean>} true si el token existía
+ */
+export async function revocarRefreshToken(token, idUser = null) {
+  let consulta = supabase
+    .from('refresh_token')
+    .select('familia')
+    .eq('token_hash', hashToken(token));
+  if (idUser) consulta = consulta.eq('id_user', idUser);
+
+  const { data, error } = await consulta.maybeSingle();
+  if (error) throw new Error(`Error consultando refresh token: ${error.message}`);
+  if (!data) return false;
+
+  await revocarFamilia(data.familia);
+  return true;
+}
+
+/**
+ * Agrega un access token a la lista de revocados hasta su expiración
+ * @param {Object} payload - Claims verificados del token ({ jti, sub, exp })
+ * @param {string} [motivo]
+ */
+export async function revocarAccessToken({ jti, sub, exp }, motivo = 'logout') {
+  // Tokens emitidos antes de existir jti no se pueden revocar individualmente
+  if (!jti) return;
+
+  const { error } = await supabase
+    .from('token_revocado')
+    .upsert([{
+      jti,
+      id_user: sub,
+      expira_en: new Date(exp * 1000).toISOString(),
+      motivo
+    }], { onConflict: 'jti' });
+
+  if (error) throw new Error(`Error revocando access token: ${error.message}`);
+}
+
+/**
+ * Cierra todas las sesiones de un usuario: revoca sus refresh tokens e invalida
+ * los access tokens emitidos hasta ahora
+ * @param {string} idUser
+ * @param {Object} [opciones] - { motivo, revocadoPor }
+ * @returns {Promise<{revocado_desde: string}>}
+ */
+export async function revocarUsuario(idUser, { motivo = null, revocadoPor = null } = {}) {
+  const revocadoDesde = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('usuario_revocado')
+    .upsert([{
+      id_user: idUser,
+      revocado_desde: revocadoDesde,
+      motivo,
+      revocado_por: revocadoPor
+    }], { onConflict: 'id_user' });
+
+  if (error) throw new Error(`Error revocando usuario: ${error.message}`);
+
+  const { error: refreshError } = await supabase
+    .from('refresh_token')
+    .update({ revocado_en: revocadoDesde })
+    .eq('id_user', idUser)
+    .is('revocado_en', null);
+
+  if (refreshError) throw new Error(`Error revocando refresh tokens: ${refreshError.message}`);
+
+  return { revocado_desde: revocadoDesde };
+}
+
+/**
+ * Indica si un access token verificado fue revocado: por jti (logout) o por usuario, si se emitió
+ * (iat, en segundos) en el instante de revocado_desde o antes. Misma regla que el Api_Gateway,
+ * pero consultando la base en cada llamada.
+ * @param {Object} payload - Claims del token ({ jti, sub, iat })
+ * @returns {Promise<boolean>}
+ */
+export async function accesoRevocado({ jti, sub, iat }) {
+  const [token, usuario] = await Promise.all([
+    jti
+      ? supabase.from('token_revocado').select('jti').eq('jti', jti).maybeSingle()
+      : Promise.resolve({ data: null, error: null }),
+    supabase.from('usuario_revocado').select('revocado_desde').eq('id_user', sub).maybeSingle()
+  ]);
+
+  if (token.error) throw new Error(`Error consultando tokens revocados: ${token.error.message}`);
+  if (usuario.error) throw new Error(`Error consultando usuarios revocados: ${usuario.error.message}`);
+
+  if (token.data) return true;
+  if (!usuario.data) return false;
+  return !iat || iat <= Math.floor(Date.parse(usuario.data.revocado_desde) / 1000);
+}
+
+/**
+ * Lista de revocación vigente para los verificadores (API Gateway)
+ * Solo incluye lo que aún puede afectar a un access token no expirado.
+ * @returns {Promise<{tokens: string[], usuarios: Array<{id_user: string, revocado_desde: string}>}>}
+ */
+export async function listarRevocaciones() {
+  const ahora = new Date();
+  // Un access token emitido antes de este instante ya expiró
+  const limiteUsuarios = new Date(ahora.getTime() - ACCESS_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+  const [tokens, usuarios] = await Promise.all([
+    supabase.from('token_revocado').select('jti').gt('expira_en', ahora.toISOString()),
+    supabase.from('usuario_revocado').select('id_user, revocado_desde').gt('revocado_desde', limiteUsuarios)
+  ]);
+
+  if (tokens.error) throw new Error(`Error listando tokens revocados: ${tokens.error.message}`);
+  if (usuarios.error) throw new Error(`Error listando usuarios revocados: ${usuarios.error.message}`);
+
+  return {
+    tokens: tokens.data.map(t => t.jti),
+    usuarios: usuarios.data
+  };
+}
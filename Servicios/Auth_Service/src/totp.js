@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import { encrypt, decrypt } from '../../shared/crypto/aesgcm.js';
+import { supabase } from './supabase.js';
+
+/*
+ * Verificación en dos pasos con TOTP (RFC 6238: HMAC-SHA1, 6 dígitos, pasos de 30 s)
+ *
+ * Tablas (sql/totp.sql):
+ * totp_usuario: id_user (pk), secreto_cifrado (AES-256-GCM con TOTP_ENC_KEY_B64), activo,
+ *   creado_en, activado_en, ultimo_paso (último paso aceptado: impide reutilizar un código)
+ * totp_codigo_respaldo: id, id_user, codigo_hash (sha256), usado_en, creado_en
+ *
+ * La inscripción queda pendiente (activo = false) hasta que el usuario confirma un código
+ * generado por su aplicación; solo entonces se exige en el login y en el step-up de firma.
+ */
+
+const EMISOR = process.env.TOTP_EMISOR || 'IDEAM Herbario';
+const DIGITOS = 6;
+const PERIODO_SEGUNDOS = 30;
+// Pasos aceptados antes y después del actual (tolerancia de reloj)
+const VENTANA = 1;
+const CANTIDAD_CODIGOS_RESPALDO = 10;
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function claveTotp() {
+  const clave = process.env.TOTP_ENC_KEY_B64;
+  if (!clave) throw new Error('TOTP_ENC_KEY_B64 no configurada');
+  return clave;
+}
+
+function base32(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let salida = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    salida += ALFABETO_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return salida;
+}
+
+function desdeBase32(texto) {
+  let bits = '';
+  for (const caracter of texto.replace(/=+$/, '').toUpperCase()) {
+    const valor = ALFABETO_BASE32.indexOf(caracter);
+    if (valor < 0) throw new Error('Secreto base32 inválido');
+    bits += valor.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/**
+ * Código TOTP para un paso de tiempo (RFC 4226 sobre contador = paso)
+ * @param {string} secreto - Secreto en base32
+ * @param {number} paso - floor(unix / 30)
+ * @returns {string} Código de 6 dígitos
+ */
+export function codigoTotp(secreto, paso) {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+  const hmac = crypto.createHmac('sha1', desdeBase32(secreto)).update(contador).digest();
+  const desplazamiento = hmac[hmac.length - 1] & 0x0f;
+  const numero = hmac.readUInt32BE(desplazamiento) & 0x7fffffff;
+  return String(numero % 10 ** DIGITOS).padStart(DIGITOS, '0');
+}
+
+const pasoActual = () => Math.floor(Date.now() / 1000 / PERIODO_SEGUNDOS);
+
+/**
+ * Busca el paso de tiempo que corresponde a un código dentro de la ventana de tolerancia
+ * @param {string} secreto - Secreto en base32
+ * @param {string} codigo - Código ingresado por el usuario
+ * @param {number} [ultimoPaso] - Último paso aceptado; no se aceptan pasos anteriores o iguales
+ * @returns {number|null} Paso aceptado o null
+ */
+export function verificarCodigoTotp(secreto, codigo, ultimoPaso = -1) {
+  const limpio = String(codigo || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(limpio)) return null;
+
+  const actual = pasoActual();
+  for (let paso = actual - VENTANA; paso <= actual + VENTANA; paso++) {
+    if (paso <= ultimoPaso) continue;
+    const esperado = codigoTotp(secreto, paso);
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) return paso;
+  }
+  return null;
+}
+
+/**
+ * URI otpauth:// para aprovisionar la aplicación autenticadora (contenido del código QR)
+ * @param {string} secreto - Secreto en base32
+ * @param {string} cuenta - Correo del usuario
+ * @returns {string}
+ */
+export function uriAprovisionamiento(secreto, cuenta) {
+  const etiqueta = encodeURIComponent(`${EMISOR}:${cuenta}`);
+  // encodeURIComponent (no URLSearchParams): algunas aplicaciones muestran '+' en lugar de espacios
+  return `otpauth://totp/${etiqueta}?secret=${secreto}&issuer=${encodeURIComponent(EMISOR)}` +
+    `&algorithm=SHA1&digits=${DIGITOS}&period=${PERIODO_SEGUNDOS}`;
+}
+
+const hashCodigo = (codigo) =>
+  crypto.createHash('sha256').update(codigo.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Estado de la verificación en dos pasos de un usuario
+ * @param {string} idUser
+ * @returns {Promise<{inscrito: boolean, activo: boolean, activado_en: string|null, codigos_respaldo_restantes: number}>}
+ */
+export async function estadoTotp(idUser) {
+  const [{ data: totp, error }, { count, error: codigosError }] = await Promise.all([
+    supabase.from('totp_usuario').select('activo, activado_en').eq('id_user', idUser).maybeSingle(),
+    supabase.from('totp_codigo_respaldo').select('id', { count: 'exact', head: true }).eq('id_user', idUser).is('usado_en', null)
+  ]);
+
+  if (error) throw new Error(`Error consultando TOTP: ${error.message}`);
+  if (codigosError) throw new Error(`Error consultando códigos de respaldo: ${codigosError.message}`);
+
+  return {
+    inscrito: !!totp,
+    activo: !!totp?.activo,
+    activado_en: totp?.activado_en || null,
+    codigos_respaldo_restantes: totp?.activo ? count || 0 : 0
+  };
+}
+
+/**
+ * Inicia (o reinicia) una inscripción pendiente con un secreto nuevo
+ * @param {string} idUser
+ * @param {string} email - Cuenta que muestra la aplicación autenticadora
+ * @returns {Promise<{secreto: string, uri: string}>}
+ */
+export async function iniciarInscripcion(idUser, email) {
+  const secreto = base32(crypto.randomBytes(20));
+
+  const { error } = await supabase
+    .from('totp_usuario')
+    .upsert([{
+      id_user: idUser,
+      secreto_cifrado: encrypt(secreto, claveTotp()),
+      activo: false,
+      activado_en: null,
+      ultimo_paso: null
+    }], { onConflict: 'id_user' });
+
+  if (error) throw new Error(`Error guardando secreto TOTP: ${error.message}`);
+
+  return { secreto, uri: uriAprovisionamiento(secreto, email) };
+}
+
+/**
+ * Verifica un código TOTP del usuario y registra el paso para impedir su reutilización
+ * @param {string} idUser
+ * @param {string} codigo
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.pendiente=false] - Verificar contra una inscripción aún no activada
+ * @returns {Promise<boolean>}
+ */
+export async function verificarTotpUsuario(idUser, codigo, { pendiente = false } = {}) {
+  const { data: totp, error } = await supabase
+    .from('totp_usuario')
+    .select('secreto_cifrado, activo, ultimo_paso')
+    .eq('id_user', idUser)
+    .maybeSingle();
+
+  if (error) throw new Error(`Error consultando TOTP: ${error.message}`);
+  if (!totp || totp.activo === pendiente) return false;
+
+  const secreto = decrypt(totp.secreto_cifrado, claveTotp());
+  const paso = verificarCodigoTotp(secreto, codigo, totp.ultimo_paso ?? -1);
+  if (paso === null) return false;
+
+  // Solo gana una petición por paso, aunque lleguen a la vez
+  let actualizacion = supabase
+    .from('totp_usuario')
+    .update({ ultimo_paso: paso })
+    .eq('id_user', idUser);
+  actualizacion = totp.ultimo_paso === null
+    ? actualizacion.is('ultimo_paso', null)
+    : actualizacion.eq('ultimo_paso', totp.ultimo_paso);
+
+  const { data, error: pasoError } = await actualizacion.select('id_user');
+  if (pasoError) throw new Error(`Error registrando paso TOTP: ${pasoError.message}`);
+  return !!data?.length;
+}
+
+/**
+ * Genera un juego nuevo de códigos de respaldo (anula los anteriores)
+ * @param {string} idUser
+ * @returns {Promise<string[]>} Códigos en claro; solo se muestran una vez
+ */
+export async function generarCodigosRespaldo(idUser) {
+  const codigos = Array.from({ length: CANTIDAD_CODIGOS_RESPALDO }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  const { error: borrarError } = await supabase
+    .from('totp_codigo_respaldo')
+    .delete()
+    .eq('id_user', idUser);
+
+  if (borrarError) throw new Error(`Error anulando códigos de respaldo: ${borrarError.message}`);
+
+  const { error } = await supabase
+    .from('totp_codigo_respaldo')
+    .insert(codigos.map(codigo => ({ id_user: idUser, codigo_hash: hashCodigo(codigo) })));
+
+  if (error) throw new Error(`Error guardando códigos de respaldo: ${error.message}`);
+
+  return codigos;
+}
+
+/**
+ * Activa la inscripción pendiente si el código es correcto
+ * @param {string} idUser
+ * @param {string} codigo - Código actual de la aplicación autenticadora
+ * @returns {Promise<string[]|null>} Códigos de respaldo, o null si el código no es válido
+ */
+export async function activarTotp(idUser, codigo) {
+  if (!(await verificarTotpUsuario(idUser, codigo, { pendiente: true }))) return null;
+
+  const { error } = await supabase
+    .from('totp_usuario')
+    .update({ activo: true, activado_en: new Date().toISOString() })
+    .eq('id_user', idUser);
+
+  if (error) throw new Error(`Error activando TOTP: ${error.message}`);
+
+  return generarCodigosRespaldo(idUser);
+}
+
+/**
+ * Consume un código de respaldo (un solo uso)
+ * @param {string} idUser
+ * @param {string} codigo
+ * @returns {Promise<boolean>}
+ */
+export async function consumirCodigoRespaldo(idUser, codigo) {
+  if (!/^[0-9a-f]{5}-?[0-9a-f]{5}$/i.test(String(codigo || '').trim())) return false;
+
+  const { data, error } = await supabase
+    .from('totp_codigo_respaldo')
+    .update({ usado_en: new Date().toISOString() })
+    .eq('id_user', idUser)
+    .eq('codigo_hash', hashCodigo(String(codigo).trim()))
+    .is('usado_en', null)
+    .select('id');
+
+  if (error) throw new Error(`Error consumiendo código de respaldo: ${error.message}`);
+  return !!data?.length;
+}
+
+/**
+ * Verifica un segundo factor: código TOTP o, si no lo es, código de respaldo
+ * @param {string} idUser
+ * @param {string} codigo
+ * @returns {Promise<'totp'|'respaldo'|null>} Método aceptado
+ */
+export async function verificarSegundoFactor(idUser, codigo) {
+  if (await verificarTotpUsuario(idUser, codigo)) return 'totp';
+  if (await consumirCodigoRespaldo(idUser, codigo)) return 'respaldo';
+  return null;
+}
+
+/**
+ * Elimina la verificación en dos pasos del usuario
+ * @param {string} idUser
+ */
+export async function desactivarTotp(idUser) {
+  const { error: codigosError } = await supabase.from('totp_codigo_respaldo').delete().eq('id_user', idUser);
+  if (codigosError) throw new Error(`Error eliminando códigos de respaldo: ${codigosError.message}`);
+
+  const { error } = await supabase.from('totp_usuario').delete().eq('id_user', idUser);
+  if (error) throw new Error(`Error desactivando TOTP: ${error.message}`);
+}
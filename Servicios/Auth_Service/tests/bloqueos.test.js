@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+
+// Tabla bloqueo_cuenta en memoria con lo mínimo del cliente de Supabase que usa bloqueos.js
+const filas = new Map();
+let insercionesConcurrentes = 0;
+
+function consulta() {
+  const filtros = [];
+  let operacion = { tipo: 'select' };
+  const coinciden = () => [...filas.values()].filter(fila => filtros.every(([campo, valor]) => fila[campo] === valor));
+
+  function ejecutar() {
+    if (operacion.tipo === 'insert') {
+      const [fila] = operacion.filas;
+      if (filas.has(fila.email)) return { data: null, error: { code: '23505', message: 'duplicate key' } };
+      filas.set(fila.email, { ...fila });
+      return { data: [{ email: fila.email }], error: null };
+    }
+    if (operacion.tipo === 'update') {
+      const actualizadas = coinciden().map(fila => Object.assign(fila, operacion.cambios));
+      return { data: actualizadas.map(({ email }) => ({ email })), error: null };
+    }
+    return { data: coinciden(), error: null };
+  }
+
+  const builder = {
+    select: () => builder,
+    eq: (campo, valor) => { filtros.push([campo, valor]); return builder; },
+    insert: (nuevas) => {
+      // Simula otro fallo que inserta la misma cuenta justo antes que este
+      if (insercionesConcurrentes-- > 0) filas.set(nuevas[0].email, { ...nuevas[0] });
+      operacion = { tipo: 'insert', filas: nuevas };
+      return builder;
+    },
+    update: (cambios) => { operacion = { tipo: 'update', cambios }; return builder; },
+    maybeSingle: async () => ({ data: coinciden()[0] || null, error: null }),
+    then: (resolver, rechazar) => Promise.resolve(ejecutar()).then(resolver, rechazar)
+  };
+  return builder;
+}
+
+jest.unstable_mockModule('../src/supabase.js', () => ({ supabase: { from: () => consulta() } }));
+
+const { comprobarAcceso, registrarFallo } = await import('../src/bloqueos.js');
+
+const INICIO = new Date('2026-03-02T12:00:00Z').getTime();
+
+beforeEach(() => {
+  filas.clear();
+  insercionesConcurrentes = 0;
+  jest.useFakeTimers({ now: INICIO });
+});
+
+afterEach(() => jest.useRealTimers());
+
+async function fallar(veces, email = 'ana@ideam.gov.co') {
+  const resultados = [];
+  for (let i = 0; i < veces; i++) resultados.push(await registrarFallo(email));
+  return resultados;
+}
+
+describe('registrarFallo', () => {
+  test('impone una espera creciente desde el segundo fallo y bloquea al quinto', async () => {
+    const resultados = await fallar(5);
+
+    expect(resultados).toEqual([
+      { fallos: 1, esperaSegundos: 0, bloqueoMinutos: 0 },
+      { fallos: 2, esperaSegundos: 1, bloqueoMinutos: 0 },
+      { fallos: 3, esperaSegundos: 2, bloqueoMinutos: 0 },
+      { fallos: 4, esperaSegundos: 4, bloqueoMinutos: 0 },
+      { fallos: 5, esperaSegundos: 0, bloqueoMinutos: 15 }
+    ]);
+  });
+
+  test('duplica el bloqueo en cada bloqueo siguiente', async () => {
+    const resultados = await fallar(10);
+    expect(resultados[9]).toEqual({ fallos: 10, esperaSegundos: 0, bloqueoMinutos: 30 });
+  });
+
+  test('cuenta por correo sin distinguir mayúsculas ni espacios', async () => {
+    await fallar(1, ' Ana@IDEAM.gov.co ');
+    const [segundo] = await fallar(1);
+    expect(segundo.fallos).toBe(2);
+  });
+
+  test('reinicia el contador tras la ventana sin fallos', async () => {
+    await fallar(3);
+    jest.setSystemTime(INICIO + 25 * 3600 * 1000);
+
+    const [siguiente] = await fallar(1);
+    expect(siguiente).toEqual({ fallos: 1, esperaSegundos: 0, bloqueoMinutos: 0 });
+  });
+
+  test('relee el registro si otro fallo insertó la cuenta al mismo tiempo', async () => {
+    insercionesConcurrentes = 1;
+    const [resultado] = await fallar(1);
+    expect(resultado.fallos).toBe(2);
+  });
+});
+
+describe('comprobarAcceso', () => {
+  test('permite el acceso a una cuenta sin fallos', async () => {
+    await expect(comprobarAcceso('ana@ideam.gov.co')).resolves.toEqual({ permitido: true });
+  });
+
+  test('indica la espera pendiente y la levanta al vencer', async () => {
+    await fallar(3);
+    await expect(comprobarAcceso('ana@ideam.gov.co'))
+      .resolves.toEqual({ permitido: false, motivo: 'espera', reintentarEn: 2 });
+
+    jest.setSystemTime(INICIO + 2000);
+    await expect(comprobarAcceso('ana@ideam.gov.co')).resolves.toEqual({ permitido: true });
+  });
+
+  test('rechaza la cuenta bloqueada hasta que vence el bloqueo', async () => {
+    await fallar(5);
+    await expect(comprobarAcceso('ana@ideam.gov.co'))
+      .resolves.toEqual({ permitido: false, motivo: 'bloqueada', reintentarEn: 15 * 60 });
+
+    jest.setSystemTime(INICIO + 15 * 60 * 1000);
+    await expect(comprobarAcceso('ana@ideam.gov.co')).resolves.toEqual({ permitido: true });
+  });
+});
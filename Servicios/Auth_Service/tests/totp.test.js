@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+
+// totp.js solo usa la base de datos en las funciones por usuario; aquí basta con detectar accesos
+const supabase = { from: jest.fn(() => { throw new Error('acceso inesperado a la base de datos'); }) };
+jest.unstable_mockModule('../src/supabase.js', () => ({ supabase }));
+
+const { codigoTotp, verificarCodigoTotp, uriAprovisionamiento, consumirCodigoRespaldo } = await import('../src/totp.js');
+
+// Secreto de los vectores de prueba de RFC 6238 ('12345678901234567890' en base32)
+const SECRETO = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const enSegundo = (segundos) => jest.spyOn(Date, 'now').mockReturnValue(segundos * 1000);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('codigoTotp', () => {
+  test.each([
+    [1, '287082'],
+    [37037036, '081804'],
+    [41152263, '005924'],
+    [66666666, '279037']
+  ])('coincide con RFC 6238 en el paso %i', (paso, codigo) => {
+    expect(codigoTotp(SECRETO, paso)).toBe(codigo);
+  });
+
+  test('rechaza secretos que no son base32', () => {
+    expect(() => codigoTotp('SECRETO-1', 1)).toThrow('Secreto base32 inválido');
+  });
+});
+
+describe('verificarCodigoTotp', () => {
+  test('acepta el paso actual y uno de tolerancia a cada lado', () => {
+    enSegundo(1111111109);
+    expect(verificarCodigoTotp(SECRETO, '081804')).toBe(37037036);
+    expect(verificarCodigoTotp(SECRETO, codigoTotp(SECRETO, 37037035))).toBe(37037035);
+    expect(verificarCodigoTotp(SECRETO, codigoTotp(SECRETO, 37037037))).toBe(37037037);
+    expect(verificarCodigoTotp(SECRETO, codigoTotp(SECRETO, 37037038))).toBeNull();
+  });
+
+  test('ignora espacios y rechaza lo que no son 6 dígitos', () => {
+    enSegundo(1111111109);
+    expect(verificarCodigoTotp(SECRETO, '081 804')).toBe(37037036);
+    expect(verificarCodigoTotp(SECRETO, '81804')).toBeNull();
+    expect(verificarCodigoTotp(SECRETO, undefined)).toBeNull();
+  });
+
+  test('no acepta de nuevo un paso ya usado ni uno anterior', () => {
+    enSegundo(1111111109);
+    expect(verificarCodigoTotp(SECRETO, '081804', 37037036)).toBeNull();
+    expect(verificarCodigoTotp(SECRETO, codigoTotp(SECRETO, 37037035), 37037035)).toBeNull();
+  });
+});
+
+describe('uriAprovisionamiento', () => {
+  test('codifica emisor y cuenta con %20 y declara los parámetros del código', () => {
+    expect(uriAprovisionamiento(SECRETO, 'ana@ideam.gov.co')).toBe(
+      `otpauth://totp/IDEAM%20Herbario%3Aana%40ideam.gov.co?secret=${SECRETO}&issuer=IDEAM%20Herbario` +
+      '&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('consumirCodigoRespaldo', () => {
+  test('descarta sin consultar los códigos con otro formato', async () => {
+    await expect(consumirCodigoRespaldo('u1', '123456')).resolves.toBe(false);
+    await expect(consumirCodigoRespaldo('u1', 'zzzzz-zzzzz')).resolves.toBe(false);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
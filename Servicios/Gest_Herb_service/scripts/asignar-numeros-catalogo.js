@@ -0,0 +1,74 @@
+/**
+ * Script para asignar número de catálogo a las muestras recibidas antes de que Recepcion_service
+ * los asignara (muestra_botanica.numero_catalogo nulo)
+ * Usa el mismo prefijo que Recepcion_service (CATALOGO_PREFIJO, por defecto IFN).
+ * Ejecutar con: node scripts/asignar-numeros-catalogo.js
+ */
+
+import { supabase } from '../src/supabase.js';
+import { generarNumeroCatalogo } from '../../shared/models/Especimen.js';
+
+const TAMANO_LOTE = 500;
+const INTENTOS_POR_MUESTRA = 3;
+const prefijo = process.env.CATALOGO_PREFIJO || 'IFN';
+
+async function asignarNumero(idMuestra) {
+  for (let intento = 1; intento <= INTENTOS_POR_MUESTRA; intento++) {
+    const numeroCatalogo = generarNumeroCatalogo(prefijo);
+    const { error } = await supabase
+      .from('muestra_botanica')
+      .update({ numero_catalogo: numeroCatalogo })
+      .eq('id', idMuestra)
+      .is('numero_catalogo', null);
+
+    if (!error) return numeroCatalogo;
+    // 23505: el número ya existe (colisión); se intenta con otro
+    if (error.code !== '23505') throw error;
+  }
+  throw new Error(`No se pudo asignar un número único a la muestra ${idMuestra}`);
+}
+
+async function asignarNumerosCatalogo() {
+  console.log(`🔖 Asignando números de catálogo (prefijo ${prefijo})...\n`);
+  let asignadas = 0;
+  let fallidas = 0;
+
+  // Cada lote vuelve a pedir las muestras sin número: las ya actualizadas salen de la consulta
+  for (;;) {
+    const { data: muestras, error } = await supabase
+      .from('muestra_botanica')
+      .select('id')
+      .is('numero_catalogo', null)
+      .order('id', { ascending: true })
+      .limit(TAMANO_LOTE);
+
+    if (error) throw error;
+    if (!muestras?.length) break;
+
+    let asignadasLote = 0;
+    for (const muestra of muestras) {
+      try {
+        const numeroCatalogo = await asignarNumero(muestra.id);
+        console.log(`   ✅ Muestra ${muestra.id}: ${numeroCatalogo}`);
+        asignadasLote++;
+      } catch (err) {
+        console.log(`   ❌ Muestra ${muestra.id}: ${err.message}`);
+        fallidas++;
+      }
+    }
+
+    asignadas += asignadasLote;
+    // Un lote sin ninguna asignación repetiría las mismas muestras indefinidamente
+    if (asignadasLote === 0) break;
+  }
+
+  console.log(`\n✨ Proceso completado: ${asignadas} asignadas, ${fallidas} con error\n`);
+  return fallidas;
+}
+
+asignarNumerosCatalogo()
+  .then(fallidas => process.exit(fallidas > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('Error fatal:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,81 @@
+-- Historial de determinaciones y cambios de la determinación aceptada en una sola transacción
+-- Usadas por Gest_Herb_service (registrarDeterminacion y PUT /muestras/:id/determinaciones/:idDeterminacion/aceptada).
+-- Ejecutar en el editor SQL de Supabase.
+
+-- Solo inserción: una determinación nunca se edita ni se borra; lo único que cambia es cuál es la aceptada
+create table if not exists determinacion_historial (
+  id bigint generated always as identity primary key,
+  id_muestra bigint not null references muestra_botanica (id),
+  -- La clasificación de la que proviene (las re-determinaciones manuales no tienen)
+  id_clasificacion bigint references clasificacion_herbario (id),
+  id_especie bigint references especie (id),
+  id_genero bigint references genero (id),
+  calificador text check (calificador in ('cf.', 'aff.', 'sp. nov.')),
+  id_determinador uuid not null references auth.users (id),
+  fecha_determinacion timestamptz not null default now(),
+  motivo text not null,
+  referencia text,
+  aceptada boolean not null default false,
+  created_at timestamptz not null default now(),
+  -- A lo sumo una aceptada por muestra; diferida porque aceptar_determinacion cambia ambas filas en un UPDATE
+  constraint determinacion_historial_una_aceptada
+    exclude using btree (id_muestra with =) where (aceptada) deferrable initially deferred
+);
+
+create index if not exists determinacion_historial_id_muestra_idx
+  on determinacion_historial (id_muestra, fecha_determinacion desc);
+
+-- Agrega una determinación al historial; si p_aceptada, las demás de la muestra dejan de ser la aceptada
+-- en la misma transacción (si la inserción falla, la aceptada anterior se conserva)
+create or replace function registrar_determinacion(p_determinacion jsonb, p_aceptada boolean default false)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_fila determinacion_historial;
+  v_id bigint;
+begin
+  v_fila := jsonb_populate_record(null::determinacion_historial, p_determinacion);
+
+  if p_aceptada then
+    update determinacion_historial
+       set aceptada = false
+     where id_muestra = v_fila.id_muestra
+       and aceptada;
+  end if;
+
+  insert into determinacion_historial (
+    id_muestra, id_clasificacion, id_especie, id_genero, calificador, id_determinador,
+    fecha_determinacion, motivo, referencia, aceptada
+  ) values (
+    v_fila.id_muestra, v_fila.id_clasificacion, v_fila.id_especie, v_fila.id_genero, v_fila.calificador,
+    v_fila.id_determinador, coalesce(v_fila.fecha_determinacion, now()), v_fila.motivo, v_fila.referencia,
+    p_aceptada
+  )
+  returning id into v_id;
+
+  return v_id;
+end;
+$$;
+
+-- Marca una determinación de la muestra como la aceptada y desmarca la anterior con un solo UPDATE
+-- Devuelve null si la determinación no pertenece a la muestra (no cambia nada)
+create or replace function aceptar_determinacion(p_id_muestra bigint, p_id_determinacion bigint)
+returns bigint
+language plpgsql
+as $$
+begin
+  if not exists (
+    select 1 from determinacion_historial where id = p_id_determinacion and id_muestra = p_id_muestra
+  ) then
+    return null;
+  end if;
+
+  update determinacion_historial
+     set aceptada = (id = p_id_determinacion)
+   where id_muestra = p_id_muestra
+     and (aceptada or id = p_id_determinacion);
+
+  return p_id_determinacion;
+end;
+$$;
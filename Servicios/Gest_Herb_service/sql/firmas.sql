@@ -0,0 +1,22 @@
+-- Firma electrónica de clasificaciones (POST /clasificaciones/:id/firma y GET /clasificaciones/:id/firma/verificar)
+-- Ejecutar en el editor SQL de Supabase.
+
+create table if not exists firma_clasificacion (
+  id bigint generated always as identity primary key,
+  id_clasificacion bigint not null references clasificacion_herbario (id),
+  -- SHA-256 (hex) del contenido firmable de la clasificación
+  hash_contenido text not null,
+  -- HMAC (base64) con FIRMA_HMAC_KEY_B64 sobre id_clasificacion|hash_contenido|firmado_por|step_up_jti
+  firma_hmac text not null,
+  algoritmo text not null,
+  firmado_por uuid not null references auth.users (id),
+  email_firmante text,
+  -- Un token de step-up sirve para una sola firma
+  step_up_jti text not null unique,
+  fecha_firma timestamptz not null default now(),
+  -- amr del step-up: {pwd} o {pwd,otp}
+  metodos_autenticacion text[]
+);
+
+create index if not exists firma_clasificacion_id_clasificacion_idx
+  on firma_clasificacion (id_clasificacion, fecha_firma desc);
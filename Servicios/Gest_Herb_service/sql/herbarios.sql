@@ -0,0 +1,32 @@
+-- Herbario de paquetes, muestras y clasificaciones (contextoHerbario, shared/middleware/herbario.js)
+-- Ejecutar en el editor SQL de Supabase. El RPC crear_paquete_con_muestras debe guardar el id_herbario
+-- que Recepcion_service envía en p_paquete y en cada elemento de p_muestras.
+
+alter table paquete
+  add column if not exists id_herbario bigint references herbario (id);
+
+alter table muestra_botanica
+  add column if not exists id_herbario bigint references herbario (id);
+
+alter table clasificacion_herbario
+  add column if not exists id_herbario bigint references herbario (id);
+
+create index if not exists paquete_id_herbario_idx on paquete (id_herbario);
+create index if not exists muestra_botanica_id_herbario_idx on muestra_botanica (id_herbario);
+create index if not exists clasificacion_herbario_id_herbario_idx on clasificacion_herbario (id_herbario);
+
+-- Registros anteriores: heredan el herbario de su paquete (o muestra); los que queden sin herbario
+-- solo los ve quien tiene herbario:cambiar
+update muestra_botanica m
+   set id_herbario = p.id_herbario
+  from paquete p
+ where m.id_paquete = p.id
+   and m.id_herbario is null
+   and p.id_herbario is not null;
+
+update clasificacion_herbario c
+   set id_herbario = m.id_herbario
+  from muestra_botanica m
+ where c.id_muestra = m.id
+   and c.id_herbario is null
+   and m.id_herbario is not null;
@@ -0,0 +1,18 @@
+-- Categorías infraespecíficas (POST /api/taxonomia/infraespecies) y su uso en clasificaciones
+-- Ejecutar en el editor SQL de Supabase.
+
+create table if not exists infraespecie (
+  id bigint generated always as identity primary key,
+  id_especie bigint not null references especie (id),
+  rango text not null check (rango in ('subespecie', 'variedad', 'forma')),
+  epiteto text not null,
+  autor text,
+  nombre_comun text,
+  tipo_amenaza text,
+  created_at timestamptz not null default now(),
+  unique (id_especie, rango, epiteto)
+);
+
+-- Opcional; debe ser una infraespecie de la id_especie de la clasificación (lo valida Gest_Herb_service)
+alter table clasificacion_herbario
+  add column if not exists id_infraespecie bigint references infraespecie (id);
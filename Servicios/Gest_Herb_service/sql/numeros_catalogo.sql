@@ -0,0 +1,31 @@
+-- Número de catálogo permanente de cada muestra (lo asigna Recepcion_service al recibirla)
+-- Ejecutar en el editor SQL de Supabase. El RPC crear_paquete_con_muestras debe guardar el
+-- numero_catalogo que Recepcion_service envía en cada elemento de p_muestras.
+
+alter table muestra_botanica
+  add column if not exists numero_catalogo text;
+
+-- Una colisión al generarlo (23505) hace que se genere otro
+create unique index if not exists muestra_botanica_numero_catalogo_key
+  on muestra_botanica (numero_catalogo);
+
+-- Una vez asignado no cambia: es el identificador público de la ficha y de la cita
+create or replace function numero_catalogo_inmutable()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.numero_catalogo is not null and new.numero_catalogo is distinct from old.numero_catalogo then
+    raise exception 'numero_catalogo no se puede modificar (muestra %)', old.id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists muestra_botanica_numero_catalogo_inmutable on muestra_botanica;
+create trigger muestra_botanica_numero_catalogo_inmutable
+  before update of numero_catalogo on muestra_botanica
+  for each row execute function numero_catalogo_inmutable();
+
+-- Después de node scripts/asignar-numeros-catalogo.js (muestras recibidas antes):
+-- alter table muestra_botanica alter column numero_catalogo set not null;
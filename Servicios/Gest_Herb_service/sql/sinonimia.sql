@@ -0,0 +1,20 @@
+-- Sinonimia y citas de autor del catálogo taxonómico (rutas /api/taxonomia/especies)
+-- Ejecutar en el editor SQL de Supabase.
+
+alter table especie
+  add column if not exists autor text,
+  add column if not exists estado_nombre text not null default 'aceptado',
+  -- Nombre aceptado: obligatorio para sinónimos, opcional para dudosos
+  add column if not exists id_especie_aceptada bigint references especie (id);
+
+alter table especie
+  add constraint especie_estado_nombre_check
+    check (estado_nombre in ('aceptado', 'sinonimo', 'dudoso')),
+  add constraint especie_sinonimo_con_aceptada_check
+    check (estado_nombre <> 'sinonimo' or id_especie_aceptada is not null),
+  add constraint especie_aceptado_sin_aceptada_check
+    check (estado_nombre <> 'aceptado' or id_especie_aceptada is null),
+  add constraint especie_aceptada_distinta_check
+    check (id_especie_aceptada is null or id_especie_aceptada <> id);
+
+create index if not exists especie_id_especie_aceptada_idx on especie (id_especie_aceptada);
@@ -30,8 +30,31 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import crypto from 'crypto';
 import { supabase } from './supabase.js';
 import { externalApiClient } from './externalApiClient.js';
+import { identificarUsuario } from '../../shared/middleware/auth.js';
+import { configuracionDwca, generarDwca, idOcurrencia, mapearOcurrencia } from './dwca.js';
+import { armarFichaEspecimen } from './ficha.js';
+import { buscarEspecimenes, indexarEspecimen, validarCriteriosBusqueda } from './especimenes.js';
+import { conglomeradosGeoJson, validarFiltrosMapa } from './mapa.js';
+import { normalizarTexto } from './texto.js';
+import { MODOS_IMPORTACION, claveNombre, parsearChecklist, planificarImportacion } from './checklist.js';
+import {
+  ESTADOS_CLASIFICACION,
+  ESTADOS_CERRADOS,
+  ESTADOS_EDITABLES,
+  validarTransicion
+} from '../../shared/models/EstadoClasificacion.js';
+import { PERMISOS, PERMISOS_RUTAS_ADMIN, tienePermiso } from '../../shared/models/Permisos.js';
+import { requierePermiso } from '../../shared/middleware/permisos.js';
+import { exigirGateway } from '../../shared/middleware/gateway.js';
+import { clavesServicios, conservarCuerpo, exigirServicio, identificarServicio } from '../../shared/middleware/servicios.js';
+import { contextoHerbario, enContextoHerbario, filtrarPorHerbario } from '../../shared/middleware/herbario.js';
+import { signMessage, verifyMessage } from '../../shared/crypto/hmac.js';
+import { verifyAccessToken } from '../../shared/crypto/jwt.js';
+import { RANGOS_INFRAESPECIFICOS, autoriaTaxon, formatearNombreCientifico, rangoTaxon } from '../../shared/models/NombreCientifico.js';
+import { normalizarNumeroCatalogo } from '../../shared/models/Especimen.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -82,7 +105,12 @@ supabase.from('region').select('*').limit(1)
 const app = express();
 
 app.set('logger', logger); // Hacer logger accesible en el middleware
-app.use(express.json({ charset: 'utf-8' }));
+// Detrás del Api_Gateway: la IP del cliente llega en x-forwarded-for (límites por IP y registros)
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+app.use(express.json({ charset: 'utf-8', verify: conservarCuerpo }));
+// Listas de chequeo en texto (POST /admin/taxonomia/importar): se leen antes de exigirGateway,
+// que verifica el hash del cuerpo
+app.use(express.text({ type: ['text/*', 'application/csv'], limit: '5mb', verify: conservarCuerpo }));
 app.use(express.urlencoded({ extended: true, charset: 'utf-8' }));
 app.use(cors());
 app.use(helmet());
@@ -99,6 +127,30 @@ app.use(logger.expressMiddleware());
 const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 });
 app.use(limiter);
 
+// Identificación del usuario (req.user) a partir del JWT reenviado por el gateway
+app.use(identificarUsuario);
+
+// Identificación del servicio interno que llama (req.servicio): Lab_Service y Recepcion_service
+// firman sus peticiones y solo pueden invocar sus operaciones de OPERACIONES_POR_SERVICIO
+const clavesDeServicios = clavesServicios();
+if (Object.keys(clavesDeServicios).length === 0) {
+  logger.warn('SERVICIOS_HMAC_KEYS no configurada: se rechazarán las peticiones de otros servicios');
+}
+app.use(identificarServicio(clavesDeServicios));
+
+// Administración: solo a través del Api_Gateway (que ya verificó el token y su revocación)
+// y con el permiso de cada grupo de rutas
+if (!process.env.GATEWAY_HMAC_KEY_B64) {
+  logger.warn('GATEWAY_HMAC_KEY_B64 no configurada: se rechazarán todas las peticiones a /admin');
+}
+app.use('/admin', exigirGateway());
+for (const [ruta, permiso] of Object.entries(PERMISOS_RUTAS_ADMIN)) {
+  app.use(ruta, requierePermiso(permiso));
+}
+
+// Muestras, clasificaciones y usuarios se filtran y sellan con el herbario del usuario (req.herbario)
+app.use(['/muestras', '/clasificaciones', '/admin/usuarios'], contextoHerbario);
+
 // ===== ENDPOINTS PRINCIPALES =====
 
 // Health check básico
@@ -109,10 +161,11 @@ app.get('/health', (req, res) => res.json({ ok: true }));
 /**
  * POST /conglomerados/sincronizar/:id
  * Sincroniza un conglomerado desde el servicio externo a la BD local
+ * Solo para servicios internos firmados (Recepcion_service)
  * @param {string} id - ID del conglomerado a sincronizar
  * @returns {Object} Resultado de la sincronización
  */
-app.post('/conglomerados/sincronizar/:id', async (req, res) => {
+app.post('/conglomerados/sincronizar/:id', exigirServicio(), async (req, res) => {
   try {
     const { id } = req.params;
     const conglomeradoId = parseInt(id, 10);
@@ -229,6 +282,54 @@ app.post('/conglomerados/sincronizar/:id', async (req, res) => {
 
 // ===== PAQUETES =====
 
+// ===== CONTEXTO DE HERBARIO =====
+//
+// muestra_botanica, clasificacion_herbario y paquete llevan id_herbario (el de quien recibió
+// el paquete; la clasificación hereda el de su muestra). Los registros de otro herbario se
+// responden como inexistentes y id_herbario no se modifica desde el cuerpo de la petición.
+
+/**
+ * Middleware: el registro indicado debe pertenecer al herbario de la petición
+ * Deja su herbario en req.herbarioRegistro para sellar lo que se cree a partir de él.
+ * @param {string} tabla - 'muestra_botanica' o 'clasificacion_herbario'
+ * @param {Function} obtenerId - (req) => id del registro
+ * @param {string} mensaje - Error 404
+ * @returns {Function} Middleware de Express
+ */
+function registroEnContexto(tabla, obtenerId, mensaje) {
+  return async (req, res, next) => {
+    try {
+      if (req.body) delete req.body.id_herbario;
+
+      const id = parseInt(obtenerId(req), 10);
+      if (isNaN(id)) return next(); // la ruta responde al ID inválido
+
+      const { data, error } = await supabase
+        .from(tabla)
+        .select('id_herbario')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data || !enContextoHerbario(req, data.id_herbario)) {
+        return res.status(404).json({ error: mensaje });
+      }
+
+      req.herbarioRegistro = data.id_herbario;
+      next();
+    } catch (err) {
+      logger.error('Error comprobando herbario del registro', { tabla, error: err.message });
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  };
+}
+
+const muestraEnContexto = (obtenerId = req => req.params.id) =>
+  registroEnContexto('muestra_botanica', obtenerId, 'Muestra no encontrada');
+
+const clasificacionEnContexto = (obtenerId = req => req.params.id) =>
+  registroEnContexto('clasificacion_herbario', obtenerId, 'Clasificación no encontrada');
+
 // ===== MUESTRAS BOTÁNICAS =====
 
 /**
@@ -281,6 +382,8 @@ app.get('/muestras/pendientes', async (req, res) => {
       .not('id_paquete', 'is', null)
       .order('id', { ascending: true });
 
+    query = filtrarPorHerbario(query, req);
+
     // Excluir muestras que ya tienen clasificación (cualquier estado)
     if (idsConClasificacion.length > 0) {
       query = query.not('id', 'in', `(${idsConClasificacion.join(',')})`);
@@ -340,8 +443,143 @@ app.get('/muestras/pendientes', async (req, res) => {
   }
 });
 
-app.put('/muestras/:id', async (req, res) => {
+/**
+ * GET /muestras/:id
+ * Obtiene una muestra botánica con toda su procedencia
+ * Usado por Lab_Service (HerbarioLabService.obtenerMuestra)
+ * @param {string} id - ID de la muestra
+ * @returns {Object} Muestra con paquete, conglomerado (servicio externo), subparcela,
+ *                   clasificaciones (con especie y archivo) y archivos vinculados
+ */
+app.get('/muestras/:id', muestraEnContexto(), async (req, res) => {
+  try {
+    const idMuestra = parseInt(req.params.id, 10);
+
+    if (isNaN(idMuestra)) {
+      return res.status(400).json({ error: 'ID de muestra inválido' });
+    }
+
+    // PASO 1: Muestra con su paquete y clasificaciones (todas, cualquier estado)
+    const { data: muestra, error } = await supabase
+      .from('muestra_botanica')
+      .select(`
+        *,
+        paquete(
+          id,
+          num_paquete,
+          estado,
+          cantidad_ejemplares,
+          fecha_envio,
+          fecha_recibido_herbario,
+          observaciones_generales,
+          id_conglomerado,
+          conglomerado(id, codigo, latitud_dec, longitud_dec, id_municipio)
+        ),
+        clasificaciones:clasificacion_herbario(
+          *,
+          especie:id_especie(
+            id,
+            nombre,
+            nombre_comun,
+            tipo_amenaza,
+            genero:id_genero(
+              id,
+              nombre,
+              familia:id_familia(id, nombre)
+            )
+          ),
+          archivo:id_foto(*)
+        )
+      `)
+      .eq('id', idMuestra)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      logger.error('Error obteniendo muestra', { id: idMuestra, error: error.message });
+      return res.status(500).json({ error: 'Error obteniendo muestra' });
+    }
+
+    if (!muestra) {
+      return res.status(404).json({ error: 'Muestra no encontrada' });
+    }
+
+    // PASO 2: Enriquecer conglomerado y subparcela desde el SERVICIO EXTERNO
+    const conglomeradoLocal = muestra.paquete?.conglomerado || null;
+    let conglomerado = conglomeradoLocal;
+    let subparcela = null;
+
+    if (conglomeradoLocal?.codigo) {
+      try {
+        const externo = await externalApiClient.buscarConglomeradoPorCodigo(conglomeradoLocal.codigo);
+        conglomerado = { ...conglomeradoLocal, ...externo };
+      } catch (err) {
+        logger.warn('No se pudo enriquecer conglomerado desde servicio externo', {
+          codigo: conglomeradoLocal.codigo,
+          error: err.message
+        });
+      }
+
+      if (muestra.id_subparcelas) {
+        try {
+          const subparcelas = await externalApiClient.obtenerSubparcelasPorConglomerado(conglomeradoLocal.codigo);
+          subparcela = subparcelas.find(sp => sp.id === muestra.id_subparcelas) || null;
+        } catch (err) {
+          logger.warn('No se pudo obtener subparcela desde servicio externo', {
+            codigo: conglomeradoLocal.codigo,
+            error: err.message
+          });
+        }
+      }
+    }
+
+    // PASO 3: Ordenar clasificaciones (más reciente primero) y reunir archivos vinculados
+    const clasificaciones = (muestra.clasificaciones || [])
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    const archivosMap = new Map();
+    clasificaciones.forEach(c => {
+      if (c.archivo) archivosMap.set(c.archivo.id, c.archivo);
+    });
+
+    const { paquete, clasificaciones: _clasificaciones, ...datosMuestra } = muestra;
+    const { conglomerado: _conglomerado, ...datosPaquete } = paquete || {};
+
+    res.json({
+      ...datosMuestra,
+      paquete: paquete ? datosPaquete : null,
+      conglomerado,
+      subparcela,
+      clasificaciones,
+      archivos: Array.from(archivosMap.values())
+    });
+  } catch (err) {
+    logger.error('Error en GET /muestras/:id', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Columnas que Lab_Service actualiza al clasificar; numero_catalogo, id_herbario, paquete, etc. no cambian por aquí
+const CAMPOS_ACTUALIZABLES_MUESTRA = [
+  'estado_muestra',
+  'familia_identificada',
+  'genero_identificado',
+  'especie_identificada',
+  'fecha_actualizacion'
+];
+
+// Solo Lab_Service (firma de servicio) con las cabeceras del usuario que clasifica
+app.put('/muestras/:id', exigirServicio(), muestraEnContexto(), async (req, res) => {
   try {
+    const campos = Object.keys(req.body || {});
+    const noPermitidos = campos.filter(campo => !CAMPOS_ACTUALIZABLES_MUESTRA.includes(campo));
+    if (noPermitidos.length || campos.length === 0) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        details: [`Solo se pueden actualizar: ${CAMPOS_ACTUALIZABLES_MUESTRA.join(', ')}`],
+        campos_no_permitidos: noPermitidos
+      });
+    }
+
     const { data, error } = await supabase
       .from('muestra_botanica')
       .update(req.body)
@@ -363,6 +601,87 @@ app.put('/muestras/:id', async (req, res) => {
 
 // ===== CLASIFICACIONES TAXONÓMICAS =====
 
+/**
+ * Valida un cambio de estado de clasificación con la máquina de estados compartida
+ * (shared/models/EstadoClasificacion.js).
+ * - Las transiciones que exigen firma solo se hacen por POST /clasificaciones/:id/firma.
+ * - Cerrar una clasificación firmada exige que su firma siga siendo válida.
+ * @param {Object} req - Petición (usa req.user)
+ * @param {string|null} estadoActual - Estado actual (null si no existe clasificación)
+ * @param {string} estadoNuevo - Estado solicitado
+ * @param {Object} clasificacion - Datos de la clasificación tras el cambio
+ * @returns {Promise<Object>} { isValid, status, error }
+ */
+async function validarCambioEstado(req, estadoActual, estadoNuevo, clasificacion) {
+  const resultado = validarTransicion(estadoActual, estadoNuevo, {
+    rol: req.user?.role,
+    clasificacion
+  });
+
+  if (!resultado.isValid) {
+    return resultado;
+  }
+
+  if (resultado.regla?.requiereFirma) {
+    return {
+      isValid: false,
+      status: 409,
+      error: {
+        error: 'La firma requiere verificación de identidad',
+        codigo: 'FIRMA_REQUERIDA',
+        mensaje: 'Use POST /clasificaciones/:id/firma con un token de step-up de Auth_Service'
+      }
+    };
+  }
+
+  if (estadoActual === 'firmado' && clasificacion.id) {
+    const verificacion = await verificarFirmaClasificacion(clasificacion.id);
+    if (verificacion.firmada && !verificacion.valida) {
+      return {
+        isValid: false,
+        status: 409,
+        error: {
+          error: 'La firma de la clasificación no es válida',
+          codigo: 'FIRMA_ALTERADA',
+          mensaje: 'El contenido cambió después de firmarse; debe revisarse antes de cerrar la clasificación'
+        }
+      };
+    }
+  }
+
+  return resultado;
+}
+
+/**
+ * Valida que la infraespecie de una clasificación (si la hay) pertenezca a su especie
+ * @param {Object} clasificacion - Datos de la clasificación tras el cambio
+ * @returns {Promise<Object>} { isValid, status, error }
+ */
+async function validarTaxonClasificacion(clasificacion) {
+  if (!clasificacion.id_infraespecie) return { isValid: true };
+
+  const { data: infraespecie, error } = await supabase
+    .from('infraespecie')
+    .select('id, id_especie')
+    .eq('id', clasificacion.id_infraespecie)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!infraespecie) {
+    return { isValid: false, status: 400, error: { error: 'La infraespecie no existe' } };
+  }
+  if (String(infraespecie.id_especie) !== String(clasificacion.id_especie)) {
+    return {
+      isValid: false,
+      status: 400,
+      error: { error: 'La infraespecie no pertenece a la especie de la clasificación' }
+    };
+  }
+
+  return { isValid: true };
+}
+
 /**
  * GET /muestras/estado/:estado
  * Obtiene muestras clasificadas filtradas por estado
@@ -377,12 +696,11 @@ app.get('/muestras/estado/:estado', async (req, res) => {
     const { limit = 50, offset = 0 } = req.query
 
     // Validar estado
-    const estadosValidos = ['pendiente', 'en_analisis', 'borrador', 'firmado', 'completado']
-    if (!estadosValidos.includes(estado)) {
+    if (!ESTADOS_CLASIFICACION.includes(estado)) {
       return res.status(400).json({ error: 'Estado inválido' })
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await filtrarPorHerbario(supabase
       .from('clasificacion_herbario')
       .select(`
         id,
@@ -414,7 +732,7 @@ app.get('/muestras/estado/:estado', async (req, res) => {
         ),
         archivos:id_foto(path, name)
       `)
-      .eq('estado', estado)
+      .eq('estado', estado), req)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1)
 
@@ -488,7 +806,7 @@ app.get('/muestras/estado/:estado', async (req, res) => {
  * @param {string} id - ID de la clasificación
  * @returns {Object} Clasificación con información de archivo si existe
  */
-app.get('/clasificaciones/:id', async (req, res) => {
+app.get('/clasificaciones/:id', clasificacionEnContexto(), async (req, res) => {
   try {
     const { id } = req.params
     
@@ -557,7 +875,7 @@ app.get('/archivos/:id', async (req, res) => {
  * @param {string} muestraId - ID de la muestra
  * @returns {Object|null} Clasificación existente o null si no existe
  */
-app.get('/clasificaciones/muestra/:muestraId', async (req, res) => {
+app.get('/clasificaciones/muestra/:muestraId', muestraEnContexto(req => req.params.muestraId), async (req, res) => {
   try {
     const { muestraId } = req.params;
     const muestraIdNum = parseInt(muestraId, 10);
@@ -598,13 +916,26 @@ app.get('/clasificaciones/muestra/:muestraId', async (req, res) => {
  * @param {string} [req.body.estado_reproductivo] - Estado reproductivo
  * @param {number} [req.body.id_foto] - ID del archivo de imagen
  * @param {number} [req.body.id_determinador] - ID del determinador
+ * @param {number} [req.body.id_infraespecie] - Subespecie, variedad o forma de id_especie
  * @returns {Object} ID de la clasificación creada
  */
-app.post('/clasificaciones', async (req, res) => {
+app.post('/clasificaciones', muestraEnContexto(req => req.body.id_muestra), async (req, res) => {
   try {
+    // La clasificación nace en un estado inicial (pendiente, en_analisis o borrador)
+    const estado = req.body.estado || 'borrador';
+    const validacion = await validarCambioEstado(req, null, estado, req.body);
+    if (!validacion.isValid) {
+      return res.status(validacion.status).json(validacion.error);
+    }
+
+    const validacionTaxon = await validarTaxonClasificacion(req.body);
+    if (!validacionTaxon.isValid) {
+      return res.status(validacionTaxon.status).json(validacionTaxon.error);
+    }
+
     const { data, error } = await supabase
       .from('clasificacion_herbario')
-      .insert(req.body)
+      .insert({ ...req.body, estado, id_herbario: req.herbarioRegistro ?? null })
       .select('id')
       .single();
 
@@ -644,9 +975,36 @@ app.post('/clasificaciones', async (req, res) => {
 });
 
 // Actualizar clasificación existente (borrador)
-app.put('/clasificaciones/:id', async (req, res) => {
+app.put('/clasificaciones/:id', clasificacionEnContexto(), async (req, res) => {
   try {
     const { id } = req.params;
+
+    const { data: actual, error: findError } = await supabase
+      .from('clasificacion_herbario')
+      .select('id, estado, id_especie, id_infraespecie, id_determinador')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (findError) {
+      console.error('Error buscando clasificación:', findError);
+      return res.status(500).json({ error: 'Error buscando clasificación' });
+    }
+
+    if (!actual) {
+      return res.status(404).json({ error: 'Clasificación no encontrada' });
+    }
+
+    // Solo se editan clasificaciones abiertas; el cambio de estado (si viene) pasa por la máquina de estados
+    const validacion = await validarCambioEstado(req, actual.estado, req.body.estado || actual.estado, { ...actual, ...req.body });
+    if (!validacion.isValid) {
+      return res.status(validacion.status).json(validacion.error);
+    }
+
+    const validacionTaxon = await validarTaxonClasificacion({ ...actual, ...req.body });
+    if (!validacionTaxon.isValid) {
+      return res.status(validacionTaxon.status).json(validacionTaxon.error);
+    }
+
     const { data, error } = await supabase
       .from('clasificacion_herbario')
       .update(req.body)
@@ -673,7 +1031,7 @@ app.put('/clasificaciones/:id', async (req, res) => {
  * @param {Object} req.body - Datos de la clasificación a actualizar/crear
  * @returns {Object} ID de la clasificación actualizada o creada
  */
-app.put('/clasificaciones/muestra/:muestraId', async (req, res) => {
+app.put('/clasificaciones/muestra/:muestraId', muestraEnContexto(req => req.params.muestraId), async (req, res) => {
   try {
     const { muestraId } = req.params;
     const muestraIdNum = parseInt(muestraId, 10);
@@ -685,7 +1043,7 @@ app.put('/clasificaciones/muestra/:muestraId', async (req, res) => {
     // Primero verificar si existe una clasificación para esta muestra
     const { data: existing, error: findError } = await supabase
       .from('clasificacion_herbario')
-      .select('id, estado')
+      .select('id, estado, id_especie, id_infraespecie, id_determinador')
       .eq('id_muestra', muestraIdNum)
       .single();
 
@@ -696,14 +1054,25 @@ app.put('/clasificaciones/muestra/:muestraId', async (req, res) => {
 
     if (existing) {
       // Si existe, verificar que esté en estado editable
-      if (!['borrador', 'en_analisis'].includes(existing.estado)) {
+      if (!ESTADOS_EDITABLES.includes(existing.estado)) {
         return res.status(409).json({ 
           error: 'Clasificación no editable',
+          codigo: 'CLASIFICACION_NO_EDITABLE',
           mensaje: `La clasificación existente tiene estado '${existing.estado}' y no puede ser modificada.`,
           detalle: 'Solo se pueden editar clasificaciones en estado borrador o en_analisis.'
         });
       }
 
+      const validacion = await validarCambioEstado(req, existing.estado, req.body.estado || existing.estado, { ...existing, ...req.body });
+      if (!validacion.isValid) {
+        return res.status(validacion.status).json(validacion.error);
+      }
+
+      const validacionTaxon = await validarTaxonClasificacion({ ...existing, ...req.body });
+      if (!validacionTaxon.isValid) {
+        return res.status(validacionTaxon.status).json(validacionTaxon.error);
+      }
+
       // Actualizar la clasificación existente
       const { data, error } = await supabase
         .from('clasificacion_herbario')
@@ -719,10 +1088,21 @@ app.put('/clasificaciones/muestra/:muestraId', async (req, res) => {
 
       return res.json({ id: data.id, message: 'Clasificación actualizada', action: 'updated' });
     } else {
-      // Si no existe, crear nueva clasificación
+      // Si no existe, crear nueva clasificación en un estado inicial
+      const estado = req.body.estado || 'borrador';
+      const validacion = await validarCambioEstado(req, null, estado, req.body);
+      if (!validacion.isValid) {
+        return res.status(validacion.status).json(validacion.error);
+      }
+
+      const validacionTaxon = await validarTaxonClasificacion(req.body);
+      if (!validacionTaxon.isValid) {
+        return res.status(validacionTaxon.status).json(validacionTaxon.error);
+      }
+
       const { data, error } = await supabase
         .from('clasificacion_herbario')
-        .insert({ ...req.body, id_muestra: muestraIdNum })
+        .insert({ ...req.body, estado, id_muestra: muestraIdNum, id_herbario: req.herbarioRegistro ?? null })
         .select('id')
         .single();
 
@@ -762,7 +1142,7 @@ app.put('/clasificaciones/muestra/:muestraId', async (req, res) => {
 });
 
 // Actualizar solo el estado de una clasificación
-app.put('/clasificaciones/:idMuestra/estado', async (req, res) => {
+app.put('/clasificaciones/:idMuestra/estado', muestraEnContexto(req => req.params.idMuestra), async (req, res) => {
   try {
     const { idMuestra } = req.params;
     const idMuestraNum = parseInt(idMuestra, 10);
@@ -782,7 +1162,7 @@ app.put('/clasificaciones/:idMuestra/estado', async (req, res) => {
     // Primero buscar si existe una clasificación para esta muestra
     const { data: existing, error: findError } = await supabase
       .from('clasificacion_herbario')
-      .select('id, estado, id_muestra')
+      .select('id, estado, id_muestra, id_especie, id_determinador')
       .eq('id_muestra', idMuestraNum)
       .single();
 
@@ -791,6 +1171,13 @@ app.put('/clasificaciones/:idMuestra/estado', async (req, res) => {
       return res.status(500).json({ error: 'Error buscando clasificación', details: findError.message });
     }
 
+    // Una muestra sin clasificación está 'pendiente'
+    const validacion = await validarCambioEstado(req, existing?.estado || null, estado, existing || {});
+    if (!validacion.isValid) {
+      logger.warn('Cambio de estado rechazado', { id_muestra: idMuestraNum, ...validacion.error });
+      return res.status(validacion.status).json(validacion.error);
+    }
+
     // Si existe, actualizar
     if (existing) {
       logger.info(`📋 Clasificación existente encontrada (ID: ${existing.id}, estado actual: ${existing.estado})`);
@@ -824,7 +1211,8 @@ app.put('/clasificaciones/:idMuestra/estado', async (req, res) => {
           id_muestra: idMuestraNum, 
           estado,
           id_especie: null,
-          estado_reproductivo: null
+          estado_reproductivo: null,
+          id_herbario: req.herbarioRegistro ?? null
         })
         .select('id, id_muestra')
         .single();
@@ -965,19 +1353,18 @@ async function actualizarEstadoPaqueteManual(idMuestra) {
  *
  * Estados válidos:
  * - borrador: Estado inicial de clasificación
- * - firmado: Clasificación firmada por especialista (requiere validación de contraseña)
+ * - firmado: Clasificación firmada electrónicamente por el determinador (step-up + HMAC)
  * - completado: Clasificación finalizada y cerrada
  *
  * Flujo de trabajo:
- * 1. borrador → firmado (con validación de contraseña)
- * 2. firmado → completado (cierre final)
+ * 1. borrador → firmado: solo por POST /clasificaciones/:id/firma (firma electrónica)
+ * 2. firmado → completado (cierre final, exige que la firma siga siendo válida)
+ * Las transiciones se validan con shared/models/EstadoClasificacion.js usando el rol del JWT.
  *
  * @param {string} req.params.id - ID de la clasificación a actualizar
  * @param {Object} req.body - Datos de la solicitud
- * @param {string} req.body.estado - Nuevo estado ('firmado' o 'completado')
- * @param {string} [req.body.usuario_id] - ID del usuario (requerido para 'firmado')
- * @param {string} [req.body.password] - Contraseña (requerida para 'firmado')
- * @returns {Object} Respuesta inmediata con éxito/error
+ * @param {string} req.body.estado - Nuevo estado
+ * @returns {Object} Respuesta inmediata con éxito/error (400/403/409 si la transición no es válida)
  *
  * OPTIMIZACIONES:
  * - Respuesta inmediata al frontend (no bloquea UI)
@@ -985,7 +1372,7 @@ async function actualizarEstadoPaqueteManual(idMuestra) {
  * - Una sola query para actualizar clasificación
  * - Logging detallado para debugging
  */
-app.put('/clasificaciones/id/:id/estado', async (req, res) => {
+app.put('/clasificaciones/id/:id/estado', clasificacionEnContexto(), async (req, res) => {
   try {
     const { id } = req.params;
     const { estado } = req.body;
@@ -996,7 +1383,28 @@ app.put('/clasificaciones/id/:id/estado', async (req, res) => {
 
     logger.debug(`🔄 Actualizando clasificación ${id} a estado '${estado}'`);
 
-    // ⚡ ACTUALIZACIÓN ULTRA RÁPIDA: Solo actualizar sin select
+    // Estado actual y campos necesarios para las precondiciones de la transición
+    const { data: clasificacion, error: errorBusqueda } = await supabase
+      .from('clasificacion_herbario')
+      .select('id, id_muestra, estado, id_especie, id_determinador')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (errorBusqueda) {
+      logger.error('Error buscando clasificación:', errorBusqueda);
+      return res.status(500).json({ error: 'Error buscando clasificación', details: errorBusqueda.message });
+    }
+
+    if (!clasificacion) {
+      return res.status(404).json({ error: 'Clasificación no encontrada' });
+    }
+
+    const validacion = await validarCambioEstado(req, clasificacion.estado, estado, clasificacion);
+    if (!validacion.isValid) {
+      logger.warn('Cambio de estado rechazado', { id_clasificacion: id, ...validacion.error });
+      return res.status(validacion.status).json(validacion.error);
+    }
+
     const { error } = await supabase
       .from('clasificacion_herbario')
       .update({ estado })
@@ -1007,14 +1415,7 @@ app.put('/clasificaciones/id/:id/estado', async (req, res) => {
       return res.status(500).json({ error: 'Error actualizando clasificación', details: error.message });
     }
 
-    // ✅ OBTENER ID_MUESTRA RÁPIDAMENTE (si es necesario para paquete)
-    const { data: clasificacion, error: errorBusqueda } = await supabase
-      .from('clasificacion_herbario')
-      .select('id_muestra')
-      .eq('id', id)
-      .single();
-
-    if (clasificacion && clasificacion.id_muestra) {
+    if (clasificacion.id_muestra) {
       // ✅ ACTUALIZAR PAQUETE EN BACKGROUND (no bloquear respuesta)
       actualizarEstadoPaqueteManual(clasificacion.id_muestra).catch(err => {
         logger.warn('Error en actualización de paquete (background):', err.message);
@@ -1035,68 +1436,1205 @@ app.put('/clasificaciones/id/:id/estado', async (req, res) => {
   }
 });
 
-// ===== CATÁLOGO TAXONÓMICO =====
-app.get('/taxonomia/familias', async (req, res) => {
+// ===== FIRMA ELECTRÓNICA DE CLASIFICACIONES =====
+//
+// Tabla firma_clasificacion (sql/firmas.sql):
+//   id, id_clasificacion, hash_contenido (sha256 hex), firma_hmac (base64), algoritmo,
+//   firmado_por (uuid), email_firmante, step_up_jti (único), fecha_firma,
+//   metodos_autenticacion (amr del step-up: ['pwd'] o ['pwd','otp'])
+// La verificación se recalcula en cada consulta y no escribe en la tabla: con FIRMA_HMAC_KEY_B64 mal
+// configurada o rotada las firmas no quedan marcadas para siempre (alterada y fecha_alteracion
+// ya no se usan).
+
+// Campos cuyo contenido queda sellado por la firma (en este orden)
+const CAMPOS_FIRMADOS = ['id', 'id_muestra', 'id_especie', 'estado_reproductivo', 'id_foto', 'id_determinador'];
+
+// Campos añadidos después: solo entran al hash si tienen valor, así las firmas previas siguen siendo válidas
+const CAMPOS_FIRMADOS_OPCIONALES = ['id_infraespecie'];
+
+/**
+ * Hash canónico (SHA-256) del contenido firmable de una clasificación
+ * @param {Object} clasificacion - Fila de clasificacion_herbario
+ * @returns {string} Hash en hexadecimal
+ */
+function calcularHashClasificacion(clasificacion) {
+  const campos = [
+    ...CAMPOS_FIRMADOS,
+    ...CAMPOS_FIRMADOS_OPCIONALES.filter(campo => clasificacion[campo] != null)
+  ];
+  const canonico = JSON.stringify(campos.map(campo => [campo, clasificacion[campo] ?? null]));
+  return crypto.createHash('sha256').update(canonico, 'utf8').digest('hex');
+}
+
+// Mensaje que cubre el HMAC: liga el hash del contenido al firmante y al step-up usado
+function mensajeFirma({ id_clasificacion, hash_contenido, firmado_por, step_up_jti }) {
+  return [id_clasificacion, hash_contenido, firmado_por, step_up_jti].join('|');
+}
+
+function claveFirma() {
+  const clave = process.env.FIRMA_HMAC_KEY_B64;
+  if (!clave) throw new Error('FIRMA_HMAC_KEY_B64 no configurada');
+  return clave;
+}
+
+/**
+ * Verifica la firma vigente de una clasificación (solo lectura)
+ * Si el contenido o el HMAC no coinciden lo registra en el log y responde alterada: true.
+ * @param {number} idClasificacion
+ * @returns {Promise<Object>} { firmada, valida, alterada, contenido_integro, firma_autentica, ... }
+ */
+async function verificarFirmaClasificacion(idClasificacion) {
+  const { data: firma, error: firmaError } = await supabase
+    .from('firma_clasificacion')
+    .select('*')
+    .eq('id_clasificacion', idClasificacion)
+    .order('fecha_firma', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (firmaError) throw firmaError;
+  if (!firma) return { firmada: false, valida: false, alterada: false };
+
+  const { data: clasificacion, error: clasificacionError } = await supabase
+    .from('clasificacion_herbario')
+    .select([...CAMPOS_FIRMADOS, ...CAMPOS_FIRMADOS_OPCIONALES].join(', '))
+    .eq('id', idClasificacion)
+    .maybeSingle();
+
+  if (clasificacionError) throw clasificacionError;
+
+  const hashActual = clasificacion ? calcularHashClasificacion(clasificacion) : null;
+  const contenidoIntegro = hashActual === firma.hash_contenido;
+
+  // Sin clave configurada no se puede verificar: es error de configuración, no alteración
+  const clave = claveFirma();
+  let firmaAutentica = false;
   try {
-    const { data, error } = await supabase
-      .from('familia')
-      .select('id, nombre')
-      .order('nombre');
+    firmaAutentica = verifyMessage(mensajeFirma(firma), firma.firma_hmac, clave);
+  } catch {
+    // verifyMessage lanza si las firmas tienen distinta longitud
+    firmaAutentica = false;
+  }
 
-    if (error) {
-      console.error('Error obteniendo familias:', error);
-      return res.status(500).json({ error: 'Error obteniendo familias' });
-    }
+  const valida = contenidoIntegro && firmaAutentica;
 
-    res.json(data);
-  } catch (err) {
-    console.error('Error en GET /taxonomia/familias:', err);
-    res.status(500).json({ error: 'Error interno del servidor' });
+  if (!valida) {
+    logger.warn('Firma de clasificación alterada', {
+      id_clasificacion: idClasificacion,
+      id_firma: firma.id,
+      contenido_integro: contenidoIntegro,
+      firma_autentica: firmaAutentica
+    });
   }
-});
 
-app.get('/taxonomia/generos/:familiaId', async (req, res) => {
+  return {
+    firmada: true,
+    valida,
+    alterada: !valida,
+    contenido_integro: contenidoIntegro,
+    firma_autentica: firmaAutentica,
+    hash_registrado: firma.hash_contenido,
+    hash_actual: hashActual,
+    algoritmo: firma.algoritmo,
+    firmado_por: firma.firmado_por,
+    email_firmante: firma.email_firmante,
+    metodos_autenticacion: firma.metodos_autenticacion || null,
+    fecha_firma: firma.fecha_firma
+  };
+}
+
+/**
+ * POST /clasificaciones/:id/firma
+ * Firma electrónicamente una clasificación en borrador (borrador → firmado).
+ * Requiere el token de acceso (Authorization) y un token de step-up emitido por
+ * Auth_Service (POST /auth/step-up) para el mismo usuario, que además debe ser el determinador.
+ * @param {string} req.params.id - ID de la clasificación
+ * @param {string} req.body.step_up_token - Token de step-up (audiencia 'ideam-firma', un solo uso)
+ * @returns {Object} Clasificación firmada con hash del contenido
+ */
+app.post('/clasificaciones/:id/firma', requierePermiso(PERMISOS.CLASIFICACION_FIRMAR), clasificacionEnContexto(), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('genero')
-      .select('id, nombre')
-      .eq('id_familia', req.params.familiaId)
-      .order('nombre');
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'ID de clasificación inválido' });
+    }
 
-    if (error) {
-      console.error('Error obteniendo géneros:', error);
-      return res.status(500).json({ error: 'Error obteniendo géneros' });
+    const { step_up_token: stepUpToken } = req.body;
+    if (!stepUpToken) {
+      return res.status(400).json({ error: 'step_up_token es requerido' });
     }
 
-    res.json(data);
+    let stepUp;
+    try {
+      ({ payload: stepUp } = await verifyAccessToken(stepUpToken, { audience: 'ideam-firma' }));
+    } catch (err) {
+      logger.warn('Token de step-up inválido', { id_clasificacion: id, error: err.message });
+      return res.status(401).json({ error: 'Token de step-up inválido o expirado', codigo: 'FIRMA_INVALIDA' });
+    }
+
+    if (stepUp.scope !== 'firma' || stepUp.sub !== req.user.sub || !stepUp.jti) {
+      return res.status(401).json({ error: 'El token de step-up no corresponde al usuario', codigo: 'FIRMA_INVALIDA' });
+    }
+
+    const { data: clasificacion, error: findError } = await supabase
+      .from('clasificacion_herbario')
+      .select(`estado, ${[...CAMPOS_FIRMADOS, ...CAMPOS_FIRMADOS_OPCIONALES].join(', ')}`)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (findError) {
+      logger.error('Error buscando clasificación', { error: findError.message });
+      return res.status(500).json({ error: 'Error buscando clasificación' });
+    }
+
+    if (!clasificacion) {
+      return res.status(404).json({ error: 'Clasificación no encontrada' });
+    }
+
+    const validacion = validarTransicion(clasificacion.estado, 'firmado', {
+      rol: req.user.role,
+      clasificacion
+    });
+    if (!validacion.isValid) {
+      return res.status(validacion.status).json(validacion.error);
+    }
+
+    if (String(clasificacion.id_determinador) !== String(req.user.sub)) {
+      return res.status(403).json({
+        error: 'Solo el determinador puede firmar la clasificación',
+        codigo: 'FIRMANTE_NO_DETERMINADOR'
+      });
+    }
+
+    // El step-up es de un solo uso
+    const { data: usado } = await supabase
+      .from('firma_clasificacion')
+      .select('id')
+      .eq('step_up_jti', stepUp.jti)
+      .maybeSingle();
+
+    if (usado) {
+      return res.status(401).json({ error: 'El token de step-up ya fue utilizado', codigo: 'FIRMA_INVALIDA' });
+    }
+
+    const firma = {
+      id_clasificacion: id,
+      hash_contenido: calcularHashClasificacion(clasificacion),
+      firmado_por: req.user.sub,
+      email_firmante: req.user.email,
+      step_up_jti: stepUp.jti
+    };
+    firma.firma_hmac = signMessage(mensajeFirma(firma), claveFirma());
+    firma.algoritmo = 'HMAC-SHA256';
+    // Registro de auditoría (fuera del HMAC): con qué factores se autenticó el firmante
+    firma.metodos_autenticacion = Array.isArray(stepUp.amr) ? stepUp.amr : null;
+    firma.fecha_firma = new Date().toISOString();
+
+    const { error: firmaError } = await supabase
+      .from('firma_clasificacion')
+      .insert(firma);
+
+    if (firmaError) {
+      // step_up_jti es único: otra firma usó el mismo step-up entre la consulta y la inserción
+      if (firmaError.code === '23505') {
+        return res.status(401).json({ error: 'El token de step-up ya fue utilizado', codigo: 'FIRMA_INVALIDA' });
+      }
+      logger.error('Error registrando firma', { error: firmaError.message });
+      return res.status(500).json({ error: 'Error registrando firma' });
+    }
+
+    const { error: updateError } = await supabase
+      .from('clasificacion_herbario')
+      .update({ estado: 'firmado' })
+      .eq('id', id);
+
+    if (updateError) {
+      logger.error('Error actualizando clasificación a firmado', { error: updateError.message });
+      return res.status(500).json({ error: 'Error actualizando clasificación' });
+    }
+
+    actualizarEstadoPaqueteManual(clasificacion.id_muestra).catch(err => {
+      logger.warn('Error en actualización de paquete (background):', err.message);
+    });
+
+    // La determinación firmada pasa al historial como determinación aceptada
+    try {
+      await registrarDeterminacion({
+        id_muestra: clasificacion.id_muestra,
+        id_clasificacion: id,
+        id_especie: clasificacion.id_especie,
+        id_determinador: clasificacion.id_determinador,
+        fecha_determinacion: firma.fecha_firma,
+        motivo: 'Determinación firmada'
+      }, { aceptada: true });
+    } catch (err) {
+      logger.error('Error registrando determinación firmada en el historial', {
+        id_clasificacion: id,
+        error: err.message
+      });
+    }
+
+    logger.info('Clasificación firmada', { id_clasificacion: id, firmado_por: req.user.sub });
+
+    res.status(201).json({
+      id,
+      estado: 'firmado',
+      firma: {
+        hash_contenido: firma.hash_contenido,
+        algoritmo: firma.algoritmo,
+        firmado_por: firma.firmado_por,
+        fecha_firma: firma.fecha_firma
+      }
+    });
   } catch (err) {
-    console.error('Error en GET /taxonomia/generos/:familiaId:', err);
+    logger.error('Error en POST /clasificaciones/:id/firma', { error: err.message });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-app.get('/taxonomia/especies/:generoId', async (req, res) => {
+/**
+ * GET /clasificaciones/:id/firma/verificar
+ * Recalcula el hash del contenido y valida el HMAC de la firma registrada (no modifica la firma).
+ * @param {string} req.params.id - ID de la clasificación
+ * @returns {Object} Resultado de la verificación
+ */
+app.get('/clasificaciones/:id/firma/verificar', clasificacionEnContexto(), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('especie')
-      .select('id, nombre, nombre_comun, tipo_amenaza')
-      .eq('id_genero', req.params.generoId)
-      .order('nombre');
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ error: 'ID de clasificación inválido' });
+    }
 
-    if (error) {
-      console.error('Error obteniendo especies:', error);
-      return res.status(500).json({ error: 'Error obteniendo especies' });
+    const verificacion = await verificarFirmaClasificacion(id);
+    if (!verificacion.firmada) {
+      return res.status(404).json({ error: 'La clasificación no tiene firma registrada' });
     }
 
-    res.json(data);
+    res.json({ id_clasificacion: id, ...verificacion });
   } catch (err) {
-    console.error('Error en GET /taxonomia/especies/:generoId:', err);
+    logger.error('Error en GET /clasificaciones/:id/firma/verificar', { error: err.message });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// ===== UBICACIONES GEOGRÁFICAS =====
-app.get('/ubicaciones/conglomerados', async (req, res) => {
+// ===== HISTORIAL DE DETERMINACIONES =====
+//
+// Tabla determinacion_historial (solo inserción: una determinación nunca se edita ni se borra;
+// lo único que cambia es cuál de ellas es la aceptada):
+//   id, id_muestra, id_clasificacion, id_especie, id_genero, calificador, id_determinador,
+//   fecha_determinacion, motivo, referencia, aceptada (bool), created_at
+// DDL y RPC registrar_determinacion y aceptar_determinacion (cambio atómico de aceptada) en sql/determinaciones.sql
+
+const CALIFICADORES_DETERMINACION = ['cf.', 'aff.', 'sp. nov.'];
+
+const SELECT_DETERMINACION = `
+  *,
+  especie:id_especie(
+    id,
+    nombre,
+    autor,
+    estado_nombre,
+    genero:id_genero(id, nombre, familia:id_familia(id, nombre)),
+    aceptada:id_especie_aceptada(id, nombre, genero:id_genero(id, nombre))
+  ),
+  genero:id_genero(id, nombre, familia:id_familia(id, nombre))
+`;
+
+/**
+ * Valida los datos de una nueva determinación
+ * - 'sp. nov.' se determina a nivel de género (id_genero, sin id_especie)
+ * - en los demás casos se requiere id_especie
+ * @param {Object} data - Datos de la determinación
+ * @returns {Object} { isValid, errors }
+ */
+function validarDeterminacion(data) {
+  const errors = [];
+  const calificador = data.calificador || null;
+
+  if (calificador && !CALIFICADORES_DETERMINACION.includes(calificador)) {
+    errors.push(`calificador debe ser uno de: ${CALIFICADORES_DETERMINACION.join(', ')}`);
+  }
+
+  if (calificador === 'sp. nov.') {
+    if (!data.id_genero) errors.push('id_genero es requerido para una especie nueva (sp. nov.)');
+    if (data.id_especie) errors.push('Una especie nueva (sp. nov.) no puede referenciar una especie existente');
+  } else if (!data.id_especie) {
+    errors.push('id_especie es requerido');
+  }
+
+  if (!data.motivo || typeof data.motivo !== 'string' || !data.motivo.trim()) {
+    errors.push('motivo es requerido');
+  }
+
+  if (data.fecha_determinacion) {
+    const fecha = new Date(data.fecha_determinacion);
+    if (isNaN(fecha.getTime())) {
+      errors.push('fecha_determinacion no es una fecha válida');
+    } else if (fecha > new Date()) {
+      errors.push('fecha_determinacion no puede ser futura');
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Nombre de la determinación con su calificador (ej. "Inga cf. edulis", "Inga sp. nov.")
+ * @param {Object} determinacion - Fila con especie/genero embebidos
+ * @returns {string|null}
+ */
+function nombreDeterminacion(determinacion) {
+  const genero = determinacion.especie?.genero?.nombre || determinacion.genero?.nombre;
+  const especie = determinacion.especie?.nombre;
+
+  if (determinacion.calificador === 'sp. nov.') return genero ? `${genero} sp. nov.` : null;
+  if (!genero || !especie) return especie || genero || null;
+  if (determinacion.calificador) return `${genero} ${determinacion.calificador} ${especie}`;
+  return formatearNombreCientifico({ genero: { nombre: genero }, especie: determinacion.especie });
+}
+
+/**
+ * Determinación del historial con especie, género y determinador embebidos
+ * @param {number} id
+ * @returns {Promise<Object>}
+ */
+async function obtenerDeterminacion(id) {
+  const { data, error } = await supabase
+    .from('determinacion_historial')
+    .select(SELECT_DETERMINACION)
+    .eq('id', id)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Indica si la muestra tiene una clasificación firmada o completada: su determinación aceptada
+ * viene de la firma y no se puede reemplazar con una re-determinación sin firmar
+ * @param {number} idMuestra
+ * @returns {Promise<boolean>}
+ */
+async function tieneClasificacionFirmada(idMuestra) {
+  const { data, error } = await supabase
+    .from('clasificacion_herbario')
+    .select('id')
+    .eq('id_muestra', idMuestra)
+    .in('estado', ESTADOS_CERRADOS)
+    .limit(1);
+
+  if (error) throw new Error(`Error consultando clasificaciones firmadas: ${error.message}`);
+  return !!data?.length;
+}
+
+// Respuesta cuando se intenta cambiar la determinación aceptada de una muestra con clasificación firmada
+const ERROR_DETERMINACION_FIRMADA = {
+  error: 'La muestra tiene una clasificación firmada; su determinación aceptada no se puede cambiar',
+  codigo: 'DETERMINACION_FIRMADA'
+};
+
+/**
+ * Agrega una determinación al historial de una muestra.
+ * Si se marca como aceptada, las demás determinaciones de la muestra dejan de serlo en la misma
+ * transacción (RPC registrar_determinacion, sql/determinaciones.sql).
+ * @param {Object} determinacion - Datos de la determinación
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.aceptada=false]
+ * @returns {Promise<Object>} Determinación creada
+ */
+async function registrarDeterminacion(determinacion, { aceptada = false } = {}) {
+  const { data: id, error } = await supabase.rpc('registrar_determinacion', {
+    p_determinacion: {
+      id_muestra: determinacion.id_muestra,
+      id_clasificacion: determinacion.id_clasificacion || null,
+      id_especie: determinacion.id_especie || null,
+      id_genero: determinacion.id_genero || null,
+      calificador: determinacion.calificador || null,
+      id_determinador: determinacion.id_determinador,
+      fecha_determinacion: determinacion.fecha_determinacion || new Date().toISOString(),
+      motivo: determinacion.motivo,
+      referencia: determinacion.referencia || null
+    },
+    p_aceptada: aceptada
+  });
+
+  if (error) throw error;
+  return obtenerDeterminacion(id);
+}
+
+/**
+ * Historial de determinaciones de una muestra (más reciente primero) con el nombre de cada determinador
+ * @param {number} idMuestra
+ * @returns {Promise<Object>} { id_muestra, determinacion_aceptada, determinaciones }
+ */
+async function historialDeterminaciones(idMuestra) {
+  const { data, error } = await supabase
+    .from('determinacion_historial')
+    .select(SELECT_DETERMINACION)
+    .eq('id_muestra', idMuestra)
+    .order('fecha_determinacion', { ascending: false })
+    .order('id', { ascending: false });
+
+  if (error) throw new Error(`Error obteniendo historial de determinaciones: ${error.message}`);
+
+  // Nombre de los determinadores (etiqueta "det.")
+  const idsDeterminadores = [...new Set((data || []).map(d => d.id_determinador).filter(Boolean))];
+  const nombres = new Map();
+  if (idsDeterminadores.length > 0) {
+    const { data: usuarios, error: usuariosError } = await supabase
+      .from('info_usuario')
+      .select('id_user, nombre_completo')
+      .in('id_user', idsDeterminadores);
+
+    if (usuariosError) {
+      logger.warn('No se pudieron obtener los nombres de los determinadores', { error: usuariosError.message });
+    }
+    (usuarios || []).forEach(u => nombres.set(u.id_user, u.nombre_completo));
+  }
+
+  const determinaciones = (data || []).map(d => ({
+    id: d.id,
+    id_clasificacion: d.id_clasificacion,
+    nombre_cientifico: nombreDeterminacion(d),
+    calificador: d.calificador,
+    familia: d.especie?.genero?.familia?.nombre || d.genero?.familia?.nombre || null,
+    id_especie: d.id_especie,
+    id_genero: d.id_genero || d.especie?.genero?.id || null,
+    determinador: {
+      id: d.id_determinador,
+      nombre: nombres.get(d.id_determinador) || null
+    },
+    fecha_determinacion: d.fecha_determinacion,
+    motivo: d.motivo,
+    referencia: d.referencia,
+    aceptada: d.aceptada
+  }));
+
+  return {
+    id_muestra: idMuestra,
+    determinacion_aceptada: determinaciones.find(d => d.aceptada) || null,
+    determinaciones
+  };
+}
+
+/**
+ * GET /muestras/:id/determinaciones
+ * Historial completo de determinaciones de una muestra (más reciente primero)
+ * @param {string} id - ID de la muestra
+ * @returns {Object} { id_muestra, determinacion_aceptada, determinaciones }
+ */
+app.get('/muestras/:id/determinaciones', muestraEnContexto(), async (req, res) => {
+  try {
+    const idMuestra = parseInt(req.params.id, 10);
+    if (isNaN(idMuestra)) {
+      return res.status(400).json({ error: 'ID de muestra inválido' });
+    }
+
+    res.json(await historialDeterminaciones(idMuestra));
+  } catch (err) {
+    logger.error('Error en GET /muestras/:id/determinaciones', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * GET /publico/muestras/:id/determinaciones
+ * Historial de determinaciones de un espécimen publicado en el herbario digital (con una
+ * clasificación completada o firmada), sin autenticación ni filtro de herbario
+ * @param {string} id - ID de la muestra
+ * @returns {Object} { id_muestra, determinacion_aceptada, determinaciones }
+ */
+app.get('/publico/muestras/:id/determinaciones', async (req, res) => {
+  try {
+    const idMuestra = parseInt(req.params.id, 10);
+    if (isNaN(idMuestra)) {
+      return res.status(400).json({ error: 'ID de muestra inválido' });
+    }
+
+    const { data: publicada, error } = await supabase
+      .from('clasificacion_herbario')
+      .select('id')
+      .eq('id_muestra', idMuestra)
+      .in('estado', ESTADOS_CERRADOS)
+      .limit(1);
+
+    if (error) throw new Error(error.message);
+    if (!publicada?.length) {
+      return res.status(404).json({ error: 'Espécimen no encontrado' });
+    }
+
+    res.json(await historialDeterminaciones(idMuestra));
+  } catch (err) {
+    logger.error('Error en GET /publico/muestras/:id/determinaciones', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== FICHA PÚBLICA DE ESPÉCIMEN =====
+//
+// muestra_botanica.numero_catalogo (texto, único, no nulo en muestras nuevas; sql/numeros_catalogo.sql): lo asigna
+// Recepcion_service al recibir la muestra (shared/models/Especimen.js) y no cambia nunca.
+
+const SELECT_MUESTRA_FICHA = `
+  id,
+  numero_catalogo,
+  colector,
+  num_coleccion,
+  observaciones,
+  fecha_coleccion,
+  herbario:id_herbario(nombre),
+  paquete(
+    conglomerado(
+      codigo,
+      latitud_dec,
+      longitud_dec,
+      municipio(nombre, departamento(nombre))
+    )
+  )
+`;
+
+// Consultas .in() por lotes para no exceder el largo de la URL de PostgREST
+const LOTE_ARCHIVOS = 200;
+
+/**
+ * URLs públicas de archivos (bucket `archivos` de Supabase Storage)
+ * @param {Array<number>} idsArchivos - archivos.id
+ * @returns {Promise<Map<number, string>>} id → URL pública
+ */
+async function urlsPublicasArchivos(idsArchivos) {
+  const ids = [...new Set(idsArchivos.filter(Boolean))];
+  const urls = new Map();
+
+  for (let i = 0; i < ids.length; i += LOTE_ARCHIVOS) {
+    const { data: archivos, error } = await supabase
+      .from('archivos')
+      .select('id, path')
+      .in('id', ids.slice(i, i + LOTE_ARCHIVOS));
+
+    if (error) {
+      logger.warn('No se pudieron obtener las rutas de las fotos', { error: error.message });
+      continue;
+    }
+    (archivos || []).forEach(archivo => {
+      if (archivo.path) urls.set(archivo.id, supabase.storage.from('archivos').getPublicUrl(archivo.path).data.publicUrl);
+    });
+  }
+  return urls;
+}
+
+/**
+ * GET /publico/especimenes/:numeroCatalogo
+ * Ficha pública de un espécimen publicado (con una clasificación completada o firmada): imágenes,
+ * determinación vigente e historial, localidad, URL permanente y texto de cita.
+ * Sin autenticación ni filtro de herbario; los no publicados responden 404.
+ * @param {string} numeroCatalogo - Número de catálogo (ej. IFN-7K3M-Q9XD; se normaliza)
+ * @returns {Object} Ficha del espécimen
+ */
+app.get('/publico/especimenes/:numeroCatalogo', async (req, res) => {
+  try {
+    const numeroCatalogo = normalizarNumeroCatalogo(req.params.numeroCatalogo);
+    if (!numeroCatalogo) {
+      return res.status(400).json({ error: 'Número de catálogo inválido' });
+    }
+
+    const { data: muestra, error: muestraError } = await supabase
+      .from('muestra_botanica')
+      .select(SELECT_MUESTRA_FICHA)
+      .eq('numero_catalogo', numeroCatalogo)
+      .maybeSingle();
+
+    if (muestraError) throw new Error(muestraError.message);
+    if (!muestra) {
+      return res.status(404).json({ error: 'Espécimen no encontrado' });
+    }
+
+    const { data: clasificaciones, error: clasificacionError } = await supabase
+      .from('clasificacion_herbario')
+      .select(`
+        id,
+        id_foto,
+        id_determinador,
+        estado_reproductivo,
+        created_at,
+        especie:id_especie(id, nombre, autor, nombre_comun, genero:id_genero(id, nombre, familia:id_familia(id, nombre))),
+        infraespecie:id_infraespecie(id, rango, epiteto, autor, nombre_comun)
+      `)
+      .eq('id_muestra', muestra.id)
+      .in('estado', ESTADOS_CERRADOS)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (clasificacionError) throw new Error(clasificacionError.message);
+    const clasificacion = clasificaciones?.[0];
+    if (!clasificacion) {
+      return res.status(404).json({ error: 'Espécimen no encontrado' });
+    }
+
+    const [historial, fotos, determinador] = await Promise.all([
+      historialDeterminaciones(muestra.id),
+      urlsPublicasArchivos([clasificacion.id_foto]),
+      clasificacion.id_determinador
+        ? supabase.from('info_usuario').select('nombre_completo').eq('id_user', clasificacion.id_determinador).maybeSingle()
+        : Promise.resolve({ data: null })
+    ]);
+
+    const config = configuracionDwca();
+    res.json(armarFichaEspecimen({
+      muestra,
+      clasificacion,
+      historial,
+      determinadorClasificacion: determinador.data?.nombre_completo,
+      imagenes: [...fotos.values()].map(url => ({ url, descripcion: 'Ejemplar de herbario' })),
+      idOcurrencia: idOcurrencia(muestra.id, config)
+    }, config));
+  } catch (err) {
+    logger.error('Error en GET /publico/especimenes/:numeroCatalogo', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== HERBARIO DIGITAL: BÚSQUEDA DE ESPECÍMENES =====
+// Índice en memoria de los especímenes publicados, renovado cada ESPECIMENES_CACHE_TTL_MS
+// (una clasificación cerrada tarda a lo sumo eso en aparecer en la búsqueda)
+
+const ESPECIMENES_CACHE_TTL_MS = parseInt(process.env.ESPECIMENES_CACHE_TTL_MS, 10) || 60 * 1000;
+const cacheEspecimenes = { data: null, expiraEn: 0 };
+
+/**
+ * Índice de búsqueda: la clasificación cerrada más reciente de cada muestra, con su foto
+ * @returns {Promise<Array<Object>>} Entradas de indexarEspecimen
+ */
+async function obtenerIndiceEspecimenes() {
+  const ahora = Date.now();
+  if (cacheEspecimenes.data && ahora < cacheEspecimenes.expiraEn) {
+    return cacheEspecimenes.data;
+  }
+
+  const clasificaciones = await consultarTodo(() => supabase
+    .from('clasificacion_herbario')
+    .select(`
+      id,
+      id_muestra,
+      id_foto,
+      estado,
+      estado_reproductivo,
+      especie:id_especie(
+        id,
+        nombre,
+        autor,
+        nombre_comun,
+        tipo_amenaza,
+        genero:id_genero(id, nombre, familia:id_familia(nombre))
+      ),
+      infraespecie:id_infraespecie(id, rango, epiteto, autor, nombre_comun),
+      muestra:id_muestra(
+        id,
+        numero_catalogo,
+        num_individuo,
+        colector,
+        num_coleccion,
+        observaciones,
+        fecha_coleccion,
+        paquete(
+          num_paquete,
+          conglomerado(
+            codigo,
+            municipio(nombre, departamento(nombre, region(nombre)))
+          )
+        )
+      )
+    `)
+    .in('estado', ESTADOS_CERRADOS)
+    .not('id_especie', 'is', null)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false }));
+
+  const porMuestra = new Map();
+  clasificaciones.forEach(c => {
+    if (c.muestra && !porMuestra.has(c.id_muestra)) porMuestra.set(c.id_muestra, c);
+  });
+
+  const fotos = await urlsPublicasArchivos([...porMuestra.values()].map(c => c.id_foto));
+  const indice = [...porMuestra.values()].map(c => indexarEspecimen(c, fotos.get(c.id_foto)));
+
+  cacheEspecimenes.data = indice;
+  cacheEspecimenes.expiraEn = ahora + ESPECIMENES_CACHE_TTL_MS;
+  logger.debug('Índice de especímenes recalculado', { especimenes: indice.length });
+  return indice;
+}
+
+/**
+ * GET /publico/especimenes
+ * Búsqueda en el herbario digital (especímenes con clasificación completada o firmada de todos
+ * los herbarios), sin autenticación
+ * @param {string} [req.query.q] - Texto libre: nombre científico, nombre común, colector o localidad
+ *   (todas las palabras deben aparecer; sin tildes ni mayúsculas)
+ * @param {string} [req.query.familia] - Filtros de valor exacto: familia, genero, departamento,
+ *   region, conglomerado (código), amenaza (CR, EN, VU, NN) y estado_reproductivo
+ * @param {string} [req.query.desde] - Fecha de colección mínima (AAAA-MM-DD)
+ * @param {string} [req.query.hasta] - Fecha de colección máxima (AAAA-MM-DD)
+ * @param {number} [req.query.limit=12] - Resultados por página (1 a 100; los mayores se recortan a 100)
+ * @param {string} [req.query.cursor] - Valor de `siguiente` de la página anterior
+ * @returns {Object} { resultados, total, siguiente, facetas, criterios } — facetas: por filtro,
+ *   [{ valor, total }] contando con los demás filtros aplicados
+ */
+app.get('/publico/especimenes', async (req, res) => {
+  try {
+    const { criterios, errors } = validarCriteriosBusqueda(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Parámetros de búsqueda inválidos', details: errors });
+    }
+
+    const indice = await obtenerIndiceEspecimenes();
+    const { cursor, ...criteriosAplicados } = criterios;
+    res.json({ ...buscarEspecimenes(indice, criterios), criterios: criteriosAplicados });
+  } catch (err) {
+    logger.error('Error en GET /publico/especimenes', { error: err.message });
+    res.status(500).json({ error: 'Error en la búsqueda de especímenes' });
+  }
+});
+
+// ===== MAPA DE CONGLOMERADOS =====
+// Coordenadas de los conglomerados (servicio externo, o Supabase si no responde), en caché
+// CONGLOMERADOS_CACHE_TTL_MS; los conteos salen del índice de especímenes publicados
+
+const CONGLOMERADOS_CACHE_TTL_MS = parseInt(process.env.CONGLOMERADOS_CACHE_TTL_MS, 10) || 30 * 60 * 1000;
+const cacheConglomerados = { data: null, expiraEn: 0 };
+
+/**
+ * Conglomerados con coordenadas, municipio y departamento
+ * @returns {Promise<Array<Object>>}
+ */
+async function obtenerConglomeradosMapa() {
+  const ahora = Date.now();
+  if (cacheConglomerados.data && ahora < cacheConglomerados.expiraEn) {
+    return cacheConglomerados.data;
+  }
+
+  let conglomerados;
+  try {
+    conglomerados = await externalApiClient.obtenerConglomerados({ limit: 2000 });
+  } catch (err) {
+    logger.warn('Servicio externo de conglomerados no disponible; se usa Supabase', { error: err.message });
+    conglomerados = await consultarTodo(() => supabase
+      .from('conglomerado')
+      .select('codigo, latitud_dec, longitud_dec, municipio(nombre, departamento(nombre))')
+      .order('codigo'));
+  }
+
+  cacheConglomerados.data = conglomerados;
+  cacheConglomerados.expiraEn = ahora + CONGLOMERADOS_CACHE_TTL_MS;
+  return conglomerados;
+}
+
+/**
+ * GET /publico/conglomerados
+ * Conglomerados como GeoJSON (Point, [longitud, latitud] WGS84) con el número de especímenes
+ * publicados y de especies de cada uno, sin autenticación
+ * @param {string} [req.query.familia] - Filtros por taxón (sin tildes ni mayúsculas): familia,
+ *   genero y especie (binomio, ej. Quercus humboldtii); con filtro solo vienen los conglomerados
+ *   donde se colectó el taxón
+ * @returns {Object} FeatureCollection; properties: { codigo, municipio, departamento, especimenes,
+ *   especies, especies_principales }; además { totales, filtros }
+ */
+app.get('/publico/conglomerados', async (req, res) => {
+  try {
+    const { filtros, errors } = validarFiltrosMapa(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Parámetros del mapa inválidos', details: errors });
+    }
+
+    const [conglomerados, indice] = await Promise.all([
+      obtenerConglomeradosMapa(),
+      obtenerIndiceEspecimenes()
+    ]);
+
+    res.type('application/geo+json').send(JSON.stringify(conglomeradosGeoJson(conglomerados, indice, filtros)));
+  } catch (err) {
+    logger.error('Error en GET /publico/conglomerados', { error: err.message });
+    res.status(500).json({ error: 'Error al generar el mapa de conglomerados' });
+  }
+});
+
+/**
+ * POST /muestras/:id/determinaciones
+ * Agrega una re-determinación al historial (el determinador es el usuario autenticado)
+ * @param {string} id - ID de la muestra
+ * @param {number} [req.body.id_especie] - Especie determinada (requerida salvo 'sp. nov.')
+ * @param {number} [req.body.id_genero] - Género (requerido para 'sp. nov.')
+ * @param {string} [req.body.calificador] - 'cf.', 'aff.' o 'sp. nov.'
+ * @param {string} req.body.motivo - Motivo de la determinación
+ * @param {string} [req.body.referencia] - Referencia bibliográfica o material de comparación usado
+ * @param {string} [req.body.fecha_determinacion] - Fecha (por defecto, ahora)
+ * @param {boolean} [req.body.aceptada=false] - Marcarla como determinación aceptada (409 si la
+ *   muestra tiene una clasificación firmada o completada)
+ * @returns {Object} Determinación creada
+ */
+app.post('/muestras/:id/determinaciones', requierePermiso(PERMISOS.MUESTRA_CLASIFICAR), muestraEnContexto(), async (req, res) => {
+  try {
+    const idMuestra = parseInt(req.params.id, 10);
+    if (isNaN(idMuestra)) {
+      return res.status(400).json({ error: 'ID de muestra inválido' });
+    }
+
+    const validation = validarDeterminacion(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: 'Datos inválidos', details: validation.errors });
+    }
+
+    const { data: muestra, error: muestraError } = await supabase
+      .from('muestra_botanica')
+      .select('id')
+      .eq('id', idMuestra)
+      .maybeSingle();
+
+    if (muestraError) {
+      logger.error('Error verificando muestra', { error: muestraError.message });
+      return res.status(500).json({ error: 'Error verificando muestra' });
+    }
+
+    if (!muestra) {
+      return res.status(404).json({ error: 'Muestra no encontrada' });
+    }
+
+    if (req.body.aceptada === true && await tieneClasificacionFirmada(idMuestra)) {
+      return res.status(409).json(ERROR_DETERMINACION_FIRMADA);
+    }
+
+    const determinacion = await registrarDeterminacion({
+      ...req.body,
+      id_muestra: idMuestra,
+      id_clasificacion: null,
+      id_determinador: req.user.sub,
+      motivo: req.body.motivo.trim()
+    }, { aceptada: req.body.aceptada === true });
+
+    logger.info('Determinación registrada', {
+      id_muestra: idMuestra,
+      id_determinacion: determinacion.id,
+      aceptada: determinacion.aceptada
+    });
+
+    res.status(201).json({ ...determinacion, nombre_cientifico: nombreDeterminacion(determinacion) });
+  } catch (err) {
+    logger.error('Error en POST /muestras/:id/determinaciones', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * PUT /muestras/:id/determinaciones/:idDeterminacion/aceptada
+ * Marca una determinación del historial como la determinación aceptada de la muestra.
+ * 409 si la muestra tiene una clasificación firmada o completada.
+ * @param {string} id - ID de la muestra
+ * @param {string} idDeterminacion - ID de la determinación
+ * @returns {Object} Determinación aceptada
+ */
+app.put('/muestras/:id/determinaciones/:idDeterminacion/aceptada', requierePermiso(PERMISOS.MUESTRA_CLASIFICAR), muestraEnContexto(), async (req, res) => {
+  try {
+    const idMuestra = parseInt(req.params.id, 10);
+    const idDeterminacion = parseInt(req.params.idDeterminacion, 10);
+    if (isNaN(idMuestra) || isNaN(idDeterminacion)) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+
+    const { data: determinacion, error: findError } = await supabase
+      .from('determinacion_historial')
+      .select('id, aceptada')
+      .eq('id', idDeterminacion)
+      .eq('id_muestra', idMuestra)
+      .maybeSingle();
+
+    if (findError) {
+      logger.error('Error buscando determinación', { error: findError.message });
+      return res.status(500).json({ error: 'Error buscando determinación' });
+    }
+
+    if (!determinacion) {
+      return res.status(404).json({ error: 'Determinación no encontrada para esta muestra' });
+    }
+
+    // Desmarcar la anterior y marcar esta en una sola transacción (RPC aceptar_determinacion)
+    if (!determinacion.aceptada) {
+      if (await tieneClasificacionFirmada(idMuestra)) {
+        return res.status(409).json(ERROR_DETERMINACION_FIRMADA);
+      }
+
+      const { error: aceptarError } = await supabase.rpc('aceptar_determinacion', {
+        p_id_muestra: idMuestra,
+        p_id_determinacion: idDeterminacion
+      });
+
+      if (aceptarError) {
+        logger.error('Error marcando determinación aceptada', { error: aceptarError.message });
+        return res.status(500).json({ error: 'Error actualizando historial' });
+      }
+    }
+
+    const data = await obtenerDeterminacion(idDeterminacion);
+
+    logger.info('Determinación aceptada', { id_muestra: idMuestra, id_determinacion: idDeterminacion, usuario: req.user.sub });
+
+    res.json({ ...data, nombre_cientifico: nombreDeterminacion(data) });
+  } catch (err) {
+    logger.error('Error en PUT /muestras/:id/determinaciones/:idDeterminacion/aceptada', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== CATÁLOGO TAXONÓMICO =====
+app.get('/taxonomia/familias', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('familia')
+      .select('id, nombre')
+      .order('nombre');
+
+    if (error) {
+      console.error('Error obteniendo familias:', error);
+      return res.status(500).json({ error: 'Error obteniendo familias' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('Error en GET /taxonomia/familias:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/taxonomia/generos/:familiaId', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('genero')
+      .select('id, nombre')
+      .eq('id_familia', req.params.familiaId)
+      .order('nombre');
+
+    if (error) {
+      console.error('Error obteniendo géneros:', error);
+      return res.status(500).json({ error: 'Error obteniendo géneros' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('Error en GET /taxonomia/generos/:familiaId:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.get('/taxonomia/especies/:generoId', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('especie')
+      .select('id, nombre, nombre_comun, tipo_amenaza')
+      .eq('id_genero', req.params.generoId)
+      .order('nombre');
+
+    if (error) {
+      console.error('Error obteniendo especies:', error);
+      return res.status(500).json({ error: 'Error obteniendo especies' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('Error en GET /taxonomia/especies/:generoId:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== BÚSQUEDA TAXONÓMICA =====
+
+// Caché corta del catálogo completo; se invalida al crear especies
+const CATALOGO_CACHE_TTL_MS = 60 * 1000;
+const cacheCatalogo = { data: null, expiraEn: 0 };
+
+const RANGOS_TAXONOMICOS = ['familia', 'genero', 'especie'];
+
+/**
+ * Puntúa la coincidencia de un término sobre un valor (ambos sin normalizar)
+ * 100 = exacta, 80 = prefijo, 60 = prefijo de alguna palabra, 40 = subcadena
+ * @param {string} valor - Texto del catálogo
+ * @param {string} termino - Texto buscado
+ * @param {string} modo - 'prefijo' o 'contiene'
+ * @returns {number} 0 si no hay coincidencia
+ */
+function puntuarCoincidencia(valor, termino, modo) {
+  const v = normalizarTexto(valor);
+  const t = normalizarTexto(termino);
+  if (!v || !t) return 0;
+
+  if (v === t) return 100;
+  if (v.startsWith(t)) return 80;
+  if (v.split(/\s+/).some(palabra => palabra.startsWith(t))) return 60;
+  if (modo === 'contiene' && v.includes(t)) return 40;
+  return 0;
+}
+
+/**
+ * Obtiene el catálogo taxonómico aplanado (familias, géneros y especies con su jerarquía)
+ * @returns {Promise<Array>} Taxones con rango, jerarquía, nombre común y tipo_amenaza
+ */
+async function obtenerCatalogoTaxonomico() {
+  const ahora = Date.now();
+  if (cacheCatalogo.data && ahora < cacheCatalogo.expiraEn) {
+    return cacheCatalogo.data;
+  }
+
+  const [familias, generos, especies] = await Promise.all([
+    consultarTodo(() => supabase.from('familia').select('id, nombre').order('id')),
+    consultarTodo(() => supabase.from('genero').select('id, nombre, id_familia').order('id')),
+    consultarTodo(() => supabase
+      .from('especie')
+      .select('id, nombre, autor, nombre_comun, tipo_amenaza, id_genero, estado_nombre, id_especie_aceptada')
+      .order('id'))
+  ]);
+
+  const familiasMap = new Map(familias.map(f => [f.id, { id: f.id, nombre: f.nombre }]));
+  const generosMap = new Map(generos.map(g => [g.id, {
+    id: g.id,
+    nombre: g.nombre,
+    familia: familiasMap.get(g.id_familia) || null
+  }]));
+  const especiesMap = new Map(especies.map(e => [e.id, e]));
+
+  const catalogo = [
+    ...Array.from(familiasMap.values()).map(familia => ({
+      rango: 'familia',
+      id: familia.id,
+      nombre: familia.nombre,
+      familia,
+      genero: null,
+      especie: null
+    })),
+    ...Array.from(generosMap.values()).map(genero => ({
+      rango: 'genero',
+      id: genero.id,
+      nombre: genero.nombre,
+      familia: genero.familia,
+      genero: { id: genero.id, nombre: genero.nombre },
+      especie: null
+    })),
+    ...especies.map(especie => {
+      const genero = generosMap.get(especie.id_genero) || null;
+      const aceptada = especiesMap.get(especie.id_especie_aceptada) || null;
+      const generoAceptada = aceptada ? generosMap.get(aceptada.id_genero) : null;
+      return {
+        rango: 'especie',
+        id: especie.id,
+        nombre: especie.nombre,
+        autor: especie.autor,
+        nombre_cientifico: genero ? `${genero.nombre} ${especie.nombre}` : especie.nombre,
+        nombre_comun: especie.nombre_comun,
+        tipo_amenaza: especie.tipo_amenaza,
+        estado_nombre: especie.estado_nombre || 'aceptado',
+        familia: genero?.familia || null,
+        genero: genero ? { id: genero.id, nombre: genero.nombre } : null,
+        especie: { id: especie.id, nombre: especie.nombre },
+        aceptada: aceptada
+          ? {
+            id: aceptada.id,
+            nombre_cientifico: generoAceptada ? `${generoAceptada.nombre} ${aceptada.nombre}` : aceptada.nombre,
+            familia: generoAceptada?.familia || null,
+            genero: generoAceptada ? { id: generoAceptada.id, nombre: generoAceptada.nombre } : null
+          }
+          : null
+      };
+    })
+  ];
+
+  cacheCatalogo.data = catalogo;
+  cacheCatalogo.expiraEn = ahora + CATALOGO_CACHE_TTL_MS;
+  return catalogo;
+}
+
+/**
+ * Puntúa un taxón contra los criterios de búsqueda
+ * @returns {number} Relevancia total, 0 si algún criterio no coincide
+ */
+function puntuarTaxon(taxon, criterios, modo) {
+  let puntaje = 0;
+
+  for (const nivel of RANGOS_TAXONOMICOS) {
+    if (!criterios[nivel]) continue;
+    const puntos = puntuarCoincidencia(taxon[nivel]?.nombre, criterios[nivel], modo);
+    if (!puntos) return 0;
+    puntaje += puntos;
+  }
+
+  if (criterios.q) {
+    const candidatos = [taxon.nombre];
+    if (taxon.rango === 'especie') {
+      candidatos.push(taxon.nombre_cientifico, taxon.nombre_comun);
+    }
+    const puntos = Math.max(...candidatos.map(c => puntuarCoincidencia(c, criterios.q, modo)));
+    if (!puntos) return 0;
+    puntaje += puntos;
+  }
+
+  return puntaje;
+}
+
+/**
+ * GET /taxonomia/buscar
+ * Búsqueda taxonómica sobre familia, género y especie (sin tildes ni mayúsculas)
+ * Usado por el gateway (/publico/taxonomia) y por Lab_Service (HerbarioLabService.buscarTaxonomia)
+ * @param {string} [req.query.q] - Término libre (nombre del taxón, nombre científico o nombre común)
+ * @param {string} [req.query.familia] - Filtro por nombre de familia
+ * @param {string} [req.query.genero] - Filtro por nombre de género
+ * @param {string} [req.query.especie] - Filtro por epíteto de especie
+ * @param {string} [req.query.rango] - Restringir a 'familia', 'genero' o 'especie'
+ * @param {string} [req.query.modo=contiene] - 'prefijo' o 'contiene'
+ * @param {number} [req.query.limit=20] - Límite de resultados (máx. 100)
+ * @param {number} [req.query.offset=0] - Offset para paginación
+ * @returns {Object} Resultados ordenados por relevancia con jerarquía completa y total;
+ *   las especies que son sinónimos traen el nombre aceptado en 'aceptada'
+ */
+app.get('/taxonomia/buscar', async (req, res) => {
+  try {
+    const { q, familia, genero, especie, rango, modo = 'contiene' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (!q && !familia && !genero && !especie) {
+      return res.status(400).json({ error: 'Se requiere al menos un criterio de búsqueda (q, familia, genero o especie)' });
+    }
+
+    if (!['prefijo', 'contiene'].includes(modo)) {
+      return res.status(400).json({ error: "modo debe ser 'prefijo' o 'contiene'" });
+    }
+
+    if (rango && !RANGOS_TAXONOMICOS.includes(rango)) {
+      return res.status(400).json({ error: `rango debe ser uno de: ${RANGOS_TAXONOMICOS.join(', ')}` });
+    }
+
+    const criterios = { q, familia, genero, especie };
+    const catalogo = await obtenerCatalogoTaxonomico();
+
+    const resultados = catalogo
+      .filter(taxon => !rango || taxon.rango === rango)
+      .map(taxon => ({ ...taxon, relevancia: puntuarTaxon(taxon, criterios, modo) }))
+      .filter(taxon => taxon.relevancia > 0)
+      .sort((a, b) =>
+        b.relevancia - a.relevancia ||
+        RANGOS_TAXONOMICOS.indexOf(a.rango) - RANGOS_TAXONOMICOS.indexOf(b.rango) ||
+        normalizarTexto(a.nombre_cientifico || a.nombre).localeCompare(normalizarTexto(b.nombre_cientifico || b.nombre))
+      );
+
+    res.json({
+      resultados: resultados.slice(offset, offset + limit),
+      total: resultados.length,
+      limit,
+      offset,
+      criterios: { ...criterios, rango: rango || null, modo }
+    });
+  } catch (err) {
+    logger.error('Error en GET /taxonomia/buscar', { error: err.message });
+    res.status(500).json({ error: 'Error en búsqueda taxonómica' });
+  }
+});
+
+// ===== UBICACIONES GEOGRÁFICAS =====
+app.get('/ubicaciones/conglomerados', async (req, res) => {
   try {
     // OBTENER CONGLOMERADOS COMPLETOS DESDE SERVICIO EXTERNO
     // Ya incluyen municipio y departamento
@@ -1137,6 +2675,172 @@ app.get('/ubicaciones/conglomerados', async (req, res) => {
   }
 });
 
+// ===== ESTADÍSTICAS PÚBLICAS =====
+
+// Categorías de tipo_amenaza consideradas amenazadas (NN = no amenazada / no evaluada)
+const CATEGORIAS_AMENAZA = ['CR', 'EN', 'VU'];
+
+// Caché en memoria del resumen público (se recalcula al expirar)
+const ESTADISTICAS_CACHE_TTL_MS = parseInt(process.env.ESTADISTICAS_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const cacheResumen = { data: null, expiraEn: 0 };
+
+// PostgREST limita las filas por respuesta: recorre la consulta por páginas
+async function consultarTodo(crearConsulta, tamanoPagina = 1000) {
+  const filas = [];
+  for (let desde = 0; ; desde += tamanoPagina) {
+    const { data, error } = await crearConsulta().range(desde, desde + tamanoPagina - 1);
+    if (error) throw error;
+    filas.push(...(data || []));
+    if (!data || data.length < tamanoPagina) return filas;
+  }
+}
+
+/**
+ * Calcula el resumen anónimo del herbario a partir de las clasificaciones
+ * en estado 'completado' o 'firmado' que tienen especie asignada.
+ * No incluye colectores, determinadores ni ningún otro dato personal.
+ * @returns {Promise<Object>} Totales y conteos por departamento y región
+ */
+async function calcularResumenPublico() {
+  const clasificaciones = await consultarTodo(() => supabase
+    .from('clasificacion_herbario')
+    .select(`
+      id_muestra,
+      especie:id_especie(
+        id,
+        tipo_amenaza,
+        genero:id_genero(id, id_familia)
+      ),
+      muestra:id_muestra(
+        paquete(
+          conglomerado(
+            municipio(
+              departamento(
+                nombre,
+                region(nombre)
+              )
+            )
+          )
+        )
+      )
+    `)
+    .in('estado', ESTADOS_CERRADOS)
+    .not('id_especie', 'is', null)
+    .order('id'));
+
+  const normalizarRegion = (nombre) => nombre ? nombre.replace(/^Región\s+/i, '').trim() : null;
+
+  const muestras = new Set();
+  const familias = new Set();
+  const generos = new Set();
+  const especies = new Set();
+  const especiesAmenazadas = new Set();
+  const departamentosMap = new Map();
+  const regionesMap = new Map();
+
+  clasificaciones.forEach(clasif => {
+    const especie = clasif.especie;
+    if (!especie) return;
+
+    // Una muestra con varias clasificaciones cerradas se cuenta una sola vez
+    if (muestras.has(clasif.id_muestra)) return;
+    muestras.add(clasif.id_muestra);
+
+    especies.add(especie.id);
+    if (especie.genero?.id) generos.add(especie.genero.id);
+    if (especie.genero?.id_familia) familias.add(especie.genero.id_familia);
+    if (CATEGORIAS_AMENAZA.includes(especie.tipo_amenaza)) especiesAmenazadas.add(especie.id);
+
+    const departamento = clasif.muestra?.paquete?.conglomerado?.municipio?.departamento;
+    if (!departamento?.nombre) return;
+
+    if (!departamentosMap.has(departamento.nombre)) {
+      departamentosMap.set(departamento.nombre, {
+        nombre: departamento.nombre,
+        region: normalizarRegion(departamento.region?.nombre),
+        especimenes: 0,
+        especies: new Set()
+      });
+    }
+    const dept = departamentosMap.get(departamento.nombre);
+    dept.especimenes++;
+    dept.especies.add(especie.id);
+
+    const regionNombre = normalizarRegion(departamento.region?.nombre);
+    if (!regionNombre) return;
+
+    if (!regionesMap.has(regionNombre)) {
+      regionesMap.set(regionNombre, {
+        nombre: regionNombre,
+        especimenes: 0,
+        especies: new Set(),
+        departamentos: new Set()
+      });
+    }
+    const region = regionesMap.get(regionNombre);
+    region.especimenes++;
+    region.especies.add(especie.id);
+    region.departamentos.add(departamento.nombre);
+  });
+
+  const departamentos = Array.from(departamentosMap.values())
+    .map(d => ({
+      nombre: d.nombre,
+      region: d.region,
+      especimenes: d.especimenes,
+      especies: d.especies.size
+    }))
+    .sort((a, b) => b.especimenes - a.especimenes);
+
+  const regiones = Array.from(regionesMap.values())
+    .map(r => ({
+      nombre: r.nombre,
+      especimenes: r.especimenes,
+      especies: r.especies.size,
+      departamentos: r.departamentos.size
+    }))
+    .sort((a, b) => b.especimenes - a.especimenes);
+
+  return {
+    total_especimenes: muestras.size,
+    total_familias: familias.size,
+    total_generos: generos.size,
+    total_especies: especies.size,
+    total_especies_amenazadas: especiesAmenazadas.size,
+    departamentos,
+    regiones,
+    generado_en: new Date().toISOString()
+  };
+}
+
+/**
+ * GET /estadisticas/resumen
+ * Resumen público y anónimo del herbario (expuesto por el gateway en /publico/estadisticas)
+ * Solo considera clasificaciones 'completado' o 'firmado'. La respuesta se cachea en memoria.
+ * @returns {Object} Conteos de especímenes, familias, géneros, especies, especies amenazadas,
+ *                   y conteos por departamento y región
+ */
+app.get('/estadisticas/resumen', async (req, res) => {
+  try {
+    const ahora = Date.now();
+
+    if (!cacheResumen.data || ahora >= cacheResumen.expiraEn) {
+      cacheResumen.data = await calcularResumenPublico();
+      cacheResumen.expiraEn = ahora + ESTADISTICAS_CACHE_TTL_MS;
+      logger.debug('Resumen público recalculado', {
+        especimenes: cacheResumen.data.total_especimenes,
+        especies: cacheResumen.data.total_especies
+      });
+    }
+
+    res.setHeader('Cache-Control', `public, max-age=${Math.floor((cacheResumen.expiraEn - ahora) / 1000)}`);
+    res.json(cacheResumen.data);
+  } catch (err) {
+    logger.error('Error en GET /estadisticas/resumen', { error: err.message });
+    res.status(500).json({ error: 'Error obteniendo estadísticas' });
+  }
+});
+
 // ===== ENDPOINTS DE ADMINISTRACIÓN =====
 
 // Gestión de herbario
@@ -1249,80 +2953,41 @@ app.delete('/admin/herbario/:id', async (req, res) => {
 });
 
 // Gestión de Usuarios de Herbario
-app.post('/admin/usuarios', async (req, res) => {
-  try {
-    const { nombre, email, cedula, telefono, password, rol, id_herbario } = req.body;
-    
-    if (!nombre || !email || !cedula || !rol || !id_herbario) {
-      return res.status(400).json({ 
-        error: 'Nombre, email, cédula, rol y herbario son requeridos' 
-      });
-    }
-
-    // Verificar que el herbario existe
-    const { data: herbario, error: herbarioError } = await supabase
-      .from('herbario')
-      .select('id')
-      .eq('id', id_herbario)
-      .single();
+// Un administrador solo ve y gestiona los usuarios de su herbario (req.herbario)
 
-    if (herbarioError || !herbario) {
-      return res.status(400).json({ error: 'Herbario no encontrado' });
-    }
+// Indica si el id_herbario recibido en el cuerpo es de un herbario distinto al de la petición
+const herbarioAjeno = (req, idHerbario) =>
+  idHerbario !== undefined && idHerbario !== null && idHerbario !== '' &&
+  !enContextoHerbario(req, parseInt(idHerbario, 10));
 
-    // Crear usuario en Supabase Auth primero (si se proporciona password)
-    let userId;
-    if (password) {
-      const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-        email: email,
-        password: password,
-        email_confirm: true
-      });
-      
-      if (authError) {
-        console.error('Error creando usuario en auth:', authError);
-        return res.status(400).json({ error: 'Error creando usuario de autenticación' });
-      }
-      
-      userId = authData.user.id;
-    }
+const respuestaHerbarioAjeno = { error: 'No puede asignar usuarios a otro herbario', codigo: 'HERBARIO_AJENO' };
 
+// Middleware: el usuario de req.params.id (id_user) debe pertenecer al herbario de la petición
+async function usuarioEnContexto(req, res, next) {
+  try {
     const { data, error } = await supabase
       .from('info_usuario')
-      .insert({
-        id_user: userId,
-        nombre_completo: nombre,
-        correo_electronico: email,
-        cedula: cedula || null,
-        telefono: telefono || null,
-        rol,
-        id_herbario
-      })
-      .select(`
-        *,
-        herbario:id_herbario (
-          id,
-          nombre,
-          codigo_postal
-        )
-      `)
-      .single();
+      .select('id_herbario')
+      .eq('id_user', req.params.id)
+      .maybeSingle();
 
-    if (error) {
-      console.error('Error creando usuario:', error);
-      if (error.code === '23505') {
-        return res.status(409).json({ error: 'Ya existe un usuario con esa cédula o email' });
-      }
-      return res.status(500).json({ error: 'Error creando usuario' });
+    if (error) throw error;
+    if (!data || !enContextoHerbario(req, data.id_herbario)) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
     }
-
-    // No retornar la contraseña
-    const { password_hash, ...userResponse } = data;
-    res.status(201).json(userResponse);
+    next();
   } catch (err) {
-    console.error('Error en POST /admin/usuarios:', err);
+    logger.error('Error comprobando herbario del usuario', { error: err.message });
     res.status(500).json({ error: 'Error interno del servidor' });
   }
+}
+
+// Las cuentas se crean en Auth_Service: registro público (consulta) o invitación de un administrador
+app.post('/admin/usuarios', (req, res) => {
+  res.status(410).json({
+    error: 'Los usuarios se crean con una invitación (POST /auth/invitaciones)',
+    codigo: 'INVITACION_REQUERIDA'
+  });
 });
 
 app.get('/admin/usuarios', async (req, res) => {
@@ -1345,6 +3010,7 @@ app.get('/admin/usuarios', async (req, res) => {
     if (id_herbario) {
       query = query.eq('id_herbario', id_herbario);
     }
+    query = filtrarPorHerbario(query, req);
 
     const { data: infoUsuarios, error } = await query;
 
@@ -1383,9 +3049,12 @@ app.get('/admin/usuarios', async (req, res) => {
   }
 });
 
-app.put('/admin/usuarios/:id', async (req, res) => {
+app.put('/admin/usuarios/:id', usuarioEnContexto, async (req, res) => {
   try {
     const { nombre, email, cedula, telefono, rol, id_herbario } = req.body;
+    if (herbarioAjeno(req, id_herbario)) {
+      return res.status(403).json(respuestaHerbarioAjeno);
+    }
 
     const updateData = {
       nombre_completo: nombre,
@@ -1439,7 +3108,7 @@ app.put('/admin/usuarios/:id', async (req, res) => {
   }
 });
 
-app.delete('/admin/usuarios/:id', async (req, res) => {
+app.delete('/admin/usuarios/:id', usuarioEnContexto, async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('info_usuario')
@@ -1464,32 +3133,6 @@ app.delete('/admin/usuarios/:id', async (req, res) => {
   }
 });
 
-// Autenticación de administrador
-app.post('/admin/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    // Credenciales hardcodeadas por el momento
-    if (username === 'admin' && password === 'admin') {
-      res.json({
-        success: true,
-        token: 'admin-token-' + Date.now(),
-        user: {
-          id: 1,
-          username: 'admin',
-          role: 'super_admin',
-          permissions: ['create_herbario', 'manage_users', 'view_all']
-        }
-      });
-    } else {
-      res.status(401).json({ error: 'Credenciales incorrectas' });
-    }
-  } catch (err) {
-    console.error('Error en POST /admin/login:', err);
-    res.status(500).json({ error: 'Error interno del servidor' });
-  }
-});
-
 // ===== GESTIÓN DE UBICACIONES GEOGRÁFICAS =====
 
 // Gestión de Regiones
@@ -1865,109 +3508,639 @@ app.put('/admin/municipios/:id', async (req, res) => {
       return res.status(500).json({ error: 'Error actualizando municipio' });
     }
 
-    if (!data) {
-      return res.status(404).json({ error: 'Municipio no encontrado' });
-    }
+    if (!data) {
+      return res.status(404).json({ error: 'Municipio no encontrado' });
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('Error en PUT /admin/municipios:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+app.delete('/admin/municipios/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('municipio')
+      .delete()
+      .eq('id', req.params.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error eliminando municipio:', error);
+      return res.status(500).json({ error: 'Error eliminando municipio' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Municipio no encontrado' });
+    }
+
+    res.json({ message: 'Municipio eliminado exitosamente' });
+  } catch (err) {
+    console.error('Error en DELETE /admin/municipios:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Estadísticas para administración
+app.get('/admin/estadisticas', async (req, res) => {
+  try {
+    // Contar herbario
+    const { count: totalherbario, error: herbarioError } = await supabase
+      .from('herbario')
+      .select('*', { count: 'exact', head: true });
+
+    // Contar usuarios
+    const { count: totalUsuarios, error: usuarioError } = await supabase
+      .from('info_usuario')
+      .select('*', { count: 'exact', head: true });
+
+    // Contar herbarios activos (todos considerados activos)
+    const herbarioActivos = totalherbario;
+    const activosError = null;
+
+    // Contar regiones
+    const { count: totalRegiones, error: regionError } = await supabase
+      .from('region')
+      .select('*', { count: 'exact', head: true });
+
+    // Contar departamentos
+    const { count: totalDepartamentos, error: departamentoError } = await supabase
+      .from('departamento')
+      .select('*', { count: 'exact', head: true });
+
+    // Contar municipios
+    const { count: totalMunicipios, error: municipioError } = await supabase
+      .from('municipio')
+      .select('*', { count: 'exact', head: true });
+
+    // Usuarios por rol (todos los usuarios)
+    const { data: usuariosPorRol, error: rolError } = await supabase
+      .from('info_usuario')
+      .select('rol');
+
+    if (herbarioError || usuarioError || activosError || rolError || 
+        regionError || departamentoError || municipioError) {
+      console.error('Error obteniendo estadísticas:', { 
+        herbarioError, usuarioError, activosError, rolError,
+        regionError, departamentoError, municipioError 
+      });
+      return res.status(500).json({ error: 'Error obteniendo estadísticas' });
+    }
+
+    const roles = {};
+    usuariosPorRol?.forEach(user => {
+      roles[user.rol] = (roles[user.rol] || 0) + 1;
+    });
+
+    res.json({
+      totalherbario: totalherbario || 0,
+      herbarioActivos: herbarioActivos || 0,
+      totalUsuarios: totalUsuarios || 0,
+      totalRegiones: totalRegiones || 0,
+      totalDepartamentos: totalDepartamentos || 0,
+      totalMunicipios: totalMunicipios || 0,
+      usuariosPorRol: roles
+    });
+  } catch (err) {
+    logger.error('Error en GET /admin/estadisticas', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// ===== EXPORTACIÓN DARWIN CORE ARCHIVE =====
+
+// Trabajos de exportación en memoria; el zip generado se conserva DWCA_RETENCION_MS
+const DWCA_RETENCION_MS = 60 * 60 * 1000;
+const DWCA_MAX_TRABAJOS = 20;
+const trabajosDwca = new Map();
+
+/**
+ * Muestras con cambios desde una fecha: nueva clasificación, firma o determinación
+ * @param {string} desde - Fecha ISO
+ * @returns {Promise<Array<number>>} IDs de muestra
+ */
+async function idsMuestrasModificadasDesde(desde) {
+  const [clasificaciones, firmas, determinaciones] = await Promise.all([
+    consultarTodo(() => supabase
+      .from('clasificacion_herbario')
+      .select('id_muestra')
+      .gte('created_at', desde)),
+    consultarTodo(() => supabase
+      .from('firma_clasificacion')
+      .select('clasificacion:id_clasificacion(id_muestra)')
+      .gte('fecha_firma', desde)),
+    consultarTodo(() => supabase
+      .from('determinacion_historial')
+      .select('id_muestra')
+      .gte('created_at', desde))
+  ]);
+
+  const ids = new Set();
+  clasificaciones.forEach(c => ids.add(c.id_muestra));
+  firmas.forEach(f => f.clasificacion && ids.add(f.clasificacion.id_muestra));
+  determinaciones.forEach(d => ids.add(d.id_muestra));
+  return [...ids].filter(Boolean);
+}
+
+/**
+ * Ocurrencias DwC de los especímenes clasificados (clasificación cerrada con especie).
+ * Cada muestra produce una ocurrencia con su clasificación cerrada más reciente; si tiene
+ * una determinación aceptada en el historial, la identificación sale de ella.
+ * @param {string|null} desde - Solo muestras modificadas desde esta fecha (ISO) o null para todas
+ * @returns {Promise<Array<Object>>}
+ */
+async function obtenerOcurrenciasDwca(desde) {
+  const idsFiltro = desde ? await idsMuestrasModificadasDesde(desde) : null;
+  if (idsFiltro && idsFiltro.length === 0) return [];
+
+  const clasificaciones = await consultarTodo(() => {
+    let consulta = supabase
+      .from('clasificacion_herbario')
+      .select(`
+        id,
+        id_muestra,
+        estado_reproductivo,
+        id_determinador,
+        created_at,
+        especie:id_especie(
+          id,
+          nombre,
+          autor,
+          nombre_comun,
+          estado_nombre,
+          genero:id_genero(id, nombre, familia:id_familia(id, nombre)),
+          aceptada:id_especie_aceptada(id, nombre, genero:id_genero(id, nombre))
+        ),
+        infraespecie:id_infraespecie(id, rango, epiteto, autor),
+        muestra:id_muestra(
+          id,
+          numero_catalogo,
+          num_individuo,
+          colector,
+          num_coleccion,
+          observaciones,
+          fecha_coleccion,
+          paquete(
+            num_paquete,
+            conglomerado(
+              codigo,
+              latitud_dec,
+              longitud_dec,
+              municipio(nombre, departamento(nombre))
+            )
+          )
+        )
+      `)
+      .in('estado', ESTADOS_CERRADOS)
+      .not('id_especie', 'is', null)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+    return idsFiltro ? consulta.in('id_muestra', idsFiltro) : consulta;
+  });
+
+  const porMuestra = new Map();
+  clasificaciones.forEach(c => {
+    if (c.muestra && !porMuestra.has(c.id_muestra)) porMuestra.set(c.id_muestra, c);
+  });
+
+  const aceptadas = await consultarTodo(() => {
+    const consulta = supabase
+      .from('determinacion_historial')
+      .select(SELECT_DETERMINACION)
+      .eq('aceptada', true);
+    return idsFiltro ? consulta.in('id_muestra', idsFiltro) : consulta;
+  });
+  const determinacionPorMuestra = new Map(aceptadas.map(d => [d.id_muestra, d]));
+
+  const idsDeterminadores = new Set();
+  porMuestra.forEach((c, idMuestra) => {
+    const idDeterminador = determinacionPorMuestra.get(idMuestra)?.id_determinador || c.id_determinador;
+    if (idDeterminador) idsDeterminadores.add(idDeterminador);
+  });
+
+  const nombres = new Map();
+  if (idsDeterminadores.size > 0) {
+    const { data: usuarios, error } = await supabase
+      .from('info_usuario')
+      .select('id_user, nombre_completo')
+      .in('id_user', [...idsDeterminadores]);
+    if (error) throw error;
+    (usuarios || []).forEach(u => nombres.set(u.id_user, u.nombre_completo));
+  }
+
+  const config = configuracionDwca();
+  return [...porMuestra.entries()].map(([idMuestra, clasificacion]) => {
+    const determinacion = determinacionPorMuestra.get(idMuestra) || null;
+    const fechas = [clasificacion.created_at, determinacion?.created_at].filter(Boolean).sort();
+
+    return mapearOcurrencia({
+      clasificacion,
+      determinacion,
+      identificadoPor: nombres.get(determinacion?.id_determinador || clasificacion.id_determinador) || null,
+      modificado: fechas[fechas.length - 1] || null
+    }, config);
+  });
+}
+
+function resumenTrabajoDwca(trabajo) {
+  const { archivo, ...resumen } = trabajo;
+  return { ...resumen, descargable: Boolean(archivo) };
+}
+
+// Libera archivos vencidos y conserva solo los trabajos más recientes
+function depurarTrabajosDwca() {
+  const ahora = Date.now();
+  trabajosDwca.forEach(trabajo => {
+    if (trabajo.archivo && trabajo.expira_en && new Date(trabajo.expira_en).getTime() < ahora) {
+      trabajo.archivo = null;
+    }
+  });
+
+  const sobrantes = [...trabajosDwca.keys()].slice(0, Math.max(0, trabajosDwca.size - DWCA_MAX_TRABAJOS));
+  sobrantes.forEach(id => trabajosDwca.delete(id));
+}
+
+async function ejecutarExportacionDwca(trabajo) {
+  // 'hasta' se fija al inicio: sirve como 'desde' de la siguiente exportación incremental
+  trabajo.hasta = new Date().toISOString();
+
+  try {
+    const ocurrencias = await obtenerOcurrenciasDwca(trabajo.desde);
+    const archivo = generarDwca(ocurrencias, { desde: trabajo.desde, generadoEn: trabajo.hasta });
+
+    Object.assign(trabajo, {
+      estado: 'completado',
+      total_registros: ocurrencias.length,
+      tamano_bytes: archivo.length,
+      finalizado_en: new Date().toISOString(),
+      expira_en: new Date(Date.now() + DWCA_RETENCION_MS).toISOString(),
+      archivo
+    });
+
+    logger.info('Exportación DwC-A completada', { id: trabajo.id, registros: ocurrencias.length });
+  } catch (err) {
+    Object.assign(trabajo, {
+      estado: 'error',
+      error: err.message,
+      finalizado_en: new Date().toISOString()
+    });
+    logger.error('Error en exportación DwC-A', { id: trabajo.id, error: err.message });
+  }
+}
+
+/**
+ * POST /admin/exportaciones/dwca
+ * Inicia una exportación Darwin Core Archive (occurrence.txt, meta.xml, eml.xml)
+ * @param {string} [req.body.desde] - Exportación incremental: solo especímenes modificados desde esta fecha
+ * @returns {Object} Trabajo de exportación (202), consultar su estado en GET /admin/exportaciones/dwca/:id
+ */
+app.post('/admin/exportaciones/dwca', async (req, res) => {
+  try {
+    const { desde } = req.body || {};
+    let desdeIso = null;
+
+    if (desde) {
+      const fecha = new Date(desde);
+      if (isNaN(fecha.getTime())) {
+        return res.status(400).json({ error: 'desde no es una fecha válida' });
+      }
+      desdeIso = fecha.toISOString();
+    }
+
+    depurarTrabajosDwca();
+
+    const trabajo = {
+      id: crypto.randomUUID(),
+      estado: 'en_proceso',
+      desde: desdeIso,
+      hasta: null,
+      total_registros: null,
+      tamano_bytes: null,
+      error: null,
+      creado_en: new Date().toISOString(),
+      finalizado_en: null,
+      expira_en: null,
+      archivo: null
+    };
+    trabajosDwca.set(trabajo.id, trabajo);
+
+    // Se ejecuta en segundo plano; el panel consulta el estado del trabajo
+    ejecutarExportacionDwca(trabajo);
+
+    logger.info('Exportación DwC-A iniciada', { id: trabajo.id, desde: desdeIso });
+    res.status(202).json(resumenTrabajoDwca(trabajo));
+  } catch (err) {
+    logger.error('Error en POST /admin/exportaciones/dwca', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * GET /admin/exportaciones/dwca
+ * Lista los trabajos de exportación recientes (más reciente primero)
+ * @returns {Array} Trabajos de exportación
+ */
+app.get('/admin/exportaciones/dwca', (req, res) => {
+  depurarTrabajosDwca();
+  res.json([...trabajosDwca.values()].reverse().map(resumenTrabajoDwca));
+});
+
+/**
+ * GET /admin/exportaciones/dwca/:id
+ * Estado de un trabajo de exportación
+ * @param {string} id - ID del trabajo
+ * @returns {Object} Trabajo de exportación
+ */
+app.get('/admin/exportaciones/dwca/:id', (req, res) => {
+  const trabajo = trabajosDwca.get(req.params.id);
+  if (!trabajo) {
+    return res.status(404).json({ error: 'Exportación no encontrada' });
+  }
+  res.json(resumenTrabajoDwca(trabajo));
+});
+
+/**
+ * GET /admin/exportaciones/dwca/:id/descarga
+ * Descarga el Darwin Core Archive (zip) de un trabajo completado
+ * @param {string} id - ID del trabajo
+ * @returns {Buffer} application/zip
+ */
+app.get('/admin/exportaciones/dwca/:id/descarga', (req, res) => {
+  depurarTrabajosDwca();
+  const trabajo = trabajosDwca.get(req.params.id);
+
+  if (!trabajo) {
+    return res.status(404).json({ error: 'Exportación no encontrada' });
+  }
+
+  if (trabajo.estado !== 'completado') {
+    return res.status(409).json({ error: 'La exportación no ha terminado', estado: trabajo.estado });
+  }
 
-    res.json(data);
-  } catch (err) {
-    console.error('Error en PUT /admin/municipios:', err);
-    res.status(500).json({ error: 'Error interno del servidor' });
+  if (!trabajo.archivo) {
+    return res.status(410).json({ error: 'El archivo de la exportación expiró; genere una nueva' });
   }
+
+  const { institutionCode } = configuracionDwca();
+  const nombre = `dwca-${institutionCode.toLowerCase()}-${trabajo.hasta.slice(0, 10)}${trabajo.desde ? '-incremental' : ''}.zip`;
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${nombre}"`);
+  res.send(trabajo.archivo);
 });
 
-app.delete('/admin/municipios/:id', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('municipio')
-      .delete()
-      .eq('id', req.params.id)
-      .select('*')
-      .single();
+// ===== IMPORTACIÓN DE LISTAS DE CHEQUEO =====
+// Carga masiva del catálogo familia/genero/especie desde un CSV o un taxon.txt Darwin Core.
+// Los nombres se comparan sin tildes ni mayúsculas; con dry_run=true solo se devuelve el diff.
 
-    if (error) {
-      console.error('Error eliminando municipio:', error);
-      return res.status(500).json({ error: 'Error eliminando municipio' });
-    }
+/**
+ * Catálogo completo para comparar (sin la caché de /taxonomia/buscar, que puede estar desactualizada)
+ * @returns {Promise<Object>} { familias, generos, especies }
+ */
+async function obtenerCatalogoImportacion() {
+  const [familias, generos, especies] = await Promise.all([
+    consultarTodo(() => supabase.from('familia').select('id, nombre').order('id')),
+    consultarTodo(() => supabase.from('genero').select('id, nombre, id_familia').order('id')),
+    consultarTodo(() => supabase.from('especie').select('id, nombre, nombre_comun, tipo_amenaza, id_genero').order('id'))
+  ]);
+  return { familias, generos, especies };
+}
 
-    if (!data) {
-      return res.status(404).json({ error: 'Municipio no encontrado' });
-    }
+/**
+ * Aplica el plan en orden: familias → géneros → especies nuevas → actualizaciones
+ * @param {Object} plan - Resultado de planificarImportacion
+ * @param {Object} catalogo - Catálogo usado para calcular el plan
+ */
+async function aplicarImportacion(plan, catalogo) {
+  const idsFamilia = new Map(catalogo.familias.map(f => [claveNombre(f.nombre), f.id]));
+  const idsGenero = new Map(catalogo.generos.map(g => [claveNombre(g.nombre), g.id]));
 
-    res.json({ message: 'Municipio eliminado exitosamente' });
-  } catch (err) {
-    console.error('Error en DELETE /admin/municipios:', err);
-    res.status(500).json({ error: 'Error interno del servidor' });
+  if (plan.familias.crear.length > 0) {
+    const { data, error } = await supabase
+      .from('familia')
+      .insert(plan.familias.crear.map(f => ({ nombre: f.nombre })))
+      .select('id, nombre');
+    if (error) throw error;
+    data.forEach(f => idsFamilia.set(claveNombre(f.nombre), f.id));
   }
-});
 
-// Estadísticas para administración
-app.get('/admin/estadisticas', async (req, res) => {
-  try {
-    // Contar herbario
-    const { count: totalherbario, error: herbarioError } = await supabase
-      .from('herbario')
-      .select('*', { count: 'exact', head: true });
+  if (plan.generos.crear.length > 0) {
+    const { data, error } = await supabase
+      .from('genero')
+      .insert(plan.generos.crear.map(g => ({ nombre: g.nombre, id_familia: idsFamilia.get(claveNombre(g.familia)) })))
+      .select('id, nombre');
+    if (error) throw error;
+    data.forEach(g => idsGenero.set(claveNombre(g.nombre), g.id));
+  }
 
-    // Contar usuarios
-    const { count: totalUsuarios, error: usuarioError } = await supabase
-      .from('info_usuario')
-      .select('*', { count: 'exact', head: true });
+  if (plan.especies.crear.length > 0) {
+    const { error } = await supabase
+      .from('especie')
+      .insert(plan.especies.crear.map(e => ({
+        nombre: e.nombre,
+        nombre_comun: e.nombre_comun,
+        tipo_amenaza: e.tipo_amenaza,
+        id_genero: idsGenero.get(claveNombre(e.genero))
+      })));
+    if (error) throw error;
+  }
 
-    // Contar herbarios activos (todos considerados activos)
-    const herbarioActivos = totalherbario;
-    const activosError = null;
+  for (const especie of plan.especies.actualizar) {
+    const cambios = Object.fromEntries(Object.entries(especie.cambios).map(([campo, { despues }]) => [campo, despues]));
+    const { error } = await supabase
+      .from('especie')
+      .update(cambios)
+      .eq('id', especie.id);
+    if (error) throw error;
+  }
+}
 
-    // Contar regiones
-    const { count: totalRegiones, error: regionError } = await supabase
-      .from('region')
-      .select('*', { count: 'exact', head: true });
+/**
+ * POST /admin/taxonomia/importar?dry_run=true&modo=omitir|fusionar
+ * Importa una lista de chequeo. El cuerpo es el archivo en texto plano (CSV con coma,
+ * punto y coma o tabulador, o el taxon.txt de un DwC-A). Columnas reconocidas:
+ * familia/family, genero/genus, especie/specificEpithet, nombre_cientifico/scientificName,
+ * nombre_comun/vernacularName, tipo_amenaza/threatStatus y rango/taxonRank.
+ * - modo=omitir (defecto): las especies existentes no se modifican
+ * - modo=fusionar: las especies existentes toman nombre_comun y tipo_amenaza del archivo
+ * Si hay filas con errores no se aplica nada; corregir el archivo y repetir.
+ */
+app.post('/admin/taxonomia/importar', async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const modo = req.query.modo || 'omitir';
 
-    // Contar departamentos
-    const { count: totalDepartamentos, error: departamentoError } = await supabase
-      .from('departamento')
-      .select('*', { count: 'exact', head: true });
+    if (!MODOS_IMPORTACION.includes(modo)) {
+      return res.status(400).json({ error: `modo debe ser uno de: ${MODOS_IMPORTACION.join(', ')}` });
+    }
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Envíe el archivo como texto (Content-Type: text/csv o text/plain)' });
+    }
 
-    // Contar municipios
-    const { count: totalMunicipios, error: municipioError } = await supabase
-      .from('municipio')
-      .select('*', { count: 'exact', head: true });
+    const { filas, errores, columnas } = parsearChecklist(req.body);
+    const catalogo = await obtenerCatalogoImportacion();
+    const plan = planificarImportacion(filas, catalogo, { modo });
+
+    const reporte = {
+      modo,
+      dry_run: dryRun,
+      columnas,
+      resumen: {
+        filas: filas.length + errores.length,
+        familias_nuevas: plan.familias.crear.length,
+        generos_nuevos: plan.generos.crear.length,
+        especies_nuevas: plan.especies.crear.length,
+        especies_actualizadas: plan.especies.actualizar.length,
+        especies_omitidas: plan.especies.omitir.length,
+        conflictos: plan.conflictos.length,
+        errores: errores.length
+      },
+      ...plan,
+      errores,
+      aplicado: false
+    };
 
-    // Usuarios por rol (todos los usuarios)
-    const { data: usuariosPorRol, error: rolError } = await supabase
-      .from('info_usuario')
-      .select('rol');
+    if (dryRun) {
+      return res.json(reporte);
+    }
 
-    if (herbarioError || usuarioError || activosError || rolError || 
-        regionError || departamentoError || municipioError) {
-      console.error('Error obteniendo estadísticas:', { 
-        herbarioError, usuarioError, activosError, rolError,
-        regionError, departamentoError, municipioError 
-      });
-      return res.status(500).json({ error: 'Error obteniendo estadísticas' });
+    if (errores.length > 0) {
+      return res.status(422).json({ ...reporte, error: 'El archivo tiene filas con errores; no se importó nada' });
     }
 
-    const roles = {};
-    usuariosPorRol?.forEach(user => {
-      roles[user.rol] = (roles[user.rol] || 0) + 1;
-    });
+    await aplicarImportacion(plan, catalogo);
+    cacheCatalogo.data = null; // Invalidar caché de /taxonomia/buscar
 
-    res.json({
-      totalherbario: totalherbario || 0,
-      herbarioActivos: herbarioActivos || 0,
-      totalUsuarios: totalUsuarios || 0,
-      totalRegiones: totalRegiones || 0,
-      totalDepartamentos: totalDepartamentos || 0,
-      totalMunicipios: totalMunicipios || 0,
-      usuariosPorRol: roles
-    });
+    logger.info('Lista de chequeo importada', reporte.resumen);
+    res.json({ ...reporte, aplicado: true });
   } catch (err) {
-    logger.error('Error en GET /admin/estadisticas', { error: err.message });
-    res.status(500).json({ error: 'Error interno del servidor' });
+    logger.error('Error en POST /admin/taxonomia/importar', { error: err.message });
+    if (err.message && err.message.includes('enum')) {
+      return res.status(400).json({ error: 'Tipo de amenaza no válido. Valores permitidos: CR, EN, VU, NN' });
+    }
+    res.status(500).json({ error: 'Error importando la lista de chequeo', details: err.message });
   }
 });
 
 // ===== RUTAS DE TAXONOMÍA JERÁRQUICA =====
+//
+// Sinonimia: columnas de especie (sql/sinonimia.sql)
+//   autor (cita de autor), estado_nombre ('aceptado' | 'sinonimo' | 'dudoso', defecto 'aceptado'),
+//   id_especie_aceptada (FK especie; obligatorio para sinónimos, opcional para dudosos)
+// Las clasificaciones guardan el nombre tal como se determinó; las respuestas añaden el
+// nombre aceptado en 'aceptada' para que el frontend lo resuelva.
+//
+// Tabla infraespecie (por debajo de especie; sql/infraespecies.sql):
+//   id, id_especie, rango ('subespecie' | 'variedad' | 'forma'), epiteto, autor,
+//   nombre_comun, tipo_amenaza, created_at — único por (id_especie, rango, epiteto)
+// clasificacion_herbario.id_infraespecie (opcional) apunta a una infraespecie de su id_especie.
+
+const ESTADOS_NOMBRE = ['aceptado', 'sinonimo', 'dudoso'];
+
+const SELECT_ESPECIE_TAXONOMIA = 'id, nombre, autor, nombre_comun, tipo_amenaza, estado_nombre, id_especie_aceptada';
+
+const SELECT_ESPECIE_JERARQUIA = `
+  ${SELECT_ESPECIE_TAXONOMIA},
+  genero:id_genero(
+    id,
+    nombre,
+    familia:id_familia(
+      id,
+      nombre
+    )
+  )
+`;
+
+// "Genero epiteto Autor"
+const nombreCientificoEspecie = (especie) =>
+  formatearNombreCientifico({ genero: especie.genero, especie });
+
+/**
+ * Añade a cada especie su nombre aceptado ('aceptada'), o null si es un nombre aceptado
+ * @param {Array<Object>} especies - Filas con estado_nombre e id_especie_aceptada
+ * @returns {Promise<Array<Object>>}
+ */
+async function resolverNombresAceptados(especies) {
+  const ids = [...new Set(especies.map(e => e.id_especie_aceptada).filter(Boolean))];
+  if (ids.length === 0) return especies.map(e => ({ ...e, aceptada: null }));
+
+  const { data, error } = await supabase
+    .from('especie')
+    .select(SELECT_ESPECIE_JERARQUIA)
+    .in('id', ids);
+
+  if (error) throw error;
+
+  const aceptadas = new Map(data.map(a => [a.id, {
+    id: a.id,
+    nombre: a.nombre,
+    autor: a.autor,
+    nombre_cientifico: nombreCientificoEspecie(a),
+    nombre_comun: a.nombre_comun,
+    tipo_amenaza: a.tipo_amenaza,
+    genero: a.genero ? { id: a.genero.id, nombre: a.genero.nombre } : null,
+    familia: a.genero?.familia || null
+  }]));
+
+  return especies.map(e => ({ ...e, aceptada: aceptadas.get(e.id_especie_aceptada) || null }));
+}
+
+/**
+ * Valida el estado nomenclatural de una especie y su enlace al nombre aceptado
+ * @param {Object} datos - { estado_nombre, id_especie_aceptada }
+ * @param {number|null} idEspecie - Especie que se modifica (null al crear)
+ * @returns {Promise<Object>} { isValid, errors }
+ */
+async function validarSinonimia({ estado_nombre, id_especie_aceptada }, idEspecie = null) {
+  const errors = [];
+
+  if (!ESTADOS_NOMBRE.includes(estado_nombre)) {
+    errors.push(`estado_nombre debe ser uno de: ${ESTADOS_NOMBRE.join(', ')}`);
+  } else if (estado_nombre === 'aceptado' && id_especie_aceptada) {
+    errors.push('Un nombre aceptado no puede apuntar a otro nombre aceptado');
+  } else if (estado_nombre === 'sinonimo' && !id_especie_aceptada) {
+    errors.push('Un sinónimo requiere id_especie_aceptada');
+  }
+
+  if (errors.length === 0 && id_especie_aceptada) {
+    if (idEspecie && String(id_especie_aceptada) === String(idEspecie)) {
+      errors.push('Una especie no puede ser sinónimo de sí misma');
+    } else {
+      const { data: aceptada, error } = await supabase
+        .from('especie')
+        .select('id, estado_nombre')
+        .eq('id', id_especie_aceptada)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!aceptada) {
+        errors.push('La especie aceptada no existe');
+      } else if ((aceptada.estado_nombre || 'aceptado') !== 'aceptado') {
+        errors.push('id_especie_aceptada debe apuntar a un nombre aceptado, no a otro sinónimo');
+      }
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+const SELECT_INFRAESPECIE = 'id, id_especie, rango, epiteto, autor, nombre_comun, tipo_amenaza';
+
+/**
+ * Infraespecie con su nombre científico formateado
+ * @param {Object} infraespecie - Fila de infraespecie
+ * @param {Object} especie - Especie con genero { nombre } y autor
+ * @returns {Object}
+ */
+function formatearInfraespecie(infraespecie, especie) {
+  return {
+    ...infraespecie,
+    nombre_cientifico: formatearNombreCientifico({ genero: especie.genero, especie, infraespecie })
+  };
+}
 
 // Obtener todas las familias con conteo de géneros
 app.get('/api/taxonomia/familias', async (req, res) => {
@@ -2028,36 +4201,58 @@ app.get('/api/taxonomia/familias/:familiaId/generos', async (req, res) => {
   }
 });
 
-// Obtener especies de un género específico
+// Obtener especies de un género específico (los sinónimos incluyen su nombre aceptado)
 app.get('/api/taxonomia/generos/:generoId/especies', async (req, res) => {
   try {
     const { generoId } = req.params;
 
     const { data: especies, error } = await supabase
       .from('especie')
-      .select('id, nombre, nombre_comun, tipo_amenaza')
+      .select(`${SELECT_ESPECIE_TAXONOMIA}, infraespecie(count)`)
       .eq('id_genero', generoId)
       .order('nombre');
 
     if (error) throw error;
 
-    res.json(especies);
+    const especiesConConteo = especies.map(({ infraespecie, ...especie }) => ({
+      ...especie,
+      infraespecies_count: infraespecie?.[0]?.count || 0
+    }));
+
+    res.json(await resolverNombresAceptados(especiesConConteo));
   } catch (error) {
     console.error('Error obteniendo especies:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 });
 
-// Crear nueva especie
-app.post('/api/taxonomia/especies', async (req, res) => {
+/**
+ * POST /api/taxonomia/especies
+ * Crea una especie (permiso muestra:clasificar). Crearla como sinónimo o dudosa (estado_nombre,
+ * id_especie_aceptada) requiere además taxonomia:editar, como PUT .../sinonimia.
+ */
+app.post('/api/taxonomia/especies', requierePermiso(PERMISOS.MUESTRA_CLASIFICAR), async (req, res) => {
   try {
-    const { nombre, nombre_comun, tipo_amenaza, id_genero } = req.body;
+    const { nombre, autor, nombre_comun, tipo_amenaza, id_genero, estado_nombre = 'aceptado', id_especie_aceptada } = req.body;
 
     // Validar campos requeridos
     if (!nombre || !id_genero) {
       return res.status(400).json({ error: 'Nombre e id_genero son obligatorios' });
     }
 
+    if ((estado_nombre !== 'aceptado' || id_especie_aceptada) && !tienePermiso(req.user, PERMISOS.TAXONOMIA_EDITAR)) {
+      return res.status(403).json({
+        error: 'Crear sinónimos o nombres dudosos requiere taxonomia:editar',
+        codigo: 'PERMISO_REQUERIDO',
+        permisos_requeridos: [PERMISOS.TAXONOMIA_EDITAR]
+      });
+    }
+
+    const sinonimia = await validarSinonimia({ estado_nombre, id_especie_aceptada });
+    if (!sinonimia.isValid) {
+      return res.status(400).json({ error: sinonimia.errors.join('; ') });
+    }
+
     // Nota: La validación de tipo_amenaza se hace a nivel de base de datos (ENUM)
     // Los valores válidos según el ENUM son: CR, EN, VU, NN
 
@@ -2065,11 +4260,14 @@ app.post('/api/taxonomia/especies', async (req, res) => {
       .from('especie')
       .insert({
         nombre: nombre.trim(),
+        autor: autor ? autor.trim() : null,
         nombre_comun: nombre_comun ? nombre_comun.trim() : null,
         tipo_amenaza: tipo_amenaza || null,
-        id_genero
+        id_genero,
+        estado_nombre,
+        id_especie_aceptada: id_especie_aceptada || null
       })
-      .select('id, nombre, nombre_comun, tipo_amenaza')
+      .select(SELECT_ESPECIE_TAXONOMIA)
       .single();
 
     if (error) {
@@ -2083,6 +4281,7 @@ app.post('/api/taxonomia/especies', async (req, res) => {
       return res.status(500).json({ error: 'Error creando especie', details: error.message });
     }
 
+    cacheCatalogo.data = null; // Invalidar caché de /taxonomia/buscar
     logger.info('Nueva especie creada', { id: data.id, nombre: data.nombre });
     res.status(201).json(data);
   } catch (err) {
@@ -2091,39 +4290,137 @@ app.post('/api/taxonomia/especies', async (req, res) => {
   }
 });
 
-// Obtener información completa de una especie (con familia y género)
+/**
+ * PUT /api/taxonomia/especies/:especieId/sinonimia
+ * Cambia el estado nomenclatural de una especie (aceptado, sinónimo o dudoso).
+ * Al pasar un nombre aceptado a sinónimo, sus propios sinónimos se reasignan al nuevo
+ * nombre aceptado para no encadenar sinonimias. Requiere taxonomia:editar.
+ * @param {string} req.body.estado_nombre
+ * @param {number} [req.body.id_especie_aceptada] - Obligatorio para sinónimos
+ * @param {string} [req.body.autor] - Cita de autor del nombre
+ */
+app.put('/api/taxonomia/especies/:especieId/sinonimia', requierePermiso(PERMISOS.TAXONOMIA_EDITAR), async (req, res) => {
+  try {
+    const { especieId } = req.params;
+    const { estado_nombre, id_especie_aceptada, autor } = req.body;
+
+    const sinonimia = await validarSinonimia({ estado_nombre, id_especie_aceptada }, especieId);
+    if (!sinonimia.isValid) {
+      return res.status(400).json({ error: sinonimia.errors.join('; ') });
+    }
+
+    const cambios = { estado_nombre, id_especie_aceptada: id_especie_aceptada || null };
+    if (autor !== undefined) cambios.autor = autor ? autor.trim() : null;
+
+    const { data, error } = await supabase
+      .from('especie')
+      .update(cambios)
+      .eq('id', especieId)
+      .select(SELECT_ESPECIE_TAXONOMIA)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Especie no encontrada' });
+    }
+
+    let reasignados = 0;
+    if (estado_nombre !== 'aceptado') {
+      const { data: sinonimos, error: reasignarError } = await supabase
+        .from('especie')
+        .update({ id_especie_aceptada: id_especie_aceptada || null })
+        .eq('id_especie_aceptada', especieId)
+        .select('id');
+
+      if (reasignarError) throw reasignarError;
+      reasignados = sinonimos.length;
+    }
+
+    cacheCatalogo.data = null; // Invalidar caché de /taxonomia/buscar
+    logger.info('Sinonimia actualizada', { id: data.id, estado_nombre, id_especie_aceptada, reasignados });
+    const [especie] = await resolverNombresAceptados([data]);
+    res.json({ ...especie, sinonimos_reasignados: reasignados });
+  } catch (err) {
+    logger.error('Error en PUT /api/taxonomia/especies/:especieId/sinonimia', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor', details: err.message });
+  }
+});
+
+/**
+ * GET /api/taxonomia/especies/:especieId/completa
+ * Información completa de una especie (con familia y género).
+ * - rango, autoria y nombre_cientifico (formateado con autores) describen el taxón consultado;
+ *   con ?id_infraespecie=N el taxón es esa subespecie/variedad/forma y 'infraspecies' la trae
+ * - 'infraspecific' lista las infraespecies de la especie
+ * - si es un sinónimo, 'accepted' trae la jerarquía del nombre aceptado; 'synonyms' lista
+ *   los demás nombres enlazados al mismo nombre aceptado
+ */
 app.get('/api/taxonomia/especies/:especieId/completa', async (req, res) => {
   try {
     const { especieId } = req.params;
+    const { id_infraespecie: idInfraespecie } = req.query;
 
     const { data, error } = await supabase
       .from('especie')
-      .select(`
-        id,
-        nombre,
-        nombre_comun,
-        tipo_amenaza,
-        genero:id_genero(
-          id,
-          nombre,
-          familia:id_familia(
-            id,
-            nombre
-          )
-        )
-      `)
+      .select(SELECT_ESPECIE_JERARQUIA)
       .eq('id', especieId)
       .single();
 
     if (error) throw error;
 
+    const [especie] = await resolverNombresAceptados([data]);
+    const idAceptada = especie.aceptada?.id || (especie.estado_nombre === 'aceptado' || !especie.estado_nombre ? especie.id : null);
+
+    let sinonimos = [];
+    if (idAceptada) {
+      const { data: filas, error: sinonimosError } = await supabase
+        .from('especie')
+        .select(`${SELECT_ESPECIE_TAXONOMIA}, genero:id_genero(id, nombre)`)
+        .eq('id_especie_aceptada', idAceptada)
+        .order('nombre');
+
+      if (sinonimosError) throw sinonimosError;
+      sinonimos = filas
+        .filter(s => s.id !== especie.id)
+        .map(s => ({
+          id: s.id,
+          nombre_cientifico: nombreCientificoEspecie(s),
+          estado_nombre: s.estado_nombre
+        }));
+    }
+
+    const { data: infraespecies, error: infraError } = await supabase
+      .from('infraespecie')
+      .select(SELECT_INFRAESPECIE)
+      .eq('id_especie', especieId)
+      .order('rango')
+      .order('epiteto');
+
+    if (infraError) throw infraError;
+
+    const infraespecie = idInfraespecie
+      ? infraespecies.find(i => String(i.id) === String(idInfraespecie))
+      : null;
+    if (idInfraespecie && !infraespecie) {
+      return res.status(404).json({ error: 'La infraespecie no pertenece a esta especie' });
+    }
+
+    const taxon = { genero: data.genero, especie: data, infraespecie };
+
     // Restructurar para el frontend
     const especieCompleta = {
+      rango: rangoTaxon(taxon),
+      autoria: autoriaTaxon(taxon),
+      nombre_cientifico: formatearNombreCientifico(taxon),
+      nombre_sin_autores: formatearNombreCientifico(taxon, { autores: false }),
       species: {
         id: data.id,
         nombre: data.nombre,
+        autor: data.autor,
+        nombre_cientifico: nombreCientificoEspecie(data),
         nombre_comun: data.nombre_comun,
-        tipo_amenaza: data.tipo_amenaza
+        tipo_amenaza: data.tipo_amenaza,
+        estado_nombre: data.estado_nombre || 'aceptado'
       },
       genus: {
         id: data.genero.id,
@@ -2132,7 +4429,24 @@ app.get('/api/taxonomia/especies/:especieId/completa', async (req, res) => {
       family: {
         id: data.genero.familia.id,
         nombre: data.genero.familia.nombre
-      }
+      },
+      infraspecies: infraespecie ? formatearInfraespecie(infraespecie, data) : null,
+      infraspecific: infraespecies.map(i => formatearInfraespecie(i, data)),
+      accepted: especie.aceptada
+        ? {
+          species: {
+            id: especie.aceptada.id,
+            nombre: especie.aceptada.nombre,
+            autor: especie.aceptada.autor,
+            nombre_cientifico: especie.aceptada.nombre_cientifico,
+            nombre_comun: especie.aceptada.nombre_comun,
+            tipo_amenaza: especie.aceptada.tipo_amenaza
+          },
+          genus: especie.aceptada.genero,
+          family: especie.aceptada.familia
+        }
+        : null,
+      synonyms: sinonimos
     };
 
     res.json(especieCompleta);
@@ -2142,6 +4456,103 @@ app.get('/api/taxonomia/especies/:especieId/completa', async (req, res) => {
   }
 });
 
+// Obtener subespecies, variedades y formas de una especie
+app.get('/api/taxonomia/especies/:especieId/infraespecies', async (req, res) => {
+  try {
+    const { especieId } = req.params;
+
+    const { data: especie, error: especieError } = await supabase
+      .from('especie')
+      .select('id, nombre, autor, genero:id_genero(id, nombre)')
+      .eq('id', especieId)
+      .maybeSingle();
+
+    if (especieError) throw especieError;
+    if (!especie) {
+      return res.status(404).json({ error: 'Especie no encontrada' });
+    }
+
+    const { data: infraespecies, error } = await supabase
+      .from('infraespecie')
+      .select(SELECT_INFRAESPECIE)
+      .eq('id_especie', especieId)
+      .order('rango')
+      .order('epiteto');
+
+    if (error) throw error;
+
+    res.json(infraespecies.map(i => formatearInfraespecie(i, especie)));
+  } catch (err) {
+    logger.error('Error en GET /api/taxonomia/especies/:especieId/infraespecies', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * POST /api/taxonomia/infraespecies
+ * Crea una subespecie, variedad o forma bajo una especie. Requiere taxonomia:editar.
+ * @param {number} req.body.id_especie
+ * @param {string} req.body.rango - 'subespecie' | 'variedad' | 'forma'
+ * @param {string} req.body.epiteto - Epíteto infraespecífico
+ * @param {string} [req.body.autor] - Cita de autor
+ * @param {string} [req.body.nombre_comun]
+ * @param {string} [req.body.tipo_amenaza] - CR, EN, VU, NN
+ */
+app.post('/api/taxonomia/infraespecies', requierePermiso(PERMISOS.TAXONOMIA_EDITAR), async (req, res) => {
+  try {
+    const { id_especie, rango, epiteto, autor, nombre_comun, tipo_amenaza } = req.body;
+
+    if (!id_especie || !epiteto) {
+      return res.status(400).json({ error: 'id_especie y epiteto son obligatorios' });
+    }
+    if (!RANGOS_INFRAESPECIFICOS[rango]) {
+      return res.status(400).json({ error: `rango debe ser uno de: ${Object.keys(RANGOS_INFRAESPECIFICOS).join(', ')}` });
+    }
+
+    const { data: especie, error: especieError } = await supabase
+      .from('especie')
+      .select('id, nombre, autor, genero:id_genero(id, nombre)')
+      .eq('id', id_especie)
+      .maybeSingle();
+
+    if (especieError) throw especieError;
+    if (!especie) {
+      return res.status(404).json({ error: 'Especie no encontrada' });
+    }
+
+    const { data, error } = await supabase
+      .from('infraespecie')
+      .insert({
+        id_especie,
+        rango,
+        epiteto: epiteto.trim().toLowerCase(),
+        autor: autor ? autor.trim() : null,
+        nombre_comun: nombre_comun ? nombre_comun.trim() : null,
+        tipo_amenaza: tipo_amenaza || null
+      })
+      .select(SELECT_INFRAESPECIE)
+      .single();
+
+    if (error) {
+      logger.error('Error creando infraespecie', { error: error.message });
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'La infraespecie ya existe para esta especie' });
+      }
+      if (error.message && error.message.includes('enum')) {
+        return res.status(400).json({ error: 'Tipo de amenaza no válido. Valores permitidos: CR, EN, VU, NN (o dejar vacío)' });
+      }
+      return res.status(500).json({ error: 'Error creando infraespecie', details: error.message });
+    }
+
+    const infraespecie = formatearInfraespecie(data, especie);
+    logger.info('Nueva infraespecie creada', { id: data.id, nombre: infraespecie.nombre_cientifico });
+    res.status(201).json(infraespecie);
+  } catch (err) {
+    logger.error('Error en POST /api/taxonomia/infraespecies', { error: err.message });
+    res.status(500).json({ error: 'Error interno del servidor', details: err.message });
+  }
+});
+
 // Alias para obtener especie completa
 app.get('/especies/:id', async (req, res) => {
   try {
@@ -2149,26 +4560,14 @@ app.get('/especies/:id', async (req, res) => {
 
     const { data, error } = await supabase
       .from('especie')
-      .select(`
-        id,
-        nombre,
-        nombre_comun,
-        tipo_amenaza,
-        genero:id_genero(
-          id,
-          nombre,
-          familia:id_familia(
-            id,
-            nombre
-          )
-        )
-      `)
+      .select(SELECT_ESPECIE_JERARQUIA)
       .eq('id', id)
       .single();
 
     if (error) throw error;
 
-    res.json(data);
+    const [especie] = await resolverNombresAceptados([data]);
+    res.json(especie);
   } catch (error) {
     logger.error('Error obteniendo especie', { error: error.message });
     res.status(500).json({ error: 'Error interno del servidor' });
@@ -0,0 +1,322 @@
+import { normalizarTexto } from './texto.js';
+
+// ===== IMPORTACIÓN DE LISTAS DE CHEQUEO =====
+// Lee un CSV (coma, punto y coma o tabulador) o un checklist Darwin Core (taxon.txt)
+// y calcula el plan de cambios contra el catálogo familia/genero/especie.
+
+// Modos para especies que ya existen: 'omitir' no las toca, 'fusionar' completa/actualiza sus datos
+export const MODOS_IMPORTACION = ['omitir', 'fusionar'];
+
+export const TIPOS_AMENAZA = ['CR', 'EN', 'VU', 'NN'];
+
+// Columnas reconocidas (encabezados normalizados) por campo
+const COLUMNAS = {
+  familia: ['familia', 'family'],
+  genero: ['genero', 'genus'],
+  especie: ['especie', 'epiteto', 'epiteto_especifico', 'specificepithet'],
+  nombre_cientifico: ['nombre_cientifico', 'scientificname'],
+  nombre_comun: ['nombre_comun', 'vernacularname'],
+  tipo_amenaza: ['tipo_amenaza', 'amenaza', 'categoria_amenaza', 'threatstatus', 'iucnredlistcategory'],
+  rango: ['rango', 'taxonrank']
+};
+
+// Categorías UICN (código o nombre) → tipo_amenaza; las no amenazadas se registran como NN
+const EQUIVALENCIAS_AMENAZA = {
+  cr: 'CR', 'critically endangered': 'CR', 'en peligro critico': 'CR',
+  en: 'EN', endangered: 'EN', 'en peligro': 'EN',
+  vu: 'VU', vulnerable: 'VU',
+  nn: 'NN', nt: 'NN', lc: 'NN', dd: 'NN', ne: 'NN',
+  'near threatened': 'NN', 'casi amenazada': 'NN',
+  'least concern': 'NN', 'preocupacion menor': 'NN',
+  'data deficient': 'NN', 'datos insuficientes': 'NN',
+  'not evaluated': 'NN', 'no evaluada': 'NN'
+};
+
+const RANGOS = {
+  family: 'familia', familia: 'familia',
+  genus: 'genero', genero: 'genero',
+  species: 'especie', especie: 'especie'
+};
+
+// Clave de comparación: sin tildes, sin mayúsculas y con espacios simples
+export const claveNombre = (texto) => normalizarTexto(texto).replace(/\s+/g, ' ');
+
+// Nombre tal como se guarda: sin espacios sobrantes
+const limpiar = (texto) => (texto || '').trim().replace(/\s+/g, ' ');
+
+const capitalizar = (texto) => (texto ? texto.charAt(0).toUpperCase() + texto.slice(1).toLowerCase() : texto);
+
+// Encabezados tipo "dwc:family" o "http://rs.tdwg.org/dwc/terms/family" → "family"
+function normalizarEncabezado(encabezado) {
+  const termino = encabezado.trim().split(/[/:#]/).pop();
+  return normalizarTexto(termino).replace(/[\s-]+/g, '_');
+}
+
+function detectarSeparador(linea) {
+  const candidatos = ['\t', ';', ','];
+  return candidatos
+    .map(separador => ({ separador, cantidad: linea.split(separador).length - 1 }))
+    .sort((a, b) => b.cantidad - a.cantidad)[0].separador;
+}
+
+// Divide el texto en registros respetando comillas dobles (con "" como escape)
+function leerRegistros(texto, separador) {
+  const registros = [];
+  let registro = [];
+  let campo = '';
+  let entreComillas = false;
+
+  for (let i = 0; i < texto.length; i++) {
+    const c = texto[i];
+
+    if (entreComillas) {
+      if (c === '"' && texto[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (c === '"') {
+        entreComillas = false;
+      } else {
+        campo += c;
+      }
+    } else if (c === '"' && campo === '') {
+      entreComillas = true;
+    } else if (c === separador) {
+      registro.push(campo);
+      campo = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && texto[i + 1] === '\n') i++;
+      registro.push(campo);
+      registros.push(registro);
+      registro = [];
+      campo = '';
+    } else {
+      campo += c;
+    }
+  }
+
+  if (campo !== '' || registro.length > 0) {
+    registro.push(campo);
+    registros.push(registro);
+  }
+
+  return registros.filter(r => r.some(valor => valor.trim() !== ''));
+}
+
+/**
+ * Convierte una categoría de amenaza al ENUM tipo_amenaza
+ * @param {string} valor
+ * @returns {string|null|undefined} Código, null si viene vacío, undefined si no se reconoce
+ */
+export function normalizarAmenaza(valor) {
+  const clave = claveNombre(valor);
+  if (!clave) return null;
+  return EQUIVALENCIAS_AMENAZA[clave];
+}
+
+/**
+ * Lee una lista de chequeo en texto
+ * @param {string} texto - Contenido del archivo (CSV o taxon.txt de un DwC-A)
+ * @returns {Object} { filas, errores, columnas } — cada fila: { fila, rango, familia, genero, especie, nombre_comun, tipo_amenaza }
+ */
+export function parsearChecklist(texto) {
+  const contenido = (texto || '').replace(/^\uFEFF/, '');
+  const primeraLinea = contenido.split(/\r?\n/, 1)[0] || '';
+  const registros = leerRegistros(contenido, detectarSeparador(primeraLinea));
+
+  if (registros.length < 2) {
+    return { filas: [], errores: [{ fila: 1, mensaje: 'El archivo no tiene encabezado y filas de datos' }], columnas: {} };
+  }
+
+  const encabezados = registros[0].map(normalizarEncabezado);
+  const columnas = {};
+  Object.entries(COLUMNAS).forEach(([campo, alias]) => {
+    const indice = encabezados.findIndex(e => alias.includes(e));
+    if (indice >= 0) columnas[campo] = indice;
+  });
+
+  if (columnas.genero === undefined && columnas.nombre_cientifico === undefined) {
+    return {
+      filas: [],
+      errores: [{ fila: 1, mensaje: 'Se requiere una columna de género (genero/genus) o de nombre científico (scientificName)' }],
+      columnas
+    };
+  }
+
+  const filas = [];
+  const errores = [];
+
+  registros.slice(1).forEach((registro, index) => {
+    const numeroFila = index + 2; // fila 1 = encabezado
+    const valor = (campo) => (columnas[campo] !== undefined ? limpiar(registro[columnas[campo]]) : '');
+
+    let genero = valor('genero');
+    let especie = valor('especie');
+
+    // Nombre científico "Genero epiteto [autor]" si faltan las columnas separadas
+    const nombreCientifico = valor('nombre_cientifico');
+    if (nombreCientifico && (!genero || !especie)) {
+      const [primera, segunda] = nombreCientifico.split(' ');
+      if (!genero) genero = primera;
+      if (!especie && segunda && /^[a-z]/.test(normalizarTexto(segunda)) && segunda === segunda.toLowerCase()) especie = segunda;
+    }
+
+    const rangoDeclarado = RANGOS[claveNombre(valor('rango'))];
+    const rango = rangoDeclarado || (especie ? 'especie' : genero ? 'genero' : 'familia');
+    const familia = valor('familia');
+
+    if (!familia && rango === 'familia') {
+      errores.push({ fila: numeroFila, mensaje: 'Fila sin familia, género ni especie' });
+      return;
+    }
+    if (rango !== 'familia' && !genero) {
+      errores.push({ fila: numeroFila, mensaje: 'Falta el género' });
+      return;
+    }
+    if (rango === 'especie' && !especie) {
+      errores.push({ fila: numeroFila, mensaje: 'Falta el epíteto de la especie' });
+      return;
+    }
+
+    const amenazaOriginal = valor('tipo_amenaza');
+    const tipoAmenaza = normalizarAmenaza(amenazaOriginal);
+    if (tipoAmenaza === undefined) {
+      errores.push({
+        fila: numeroFila,
+        mensaje: `Categoría de amenaza no reconocida: '${amenazaOriginal}' (use ${TIPOS_AMENAZA.join(', ')} o una categoría UICN)`
+      });
+      return;
+    }
+
+    filas.push({
+      fila: numeroFila,
+      rango,
+      familia: familia ? capitalizar(familia) : null,
+      genero: rango === 'familia' ? null : capitalizar(genero),
+      especie: rango === 'especie' ? especie.toLowerCase() : null,
+      nombre_comun: rango === 'especie' ? valor('nombre_comun') || null : null,
+      tipo_amenaza: rango === 'especie' ? tipoAmenaza : null
+    });
+  });
+
+  return { filas, errores, columnas: Object.fromEntries(Object.entries(columnas).map(([c, i]) => [c, registros[0][i]])) };
+}
+
+/**
+ * Calcula el plan de importación (diff) contra el catálogo actual
+ * @param {Array<Object>} filas - Filas de parsearChecklist
+ * @param {Object} catalogo - { familias: [{id, nombre}], generos: [{id, nombre, id_familia}], especies: [{id, nombre, nombre_comun, tipo_amenaza, id_genero}] }
+ * @param {Object} opciones
+ * @param {string} [opciones.modo='omitir'] - Tratamiento de especies existentes
+ * @returns {Object} { familias, generos, especies: { crear, actualizar, omitir }, conflictos }
+ */
+export function planificarImportacion(filas, catalogo, { modo = 'omitir' } = {}) {
+  const familias = new Map(catalogo.familias.map(f => [claveNombre(f.nombre), { ...f }]));
+  const familiasPorId = new Map(catalogo.familias.map(f => [f.id, f]));
+  const generos = new Map(catalogo.generos.map(g => [claveNombre(g.nombre), { ...g, familia: familiasPorId.get(g.id_familia)?.nombre || null }]));
+  const generosPorId = new Map(catalogo.generos.map(g => [g.id, g]));
+  const especies = new Map(catalogo.especies.map(e => [
+    `${claveNombre(generosPorId.get(e.id_genero)?.nombre)} ${claveNombre(e.nombre)}`,
+    e
+  ]));
+
+  const plan = {
+    familias: { crear: [] },
+    generos: { crear: [] },
+    especies: { crear: [], actualizar: [], omitir: [] },
+    conflictos: []
+  };
+
+  const familiasNuevas = new Map();
+  const generosNuevos = new Map();
+  const especiesVistas = new Map();
+
+  const asegurarFamilia = (nombre) => {
+    const clave = claveNombre(nombre);
+    if (familias.has(clave) || familiasNuevas.has(clave)) return;
+    const familia = { nombre };
+    familiasNuevas.set(clave, familia);
+    plan.familias.crear.push(familia);
+  };
+
+  filas.forEach(fila => {
+    if (fila.familia) asegurarFamilia(fila.familia);
+    if (fila.rango === 'familia') return;
+
+    // Género: existente (se respeta su familia) o nuevo (requiere familia)
+    const claveGenero = claveNombre(fila.genero);
+    const generoExistente = generos.get(claveGenero);
+    let nombreGenero = fila.genero;
+
+    if (generoExistente) {
+      nombreGenero = generoExistente.nombre;
+      if (fila.familia && generoExistente.familia && claveNombre(generoExistente.familia) !== claveNombre(fila.familia)) {
+        plan.conflictos.push({
+          fila: fila.fila,
+          mensaje: `El género ${generoExistente.nombre} pertenece a ${generoExistente.familia} en el catálogo, no a ${fila.familia}; se conserva el catálogo`
+        });
+      }
+    } else if (generosNuevos.has(claveGenero)) {
+      nombreGenero = generosNuevos.get(claveGenero).nombre;
+    } else if (!fila.familia) {
+      plan.conflictos.push({ fila: fila.fila, mensaje: `El género ${fila.genero} no existe y la fila no indica su familia; se omite` });
+      return;
+    } else {
+      const familiaExistente = familias.get(claveNombre(fila.familia));
+      const genero = { nombre: fila.genero, familia: familiaExistente?.nombre || familiasNuevas.get(claveNombre(fila.familia)).nombre };
+      generosNuevos.set(claveGenero, genero);
+      plan.generos.crear.push(genero);
+    }
+
+    if (fila.rango === 'genero') return;
+
+    // Especie: duplicados dentro del archivo se fusionan en la primera aparición
+    const claveEspecie = `${claveGenero} ${claveNombre(fila.especie)}`;
+    const vista = especiesVistas.get(claveEspecie);
+    if (vista) {
+      if (!vista.nombre_comun && fila.nombre_comun) vista.nombre_comun = fila.nombre_comun;
+      if (!vista.tipo_amenaza && fila.tipo_amenaza) vista.tipo_amenaza = fila.tipo_amenaza;
+      plan.conflictos.push({ fila: fila.fila, mensaje: `${nombreGenero} ${fila.especie} está repetida en el archivo (fila ${vista.fila}); se fusionan` });
+      return;
+    }
+
+    especiesVistas.set(claveEspecie, {
+      fila: fila.fila,
+      genero: nombreGenero,
+      nombre: fila.especie,
+      nombre_comun: fila.nombre_comun,
+      tipo_amenaza: fila.tipo_amenaza
+    });
+  });
+
+  // Clasificar cada especie del archivo contra el catálogo
+  especiesVistas.forEach((datos, claveEspecie) => {
+    const existente = especies.get(claveEspecie);
+    if (!existente) {
+      plan.especies.crear.push(datos);
+      return;
+    }
+
+    Object.assign(datos, { id: existente.id, nombre: existente.nombre });
+
+    if (modo !== 'fusionar') {
+      plan.especies.omitir.push({ ...datos, motivo: 'Ya existe en el catálogo' });
+      return;
+    }
+
+    // Fusionar: los valores no vacíos del archivo reemplazan a los del catálogo
+    const cambios = {};
+    ['nombre_comun', 'tipo_amenaza'].forEach(campo => {
+      if (datos[campo] && datos[campo] !== existente[campo]) {
+        cambios[campo] = { antes: existente[campo] ?? null, despues: datos[campo] };
+      }
+    });
+
+    if (Object.keys(cambios).length > 0) {
+      plan.especies.actualizar.push({ ...datos, cambios });
+    } else {
+      plan.especies.omitir.push({ ...datos, motivo: 'Sin cambios' });
+    }
+  });
+
+  return plan;
+}
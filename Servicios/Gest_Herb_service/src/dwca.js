@@ -0,0 +1,364 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { RANGOS_DWC, autoriaTaxon, formatearNombreCientifico, rangoTaxon } from '../../shared/models/NombreCientifico.js';
+import { codigoEspecimen } from '../../shared/models/Especimen.js';
+import { urlFichaEspecimen } from './ficha.js';
+
+// ===== DARWIN CORE ARCHIVE =====
+// Genera el archivo DwC-A (occurrence.txt + meta.xml + eml.xml comprimidos en zip)
+// para publicar los especímenes clasificados en GBIF / SiB Colombia.
+
+const DWC_NS = 'http://rs.tdwg.org/dwc/terms/';
+
+// Términos Darwin Core de occurrence.txt, en el orden de las columnas
+export const TERMINOS_DWC = [
+  'occurrenceID',
+  'basisOfRecord',
+  'institutionCode',
+  'collectionCode',
+  'catalogNumber',
+  'recordedBy',
+  'recordNumber',
+  'eventDate',
+  'reproductiveCondition',
+  'occurrenceRemarks',
+  'country',
+  'countryCode',
+  'stateProvince',
+  'county',
+  'locality',
+  'decimalLatitude',
+  'decimalLongitude',
+  'geodeticDatum',
+  'scientificName',
+  'kingdom',
+  'family',
+  'genus',
+  'specificEpithet',
+  'infraspecificEpithet',
+  'taxonRank',
+  'scientificNameAuthorship',
+  'taxonomicStatus',
+  'acceptedNameUsage',
+  'vernacularName',
+  'identificationQualifier',
+  'identifiedBy',
+  'dateIdentified',
+  'identificationReferences',
+  'identificationRemarks',
+  'modified',
+  'references'
+];
+
+/**
+ * Configuración del publicador (variables de entorno con valores por defecto)
+ * @returns {Object} Códigos de institución/colección y metadatos del recurso
+ */
+export function configuracionDwca() {
+  return {
+    institutionCode: process.env.DWCA_INSTITUTION_CODE || 'IDEAM',
+    collectionCode: process.env.DWCA_COLLECTION_CODE || 'IFN',
+    titulo: process.env.DWCA_TITULO || 'Especímenes botánicos del Inventario Forestal Nacional de Colombia',
+    organizacion: process.env.DWCA_ORGANIZACION || 'Instituto de Hidrología, Meteorología y Estudios Ambientales - IDEAM',
+    email: process.env.DWCA_CONTACTO_EMAIL || '',
+    licencia: 'Creative Commons Attribution (CC-BY) 4.0'
+  };
+}
+
+/**
+ * occurrenceID de una muestra: triplete institución:colección:id de la muestra
+ * Se mantiene con el id (no con el número de catálogo) para que GBIF no duplique las ocurrencias
+ * ya publicadas.
+ * @param {number} idMuestra
+ * @param {Object} config - Resultado de configuracionDwca()
+ * @returns {string}
+ */
+export function idOcurrencia(idMuestra, config) {
+  return `${config.institutionCode}:${config.collectionCode}:${idMuestra}`;
+}
+
+// estado_nombre de especie → vocabulario taxonomicStatus de GBIF
+const ESTADOS_NOMBRE_DWC = {
+  aceptado: 'accepted',
+  sinonimo: 'synonym',
+  dudoso: 'doubtful'
+};
+
+const soloFecha = (valor) => (valor ? String(valor).slice(0, 10) : null);
+
+/**
+ * Mapea una clasificación cerrada (con muestra, procedencia y especie embebidas) a términos DwC.
+ * Si la muestra tiene una determinación aceptada en el historial, la identificación sale de ella.
+ * @param {Object} registro
+ * @param {Object} registro.clasificacion - Fila de clasificacion_herbario con muestra y especie
+ * @param {Object} [registro.determinacion] - Determinación aceptada (determinacion_historial)
+ * @param {string} [registro.identificadoPor] - Nombre del determinador
+ * @param {string} [registro.modificado] - Fecha de última modificación (ISO)
+ * @param {Object} config - Resultado de configuracionDwca()
+ * @returns {Object} Ocurrencia { termino: valor }
+ */
+export function mapearOcurrencia({ clasificacion, determinacion, identificadoPor, modificado }, config) {
+  const muestra = clasificacion.muestra || {};
+  const paquete = muestra.paquete || {};
+  const conglomerado = paquete.conglomerado || {};
+  const municipio = conglomerado.municipio || {};
+
+  const especie = determinacion ? determinacion.especie : clasificacion.especie;
+  const genero = especie?.genero || determinacion?.genero || null;
+  const familia = genero?.familia || null;
+  const calificador = determinacion?.calificador || null;
+  // La infraespecie es de la clasificación: solo aplica si la determinación aceptada es la misma especie
+  const infraespecie = !determinacion || determinacion.especie?.id === clasificacion.especie?.id
+    ? clasificacion.infraespecie || null
+    : null;
+
+  const taxon = { genero, especie, infraespecie };
+  let scientificName = null;
+  let taxonRank = null;
+  let autoria = null;
+  if (calificador === 'sp. nov.') {
+    scientificName = genero?.nombre ? `${genero.nombre} sp. nov.` : null;
+    taxonRank = 'genus';
+  } else if (genero?.nombre) {
+    scientificName = formatearNombreCientifico(taxon);
+    taxonRank = RANGOS_DWC[rangoTaxon(taxon)];
+    autoria = autoriaTaxon(taxon);
+  }
+
+  // La identificación conserva el nombre determinado; si es sinónimo se publica también el aceptado
+  const estadoNombre = calificador === 'sp. nov.' ? null : especie?.estado_nombre || (especie ? 'aceptado' : null);
+  const aceptada = estadoNombre === 'aceptado' ? null : especie?.aceptada;
+
+  return {
+    occurrenceID: idOcurrencia(muestra.id, config),
+    basisOfRecord: 'PreservedSpecimen',
+    institutionCode: config.institutionCode,
+    collectionCode: config.collectionCode,
+    catalogNumber: codigoEspecimen(muestra),
+    recordedBy: muestra.colector,
+    recordNumber: muestra.num_coleccion,
+    eventDate: soloFecha(muestra.fecha_coleccion),
+    reproductiveCondition: clasificacion.estado_reproductivo,
+    occurrenceRemarks: muestra.observaciones,
+    country: 'Colombia',
+    countryCode: 'CO',
+    stateProvince: municipio.departamento?.nombre,
+    county: municipio.nombre,
+    locality: conglomerado.codigo ? `Conglomerado IFN ${conglomerado.codigo}` : null,
+    decimalLatitude: conglomerado.latitud_dec,
+    decimalLongitude: conglomerado.longitud_dec,
+    geodeticDatum: conglomerado.latitud_dec != null ? 'WGS84' : null,
+    scientificName,
+    kingdom: 'Plantae',
+    family: familia?.nombre,
+    genus: genero?.nombre,
+    specificEpithet: calificador === 'sp. nov.' ? null : especie?.nombre,
+    infraspecificEpithet: infraespecie?.epiteto,
+    taxonRank,
+    scientificNameAuthorship: autoria,
+    taxonomicStatus: ESTADOS_NOMBRE_DWC[estadoNombre] || null,
+    acceptedNameUsage: aceptada?.genero ? `${aceptada.genero.nombre} ${aceptada.nombre}` : (estadoNombre === 'aceptado' ? scientificName : null),
+    vernacularName: calificador === 'sp. nov.' ? null : especie?.nombre_comun,
+    identificationQualifier: calificador,
+    identifiedBy: identificadoPor,
+    dateIdentified: soloFecha(determinacion?.fecha_determinacion || clasificacion.created_at),
+    identificationReferences: determinacion?.referencia,
+    identificationRemarks: determinacion?.motivo,
+    modified: modificado,
+    references: muestra.numero_catalogo ? urlFichaEspecimen(muestra.numero_catalogo) : null
+  };
+}
+
+// Los valores no pueden contener separadores de columna ni de línea
+const celdaTsv = (valor) => (valor === null || valor === undefined ? '' : String(valor).replace(/[\t\r\n]+/g, ' '));
+
+/**
+ * occurrence.txt: texto delimitado por tabulaciones con fila de encabezado
+ * @param {Array<Object>} ocurrencias
+ * @returns {string}
+ */
+export function generarOccurrenceTxt(ocurrencias) {
+  const filas = [TERMINOS_DWC.join('\t')];
+  ocurrencias.forEach(ocurrencia => {
+    filas.push(TERMINOS_DWC.map(termino => celdaTsv(ocurrencia[termino])).join('\t'));
+  });
+  return filas.join('\n') + '\n';
+}
+
+/**
+ * meta.xml: describe occurrence.txt como core Occurrence
+ * @returns {string}
+ */
+export function generarMetaXml() {
+  const campos = TERMINOS_DWC
+    .map((termino, index) => `    <field index="${index}" term="${DWC_NS}${termino}"/>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/" metadata="eml.xml">
+  <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" ignoreHeaderLines="1" rowType="${DWC_NS}Occurrence">
+    <files>
+      <location>occurrence.txt</location>
+    </files>
+    <id index="0"/>
+${campos}
+  </core>
+</archive>
+`;
+}
+
+const escaparXml = (valor) => String(valor ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * eml.xml: metadatos del recurso (perfil EML de GBIF)
+ * @param {Object} config - Resultado de configuracionDwca()
+ * @param {Object} resumen
+ * @param {number} resumen.total - Número de registros exportados
+ * @param {string|null} resumen.desde - Inicio de la exportación incremental (ISO) o null si es completa
+ * @param {string} resumen.generadoEn - Fecha de generación (ISO)
+ * @returns {string}
+ */
+export function generarEmlXml(config, { total, desde, generadoEn }) {
+  const alcance = desde
+    ? `Exportación incremental con los registros modificados desde ${soloFecha(desde)}.`
+    : 'Exportación completa de los especímenes clasificados.';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<eml:eml xmlns:eml="eml://ecoinformatics.org/eml-2.1.1"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="eml://ecoinformatics.org/eml-2.1.1 http://rs.gbif.org/schema/eml-gbif-profile/1.1/eml.xsd"
+         packageId="${crypto.randomUUID()}" system="http://gbif.org" scope="system" xml:lang="es">
+  <dataset>
+    <title xml:lang="es">${escaparXml(config.titulo)}</title>
+    <creator>
+      <organizationName>${escaparXml(config.organizacion)}</organizationName>
+    </creator>
+    <metadataProvider>
+      <organizationName>${escaparXml(config.organizacion)}</organizationName>
+    </metadataProvider>
+    <pubDate>${soloFecha(generadoEn)}</pubDate>
+    <language>es</language>
+    <abstract>
+      <para>Especímenes de herbario colectados en los conglomerados del Inventario Forestal Nacional y clasificados taxonómicamente. ${escaparXml(alcance)} Registros: ${total}.</para>
+    </abstract>
+    <intellectualRights>
+      <para>Esta obra está bajo una licencia ${escaparXml(config.licencia)}.</para>
+    </intellectualRights>
+    <contact>
+      <organizationName>${escaparXml(config.organizacion)}</organizationName>
+      <electronicMailAddress>${escaparXml(config.email)}</electronicMailAddress>
+    </contact>
+  </dataset>
+</eml:eml>
+`;
+}
+
+// ===== ZIP (deflate, sin dependencias) =====
+
+const TABLA_CRC32 = (() => {
+  const tabla = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    tabla[n] = c >>> 0;
+  }
+  return tabla;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = TABLA_CRC32[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function fechaDos(fecha) {
+  return {
+    hora: (fecha.getHours() << 11) | (fecha.getMinutes() << 5) | Math.floor(fecha.getSeconds() / 2),
+    dia: ((fecha.getFullYear() - 1980) << 9) | ((fecha.getMonth() + 1) << 5) | fecha.getDate()
+  };
+}
+
+/**
+ * Empaqueta archivos de texto en un zip
+ * @param {Array<{nombre: string, contenido: string}>} archivos
+ * @returns {Buffer}
+ */
+export function crearZip(archivos) {
+  const { hora, dia } = fechaDos(new Date());
+  const locales = [];
+  const centrales = [];
+  let offset = 0;
+
+  archivos.forEach(({ nombre, contenido }) => {
+    const nombreBuffer = Buffer.from(nombre, 'utf8');
+    const datos = Buffer.from(contenido, 'utf8');
+    const comprimido = zlib.deflateRawSync(datos);
+    const crc = crc32(datos);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);            // versión requerida
+    local.writeUInt16LE(0x0800, 6);        // nombres en UTF-8
+    local.writeUInt16LE(8, 8);             // deflate
+    local.writeUInt16LE(hora, 10);
+    local.writeUInt16LE(dia, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(comprimido.length, 18);
+    local.writeUInt32LE(datos.length, 22);
+    local.writeUInt16LE(nombreBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);          // versión que lo creó
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(hora, 12);
+    central.writeUInt16LE(dia, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(comprimido.length, 20);
+    central.writeUInt32LE(datos.length, 24);
+    central.writeUInt16LE(nombreBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locales.push(local, nombreBuffer, comprimido);
+    centrales.push(central, nombreBuffer);
+    offset += local.length + nombreBuffer.length + comprimido.length;
+  });
+
+  const directorio = Buffer.concat(centrales);
+  const fin = Buffer.alloc(22);
+  fin.writeUInt32LE(0x06054b50, 0);
+  fin.writeUInt16LE(archivos.length, 8);
+  fin.writeUInt16LE(archivos.length, 10);
+  fin.writeUInt32LE(directorio.length, 12);
+  fin.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locales, directorio, fin]);
+}
+
+/**
+ * Genera el Darwin Core Archive completo
+ * @param {Array<Object>} ocurrencias - Ocurrencias ya mapeadas (mapearOcurrencia)
+ * @param {Object} opciones
+ * @param {string|null} opciones.desde - Inicio de la exportación incremental
+ * @param {string} opciones.generadoEn - Fecha de generación (ISO)
+ * @returns {Buffer} Contenido del zip
+ */
+export function generarDwca(ocurrencias, { desde, generadoEn }) {
+  const config = configuracionDwca();
+  return crearZip([
+    { nombre: 'occurrence.txt', contenido: generarOccurrenceTxt(ocurrencias) },
+    { nombre: 'meta.xml', contenido: generarMetaXml() },
+    { nombre: 'eml.xml', contenido: generarEmlXml(config, { total: ocurrencias.length, desde, generadoEn }) }
+  ]);
+}
@@ -0,0 +1,252 @@
+import { normalizarTexto } from './texto.js';
+import { TIPOS_AMENAZA } from './checklist.js';
+import { RANGOS_INFRAESPECIFICOS, formatearNombreCientifico, rangoTaxon } from '../../shared/models/NombreCientifico.js';
+import { codigoEspecimen } from '../../shared/models/Especimen.js';
+
+// ===== BÚSQUEDA DEL HERBARIO DIGITAL =====
+// Búsqueda de texto, filtros, facetas y paginación por cursor sobre el índice en memoria de los
+// especímenes publicados (una entrada por muestra con clasificación completada o firmada).
+
+export const LIMITE_POR_DEFECTO = 12;
+export const LIMITE_MAXIMO = 100;
+
+// Valores por faceta que se devuelven (los de más especímenes)
+const VALORES_POR_FACETA = 50;
+
+// Filtros de valor exacto (sin tildes ni mayúsculas): parámetro de consulta → campo del espécimen
+const FILTROS = {
+  familia: 'familia',
+  genero: 'genero',
+  departamento: 'departamento',
+  region: 'region',
+  conglomerado: 'conglomerado',
+  amenaza: 'tipo_amenaza',
+  estado_reproductivo: 'estado_reproductivo'
+};
+
+export const FACETAS = Object.keys(FILTROS);
+
+const FECHA_ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+const normalizarRegion = (nombre) => (nombre ? nombre.replace(/^Región\s+/i, '').trim() : null);
+
+/**
+ * Entrada del índice para una clasificación publicada
+ * @param {Object} clasificacion - Fila de clasificacion_herbario con especie, infraespecie y
+ *   muestra → paquete → conglomerado → municipio → departamento → región embebidos
+ * @param {string|null} fotoUrl - URL pública de la foto (id_foto)
+ * @returns {Object} { especimen, texto } — texto: campos buscables normalizados
+ */
+export function indexarEspecimen(clasificacion, fotoUrl) {
+  const muestra = clasificacion.muestra || {};
+  const conglomerado = muestra.paquete?.conglomerado || {};
+  const municipio = conglomerado.municipio || {};
+  const departamento = municipio.departamento || {};
+  const especie = clasificacion.especie;
+  const infraespecie = clasificacion.infraespecie;
+  const genero = especie?.genero;
+  const taxon = { genero, especie, infraespecie };
+
+  const ubicacion = [departamento.nombre, municipio.nombre].filter(Boolean).join(', ');
+  const nombreComun = infraespecie?.nombre_comun || especie?.nombre_comun || null;
+
+  const especimen = {
+    id: muestra.id,
+    codigo: codigoEspecimen(muestra),
+    numero_catalogo: muestra.numero_catalogo || null,
+    nombre_cientifico: formatearNombreCientifico(taxon) || null,
+    nombre_sin_autores: formatearNombreCientifico(taxon, { autores: false }),
+    rango: rangoTaxon(taxon),
+    nombre_comun: nombreComun,
+    familia: genero?.familia?.nombre || null,
+    genero: genero?.nombre || null,
+    especie: especie?.nombre || null,
+    infraespecie: infraespecie ? `${RANGOS_INFRAESPECIFICOS[infraespecie.rango] || infraespecie.rango} ${infraespecie.epiteto}` : null,
+    tipo_amenaza: especie?.tipo_amenaza || null,
+    colector: muestra.colector,
+    num_coleccion: muestra.num_coleccion,
+    fecha_coleccion: muestra.fecha_coleccion ? String(muestra.fecha_coleccion).slice(0, 10) : null,
+    ubicacion,
+    departamento: departamento.nombre || null,
+    region: normalizarRegion(departamento.region?.nombre),
+    municipio: municipio.nombre || null,
+    conglomerado: conglomerado.codigo || null,
+    observaciones: muestra.observaciones,
+    estado_clasificacion: clasificacion.estado,
+    estado_reproductivo: clasificacion.estado_reproductivo || null,
+    id_foto: clasificacion.id_foto,
+    foto_url: fotoUrl || null,
+    id_clasificacion: clasificacion.id
+  };
+
+  return {
+    especimen,
+    // Texto libre: nombre científico, nombre común, colector y localidad
+    texto: normalizarTexto([
+      especimen.nombre_cientifico,
+      especimen.familia,
+      nombreComun,
+      especimen.colector,
+      especimen.num_coleccion,
+      especimen.codigo,
+      ubicacion,
+      especimen.region,
+      conglomerado.codigo ? `conglomerado ${conglomerado.codigo}` : null
+    ].filter(Boolean).join(' ')),
+    nombre: normalizarTexto(especimen.nombre_sin_autores)
+  };
+}
+
+/**
+ * Valida y normaliza los parámetros de búsqueda
+ * @param {Object} query - req.query
+ * @returns {Object} { criterios, errors }
+ */
+export function validarCriteriosBusqueda(query) {
+  const errors = [];
+  const limite = query.limit === undefined || query.limit === '' ? LIMITE_POR_DEFECTO : Number(query.limit);
+  const criterios = {
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    limit: Math.min(limite, LIMITE_MAXIMO),
+    cursor: query.cursor || null,
+    desde: query.desde || null,
+    hasta: query.hasta || null
+  };
+
+  for (const parametro of Object.keys(FILTROS)) {
+    criterios[parametro] = typeof query[parametro] === 'string' && query[parametro].trim()
+      ? query[parametro].trim()
+      : null;
+  }
+
+  // Por encima del máximo se recorta; 0, negativos o texto no tienen una página que entregar
+  if (!Number.isInteger(limite) || limite < 1) {
+    errors.push(`limit debe ser un entero entre 1 y ${LIMITE_MAXIMO}`);
+  }
+
+  if (criterios.amenaza && !TIPOS_AMENAZA.includes(criterios.amenaza.toUpperCase())) {
+    errors.push(`amenaza debe ser una de: ${TIPOS_AMENAZA.join(', ')}`);
+  }
+
+  for (const campo of ['desde', 'hasta']) {
+    if (criterios[campo] && (!FECHA_ISO.test(criterios[campo]) || isNaN(new Date(criterios[campo]).getTime()))) {
+      errors.push(`${campo} debe ser una fecha AAAA-MM-DD`);
+    }
+  }
+  if (!errors.length && criterios.desde && criterios.hasta && criterios.desde > criterios.hasta) {
+    errors.push('desde no puede ser posterior a hasta');
+  }
+
+  if (criterios.cursor && !leerCursor(criterios.cursor)) {
+    errors.push('cursor inválido');
+  }
+
+  return { criterios, errors };
+}
+
+// Cursor opaco: clave de orden (relevancia, id) del último resultado entregado
+const crearCursor = ({ relevancia, especimen }) =>
+  Buffer.from(JSON.stringify([relevancia, especimen.id])).toString('base64url');
+
+function leerCursor(cursor) {
+  try {
+    const [relevancia, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isFinite(relevancia) && Number.isFinite(id) ? { relevancia, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Relevancia de una entrada para los términos buscados (todos deben aparecer)
+ * Cada término suma más si está en el nombre científico y si empieza una palabra.
+ * @returns {number} 0 si algún término no aparece; 1 sin términos
+ */
+function puntuarEntrada(entrada, terminos) {
+  if (!terminos.length) return 1;
+
+  let puntaje = 0;
+  for (const termino of terminos) {
+    if (!entrada.texto.includes(termino)) return 0;
+    const inicioPalabra = new RegExp(`(^|\\s)${termino.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+    puntaje += 1;
+    if (inicioPalabra.test(entrada.texto)) puntaje += 1;
+    if (entrada.nombre.includes(termino)) puntaje += 2;
+  }
+  return puntaje;
+}
+
+const coincideFiltro = (especimen, parametro, valor) =>
+  normalizarTexto(especimen[FILTROS[parametro]]) === normalizarTexto(valor);
+
+/**
+ * Indica si un espécimen cumple los filtros y el rango de fechas
+ * @param {string} [omitir] - Filtro que no se aplica (facetas disyuntivas)
+ */
+function cumpleFiltros(especimen, criterios, omitir = null) {
+  for (const parametro of Object.keys(FILTROS)) {
+    if (parametro !== omitir && criterios[parametro] && !coincideFiltro(especimen, parametro, criterios[parametro])) {
+      return false;
+    }
+  }
+  if (criterios.desde && (!especimen.fecha_coleccion || especimen.fecha_coleccion < criterios.desde)) return false;
+  if (criterios.hasta && (!especimen.fecha_coleccion || especimen.fecha_coleccion > criterios.hasta)) return false;
+  return true;
+}
+
+/**
+ * Conteos por faceta. Cada faceta se cuenta con todos los criterios salvo el suyo, para que
+ * muestre cuántos especímenes quedarían al cambiar ese filtro.
+ */
+function contarFacetas(coincidencias, criterios) {
+  const facetas = {};
+  for (const parametro of FACETAS) {
+    const conteo = new Map();
+    coincidencias.forEach(({ especimen }) => {
+      const valor = especimen[FILTROS[parametro]];
+      if (valor && cumpleFiltros(especimen, criterios, parametro)) {
+        conteo.set(valor, (conteo.get(valor) || 0) + 1);
+      }
+    });
+    facetas[parametro] = [...conteo.entries()]
+      .map(([valor, total]) => ({ valor, total }))
+      .sort((a, b) => b.total - a.total || normalizarTexto(a.valor).localeCompare(normalizarTexto(b.valor)))
+      .slice(0, VALORES_POR_FACETA);
+  }
+  return facetas;
+}
+
+/**
+ * Busca en el índice de especímenes
+ * Orden: relevancia (con q) y luego los más recientes (id de muestra descendente).
+ * @param {Array<Object>} indice - Entradas de indexarEspecimen
+ * @param {Object} criterios - Resultado de validarCriteriosBusqueda
+ * @returns {Object} { resultados, total, siguiente, facetas }
+ */
+export function buscarEspecimenes(indice, criterios) {
+  const terminos = normalizarTexto(criterios.q).split(/\s+/).filter(Boolean);
+
+  const coincidencias = indice
+    .map(entrada => ({ ...entrada, relevancia: puntuarEntrada(entrada, terminos) }))
+    .filter(entrada => entrada.relevancia > 0);
+
+  const filtradas = coincidencias
+    .filter(({ especimen }) => cumpleFiltros(especimen, criterios))
+    .sort((a, b) => b.relevancia - a.relevancia || b.especimen.id - a.especimen.id);
+
+  const despues = criterios.cursor ? leerCursor(criterios.cursor) : null;
+  const desdeIndice = despues
+    ? filtradas.findIndex(({ relevancia, especimen }) =>
+      relevancia < despues.relevancia || (relevancia === despues.relevancia && especimen.id < despues.id))
+    : 0;
+
+  const pagina = desdeIndice < 0 ? [] : filtradas.slice(desdeIndice, desdeIndice + criterios.limit);
+  const hayMas = desdeIndice >= 0 && desdeIndice + criterios.limit < filtradas.length;
+
+  return {
+    resultados: pagina.map(({ especimen, relevancia }) => ({ ...especimen, relevancia })),
+    total: filtradas.length,
+    siguiente: hayMas ? crearCursor(pagina[pagina.length - 1]) : null,
+    facetas: contarFacetas(coincidencias, criterios)
+  };
+}
@@ -0,0 +1,123 @@
+import { formatearNombreCientifico } from '../../shared/models/NombreCientifico.js';
+
+// ===== FICHA PÚBLICA DE ESPÉCIMEN =====
+// Página de solo lectura con URL permanente (${FRONTEND_URL}/#/especimen/<número de catálogo>)
+// y texto de cita para publicaciones.
+
+/**
+ * URL permanente de la ficha pública de un espécimen
+ * @param {string} numeroCatalogo
+ * @returns {string}
+ */
+export function urlFichaEspecimen(numeroCatalogo) {
+  const frontend = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${frontend}/#/especimen/${encodeURIComponent(numeroCatalogo)}`;
+}
+
+const soloFecha = (valor) => (valor ? String(valor).slice(0, 10) : null);
+
+const formatearCoordenada = (valor) => (valor === null || valor === undefined ? null : Number(valor).toFixed(5));
+
+/**
+ * Texto de cita del espécimen, en el orden habitual del material examinado:
+ * país, departamento: municipio, localidad, coordenadas, fecha, colector y número (institución
+ * número de catálogo), determinación y URL de la ficha.
+ * @param {Object} ficha - Resultado de armarFichaEspecimen (sin cita)
+ * @returns {string}
+ */
+export function textoCita(ficha) {
+  const { localidad, recoleccion, determinacion } = ficha;
+
+  const lugar = [
+    [localidad.departamento, localidad.municipio].filter(Boolean).join(': '),
+    localidad.descripcion,
+    localidad.latitud !== null && localidad.longitud !== null ? `${localidad.latitud}, ${localidad.longitud}` : null
+  ].filter(Boolean).join(', ');
+
+  const recoleccionTexto = [
+    recoleccion.fecha_coleccion,
+    `${recoleccion.colector || 's.c.'} ${recoleccion.num_coleccion || 's.n.'}`
+  ].filter(Boolean).join(', ');
+
+  let cita = `${localidad.pais.toUpperCase()}. ${[lugar, recoleccionTexto].filter(Boolean).join(', ')} (${ficha.institucion} ${ficha.numero_catalogo}).`;
+  if (determinacion?.nombre_cientifico) {
+    const det = [determinacion.determinador, determinacion.fecha_determinacion?.slice(0, 4)].filter(Boolean).join(', ');
+    cita += ` Det. ${determinacion.nombre_cientifico}${det ? ` (${det})` : ''}.`;
+  }
+  return `${cita} ${ficha.url}`;
+}
+
+/**
+ * Ficha pública de un espécimen publicado
+ * La determinación vigente es la aceptada del historial o, si no la hay, la de la clasificación.
+ * @param {Object} datos
+ * @param {Object} datos.muestra - Fila de muestra_botanica con herbario y paquete → conglomerado → municipio embebidos
+ * @param {Object} datos.clasificacion - Clasificación cerrada más reciente con especie e infraespecie embebidas
+ * @param {Object} datos.historial - Resultado de historialDeterminaciones
+ * @param {string} [datos.determinadorClasificacion] - Nombre del determinador de la clasificación
+ * @param {Array<Object>} datos.imagenes - [{ url, descripcion }]
+ * @param {string} datos.idOcurrencia - occurrenceID con que se publica en el DwC-A
+ * @param {Object} config - Resultado de configuracionDwca()
+ * @returns {Object}
+ */
+export function armarFichaEspecimen({ muestra, clasificacion, historial, determinadorClasificacion, imagenes, idOcurrencia }, config) {
+  const conglomerado = muestra.paquete?.conglomerado || {};
+  const municipio = conglomerado.municipio || {};
+  const especie = clasificacion.especie;
+  const genero = especie?.genero;
+  const aceptada = historial.determinacion_aceptada;
+
+  const determinacion = aceptada
+    ? {
+      nombre_cientifico: aceptada.nombre_cientifico,
+      familia: aceptada.familia,
+      calificador: aceptada.calificador,
+      determinador: aceptada.determinador.nombre,
+      fecha_determinacion: soloFecha(aceptada.fecha_determinacion),
+      referencia: aceptada.referencia
+    }
+    : {
+      nombre_cientifico: formatearNombreCientifico({ genero, especie, infraespecie: clasificacion.infraespecie }),
+      familia: genero?.familia?.nombre || null,
+      calificador: null,
+      determinador: determinadorClasificacion || null,
+      fecha_determinacion: soloFecha(clasificacion.created_at),
+      referencia: null
+    };
+
+  const ficha = {
+    numero_catalogo: muestra.numero_catalogo,
+    id_ocurrencia: idOcurrencia,
+    url: urlFichaEspecimen(muestra.numero_catalogo),
+    institucion: config.institutionCode,
+    coleccion: config.collectionCode,
+    herbario: muestra.herbario?.nombre || null,
+    determinacion: {
+      ...determinacion,
+      // El nombre común es del taxón de la clasificación: solo aplica si la aceptada es la misma especie
+      nombre_comun: !aceptada || aceptada.id_especie === especie?.id
+        ? clasificacion.infraespecie?.nombre_comun || especie?.nombre_comun || null
+        : null
+    },
+    determinaciones: historial.determinaciones,
+    estado_reproductivo: clasificacion.estado_reproductivo,
+    recoleccion: {
+      colector: muestra.colector,
+      num_coleccion: muestra.num_coleccion,
+      fecha_coleccion: soloFecha(muestra.fecha_coleccion),
+      observaciones: muestra.observaciones
+    },
+    localidad: {
+      pais: 'Colombia',
+      departamento: municipio.departamento?.nombre || null,
+      municipio: municipio.nombre || null,
+      conglomerado: conglomerado.codigo || null,
+      descripcion: conglomerado.codigo ? `Conglomerado IFN ${conglomerado.codigo}` : null,
+      latitud: formatearCoordenada(conglomerado.latitud_dec),
+      longitud: formatearCoordenada(conglomerado.longitud_dec)
+    },
+    imagenes
+  };
+
+  return { ...ficha, cita: textoCita(ficha) };
+}
@@ -0,0 +1,129 @@
+import { normalizarTexto } from './texto.js';
+
+// ===== MAPA DE CONGLOMERADOS =====
+// GeoJSON de los conglomerados con coordenadas y, para cada uno, cuántos especímenes publicados
+// y cuántas especies tiene. El frontend agrupa los puntos según el zoom.
+
+// Filtros por taxón: parámetro → nombre del taxón en el espécimen del índice de búsqueda
+const FILTROS_TAXON = {
+  familia: (especimen) => especimen.familia,
+  genero: (especimen) => especimen.genero,
+  especie: (especimen) => nombreEspecie(especimen)
+};
+
+// Especies más representadas que se listan en cada conglomerado
+const ESPECIES_POR_CONGLOMERADO = 5;
+
+// Binomio sin autores: las infraespecies cuentan como su especie
+const nombreEspecie = (especimen) =>
+  (especimen.genero && especimen.especie ? `${especimen.genero} ${especimen.especie}` : null);
+
+/**
+ * Coordenada decimal válida o null (latitud_dec / longitud_dec pueden venir vacías o como texto)
+ * @param {*} valor
+ * @param {number} limite - 90 para latitud, 180 para longitud
+ */
+function coordenada(valor, limite) {
+  if (valor === null || valor === undefined || valor === '') return null;
+  const numero = Number(valor);
+  return Number.isFinite(numero) && Math.abs(numero) <= limite ? numero : null;
+}
+
+/**
+ * Valida los filtros del mapa
+ * @param {Object} query - req.query
+ * @returns {Object} { filtros, errors }
+ */
+export function validarFiltrosMapa(query) {
+  const errors = [];
+  const filtros = {};
+
+  for (const parametro of Object.keys(FILTROS_TAXON)) {
+    filtros[parametro] = typeof query[parametro] === 'string' && query[parametro].trim()
+      ? query[parametro].trim()
+      : null;
+  }
+
+  if (filtros.especie && filtros.especie.split(/\s+/).length < 2) {
+    errors.push('especie debe ser el binomio: género y epíteto (ej. Quercus humboldtii)');
+  }
+
+  return { filtros, errors };
+}
+
+/**
+ * FeatureCollection de conglomerados con el conteo de especímenes y especies publicados
+ * Sin filtro de taxón incluye todos los conglomerados con coordenadas (también los que aún no
+ * tienen especímenes publicados); con filtro, solo aquellos donde se colectó el taxón.
+ * @param {Array<Object>} conglomerados - { codigo, latitud_dec, longitud_dec, municipio → departamento }
+ * @param {Array<Object>} indice - Entradas de indexarEspecimen
+ * @param {Object} filtros - Resultado de validarFiltrosMapa
+ * @returns {Object} GeoJSON con los miembros adicionales `totales` y `filtros`
+ */
+export function conglomeradosGeoJson(conglomerados, indice, filtros) {
+  const buscados = Object.entries(filtros)
+    .filter(([, valor]) => valor)
+    .map(([parametro, valor]) => [FILTROS_TAXON[parametro], normalizarTexto(valor)]);
+
+  // Conteos por código de conglomerado: especímenes y especímenes por especie
+  const conteos = new Map();
+  const especies = new Set();
+  let especimenes = 0;
+
+  indice.forEach(({ especimen }) => {
+    if (!buscados.every(([campo, valor]) => normalizarTexto(campo(especimen)) === valor)) return;
+
+    especimenes++;
+    const especie = nombreEspecie(especimen);
+    if (especie) especies.add(especie);
+    if (!especimen.conglomerado) return;
+
+    const conteo = conteos.get(especimen.conglomerado) || { especimenes: 0, especies: new Map() };
+    conteo.especimenes++;
+    if (especie) conteo.especies.set(especie, (conteo.especies.get(especie) || 0) + 1);
+    conteos.set(especimen.conglomerado, conteo);
+  });
+
+  const features = [];
+  let ubicados = 0;
+
+  conglomerados.forEach(conglomerado => {
+    const latitud = coordenada(conglomerado.latitud_dec, 90);
+    const longitud = coordenada(conglomerado.longitud_dec, 180);
+    const conteo = conteos.get(conglomerado.codigo);
+    if (latitud === null || longitud === null || (buscados.length && !conteo)) return;
+
+    ubicados += conteo?.especimenes || 0;
+    features.push({
+      type: 'Feature',
+      id: conglomerado.codigo,
+      geometry: { type: 'Point', coordinates: [longitud, latitud] },
+      properties: {
+        codigo: conglomerado.codigo,
+        municipio: conglomerado.municipio?.nombre || null,
+        departamento: conglomerado.municipio?.departamento?.nombre || null,
+        especimenes: conteo?.especimenes || 0,
+        especies: conteo?.especies.size || 0,
+        especies_principales: conteo
+          ? [...conteo.especies.entries()]
+            .map(([nombre, total]) => ({ nombre, total }))
+            .sort((a, b) => b.total - a.total || a.nombre.localeCompare(b.nombre))
+            .slice(0, ESPECIES_POR_CONGLOMERADO)
+          : []
+      }
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    totales: {
+      conglomerados: features.length,
+      especimenes,
+      especies: especies.size,
+      // Especímenes del filtro cuyo conglomerado no está en el mapa (sin código o sin coordenadas)
+      sin_ubicacion: especimenes - ubicados
+    },
+    filtros
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * Normaliza un texto para comparación: minúsculas, sin tildes ni espacios extremos
+ * @param {string} texto
+ * @returns {string}
+ */
+export function normalizarTexto(texto) {
+  return (texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
@@ -0,0 +1,107 @@
+import { normalizarAmenaza, parsearChecklist, planificarImportacion } from '../src/checklist.js';
+
+const catalogo = {
+  familias: [{ id: 1, nombre: 'Fagaceae' }],
+  generos: [{ id: 10, nombre: 'Quercus', id_familia: 1 }],
+  especies: [{ id: 100, nombre: 'humboldtii', nombre_comun: null, tipo_amenaza: 'VU', id_genero: 10 }]
+};
+
+describe('normalizarAmenaza', () => {
+  test('acepta códigos y nombres UICN en español o inglés', () => {
+    expect(normalizarAmenaza('CR')).toBe('CR');
+    expect(normalizarAmenaza('En peligro crítico')).toBe('CR');
+    expect(normalizarAmenaza('Vulnerable')).toBe('VU');
+    expect(normalizarAmenaza('Least Concern')).toBe('NN');
+  });
+
+  test('distingue vacío (null) de no reconocido (undefined)', () => {
+    expect(normalizarAmenaza('')).toBeNull();
+    expect(normalizarAmenaza('XX')).toBeUndefined();
+  });
+});
+
+describe('parsearChecklist', () => {
+  test('lee un CSV con punto y coma, comillas y rango deducido', () => {
+    const { filas, errores } = parsearChecklist(
+      '﻿familia;genero;especie;nombre_comun;amenaza\n' +
+      'fagaceae;quercus;Humboldtii;"Roble; andino";VU\n' +
+      'Lauraceae;Ocotea;;;\n'
+    );
+
+    expect(errores).toEqual([]);
+    expect(filas).toEqual([
+      { fila: 2, rango: 'especie', familia: 'Fagaceae', genero: 'Quercus', especie: 'humboldtii', nombre_comun: 'Roble; andino', tipo_amenaza: 'VU' },
+      { fila: 3, rango: 'genero', familia: 'Lauraceae', genero: 'Ocotea', especie: null, nombre_comun: null, tipo_amenaza: null }
+    ]);
+  });
+
+  test('lee un taxon.txt Darwin Core separando el nombre científico', () => {
+    const { filas, columnas } = parsearChecklist(
+      'dwc:family\tdwc:scientificName\tdwc:taxonRank\n' +
+      'Fagaceae\tQuercus alba L.\tspecies\n'
+    );
+
+    expect(columnas).toEqual({ familia: 'dwc:family', nombre_cientifico: 'dwc:scientificName', rango: 'dwc:taxonRank' });
+    expect(filas[0]).toMatchObject({ rango: 'especie', genero: 'Quercus', especie: 'alba' });
+  });
+
+  test('reporta las filas inválidas con su número', () => {
+    const { filas, errores } = parsearChecklist('familia,genero,especie,amenaza\nFagaceae,Quercus,alba,XX\n,,,\nFagaceae,,alba,\n');
+
+    expect(filas).toEqual([]);
+    expect(errores).toEqual([
+      { fila: 2, mensaje: expect.stringContaining("Categoría de amenaza no reconocida: 'XX'") },
+      { fila: 3, mensaje: 'Falta el género' }
+    ]);
+  });
+
+  test('exige una columna de género o de nombre científico', () => {
+    const { errores } = parsearChecklist('familia,especie\nFagaceae,alba\n');
+    expect(errores[0].mensaje).toMatch(/columna de género/);
+  });
+});
+
+describe('planificarImportacion', () => {
+  const filas = [
+    { fila: 2, rango: 'especie', familia: 'Fagaceae', genero: 'Quercus', especie: 'humboldtii', nombre_comun: 'Roble', tipo_amenaza: 'VU' },
+    { fila: 3, rango: 'especie', familia: 'Lauraceae', genero: 'Ocotea', especie: 'calophylla', nombre_comun: null, tipo_amenaza: null },
+    { fila: 4, rango: 'especie', familia: 'Lauraceae', genero: 'Ocotea', especie: 'calophylla', nombre_comun: 'Laurel', tipo_amenaza: null }
+  ];
+
+  test('crea familias, géneros y especies nuevos y fusiona los repetidos del archivo', () => {
+    const plan = planificarImportacion(filas, catalogo);
+
+    expect(plan.familias.crear).toEqual([{ nombre: 'Lauraceae' }]);
+    expect(plan.generos.crear).toEqual([{ nombre: 'Ocotea', familia: 'Lauraceae' }]);
+    expect(plan.especies.crear).toEqual([
+      { fila: 3, genero: 'Ocotea', nombre: 'calophylla', nombre_comun: 'Laurel', tipo_amenaza: null }
+    ]);
+    expect(plan.conflictos).toEqual([{ fila: 4, mensaje: expect.stringContaining('repetida en el archivo (fila 3)') }]);
+  });
+
+  test("en modo 'omitir' no toca las especies existentes", () => {
+    const plan = planificarImportacion(filas, catalogo);
+    expect(plan.especies.actualizar).toEqual([]);
+    expect(plan.especies.omitir).toEqual([expect.objectContaining({ id: 100, motivo: 'Ya existe en el catálogo' })]);
+  });
+
+  test("en modo 'fusionar' informa solo los campos que cambian", () => {
+    const plan = planificarImportacion(filas, catalogo, { modo: 'fusionar' });
+    expect(plan.especies.actualizar).toEqual([
+      expect.objectContaining({ id: 100, cambios: { nombre_comun: { antes: null, despues: 'Roble' } } })
+    ]);
+  });
+
+  test('conserva la familia del catálogo y omite géneros nuevos sin familia', () => {
+    const plan = planificarImportacion([
+      { fila: 2, rango: 'genero', familia: 'Lauraceae', genero: 'quercus', especie: null },
+      { fila: 3, rango: 'genero', familia: null, genero: 'Inga', especie: null }
+    ], catalogo);
+
+    expect(plan.generos.crear).toEqual([]);
+    expect(plan.conflictos).toEqual([
+      { fila: 2, mensaje: expect.stringContaining('pertenece a Fagaceae') },
+      { fila: 3, mensaje: expect.stringContaining('no indica su familia') }
+    ]);
+  });
+});
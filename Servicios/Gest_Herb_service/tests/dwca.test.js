@@ -0,0 +1,174 @@
+import zlib from 'zlib';
+import {
+  TERMINOS_DWC,
+  crearZip,
+  generarMetaXml,
+  generarOccurrenceTxt,
+  idOcurrencia,
+  mapearOcurrencia
+} from '../src/dwca.js';
+
+const config = {
+  institutionCode: 'IDEAM',
+  collectionCode: 'IFN',
+  titulo: 'Prueba',
+  organizacion: 'IDEAM',
+  email: '',
+  licencia: 'CC-BY 4.0'
+};
+
+const familia = { nombre: 'Fagaceae' };
+const genero = { id: 1, nombre: 'Quercus', familia };
+
+function clasificacionBase(cambios = {}) {
+  return {
+    estado_reproductivo: 'fértil',
+    created_at: '2024-03-10T15:00:00Z',
+    especie: { id: 10, nombre: 'humboldtii', autor: 'Bonpl.', nombre_comun: 'Roble', estado_nombre: 'aceptado', genero },
+    infraespecie: null,
+    muestra: {
+      id: 42,
+      numero_catalogo: 'IFN-7K3M-Q9XD',
+      num_individuo: 3,
+      colector: 'A. Gómez',
+      num_coleccion: '123',
+      fecha_coleccion: '2024-02-01T00:00:00Z',
+      observaciones: 'Árbol\tde 20 m',
+      paquete: {
+        num_paquete: 7,
+        conglomerado: {
+          codigo: 'C-101',
+          latitud_dec: 4.6,
+          longitud_dec: -74.08,
+          municipio: { nombre: 'Bogotá', departamento: { nombre: 'Cundinamarca' } }
+        }
+      }
+    },
+    ...cambios
+  };
+}
+
+describe('idOcurrencia', () => {
+  test('usa el triplete institución:colección:id de la muestra', () => {
+    expect(idOcurrencia(42, config)).toBe('IDEAM:IFN:42');
+  });
+});
+
+describe('mapearOcurrencia', () => {
+  test('mapea la clasificación, la procedencia y el número de catálogo', () => {
+    const ocurrencia = mapearOcurrencia({ clasificacion: clasificacionBase(), identificadoPor: 'B. Ruiz' }, config);
+
+    expect(ocurrencia).toMatchObject({
+      occurrenceID: 'IDEAM:IFN:42',
+      basisOfRecord: 'PreservedSpecimen',
+      catalogNumber: 'IFN-7K3M-Q9XD',
+      eventDate: '2024-02-01',
+      stateProvince: 'Cundinamarca',
+      county: 'Bogotá',
+      locality: 'Conglomerado IFN C-101',
+      geodeticDatum: 'WGS84',
+      family: 'Fagaceae',
+      genus: 'Quercus',
+      specificEpithet: 'humboldtii',
+      taxonRank: 'species',
+      scientificNameAuthorship: 'Bonpl.',
+      taxonomicStatus: 'accepted',
+      identifiedBy: 'B. Ruiz',
+      dateIdentified: '2024-03-10'
+    });
+    expect(ocurrencia.scientificName).toBe('Quercus humboldtii Bonpl.');
+    expect(ocurrencia.references).toMatch(/#\/especimen\/IFN-7K3M-Q9XD$/);
+  });
+
+  test('sin número de catálogo identifica la muestra por paquete e individuo', () => {
+    const clasificacion = clasificacionBase();
+    clasificacion.muestra = { ...clasificacion.muestra, numero_catalogo: null };
+
+    const ocurrencia = mapearOcurrencia({ clasificacion }, config);
+    expect(ocurrencia.catalogNumber).toBe('7-3');
+    expect(ocurrencia.references).toBeNull();
+  });
+
+  test('la determinación aceptada del historial reemplaza la de la clasificación', () => {
+    const determinacion = {
+      calificador: 'cf.',
+      especie: { id: 11, nombre: 'alba', estado_nombre: 'aceptado', genero },
+      fecha_determinacion: '2025-01-05T00:00:00Z',
+      referencia: 'Flora de Colombia',
+      motivo: 'Revisión'
+    };
+
+    const ocurrencia = mapearOcurrencia({ clasificacion: clasificacionBase(), determinacion }, config);
+    expect(ocurrencia.specificEpithet).toBe('alba');
+    expect(ocurrencia.identificationQualifier).toBe('cf.');
+    expect(ocurrencia.dateIdentified).toBe('2025-01-05');
+    expect(ocurrencia.identificationReferences).toBe('Flora de Colombia');
+  });
+
+  test('una especie nueva se publica a nivel de género', () => {
+    const determinacion = { calificador: 'sp. nov.', especie: null, genero, motivo: 'Nueva' };
+
+    const ocurrencia = mapearOcurrencia({ clasificacion: clasificacionBase(), determinacion }, config);
+    expect(ocurrencia.scientificName).toBe('Quercus sp. nov.');
+    expect(ocurrencia.taxonRank).toBe('genus');
+    expect(ocurrencia.specificEpithet).toBeNull();
+    expect(ocurrencia.taxonomicStatus).toBeNull();
+  });
+
+  test('un sinónimo publica también el nombre aceptado', () => {
+    const clasificacion = clasificacionBase();
+    clasificacion.especie = {
+      ...clasificacion.especie,
+      estado_nombre: 'sinonimo',
+      aceptada: { nombre: 'alba', genero: { nombre: 'Quercus' } }
+    };
+
+    const ocurrencia = mapearOcurrencia({ clasificacion }, config);
+    expect(ocurrencia.taxonomicStatus).toBe('synonym');
+    expect(ocurrencia.acceptedNameUsage).toBe('Quercus alba');
+  });
+});
+
+describe('generarOccurrenceTxt', () => {
+  test('escribe el encabezado y reemplaza tabulaciones y saltos de línea de los valores', () => {
+    const ocurrencia = mapearOcurrencia({ clasificacion: clasificacionBase() }, config);
+    const [encabezado, fila, vacia] = generarOccurrenceTxt([ocurrencia]).split('\n');
+
+    expect(encabezado.split('\t')).toEqual(TERMINOS_DWC);
+    const columnas = fila.split('\t');
+    expect(columnas).toHaveLength(TERMINOS_DWC.length);
+    expect(columnas[TERMINOS_DWC.indexOf('occurrenceRemarks')]).toBe('Árbol de 20 m');
+    expect(vacia).toBe('');
+  });
+});
+
+describe('generarMetaXml', () => {
+  test('declara un campo por término en el orden de occurrence.txt', () => {
+    const meta = generarMetaXml();
+    TERMINOS_DWC.forEach((termino, index) => {
+      expect(meta).toContain(`<field index="${index}" term="http://rs.tdwg.org/dwc/terms/${termino}"/>`);
+    });
+  });
+});
+
+describe('crearZip', () => {
+  test('genera un zip cuyas entradas se descomprimen al contenido original', () => {
+    const zip = crearZip([
+      { nombre: 'a.txt', contenido: 'hola' },
+      { nombre: 'ñ.txt', contenido: 'árbol' }
+    ]);
+
+    // Fin del directorio central: número de entradas y posición del directorio
+    const fin = zip.subarray(zip.length - 22);
+    expect(fin.readUInt32LE(0)).toBe(0x06054b50);
+    expect(fin.readUInt16LE(10)).toBe(2);
+
+    // Primera entrada local
+    expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+    const tamanoComprimido = zip.readUInt32LE(18);
+    const largoNombre = zip.readUInt16LE(26);
+    expect(zip.subarray(30, 30 + largoNombre).toString('utf8')).toBe('a.txt');
+    const datos = zip.subarray(30 + largoNombre, 30 + largoNombre + tamanoComprimido);
+    expect(zlib.inflateRawSync(datos).toString('utf8')).toBe('hola');
+  });
+});
@@ -0,0 +1,132 @@
+import {
+  LIMITE_MAXIMO,
+  LIMITE_POR_DEFECTO,
+  buscarEspecimenes,
+  indexarEspecimen,
+  validarCriteriosBusqueda
+} from '../src/especimenes.js';
+
+const fagaceae = { nombre: 'Fagaceae' };
+const lauraceae = { nombre: 'Lauraceae' };
+
+// Clasificación publicada con la muestra y su ubicación embebidas, como la consulta del índice
+function clasificacion({ id, genero, familia, especie, autor = null, nombreComun = null, amenaza = null,
+  departamento = 'Boyacá', region = 'Región Andina', conglomerado = 'C-101', fecha = '2024-05-10', colector = 'J. Pérez' }) {
+  return {
+    id: id * 10,
+    estado: 'completada',
+    estado_reproductivo: 'fertil',
+    id_foto: null,
+    especie: { nombre: especie, autor, nombre_comun: nombreComun, tipo_amenaza: amenaza, genero: { nombre: genero, familia } },
+    infraespecie: null,
+    muestra: {
+      id,
+      numero_catalogo: `IFN-000${id}-ABCD`,
+      colector,
+      num_coleccion: `${id}`,
+      fecha_coleccion: `${fecha}T00:00:00`,
+      observaciones: null,
+      paquete: {
+        num_paquete: 1,
+        conglomerado: {
+          codigo: conglomerado,
+          municipio: { nombre: 'Arcabuco', departamento: { nombre: departamento, region: { nombre: region } } }
+        }
+      }
+    }
+  };
+}
+
+const indice = [
+  clasificacion({ id: 1, genero: 'Quercus', familia: fagaceae, especie: 'humboldtii', autor: 'Bonpl.', nombreComun: 'Roble', amenaza: 'VU' }),
+  clasificacion({ id: 2, genero: 'Ocotea', familia: lauraceae, especie: 'calophylla', nombreComun: 'Laurel de roble', fecha: '2023-01-20' }),
+  clasificacion({ id: 3, genero: 'Quercus', familia: fagaceae, especie: 'humboldtii', departamento: 'Santander', conglomerado: 'C-205', colector: 'Ana Roble' })
+].map(c => indexarEspecimen(c, null));
+
+const criterios = (query = {}) => validarCriteriosBusqueda(query).criterios;
+
+describe('indexarEspecimen', () => {
+  test('arma el espécimen publicado y su texto buscable sin tildes', () => {
+    const entrada = indexarEspecimen(
+      clasificacion({ id: 1, genero: 'Quercus', familia: fagaceae, especie: 'humboldtii', autor: 'Bonpl.', nombreComun: 'Roble' }),
+      'https://fotos/1.jpg'
+    );
+
+    expect(entrada.especimen).toMatchObject({
+      id: 1,
+      codigo: 'IFN-0001-ABCD',
+      nombre_cientifico: 'Quercus humboldtii Bonpl.',
+      nombre_sin_autores: 'Quercus humboldtii',
+      familia: 'Fagaceae',
+      fecha_coleccion: '2024-05-10',
+      departamento: 'Boyacá',
+      region: 'Andina',
+      conglomerado: 'C-101',
+      foto_url: 'https://fotos/1.jpg'
+    });
+    expect(entrada.texto).toContain('boyaca, arcabuco');
+    expect(entrada.texto).toContain('conglomerado c-101');
+    expect(entrada.nombre).toBe('quercus humboldtii');
+  });
+});
+
+describe('validarCriteriosBusqueda', () => {
+  test('aplica el límite por defecto y recorta al máximo', () => {
+    expect(criterios().limit).toBe(LIMITE_POR_DEFECTO);
+    expect(criterios({ limit: '' }).limit).toBe(LIMITE_POR_DEFECTO);
+    expect(criterios({ limit: '500' }).limit).toBe(LIMITE_MAXIMO);
+  });
+
+  test.each(['0', '-5', '2.5', 'doce'])('rechaza limit=%s', (limit) => {
+    expect(validarCriteriosBusqueda({ limit }).errors).toEqual([`limit debe ser un entero entre 1 y ${LIMITE_MAXIMO}`]);
+  });
+
+  test('valida amenaza, fechas y cursor', () => {
+    expect(validarCriteriosBusqueda({ amenaza: 'vu' }).errors).toEqual([]);
+    expect(validarCriteriosBusqueda({ amenaza: 'LC', desde: '2024-13-01', cursor: 'x' }).errors).toEqual([
+      'amenaza debe ser una de: CR, EN, VU, NN',
+      'desde debe ser una fecha AAAA-MM-DD',
+      'cursor inválido'
+    ]);
+    expect(validarCriteriosBusqueda({ desde: '2024-02-01', hasta: '2024-01-01' }).errors)
+      .toEqual(['desde no puede ser posterior a hasta']);
+  });
+});
+
+describe('buscarEspecimenes', () => {
+  test('sin texto ordena por los más recientes', () => {
+    const { resultados, total } = buscarEspecimenes(indice, criterios());
+    expect(total).toBe(3);
+    expect(resultados.map(r => r.id)).toEqual([3, 2, 1]);
+  });
+
+  test('exige todas las palabras y prioriza las del nombre científico', () => {
+    const { resultados } = buscarEspecimenes(indice, criterios({ q: 'roble' }));
+    // 'roble' aparece en los tres (nombre común o colector); ninguno en el nombre científico
+    expect(resultados.map(r => r.id)).toEqual([3, 2, 1]);
+
+    const quercus = buscarEspecimenes(indice, criterios({ q: 'QUERCUS roble' }));
+    expect(quercus.resultados.map(r => r.id)).toEqual([3, 1]);
+  });
+
+  test('filtra por valor exacto sin tildes y por rango de fechas', () => {
+    expect(buscarEspecimenes(indice, criterios({ departamento: 'boyaca' })).resultados.map(r => r.id)).toEqual([2, 1]);
+    expect(buscarEspecimenes(indice, criterios({ desde: '2024-01-01' })).resultados.map(r => r.id)).toEqual([3, 1]);
+  });
+
+  test('cuenta cada faceta sin su propio filtro', () => {
+    const { facetas } = buscarEspecimenes(indice, criterios({ familia: 'Fagaceae' }));
+    expect(facetas.familia).toEqual([{ valor: 'Fagaceae', total: 2 }, { valor: 'Lauraceae', total: 1 }]);
+    expect(facetas.departamento).toEqual([{ valor: 'Boyacá', total: 1 }, { valor: 'Santander', total: 1 }]);
+  });
+
+  test('pagina con el cursor hasta agotar los resultados', () => {
+    const primera = buscarEspecimenes(indice, criterios({ limit: '2' }));
+    expect(primera.resultados.map(r => r.id)).toEqual([3, 2]);
+    expect(primera.siguiente).toEqual(expect.any(String));
+
+    const segunda = buscarEspecimenes(indice, criterios({ limit: '2', cursor: primera.siguiente }));
+    expect(segunda.resultados.map(r => r.id)).toEqual([1]);
+    expect(segunda.siguiente).toBeNull();
+  });
+});
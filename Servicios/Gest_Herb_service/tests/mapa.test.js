@@ -0,0 +1,85 @@
+import { conglomeradosGeoJson, validarFiltrosMapa } from '../src/mapa.js';
+
+const boyaca = { nombre: 'Arcabuco', departamento: { nombre: 'Boyacá' } };
+
+const conglomerados = [
+  { codigo: 'C-101', latitud_dec: '5.75', longitud_dec: '-73.43', municipio: boyaca },
+  { codigo: 'C-205', latitud_dec: 6.9, longitud_dec: -73.1, municipio: null },
+  { codigo: 'C-300', latitud_dec: '', longitud_dec: -74 },
+  { codigo: 'C-400', latitud_dec: 95, longitud_dec: -74 }
+];
+
+const entrada = (id, conglomerado, familia, genero, especie) => ({ especimen: { id, conglomerado, familia, genero, especie } });
+
+const indice = [
+  entrada(1, 'C-101', 'Fagaceae', 'Quercus', 'humboldtii'),
+  entrada(2, 'C-101', 'Fagaceae', 'Quercus', 'humboldtii'),
+  entrada(3, 'C-101', 'Lauraceae', 'Ocotea', 'calophylla'),
+  entrada(4, 'C-205', 'Lauraceae', 'Ocotea', null),
+  entrada(5, 'C-300', 'Fagaceae', 'Quercus', 'humboldtii'),
+  entrada(6, null, 'Lauraceae', 'Ocotea', 'calophylla')
+];
+
+const sinFiltros = { familia: null, genero: null, especie: null };
+
+describe('validarFiltrosMapa', () => {
+  test('recorta los filtros y deja en null los vacíos', () => {
+    expect(validarFiltrosMapa({ familia: ' Fagaceae ', genero: '', especie: 3 })).toEqual({
+      filtros: { familia: 'Fagaceae', genero: null, especie: null },
+      errors: []
+    });
+  });
+
+  test('exige el binomio en especie', () => {
+    expect(validarFiltrosMapa({ especie: 'Quercus' }).errors)
+      .toEqual(['especie debe ser el binomio: género y epíteto (ej. Quercus humboldtii)']);
+    expect(validarFiltrosMapa({ especie: 'Quercus  humboldtii' }).errors).toEqual([]);
+  });
+});
+
+describe('conglomeradosGeoJson', () => {
+  test('sin filtros incluye todos los conglomerados con coordenadas válidas', () => {
+    const geo = conglomeradosGeoJson(conglomerados, indice, sinFiltros);
+
+    expect(geo.type).toBe('FeatureCollection');
+    expect(geo.features.map(f => f.id)).toEqual(['C-101', 'C-205']);
+    expect(geo.features[0]).toEqual({
+      type: 'Feature',
+      id: 'C-101',
+      geometry: { type: 'Point', coordinates: [-73.43, 5.75] },
+      properties: {
+        codigo: 'C-101',
+        municipio: 'Arcabuco',
+        departamento: 'Boyacá',
+        especimenes: 3,
+        especies: 2,
+        especies_principales: [
+          { nombre: 'Quercus humboldtii', total: 2 },
+          { nombre: 'Ocotea calophylla', total: 1 }
+        ]
+      }
+    });
+    expect(geo.features[1].properties).toMatchObject({ municipio: null, departamento: null, especimenes: 1, especies: 0 });
+  });
+
+  test('cuenta aparte los especímenes sin conglomerado en el mapa', () => {
+    const { totales } = conglomeradosGeoJson(conglomerados, indice, sinFiltros);
+    // 5: conglomerado sin coordenadas; 6: sin conglomerado
+    expect(totales).toEqual({ conglomerados: 2, especimenes: 6, especies: 2, sin_ubicacion: 2 });
+  });
+
+  test('con filtro solo devuelve los conglomerados donde se colectó el taxón', () => {
+    const filtros = { ...sinFiltros, especie: 'quercus HUMBOLDTII' };
+    const geo = conglomeradosGeoJson(conglomerados, indice, filtros);
+
+    expect(geo.features.map(f => f.id)).toEqual(['C-101']);
+    expect(geo.features[0].properties.especimenes).toBe(2);
+    expect(geo.totales).toEqual({ conglomerados: 1, especimenes: 3, especies: 1, sin_ubicacion: 1 });
+    expect(geo.filtros).toBe(filtros);
+  });
+
+  test('compara familia y género sin tildes ni mayúsculas', () => {
+    const geo = conglomeradosGeoJson(conglomerados, indice, { ...sinFiltros, familia: 'lauraceae' });
+    expect(geo.features.map(f => [f.id, f.properties.especimenes])).toEqual([['C-101', 1], ['C-205', 1]]);
+  });
+});
@@ -0,0 +1,147 @@
+import express from 'express';
+import request from 'supertest';
+import {
+  cabecerasServicio,
+  clavesServicios,
+  conservarCuerpo,
+  exigirServicio,
+  identificarServicio,
+  interceptorServicio
+} from '../../shared/middleware/servicios.js';
+
+const CLAVE_LAB = Buffer.from('clave de prueba de lab_service').toString('base64');
+const CLAVE_RECEPCION = Buffer.from('clave de prueba de recepcion').toString('base64');
+
+// Gest_Herb en miniatura: los parsers con conservarCuerpo, identificarServicio y dos operaciones
+function crearApp() {
+  const app = express();
+  app.use(express.json({ verify: conservarCuerpo }));
+  app.use(identificarServicio({ lab_service: CLAVE_LAB, recepcion_service: CLAVE_RECEPCION }));
+  app.put('/muestras/:id', (req, res) => res.json({ servicio: req.servicio, cuerpo: req.body }));
+  app.get('/muestras/pendientes', (req, res) => res.json({ servicio: req.servicio }));
+  app.post('/conglomerados/sincronizar/:id', exigirServicio(), (req, res) => res.json({ servicio: req.servicio }));
+  return app;
+}
+
+const firmar = (servicio, metodo, ruta, cuerpo, clave) =>
+  cabecerasServicio({ servicio, metodo, ruta, cuerpo: cuerpo === undefined ? '' : JSON.stringify(cuerpo) }, clave);
+
+describe('clavesServicios', () => {
+  test('lee pares servicio:clave e ignora los incompletos', () => {
+    expect(clavesServicios(' lab_service:YWJj , recepcion_service:ZGVm,huerfano:,')).toEqual({
+      lab_service: 'YWJj',
+      recepcion_service: 'ZGVm'
+    });
+    expect(clavesServicios(undefined)).toEqual({});
+  });
+});
+
+describe('identificarServicio', () => {
+  test('deja pasar sin cambios las peticiones sin cabeceras de servicio', async () => {
+    const res = await request(crearApp()).get('/muestras/pendientes');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ servicio: null });
+  });
+
+  test('identifica al servicio con firma, query y cuerpo válidos', async () => {
+    const cuerpo = { estado: 'clasificada' };
+    const res = await request(crearApp())
+      .put('/muestras/7?origen=lab')
+      .set(firmar('lab_service', 'PUT', '/muestras/7?origen=lab', cuerpo, CLAVE_LAB))
+      .send(cuerpo);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ servicio: 'lab_service', cuerpo });
+  });
+
+  test('rechaza un cuerpo distinto del firmado', async () => {
+    const res = await request(crearApp())
+      .put('/muestras/7')
+      .set(firmar('lab_service', 'PUT', '/muestras/7', { estado: 'clasificada' }, CLAVE_LAB))
+      .send({ estado: 'descartada' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.codigo).toBe('SERVICIO_NO_AUTENTICADO');
+  });
+
+  test('rechaza la firma hecha con la clave de otro servicio', async () => {
+    const res = await request(crearApp())
+      .get('/muestras/pendientes')
+      .set(firmar('lab_service', 'GET', '/muestras/pendientes', undefined, CLAVE_RECEPCION));
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rechaza una firma fuera de la ventana de 60 s', async () => {
+    const cabeceras = firmar('lab_service', 'GET', '/muestras/pendientes', undefined, CLAVE_LAB);
+    const res = await request(crearApp())
+      .get('/muestras/pendientes')
+      .set({ ...cabeceras, 'x-servicio-fecha': String(Date.now() - 61 * 1000) });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rechaza una petición repetida con el mismo nonce', async () => {
+    const app = crearApp();
+    const cabeceras = firmar('lab_service', 'GET', '/muestras/pendientes', undefined, CLAVE_LAB);
+
+    expect((await request(app).get('/muestras/pendientes').set(cabeceras)).status).toBe(200);
+    const repetida = await request(app).get('/muestras/pendientes').set(cabeceras);
+    expect(repetida.status).toBe(401);
+    expect(repetida.body.codigo).toBe('SERVICIO_REPETIDO');
+  });
+
+  test('rechaza (403) las operaciones fuera del catálogo del servicio', async () => {
+    const res = await request(crearApp())
+      .put('/muestras/7')
+      .set(firmar('recepcion_service', 'PUT', '/muestras/7', {}, CLAVE_RECEPCION))
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.codigo).toBe('OPERACION_NO_PERMITIDA');
+  });
+});
+
+describe('exigirServicio', () => {
+  test('reserva la operación a los servicios internos', async () => {
+    const app = crearApp();
+
+    const sinFirma = await request(app).post('/conglomerados/sincronizar/12');
+    expect(sinFirma.status).toBe(403);
+    expect(sinFirma.body.codigo).toBe('SERVICIO_REQUERIDO');
+
+    const firmada = await request(app)
+      .post('/conglomerados/sincronizar/12')
+      .set(firmar('recepcion_service', 'POST', '/conglomerados/sincronizar/12', undefined, CLAVE_RECEPCION));
+    expect(firmada.body).toEqual({ servicio: 'recepcion_service' });
+  });
+});
+
+describe('interceptorServicio', () => {
+  test('serializa query y cuerpo antes de firmar', () => {
+    const interceptor = interceptorServicio('lab_service', () => CLAVE_LAB);
+    const config = interceptor({
+      baseURL: 'http://gestion:3002',
+      url: '/muestras/7',
+      method: 'put',
+      params: { incluir: 'clasificacion', vacio: undefined },
+      data: { estado: 'clasificada' },
+      headers: {}
+    });
+
+    expect(config.url).toBe('http://gestion:3002/muestras/7?incluir=clasificacion');
+    expect(config.params).toBeUndefined();
+    expect(config.data).toBe('{"estado":"clasificada"}');
+    expect(config.headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'x-servicio-id': 'lab_service',
+      'x-servicio-nonce': expect.any(String),
+      'x-servicio-firma': expect.any(String)
+    });
+  });
+
+  test('sin clave deja la petición sin firmar', () => {
+    const config = { url: '/muestras/7', headers: {} };
+    expect(interceptorServicio('lab_service', () => undefined)(config)).toEqual({ url: '/muestras/7', headers: {} });
+  });
+});
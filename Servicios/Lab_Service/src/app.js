@@ -13,6 +13,11 @@ import {
 } from './dto.js';
 import { HerbarioLabService } from './herbarioLabService.js';
 import { supabase } from './supabase.js';
+import { transicionesPermitidas, validarTransicion } from '../../shared/models/EstadoClasificacion.js';
+import { PERMISOS } from '../../shared/models/Permisos.js';
+import { identificarUsuario } from '../../shared/middleware/auth.js';
+import { requierePermiso } from '../../shared/middleware/permisos.js';
+import { CABECERA_HERBARIO, contextoHerbario, filtrarPorHerbario } from '../../shared/middleware/herbario.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,6 +42,9 @@ try {
 }
 
 const app = express();
+app.set('logger', logger);
+// Detrás del Api_Gateway: la IP del cliente llega en x-forwarded-for (límites por IP y registros)
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
 app.use(express.json({ charset: 'utf-8' }));
 app.use(express.urlencoded({ extended: true, charset: 'utf-8' }));
 app.use(cors());
@@ -52,6 +60,25 @@ app.use(logger.expressMiddleware());
 const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 });
 app.use(limiter);
 
+// Identificación del usuario (req.user) a partir del JWT
+app.use(identificarUsuario);
+
+// Muestras, clasificaciones y asistente: solo quien clasifica (muestra:clasificar)
+app.use(['/muestras', '/clasificaciones', '/asistente'], requierePermiso(PERMISOS.MUESTRA_CLASIFICAR));
+
+// Muestras, clasificaciones y estadísticas del herbario del usuario (req.herbario)
+app.use(['/muestras/pendientes', '/clasificaciones'], contextoHerbario);
+// Las estadísticas sin sesión (/publico/distribucion del gateway) son agregados de todos los herbarios
+app.use('/estadisticas', (req, res, next) => (req.user ? contextoHerbario(req, res, next) : next()));
+
+// Cabeceras del usuario que se reenvían a Gestión Herbario para que aplique su rol y herbario
+function cabecerasUsuario(req) {
+  const headers = {};
+  if (req.headers.authorization) headers.Authorization = req.headers.authorization;
+  if (req.headers[CABECERA_HERBARIO]) headers[CABECERA_HERBARIO] = req.headers[CABECERA_HERBARIO];
+  return headers;
+}
+
 // Health check
 app.get('/health', (req, res) => {
   logger.debug('Health check solicitado');
@@ -75,7 +102,7 @@ app.get('/muestras/pendientes', async (req, res) => {
     const filtros = validateFiltrosMuestras(req.query);
     
     // 2. OBTENER DATOS DEL SERVICIO DE GESTIÓN HERBARIO
-    const result = await HerbarioLabService.obtenerMuestrasPendientes(filtros);
+    const result = await HerbarioLabService.obtenerMuestrasPendientes(filtros, cabecerasUsuario(req));
     if (!result.success) {
       return res.status(500).json({ error: result.error });
     }
@@ -171,7 +198,7 @@ app.get('/muestras/pendientes', async (req, res) => {
  * GET /clasificaciones/muestra/:idMuestra
  * Obtiene la clasificación más reciente de una muestra específica
  * @param {string} idMuestra - ID de la muestra
- * @returns {Object} Clasificación de la muestra
+ * @returns {Object} Clasificación de la muestra con transiciones_permitidas para el rol del usuario
  */
 app.get('/clasificaciones/muestra/:idMuestra', async (req, res) => {
   try {
@@ -179,10 +206,10 @@ app.get('/clasificaciones/muestra/:idMuestra', async (req, res) => {
     
     logger.info(`Buscando clasificación para muestra ${idMuestra}`);
     
-    const { data, error } = await supabase
+    const { data, error } = await filtrarPorHerbario(supabase
       .from('clasificacion_herbario')
       .select('*')
-      .eq('id_muestra', idMuestra)
+      .eq('id_muestra', idMuestra), req)
       .order('created_at', { ascending: false })
       .limit(1)
       .maybeSingle();
@@ -197,7 +224,10 @@ app.get('/clasificaciones/muestra/:idMuestra', async (req, res) => {
     }
     
     logger.info(`Clasificación encontrada: ID ${data.id}, Estado: ${data.estado}`);
-    res.json(data);
+    res.json({
+      ...data,
+      transiciones_permitidas: transicionesPermitidas(data.estado, req.user?.role)
+    });
     
   } catch (e) {
     logger.error('Error en GET /clasificaciones/muestra/:idMuestra:', e);
@@ -228,16 +258,22 @@ app.post('/clasificaciones', async (req, res) => {
     }
 
     // 2. OBTENER MUESTRA PARA VALIDACIÓN
-    const muestraResult = await HerbarioLabService.obtenerMuestra(req.body.id_muestra_botanica);
+    const muestraResult = await HerbarioLabService.obtenerMuestra(req.body.id_muestra_botanica, cabecerasUsuario(req));
     if (!muestraResult.success) {
       return res.status(404).json({ error: 'Muestra no encontrada' });
     }
 
     const muestra = muestraResult.data;
-    if (muestra.clasificacion_taxonomica && muestra.clasificacion_taxonomica.length > 0) {
+    if (muestra.clasificaciones && muestra.clasificaciones.length > 0) {
       return res.status(409).json({ error: 'La muestra ya tiene clasificaciones registradas' });
     }
 
+    // La clasificación se registra como borrador (la regla de estados deriva sus roles de los permisos)
+    const transicion = validarTransicion(null, 'borrador', { rol: req.user?.role });
+    if (!transicion.isValid) {
+      return res.status(transicion.status).json(transicion.error);
+    }
+
     // 3. VALIDACIÓN TAXONÓMICA BÁSICA
     if (!req.body.familia_final || !req.body.genero_final || !req.body.especie_final) {
       return res.status(400).json({ 
@@ -257,7 +293,7 @@ app.post('/clasificaciones', async (req, res) => {
     });
 
     // 6. GUARDAR EN GESTIÓN HERBARIO
-    const clasificacionResult = await HerbarioLabService.crearClasificacion(clasificacionData);
+    const clasificacionResult = await HerbarioLabService.crearClasificacion(clasificacionData, cabecerasUsuario(req));
     if (!clasificacionResult.success) {
       // MANEJO DE ERRORES DE TRIGGERS
       const error = clasificacionResult.error;
@@ -275,7 +311,8 @@ app.post('/clasificaciones', async (req, res) => {
         });
       }
       
-      return res.status(500).json({ error: clasificacionResult.error });
+      // Rechazos de la máquina de estados en Gestión Herbario (403/409) se propagan tal cual
+      return res.status(clasificacionResult.status || 500).json({ error: clasificacionResult.error });
     }
 
     // 7. ACTUALIZAR ESTADO DE MUESTRA
@@ -287,7 +324,7 @@ app.post('/clasificaciones', async (req, res) => {
       fecha_actualizacion: new Date().toISOString()
     };
 
-    const updateResult = await HerbarioLabService.actualizarMuestra(req.body.id_muestra_botanica, updateData);
+    const updateResult = await HerbarioLabService.actualizarMuestra(req.body.id_muestra_botanica, updateData, cabecerasUsuario(req));
     if (!updateResult.success) {
       console.error('Error actualizando muestra:', updateResult.error);
       // No fallar la operación, solo loguear
@@ -321,7 +358,11 @@ app.get('/asistente/buscar', async (req, res) => {
 
     // 1. BÚSQUEDA PRINCIPAL
     const criterios = { familia, genero, especie };
-    const resultados = await HerbarioLabService.buscarTaxonomia(criterios);
+    const resultados = await HerbarioLabService.buscarTaxonomia({
+      ...criterios,
+      modo: tipo_busqueda === 'difusa' ? 'contiene' : 'prefijo',
+      limit: 50
+    });
     
     if (!resultados.success) {
       return res.status(500).json({ error: resultados.error });
@@ -367,7 +408,7 @@ app.get('/asistente/buscar', async (req, res) => {
 app.get('/estadisticas', async (req, res) => {
   try {
     // Consultar muestras botánicas con sus relaciones completas
-    const { data: muestras, error: errorMuestras } = await supabase
+    const { data: muestras, error: errorMuestras } = await filtrarPorHerbario(supabase
       .from('muestra_botanica')
       .select(`
         id,
@@ -389,7 +430,7 @@ app.get('/estadisticas', async (req, res) => {
             )
           )
         )
-      `);
+      `), req);
 
     if (errorMuestras) {
       console.error('❌ Error obteniendo muestras:', errorMuestras);
@@ -397,7 +438,7 @@ app.get('/estadisticas', async (req, res) => {
     }
 
     // Consultar clasificaciones con taxonomía completa - COMPLETADO Y FIRMADO
-    const { data: clasificaciones, error: errorClasif } = await supabase
+    const { data: clasificaciones, error: errorClasif } = await filtrarPorHerbario(supabase
       .from('clasificacion_herbario')
       .select(`
         id,
@@ -415,7 +456,7 @@ app.get('/estadisticas', async (req, res) => {
           )
         )
       `)
-      .in('estado', ['completado', 'firmado']);
+      .in('estado', ['completado', 'firmado']), req);
 
     if (errorClasif) {
       console.error('❌ Error obteniendo clasificaciones:', errorClasif);
@@ -602,7 +643,7 @@ app.get('/estadisticas/taxonomia', async (req, res) => {
     console.log(`🔍 Estadísticas taxonomía: ${ubicacion} (${tipo}) - nivel: ${nivel}`);
 
     // Consultar muestras con clasificaciones - SOLO COMPLETADO Y FIRMADO
-    const { data: muestras, error: errorMuestras } = await supabase
+    const { data: muestras, error: errorMuestras } = await filtrarPorHerbario(supabase
       .from('muestra_botanica')
       .select(`
         id,
@@ -631,7 +672,7 @@ app.get('/estadisticas/taxonomia', async (req, res) => {
         )
       `)
       .in('clasificacion.estado', ['completado', 'firmado'])
-      .not('clasificacion.id_especie', 'is', null);
+      .not('clasificacion.id_especie', 'is', null), req);
 
     if (errorMuestras) {
       console.error('❌ Error obteniendo muestras:', errorMuestras);
@@ -1050,114 +1091,6 @@ async function calcularTendenciasClasificacion(periodo) {
   return { tendencia: 'creciente', porcentaje: 12 }; // Placeholder
 }
 
-// ===== ENDPOINT PARA HERBARIO DIGITAL - MUESTRAS CLASIFICADAS =====
-app.get('/muestras/clasificadas', async (req, res) => {
-  try {
-    // Consultar muestras con clasificaciones completadas o firmadas
-    const { data: clasificaciones, error } = await supabase
-      .from('clasificacion_herbario')
-      .select(`
-        id,
-        id_muestra,
-        id_especie,
-        id_foto,
-        estado,
-        estado_reproductivo,
-        muestra:muestra_botanica(
-          id,
-          num_individuo,
-          colector,
-          num_coleccion,
-          observaciones,
-          fecha_coleccion,
-          id_subparcelas,
-          paquete:paquete(
-            id,
-            num_paquete,
-            conglomerado:conglomerado(
-              codigo,
-              municipio:municipio(
-                nombre,
-                departamento:departamento(nombre)
-              )
-            )
-          )
-        ),
-        especie:especie(
-          id,
-          nombre,
-          nombre_comun,
-          genero:genero(
-            id,
-            nombre,
-            familia:familia(nombre)
-          )
-        )
-      `)
-      .in('estado', ['completado', 'firmado', 'clasificado'])
-      .not('id_especie', 'is', null);
-
-    if (error) {
-      console.error('❌ Error obteniendo clasificaciones:', error);
-      throw error;
-    }
-
-    // Transformar datos al formato esperado por el frontend
-    const muestrasClasificadas = clasificaciones?.map(clasif => {
-      const muestra = clasif.muestra;
-      const especie = clasif.especie;
-      const genero = especie?.genero;
-      const familia = genero?.familia;
-      
-      // Construir nombre científico
-      let nombreCientifico = '';
-      if (genero?.nombre && especie?.nombre) {
-        nombreCientifico = `${genero.nombre} ${especie.nombre}`;
-      } else if (especie?.nombre) {
-        nombreCientifico = especie.nombre;
-      }
-
-      // Construir ubicación
-      let ubicacion = '';
-      const municipio = muestra?.paquete?.conglomerado?.municipio;
-      if (municipio) {
-        ubicacion = `${municipio.departamento?.nombre || ''}, ${municipio.nombre || ''}`.trim();
-        if (ubicacion.startsWith(',')) ubicacion = ubicacion.substring(1).trim();
-      }
-
-      return {
-        id: muestra?.id,
-        codigo: `${muestra?.paquete?.num_paquete || 'N/A'}-${muestra?.num_individuo || '?'}`,
-        nombre_cientifico: nombreCientifico || null,
-        nombre_comun: especie?.nombre_comun,
-        familia: familia?.nombre,
-        genero: genero?.nombre,
-        especie: especie?.nombre,
-        colector: muestra?.colector,
-        num_coleccion: muestra?.num_coleccion,
-        fecha_coleccion: muestra?.fecha_coleccion,
-        ubicacion,
-        conglomerado: muestra?.paquete?.conglomerado?.codigo,
-        observaciones: muestra?.observaciones,
-        estado_clasificacion: clasif.estado,
-        estado_reproductivo: clasif.estado_reproductivo,
-        id_foto: clasif.id_foto,
-        id_clasificacion: clasif.id
-      };
-    }) || [];
-
-    console.log(`📊 Muestras transformadas: ${muestrasClasificadas.length}`);
-    
-    res.json(muestrasClasificadas);
-  } catch (e) {
-    console.error('❌ Error en GET /muestras/clasificadas:', e);
-    res.status(500).json({ 
-      error: 'Error obteniendo muestras clasificadas',
-      details: e.message
-    });
-  }
-});
-
 // Instalar axios y configurar
 const port = process.env.PORT || 3005;
 app.listen(port, () => {
@@ -69,9 +69,10 @@ export async function createClasificacionInsert(data, fotoFile = null) {
   const clasificacion = {
     id_muestra: data.id_muestra,
     id_especie: data.id_especie,
+    id_infraespecie: data.id_infraespecie || null,
     id_foto: idFoto,
     id_determinador: data.id_determinador,
-    estado: 'clasificado', // CORREGIDO: estado_clasificacion enum es 'clasificado' no 'clasificada'
+    estado: 'borrador', // Estado inicial según shared/models/EstadoClasificacion.js; se firma después
     estado_reproductivo: data.estado_reproductivo || null
   };
 
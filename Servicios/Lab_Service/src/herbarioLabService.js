@@ -1,10 +1,19 @@
 import axios from 'axios';
+import { interceptorServicio } from '../../shared/middleware/servicios.js';
+import { SERVICIOS } from '../../shared/models/Servicios.js';
 
 const GESTION_HERBARIO_URL = process.env.GESTION_HERBARIO_URL || 'http://localhost:3002';
 
+// Cliente de Gestión Herbario: cada petición va firmada con SERVICIO_HMAC_KEY_B64, la clave
+// que Gest_Herb tiene para lab_service en SERVICIOS_HMAC_KEYS
+const gestionHerbario = axios.create();
+gestionHerbario.interceptors.request.use(interceptorServicio(SERVICIOS.LAB));
+
+// Los métodos que reciben `headers` reenvían las cabeceras del usuario (Authorization y
+// x-herbario-id): Gestión Herbario valida con ellas el rol y filtra por herbario
 export class HerbarioLabService {
   // Obtener muestras pendientes de clasificación
-  static async obtenerMuestrasPendientes(filtros = {}) {
+  static async obtenerMuestrasPendientes(filtros = {}, headers = {}) {
     try {
       const params = new URLSearchParams();
       Object.keys(filtros).forEach(key => {
@@ -13,7 +22,7 @@ export class HerbarioLabService {
         }
       });
       
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/muestras/pendientes?${params}`);
+      const response = await gestionHerbario.get(`${GESTION_HERBARIO_URL}/muestras/pendientes?${params}`, { headers });
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error obteniendo muestras pendientes:', error.response?.data || error.message);
@@ -22,9 +31,9 @@ export class HerbarioLabService {
   }
 
   // Obtener una muestra específica
-  static async obtenerMuestra(id) {
+  static async obtenerMuestra(id, headers = {}) {
     try {
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/muestras/${id}`);
+      const response = await gestionHerbario.get(`${GESTION_HERBARIO_URL}/muestras/${id}`, { headers });
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error obteniendo muestra:', error.response?.data || error.message);
@@ -33,9 +42,9 @@ export class HerbarioLabService {
   }
 
   // Actualizar muestra
-  static async actualizarMuestra(id, datos) {
+  static async actualizarMuestra(id, datos, headers = {}) {
     try {
-      const response = await axios.put(`${GESTION_HERBARIO_URL}/muestras/${id}`, datos);
+      const response = await gestionHerbario.put(`${GESTION_HERBARIO_URL}/muestras/${id}`, datos, { headers });
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error actualizando muestra:', error.response?.data || error.message);
@@ -44,24 +53,17 @@ export class HerbarioLabService {
   }
 
   // Crear clasificación taxonómica
-  static async crearClasificacion(clasificacion) {
+  static async crearClasificacion(clasificacion, headers = {}) {
     try {
-      const response = await axios.post(`${GESTION_HERBARIO_URL}/clasificaciones`, clasificacion);
+      const response = await gestionHerbario.post(`${GESTION_HERBARIO_URL}/clasificaciones`, clasificacion, { headers });
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error creando clasificación:', error.response?.data || error.message);
-      return { success: false, error: error.response?.data?.error || 'Error creando clasificación' };
-    }
-  }
-
-  // Obtener clasificaciones de una muestra
-  static async obtenerClasificacionesMuestra(muestraId) {
-    try {
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/clasificaciones/muestra/${muestraId}`);
-      return { success: true, data: response.data };
-    } catch (error) {
-      console.error('Error obteniendo clasificaciones:', error.response?.data || error.message);
-      return { success: false, error: error.response?.data?.error || 'Error obteniendo clasificaciones' };
+      return {
+        success: false,
+        status: error.response?.status,
+        error: error.response?.data?.error || 'Error creando clasificación'
+      };
     }
   }
 
@@ -75,8 +77,8 @@ export class HerbarioLabService {
         }
       });
       
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/taxonomia/buscar?${params}`);
-      return { success: true, data: response.data };
+      const response = await gestionHerbario.get(`${GESTION_HERBARIO_URL}/taxonomia/buscar?${params}`);
+      return { success: true, data: response.data.resultados, total: response.data.total };
     } catch (error) {
       console.error('Error en búsqueda taxonómica:', error.response?.data || error.message);
       return { success: false, error: error.response?.data?.error || 'Error en búsqueda taxonómica' };
@@ -86,7 +88,7 @@ export class HerbarioLabService {
   // Obtener familias
   static async obtenerFamilias() {
     try {
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/taxonomia/familias`);
+      const response = await gestionHerbario.get(`${GESTION_HERBARIO_URL}/taxonomia/familias`);
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error obteniendo familias:', error.response?.data || error.message);
@@ -97,7 +99,7 @@ export class HerbarioLabService {
   // Obtener géneros por familia
   static async obtenerGeneros(familiaId) {
     try {
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/taxonomia/generos/${familiaId}`);
+      const response = await gestionHerbario.get(`${GESTION_HERBARIO_URL}/taxonomia/generos/${familiaId}`);
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error obteniendo géneros:', error.response?.data || error.message);
@@ -108,7 +110,7 @@ export class HerbarioLabService {
   // Obtener especies por género
   static async obtenerEspecies(generoId) {
     try {
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/taxonomia/especies/${generoId}`);
+      const response = await gestionHerbario.get(`${GESTION_HERBARIO_URL}/taxonomia/especies/${generoId}`);
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error obteniendo especies:', error.response?.data || error.message);
@@ -119,7 +121,7 @@ export class HerbarioLabService {
   // Obtener herbarios
   static async obtenerHerbarios() {
     try {
-      const response = await axios.get(`${GESTION_HERBARIO_URL}/herbarios`);
+      const response = await gestionHerbario.get(`${GESTION_HERBARIO_URL}/herbarios`);
       return { success: true, data: response.data };
     } catch (error) {
       console.error('Error obteniendo herbarios:', error.response?.data || error.message);
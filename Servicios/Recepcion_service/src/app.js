@@ -9,6 +9,10 @@ import { validatePaqueteDTO, createPaqueteInsert, validateActualizarEstadoDTO, c
 import { HerbarioService } from './herbarioService.js';
 import { externalApiClient } from './externalApiClient.js';
 import { supabase } from './supabase.js';
+import { identificarUsuario } from '../../shared/middleware/auth.js';
+import { requierePermiso } from '../../shared/middleware/permisos.js';
+import { PERMISOS } from '../../shared/models/Permisos.js';
+import { contextoHerbario, enContextoHerbario, filtrarPorHerbario } from '../../shared/middleware/herbario.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,6 +37,9 @@ try {
 }
 
 const app = express();
+app.set('logger', logger);
+// Detrás del Api_Gateway: la IP del cliente llega en x-forwarded-for (límites por IP y registros)
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
 app.use(express.json({ charset: 'utf-8' }));
 app.use(express.urlencoded({ extended: true, charset: 'utf-8' }));
 app.use(cors());
@@ -49,6 +56,29 @@ app.use(logger.expressMiddleware());
 const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 });
 app.use(limiter);
 
+// Identificación del usuario (req.user) a partir del JWT
+app.use(identificarUsuario);
+
+// Recepción de paquetes y consulta de conglomerados: solo quien recibe (paquete:recibir)
+app.use(['/paquetes', '/conglomerados'], requierePermiso(PERMISOS.PAQUETE_RECIBIR));
+
+// Los paquetes (y sus muestras) se sellan y filtran con el herbario del usuario (req.herbario);
+// el RPC crear_paquete_con_muestras guarda id_herbario en paquete y en cada muestra_botanica
+app.use('/paquetes', contextoHerbario);
+
+/**
+ * Herbario con que se sella un paquete nuevo
+ * Un usuario sin herbario fijo (super_admin) debe elegirlo con x-herbario-id.
+ * @returns {number|undefined} id_herbario, o undefined si ya se respondió
+ */
+function herbarioParaRecepcion(req, res) {
+  if (req.herbario === null) {
+    res.status(400).json({ error: 'Indique el herbario que recibe el paquete (cabecera x-herbario-id)' });
+    return undefined;
+  }
+  return req.herbario;
+}
+
 // Health
 app.get('/health', (req, res) => {
   logger.debug('Health check solicitado');
@@ -76,7 +106,7 @@ app.get('/paquetes/buscar/:numeroPaquete', async (req, res) => {
     // 1. PRIMERO: Verificar si el paquete ya existe en la base de datos local
     const { data: paqueteExistente, error: errorBusqueda } = await supabase
       .from('paquete')
-      .select('id, num_paquete, estado, fecha_recibido_herbario, observaciones_generales, cantidad_ejemplares, id_conglomerado')
+      .select('id, num_paquete, estado, fecha_recibido_herbario, observaciones_generales, cantidad_ejemplares, id_conglomerado, id_herbario')
       .eq('num_paquete', String(numeroPaquete))
       .order('id', { ascending: false })
       .limit(1)
@@ -89,11 +119,20 @@ app.get('/paquetes/buscar/:numeroPaquete', async (req, res) => {
     // Si el paquete YA EXISTE en la BD local, informar y NO buscar en servicio externo
     if (paqueteExistente) {
       logger.info(`Paquete ${numeroPaquete} encontrado en BD local con estado: ${paqueteExistente.estado}`);
+      // Recibido por otro herbario: se informa sin mostrar sus datos
+      if (!enContextoHerbario(req, paqueteExistente.id_herbario)) {
+        return res.json({
+          encontrado: true,
+          yaRecibido: true,
+          mensaje: 'Este paquete ya fue recibido por otro herbario. No se puede procesar nuevamente.'
+        });
+      }
+      const { id_herbario, ...datosPaquete } = paqueteExistente;
       return res.json({
         encontrado: true,
         yaRecibido: true,
         mensaje: `Este paquete ya fue recibido el ${paqueteExistente.fecha_recibido_herbario}. No se puede procesar nuevamente.`,
-        paquete: paqueteExistente
+        paquete: datosPaquete
       });
     }
 
@@ -159,6 +198,9 @@ app.put('/paquetes/confirmar-recepcion', async (req, res) => {
       return res.status(400).json({ error: 'Datos incompletos para confirmar recepción' });
     }
 
+    const idHerbario = herbarioParaRecepcion(req, res);
+    if (idHerbario === undefined) return;
+
     logger.info(`Confirmando recepción de paquete ${num_paquete}`);
 
     // VERIFICAR SI EL PAQUETE YA EXISTE ANTES DE CREARLO
@@ -241,7 +283,8 @@ app.put('/paquetes/confirmar-recepcion', async (req, res) => {
         fecha_envio: paquete.fecha_envio || null,
         fecha_recibido_herbario: new Date().toISOString().split('T')[0],
         observaciones_generales: paquete.observaciones_generales || null,
-        estado: 'recibido'
+        estado: 'recibido',
+        id_herbario: idHerbario
       },
       p_muestras: muestrasProcessed.map(m => ({
         num_individuo: m.num_individuo || null,
@@ -249,7 +292,9 @@ app.put('/paquetes/confirmar-recepcion', async (req, res) => {
         num_coleccion: m.num_coleccion || null,
         observaciones: m.observaciones || null,
         fecha_coleccion: m.fecha_coleccion || null,
-        id_subparcelas: m.id_subparcelas || null
+        id_subparcelas: m.id_subparcelas || null,
+        numero_catalogo: m.numero_catalogo,
+        id_herbario: idHerbario
       }))
     });
 
@@ -280,6 +325,7 @@ app.put('/paquetes/confirmar-recepcion', async (req, res) => {
       mensaje: 'Recepción confirmada exitosamente',
       paquete_id: paqueteResult.data.id,
       muestras_creadas: muestrasProcessed.length,
+      numeros_catalogo: muestrasProcessed.map(m => m.numero_catalogo),
       estado: 'recibido',
       fecha_recepcion: new Date().toISOString()
     });
@@ -311,6 +357,9 @@ app.post('/paquetes', async (req, res) => {
       return res.status(400).json({ error: 'Datos inválidos', details: validation.errors });
     }
 
+    const idHerbario = herbarioParaRecepcion(req, res);
+    if (idHerbario === undefined) return;
+
     // 2. TRANSFORMACIÓN DE DATOS (Lógica de Negocio)
     const { paquete, muestras } = createPaqueteInsert(req.body);
 
@@ -369,7 +418,8 @@ app.post('/paquetes', async (req, res) => {
         fecha_envio: paquete.fecha_envio || null,
         fecha_recibido_herbario: paquete.fecha_recibido_herbario,
         observaciones_generales: paquete.observaciones_generales || null,
-        estado: paquete.estado || 'recibido'
+        estado: paquete.estado || 'recibido',
+        id_herbario: idHerbario
       },
       p_muestras: muestras.map(m => ({
         num_individuo: m.num_individuo || null,
@@ -377,7 +427,9 @@ app.post('/paquetes', async (req, res) => {
         num_coleccion: m.num_coleccion || null,
         observaciones: m.observaciones || null,
         fecha_coleccion: m.fecha_coleccion || null,
-        id_subparcelas: m.id_subparcelas || null
+        id_subparcelas: m.id_subparcelas || null,
+        numero_catalogo: m.numero_catalogo,
+        id_herbario: idHerbario
       }))
     });
 
@@ -409,6 +461,7 @@ app.post('/paquetes', async (req, res) => {
       mensaje: 'Paquete recibido exitosamente',
       paquete_id: paqueteResult.data.id,
       muestras_creadas: muestras.length,
+      numeros_catalogo: muestras.map(m => m.numero_catalogo),
       estado: paquete.estado || 'recibido',
       fecha_procesamiento: new Date().toISOString()
     });
@@ -438,21 +491,34 @@ app.get('/paquetes', async (req, res) => {
     if (hasta) filtros.hasta = hasta;  
     if (conglomerado) filtros.conglomerado = conglomerado;
 
-    // 3. DELEGACIÓN A GESTIÓN HERBARIO
-    const result = await HerbarioService.obtenerPaquetes(filtros);
-    if (!result.success) {
-      return res.status(500).json({ error: result.error });
+    // 3. CONSULTA (solo los paquetes del herbario del usuario)
+    const pagina = Math.max(parseInt(page, 10) || 1, 1);
+    const porPagina = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    let query = supabase
+      .from('paquete')
+      .select('*, conglomerado(codigo, municipio(nombre))')
+      .order('fecha_recibido_herbario', { ascending: false })
+      .range((pagina - 1) * porPagina, pagina * porPagina - 1);
+
+    if (desde) query = query.gte('fecha_recibido_herbario', desde);
+    if (hasta) query = query.lte('fecha_recibido_herbario', hasta);
+    if (conglomerado) query = query.eq('id_conglomerado', conglomerado);
+
+    const { data, error } = await filtrarPorHerbario(query, req);
+    if (error) {
+      logger.error('Error obteniendo paquetes', { error: error.message });
+      return res.status(500).json({ error: 'Error obteniendo paquetes' });
     }
 
     // 4. PROCESAMIENTO DE RESPUESTA (Lógica de Negocio)
-    const paquetes = result.data.map(paquete => ({
+    const paquetes = data.map(paquete => ({
       ...paquete,
       // Cálculos derivados
       dias_desde_recepcion: paquete.fecha_recibido_herbario 
         ? Math.floor((new Date() - new Date(paquete.fecha_recibido_herbario)) / (1000 * 60 * 60 * 24))
         : null,
-      ubicacion_completa: paquete.evento_coleccion?.conglomerado 
-        ? `${paquete.evento_coleccion.conglomerado.municipio.nombre} - ${paquete.evento_coleccion.conglomerado.codigo}`
+      ubicacion_completa: paquete.conglomerado 
+        ? `${paquete.conglomerado.municipio?.nombre || 'N/A'} - ${paquete.conglomerado.codigo}`
         : 'Sin ubicación'
     }));
 
@@ -506,21 +572,6 @@ app.get('/conglomerados', async (req, res) => {
   }
 });
 
-// Endpoint para obtener subparcelas de un conglomerado
-app.get('/conglomerados/:id/subparcelas', async (req, res) => {
-  try {
-    const result = await HerbarioService.obtenerSubparcelas(req.params.id);
-    if (!result.success) {
-      return res.status(500).json({ error: result.error });
-    }
-
-    res.json(result.data);
-  } catch (e) {
-    logger.error('Error en GET /conglomerados/:id/subparcelas', { error: e.message });
-    res.status(500).json({ error: 'Error interno del servidor' });
-  }
-});
-
 const port = process.env.PORT || 3004;
 app.listen(port, () => {
   logger.info(`Servidor ejecutándose en puerto ${port}`, { url: `http://localhost:${port}` });
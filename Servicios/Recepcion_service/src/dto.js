@@ -1,6 +1,8 @@
 // DTOs y validaciones para el servicio de recepción
 // Schema v3.0: Sin evento_colección, relación directa con conglomerado
 
+import { generarNumeroCatalogo } from '../../shared/models/Especimen.js';
+
 /**
  * Validar datos para recepción de paquete
  * Ya NO se usa evento_colección - solo id_conglomerado directo
@@ -82,6 +84,8 @@ function isValidDate(dateString) {
 /**
  * Crear objeto para inserción de paquete
  * Schema v3.0: Sin evento_colección, con id_conglomerado directo y estado
+ * Cada muestra recibe aquí su número de catálogo permanente (prefijo CATALOGO_PREFIJO); el que
+ * venga en el cuerpo se ignora.
  */
 export function createPaqueteInsert(body) {
   const { 
@@ -110,7 +114,8 @@ export function createPaqueteInsert(body) {
       num_coleccion: muestra.num_coleccion || null,
       observaciones: muestra.observaciones || null,
       fecha_coleccion: muestra.fecha_coleccion || null, // FECHA ÚNICA (no rango)
-      id_subparcelas: muestra.id_subparcelas || null
+      id_subparcelas: muestra.id_subparcelas || null,
+      numero_catalogo: generarNumeroCatalogo(process.env.CATALOGO_PREFIJO || 'IFN')
     }))
   };
 }
@@ -1,8 +1,13 @@
-import { importSPKI, jwtVerify, createRemoteJWKSet } from 'jose';
+import { importSPKI, jwtVerify, createRemoteJWKSet, errors } from 'jose';
 
 let publicKey;
 let algorithm = 'ES256';
 let remoteJwks;
+let ultimaRecarga = 0;
+
+// Intervalo mínimo entre recargas forzadas del JWKS por kid desconocido
+// (evita que tokens con kid inventado provoquen una consulta por petición)
+const JWKS_RECARGA_MIN_MS = parseInt(process.env.JWKS_RECARGA_MIN_MS || '5000', 10);
 
 export async function initJwtFromEnv() {
   algorithm = process.env.JWT_ALG || 'ES256';
@@ -17,12 +22,20 @@ export async function initJwtFromEnv() {
 }
 
 export async function verifyAccessToken(token, opts = {}) {
-  if (!publicKey) {
+  if (!publicKey && !remoteJwks) {
     await initJwtFromEnv();
   }
   const { issuer = 'ideam', audience = 'ideam-services' } = opts;
   if (remoteJwks) {
-    return jwtVerify(token, remoteJwks, { issuer, audience });
+    try {
+      return await jwtVerify(token, remoteJwks, { issuer, audience });
+    } catch (err) {
+      // Kid desconocido: Auth_Service rotó su clave; recargar el JWKS y reintentar una vez
+      if (!(err instanceof errors.JWKSNoMatchingKey) || Date.now() - ultimaRecarga < JWKS_RECARGA_MIN_MS) throw err;
+      ultimaRecarga = Date.now();
+      await remoteJwks.reload();
+      return jwtVerify(token, remoteJwks, { issuer, audience });
+    }
   }
   return jwtVerify(token, publicKey, { issuer, audience });
 }
@@ -0,0 +1,18 @@
+import { verifyAccessToken } from '../crypto/jwt.js';
+
+// Identifica al usuario si la petición trae un Bearer JWT válido (emitido por Auth_Service).
+// No rechaza peticiones anónimas: cada endpoint decide si exige req.user.
+export async function identificarUsuario(req, res, next) {
+  req.user = null;
+  const auth = req.headers['authorization'] || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  if (!token) return next();
+
+  try {
+    const { payload } = await verifyAccessToken(token);
+    req.user = payload;
+  } catch (err) {
+    req.app.get('logger')?.warn('Token inválido en petición', { path: req.path, error: err.message });
+  }
+  next();
+}
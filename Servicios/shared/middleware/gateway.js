@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { signMessage, verifyMessage } from '../crypto/hmac.js';
+
+// Cabeceras con que el Api_Gateway marca las peticiones que ya autenticó y autorizó
+export const CABECERA_FECHA = 'x-gateway-fecha';
+export const CABECERA_NONCE = 'x-gateway-nonce';
+export const CABECERA_FIRMA = 'x-gateway-firma';
+
+// Tolerancia entre el reloj del gateway y el del servicio; un nonce se recuerda mientras su
+// fecha siga dentro de la ventana
+const VENTANA_MS = 60 * 1000;
+
+const hashCuerpo = (cuerpo) => crypto.createHash('sha256').update(cuerpo || '').digest('hex');
+
+// La firma liga el instante, el nonce, el método, la ruta (con query), el usuario del JWT y el cuerpo
+function mensajeGateway(fecha, nonce, metodo, ruta, usuario, cuerpo) {
+  return [fecha, nonce, metodo.toUpperCase(), ruta, usuario || '', hashCuerpo(cuerpo)].join('\n');
+}
+
+/**
+ * Cabeceras que el gateway añade a una petición reenviada
+ * @param {Object} peticion - { metodo, ruta, usuario, cuerpo } tal como los verá el servicio destino
+ * @param {string} clave - GATEWAY_HMAC_KEY_B64
+ * @returns {Object} Cabeceras a agregar
+ */
+export function cabecerasGateway({ metodo, ruta, usuario, cuerpo = '' }, clave) {
+  const fecha = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return {
+    [CABECERA_FECHA]: fecha,
+    [CABECERA_NONCE]: nonce,
+    [CABECERA_FIRMA]: signMessage(mensajeGateway(fecha, nonce, metodo, ruta, usuario, cuerpo), clave)
+  };
+}
+
+/**
+ * Rechaza (403) las peticiones que no llegan firmadas por el Api_Gateway o que repiten un nonce
+ * Debe ir después del middleware que identifica al usuario (la firma incluye req.user.sub) y de
+ * los parsers del cuerpo con verify: conservarCuerpo (shared/middleware/servicios.js).
+ * Sin clave configurada no se acepta ninguna petición.
+ * @param {string} [clave=process.env.GATEWAY_HMAC_KEY_B64]
+ * @returns {Function} Middleware de Express
+ */
+export function exigirGateway(clave = process.env.GATEWAY_HMAC_KEY_B64) {
+  const noncesUsados = new Map(); // nonce -> instante a partir del cual se puede olvidar
+
+  const recordarNonce = (nonce, ahora) => {
+    for (const [usado, vence] of noncesUsados) {
+      if (vence <= ahora) noncesUsados.delete(usado);
+    }
+    if (noncesUsados.has(nonce)) return false;
+    noncesUsados.set(nonce, ahora + 2 * VENTANA_MS);
+    return true;
+  };
+
+  return (req, res, next) => {
+    const fecha = req.headers[CABECERA_FECHA];
+    const nonce = req.headers[CABECERA_NONCE];
+    const firma = req.headers[CABECERA_FIRMA];
+    const ahora = Date.now();
+
+    let valida = false;
+    if (clave && fecha && nonce && firma && Math.abs(ahora - Number(fecha)) <= VENTANA_MS) {
+      try {
+        const mensaje = mensajeGateway(fecha, nonce, req.method, req.originalUrl, req.user?.sub, req.cuerpoCrudo);
+        valida = verifyMessage(mensaje, firma, clave);
+      } catch {
+        // verifyMessage lanza si las firmas tienen distinta longitud
+        valida = false;
+      }
+    }
+
+    if (!valida) {
+      req.app.get('logger')?.warn('Petición sin pasar por el API Gateway', {
+        path: req.originalUrl,
+        ip: req.ip,
+        configurado: !!clave
+      });
+      return res.status(403).json({ error: 'Acceso permitido solo a través del API Gateway', codigo: 'GATEWAY_REQUERIDO' });
+    }
+
+    if (!recordarNonce(nonce, ahora)) {
+      req.app.get('logger')?.warn('Petición del API Gateway repetida', { path: req.originalUrl, ip: req.ip });
+      return res.status(403).json({ error: 'Petición del API Gateway repetida', codigo: 'GATEWAY_REPETIDO' });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,69 @@
+import { PERMISOS, tienePermiso } from '../models/Permisos.js';
+
+// Cabecera con que quien tiene herbario:cambiar (super_admin) elige el herbario en que opera
+export const CABECERA_HERBARIO = 'x-herbario-id';
+
+/**
+ * Resuelve el herbario de la petición en req.herbario a partir del claim herbario_id
+ * - Sin usuario: null, sin filtro, solo para servicios internos firmados (req.servicio); si no, 401
+ * - Con herbario:cambiar: el indicado en x-herbario-id, o null (todos) si no lo indica
+ * - Resto: su herbario; 403 si indica otro o no tiene herbario asignado
+ * Debe ir después del middleware que identifica al usuario (requireAuth / identificarUsuario).
+ */
+export function contextoHerbario(req, res, next) {
+  req.herbario = null;
+  if (!req.user) {
+    if (req.servicio) return next();
+    return res.status(401).json({ error: 'Token de acceso requerido' });
+  }
+
+  const solicitado = req.headers[CABECERA_HERBARIO];
+  const idSolicitado = solicitado ? parseInt(solicitado, 10) : null;
+  if (solicitado && isNaN(idSolicitado)) {
+    return res.status(400).json({ error: `${CABECERA_HERBARIO} inválido` });
+  }
+
+  if (tienePermiso(req.user, PERMISOS.HERBARIO_CAMBIAR)) {
+    req.herbario = idSolicitado;
+    return next();
+  }
+
+  const propio = req.user.herbario_id ?? null;
+  if (propio === null) {
+    return res.status(403).json({ error: 'El usuario no tiene herbario asignado', codigo: 'HERBARIO_REQUERIDO' });
+  }
+  if (idSolicitado !== null && idSolicitado !== propio) {
+    req.app.get('logger')?.warn('Acceso a otro herbario rechazado', {
+      path: req.originalUrl,
+      usuario: req.user.sub,
+      herbario: propio,
+      solicitado: idSolicitado
+    });
+    return res.status(403).json({ error: 'No puede operar sobre otro herbario', codigo: 'HERBARIO_AJENO' });
+  }
+
+  req.herbario = propio;
+  next();
+}
+
+/**
+ * Restringe una consulta de Supabase al herbario de la petición (sin cambios si es null)
+ * @param {Object} query - Consulta de Supabase
+ * @param {Object} req - Petición con req.herbario
+ * @param {string} [columna='id_herbario'] - Columna (o ruta de relación, p.ej. 'muestra.id_herbario')
+ * @returns {Object} La consulta
+ */
+export function filtrarPorHerbario(query, req, columna = 'id_herbario') {
+  return req.herbario === null || req.herbario === undefined ? query : query.eq(columna, req.herbario);
+}
+
+/**
+ * Indica si un registro pertenece al herbario de la petición
+ * Los registros de otro herbario se responden como inexistentes (404), sin revelar que existen.
+ * @param {Object} req - Petición con req.herbario
+ * @param {number|null} idHerbario - id_herbario del registro
+ * @returns {boolean}
+ */
+export function enContextoHerbario(req, idHerbario) {
+  return req.herbario === null || req.herbario === undefined || idHerbario === req.herbario;
+}
@@ -0,0 +1,33 @@
+import { tienePermiso } from '../models/Permisos.js';
+
+/**
+ * Exige que req.user (claims del JWT) tenga todos los permisos indicados
+ * Responde 401 sin usuario autenticado y 403 si falta algún permiso.
+ * Debe ir después del middleware que identifica al usuario (requireAuth / identificarUsuario).
+ * @param {...string} permisos - Valores de PERMISOS (shared/models/Permisos.js)
+ * @returns {Function} Middleware de Express
+ */
+export function requierePermiso(...permisos) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Token de acceso requerido' });
+    }
+
+    const faltantes = permisos.filter(permiso => !tienePermiso(req.user, permiso));
+    if (faltantes.length > 0) {
+      req.app.get('logger')?.warn('Permiso insuficiente', {
+        path: req.originalUrl,
+        usuario: req.user.sub,
+        rol: req.user.role,
+        faltantes
+      });
+      return res.status(403).json({
+        error: 'Permiso insuficiente',
+        codigo: 'PERMISO_REQUERIDO',
+        permisos_requeridos: faltantes
+      });
+    }
+
+    next();
+  };
+}
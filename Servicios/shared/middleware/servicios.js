@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import { signMessage, verifyMessage } from '../crypto/hmac.js';
+import { operacionPermitida } from '../models/Servicios.js';
+
+// Cabeceras con que un servicio interno firma las peticiones que hace a otro
+export const CABECERA_SERVICIO = 'x-servicio-id';
+export const CABECERA_FECHA = 'x-servicio-fecha';
+export const CABECERA_NONCE = 'x-servicio-nonce';
+export const CABECERA_FIRMA = 'x-servicio-firma';
+
+// Tolerancia entre relojes; un nonce se recuerda mientras su fecha siga dentro de la ventana
+const VENTANA_MS = 60 * 1000;
+
+const hashCuerpo = (cuerpo) => crypto.createHash('sha256').update(cuerpo || '').digest('hex');
+
+// La firma liga el servicio, el instante, el nonce, el método, la ruta (con query) y el cuerpo
+function mensajeServicio(servicio, fecha, nonce, metodo, ruta, cuerpo) {
+  return [servicio, fecha, nonce, metodo.toUpperCase(), ruta, hashCuerpo(cuerpo)].join('\n');
+}
+
+/**
+ * Cabeceras que un servicio añade a una petición a otro servicio
+ * @param {Object} peticion - { servicio, metodo, ruta, cuerpo } con la ruta (y query) y el cuerpo
+ *   exactamente como se envían
+ * @param {string} clave - SERVICIO_HMAC_KEY_B64 del servicio que llama
+ * @returns {Object} Cabeceras a agregar
+ */
+export function cabecerasServicio({ servicio, metodo, ruta, cuerpo = '' }, clave) {
+  const fecha = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return {
+    [CABECERA_SERVICIO]: servicio,
+    [CABECERA_FECHA]: fecha,
+    [CABECERA_NONCE]: nonce,
+    [CABECERA_FIRMA]: signMessage(mensajeServicio(servicio, fecha, nonce, metodo, ruta, cuerpo), clave)
+  };
+}
+
+/**
+ * Interceptor de peticiones de axios que firma cada petición del servicio
+ * Serializa el cuerpo y la query antes de firmar para que se firme exactamente lo que se envía.
+ * La clave se lee en cada petición (el .env se carga después de importar los clientes); sin
+ * clave la petición sale sin firmar y el destino rechaza las operaciones internas.
+ * @param {string} servicio - Valor de SERVICIOS (shared/models/Servicios.js)
+ * @param {Function} [obtenerClave] - Devuelve la clave del servicio que llama
+ * @returns {Function} Interceptor para instancia.interceptors.request.use
+ */
+export function interceptorServicio(servicio, obtenerClave = () => process.env.SERVICIO_HMAC_KEY_B64) {
+  return (config) => {
+    const clave = obtenerClave();
+    if (!clave) return config;
+
+    const url = new URL(config.url, config.baseURL);
+    if (config.params) {
+      for (const [nombre, valor] of Object.entries(config.params)) {
+        if (valor !== undefined && valor !== null) url.searchParams.append(nombre, valor);
+      }
+      config.params = undefined;
+    }
+    config.url = url.toString();
+
+    let cuerpo = '';
+    if (config.data !== undefined && config.data !== null) {
+      cuerpo = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+      config.data = cuerpo;
+      config.headers['Content-Type'] = 'application/json';
+    }
+
+    Object.assign(config.headers, cabecerasServicio({
+      servicio,
+      metodo: config.method || 'get',
+      ruta: url.pathname + url.search,
+      cuerpo
+    }, clave));
+    return config;
+  };
+}
+
+/**
+ * Opción `verify` de express.json: conserva el cuerpo recibido para verificar su firma
+ */
+export function conservarCuerpo(req, res, buf) {
+  req.cuerpoCrudo = buf;
+}
+
+/**
+ * Claves de los servicios autorizados a partir de SERVICIOS_HMAC_KEYS
+ * Formato: "lab_service:<clave base64>,recepcion_service:<clave base64>"
+ * @param {string} [valor]
+ * @returns {Object} { servicio: claveB64 }
+ */
+export function clavesServicios(valor = process.env.SERVICIOS_HMAC_KEYS) {
+  return Object.fromEntries(
+    (valor || '')
+      .split(',')
+      .map(par => par.trim().split(':'))
+      .filter(([servicio, clave]) => servicio && clave)
+  );
+}
+
+/**
+ * Identifica al servicio que firma la petición (req.servicio)
+ * Las peticiones sin cabeceras de servicio siguen sin cambios (req.servicio = null). Las que las
+ * traen se rechazan si la firma no es válida o está fuera de la ventana (401), si el nonce ya se
+ * usó (401) o si la operación no está en OPERACIONES_POR_SERVICIO para ese servicio (403).
+ * Requiere express.json({ verify: conservarCuerpo }).
+ * @param {Object} [claves=clavesServicios()] - { servicio: claveB64 }
+ * @returns {Function} Middleware de Express
+ */
+export function identificarServicio(claves = clavesServicios()) {
+  const noncesUsados = new Map(); // nonce -> instante a partir del cual se puede olvidar
+
+  const recordarNonce = (nonce, ahora) => {
+    for (const [usado, vence] of noncesUsados) {
+      if (vence <= ahora) noncesUsados.delete(usado);
+    }
+    if (noncesUsados.has(nonce)) return false;
+    noncesUsados.set(nonce, ahora + 2 * VENTANA_MS);
+    return true;
+  };
+
+  return (req, res, next) => {
+    req.servicio = null;
+    const servicio = req.headers[CABECERA_SERVICIO];
+    if (!servicio) return next();
+
+    const logger = req.app.get('logger');
+    const fecha = req.headers[CABECERA_FECHA];
+    const nonce = req.headers[CABECERA_NONCE];
+    const firma = req.headers[CABECERA_FIRMA];
+    const clave = claves[servicio];
+    const ahora = Date.now();
+
+    let valida = false;
+    if (clave && fecha && nonce && firma && Math.abs(ahora - Number(fecha)) <= VENTANA_MS) {
+      try {
+        const mensaje = mensajeServicio(servicio, fecha, nonce, req.method, req.originalUrl, req.cuerpoCrudo);
+        valida = verifyMessage(mensaje, firma, clave);
+      } catch {
+        // verifyMessage lanza si las firmas tienen distinta longitud
+        valida = false;
+      }
+    }
+
+    if (!valida) {
+      logger?.warn('Firma de servicio inválida', { servicio, path: req.originalUrl, ip: req.ip, conocido: !!clave });
+      return res.status(401).json({ error: 'Firma de servicio inválida', codigo: 'SERVICIO_NO_AUTENTICADO' });
+    }
+
+    if (!recordarNonce(nonce, ahora)) {
+      logger?.warn('Petición de servicio repetida', { servicio, path: req.originalUrl, ip: req.ip });
+      return res.status(401).json({ error: 'Petición de servicio repetida', codigo: 'SERVICIO_REPETIDO' });
+    }
+
+    if (!operacionPermitida(servicio, req.method, req.originalUrl.split('?')[0])) {
+      logger?.warn('Operación no permitida al servicio', { servicio, metodo: req.method, path: req.originalUrl });
+      return res.status(403).json({ error: 'Operación no permitida al servicio', codigo: 'OPERACION_NO_PERMITIDA' });
+    }
+
+    req.servicio = servicio;
+    next();
+  };
+}
+
+/**
+ * Rechaza (403) las peticiones que no vienen firmadas por un servicio interno
+ * Para operaciones que ningún usuario invoca directamente. Debe ir después de identificarServicio.
+ * @returns {Function} Middleware de Express
+ */
+export function exigirServicio() {
+  return (req, res, next) => {
+    if (!req.servicio) {
+      req.app.get('logger')?.warn('Operación interna sin firma de servicio', { path: req.originalUrl, ip: req.ip });
+      return res.status(403).json({ error: 'Operación reservada a servicios internos', codigo: 'SERVICIO_REQUERIDO' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,47 @@
+// Modelo de dominio: número de catálogo de los especímenes
+// Recepcion_service lo asigna al recibir cada muestra y queda fijo en muestra_botanica.numero_catalogo;
+// Gest_Herb (ficha pública, DwC-A) y Lab_Service (galería) lo muestran tal cual, sin recalcularlo.
+
+import crypto from 'crypto'
+
+// Base32 de Crockford: sin I, L, O ni U para que el número se pueda dictar y transcribir
+const ALFABETO = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+// Prefijo de la colección, un guion y dos bloques de 4 caracteres (ej. IFN-7K3M-Q9XD)
+export const PATRON_NUMERO_CATALOGO = /^[A-Z0-9]+-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/
+
+/**
+ * Número de catálogo nuevo
+ * Aleatorio y no secuencial para asignarlo sin consultar la base de datos; numero_catalogo es
+ * único y rechaza la improbable colisión (32^8 combinaciones por prefijo).
+ * @param {string} [prefijo='IFN'] - Código de la colección
+ * @returns {string}
+ */
+export function generarNumeroCatalogo(prefijo = 'IFN') {
+  const codigo = [...crypto.randomBytes(8)].map(byte => ALFABETO[byte % ALFABETO.length]).join('')
+  return `${prefijo.toUpperCase()}-${codigo.slice(0, 4)}-${codigo.slice(4)}`
+}
+
+/**
+ * Normaliza un número de catálogo transcrito de una etiqueta o una publicación
+ * Acepta minúsculas, espacios y los caracteres que Crockford confunde (O → 0, I/L → 1).
+ * @param {string} valor
+ * @returns {string|null} Número normalizado o null si no tiene el formato
+ */
+export function normalizarNumeroCatalogo(valor) {
+  const [prefijo, ...resto] = String(valor ?? '').trim().toUpperCase().split('-')
+  const codigo = resto.join('').replace(/\s+/g, '').replace(/O/g, '0').replace(/[IL]/g, '1')
+  const numero = `${prefijo}-${codigo.slice(0, 4)}-${codigo.slice(4)}`
+  return PATRON_NUMERO_CATALOGO.test(numero) ? numero : null
+}
+
+/**
+ * Código visible de un espécimen
+ * Las muestras recibidas antes de asignar números de catálogo (sin numero_catalogo) se identifican
+ * por paquete e individuo hasta que scripts/asignar-numeros-catalogo.js (Gest_Herb) les asigne uno.
+ * @param {Object} muestra - Fila de muestra_botanica con paquete embebido
+ * @returns {string}
+ */
+export function codigoEspecimen(muestra) {
+  return muestra?.numero_catalogo || `${muestra?.paquete?.num_paquete ?? 'NA'}-${muestra?.num_individuo ?? muestra?.id}`
+}
@@ -0,0 +1,147 @@
+// Modelo de dominio: máquina de estados de clasificacion_herbario
+// Flujo legal: pendiente → en_analisis → borrador → firmado → completado
+
+import { PERMISOS, rolesConPermiso } from './Permisos.js'
+
+export const ESTADOS_CLASIFICACION = ['pendiente', 'en_analisis', 'borrador', 'firmado', 'completado']
+
+// Estados en los que la clasificación aún puede editarse (guardar borrador de nuevo, etc.)
+export const ESTADOS_EDITABLES = ['en_analisis', 'borrador']
+
+// Estados con los que puede nacer una clasificación (nunca firmada ni completada)
+export const ESTADOS_INICIALES = ['pendiente', 'en_analisis', 'borrador']
+
+// Estados cerrados que cuentan como clasificación definitiva
+export const ESTADOS_CERRADOS = ['firmado', 'completado']
+
+// Roles derivados del catálogo de permisos (shared/models/Permisos.js)
+export const ROLES_CLASIFICACION = rolesConPermiso(PERMISOS.MUESTRA_CLASIFICAR)
+export const ROLES_FIRMA = rolesConPermiso(PERMISOS.CLASIFICACION_FIRMAR)
+
+/**
+ * Transiciones permitidas: estado actual -> estado destino -> regla
+ * - roles: roles que pueden disparar la transición
+ * - requiere: campos de la clasificación que deben estar diligenciados
+ * - requiereFirma: la transición debe ir acompañada de verificación de identidad del firmante
+ */
+export const TRANSICIONES = {
+  pendiente: {
+    en_analisis: { roles: ROLES_CLASIFICACION, requiere: [] }
+  },
+  en_analisis: {
+    borrador: { roles: ROLES_CLASIFICACION, requiere: [] }
+  },
+  borrador: {
+    firmado: { roles: ROLES_FIRMA, requiere: ['id_especie', 'id_determinador'], requiereFirma: true }
+  },
+  firmado: {
+    completado: { roles: ROLES_CLASIFICACION, requiere: ['id_especie'] }
+  },
+  completado: {}
+}
+
+/**
+ * Estados a los que se puede pasar desde el estado actual
+ * @param {string} estadoActual
+ * @param {string} [rol] - Si se indica, solo las transiciones permitidas para ese rol
+ * @returns {Array<string>}
+ */
+export function transicionesPermitidas(estadoActual, rol) {
+  const destinos = Object.entries(TRANSICIONES[estadoActual] || {})
+    .filter(([, regla]) => !rol || regla.roles.includes(rol))
+    .map(([destino]) => destino)
+
+  return ESTADOS_EDITABLES.includes(estadoActual) ? [estadoActual, ...destinos] : destinos
+}
+
+/**
+ * Valida una transición de estado de una clasificación
+ * Una muestra sin clasificación se trata como estado 'pendiente'.
+ * @param {string|null} estadoActual - Estado actual (null si la clasificación aún no existe)
+ * @param {string} estadoNuevo - Estado solicitado
+ * @param {Object} contexto
+ * @param {string} [contexto.rol] - Rol del usuario que solicita el cambio
+ * @param {Object} [contexto.clasificacion] - Datos de la clasificación tras el cambio (para precondiciones)
+ * @returns {Object} { isValid, status, error, regla }
+ */
+export function validarTransicion(estadoActual, estadoNuevo, { rol, clasificacion = {} } = {}) {
+  const actual = estadoActual || 'pendiente'
+
+  if (!ESTADOS_CLASIFICACION.includes(estadoNuevo)) {
+    return {
+      isValid: false,
+      status: 400,
+      error: {
+        error: 'Estado inválido',
+        codigo: 'ESTADO_INVALIDO',
+        mensaje: `'${estadoNuevo}' no es un estado de clasificación. Valores permitidos: ${ESTADOS_CLASIFICACION.join(', ')}`
+      }
+    }
+  }
+
+  // Creación directa: la clasificación nace en un estado inicial
+  if (!estadoActual && ESTADOS_INICIALES.includes(estadoNuevo)) {
+    return validarRol(actual, estadoNuevo, { roles: ROLES_CLASIFICACION, requiere: [] }, rol)
+  }
+
+  // Guardar de nuevo en un estado editable no cambia el estado
+  if (actual === estadoNuevo && ESTADOS_EDITABLES.includes(actual)) {
+    return validarRol(actual, estadoNuevo, { roles: ROLES_CLASIFICACION, requiere: [] }, rol)
+  }
+
+  const regla = TRANSICIONES[actual]?.[estadoNuevo]
+  if (!regla) {
+    return {
+      isValid: false,
+      status: 409,
+      error: {
+        error: 'Transición de estado inválida',
+        codigo: 'TRANSICION_INVALIDA',
+        mensaje: `No se puede pasar de '${actual}' a '${estadoNuevo}'`,
+        estado_actual: actual,
+        estado_solicitado: estadoNuevo,
+        transiciones_permitidas: transicionesPermitidas(actual)
+      }
+    }
+  }
+
+  const resultadoRol = validarRol(actual, estadoNuevo, regla, rol)
+  if (!resultadoRol.isValid) return resultadoRol
+
+  const faltantes = regla.requiere.filter(campo => clasificacion[campo] === null || clasificacion[campo] === undefined || clasificacion[campo] === '')
+  if (faltantes.length > 0) {
+    return {
+      isValid: false,
+      status: 409,
+      error: {
+        error: 'Precondición no cumplida',
+        codigo: 'PRECONDICION_NO_CUMPLIDA',
+        mensaje: `Para pasar a '${estadoNuevo}' se requiere: ${faltantes.join(', ')}`,
+        estado_actual: actual,
+        estado_solicitado: estadoNuevo,
+        campos_faltantes: faltantes
+      }
+    }
+  }
+
+  return { isValid: true, regla }
+}
+
+function validarRol(actual, estadoNuevo, regla, rol) {
+  if (!rol || !regla.roles.includes(rol)) {
+    return {
+      isValid: false,
+      status: 403,
+      error: {
+        error: 'Rol no autorizado para esta transición',
+        codigo: 'ROL_NO_AUTORIZADO',
+        mensaje: `El rol '${rol || 'anónimo'}' no puede pasar la clasificación de '${actual}' a '${estadoNuevo}'`,
+        estado_actual: actual,
+        estado_solicitado: estadoNuevo,
+        roles_permitidos: regla.roles
+      }
+    }
+  }
+
+  return { isValid: true, regla }
+}
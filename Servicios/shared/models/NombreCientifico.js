@@ -0,0 +1,74 @@
+// Modelo de dominio: nombres científicos (ICN) a partir de la jerarquía genero → especie → infraespecie
+// Compartido por Gest_Herb (catálogo, DwC-A) y Lab_Service (galería de especímenes)
+
+// Rangos infraespecíficos (infraespecie.rango) y su abreviatura en el nombre
+export const RANGOS_INFRAESPECIFICOS = {
+  subespecie: 'subsp.',
+  variedad: 'var.',
+  forma: 'f.'
+}
+
+// Rango → taxonRank de Darwin Core
+export const RANGOS_DWC = {
+  genero: 'genus',
+  especie: 'species',
+  subespecie: 'subspecies',
+  variedad: 'variety',
+  forma: 'form'
+}
+
+/**
+ * Rango del taxón más bajo presente
+ * @param {Object} taxon - { genero, especie, infraespecie }
+ * @returns {string|null} 'genero' | 'especie' | 'subespecie' | 'variedad' | 'forma'
+ */
+export function rangoTaxon({ genero, especie, infraespecie } = {}) {
+  if (infraespecie?.rango) return infraespecie.rango
+  if (especie?.nombre) return 'especie'
+  if (genero?.nombre) return 'genero'
+  return null
+}
+
+/**
+ * Autoría del taxón más bajo presente
+ * En un autónimo (epíteto infraespecífico igual al de la especie) la autoría es la de la especie.
+ * @param {Object} taxon - { especie, infraespecie }
+ * @returns {string|null}
+ */
+export function autoriaTaxon({ especie, infraespecie } = {}) {
+  if (infraespecie?.epiteto && infraespecie.epiteto !== especie?.nombre) return infraespecie.autor || null
+  return especie?.autor || null
+}
+
+/**
+ * Nombre científico formateado
+ * - Especie: "Genero epiteto Autor"
+ * - Infraespecie: "Genero epiteto Autor subsp. infraepiteto Autor"
+ * - Autónimo: "Genero epiteto Autor var. epiteto" (sin autor tras el autónimo)
+ * @param {Object} taxon
+ * @param {Object} taxon.genero - { nombre }
+ * @param {Object} [taxon.especie] - { nombre, autor }
+ * @param {Object} [taxon.infraespecie] - { rango, epiteto, autor }
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.autores=true] - Incluir las citas de autor
+ * @returns {string|null}
+ */
+export function formatearNombreCientifico({ genero, especie, infraespecie } = {}, { autores = true } = {}) {
+  if (!genero?.nombre) return especie?.nombre || null
+
+  const partes = [genero.nombre]
+  if (especie?.nombre) {
+    partes.push(especie.nombre)
+
+    const autonimo = infraespecie?.epiteto && infraespecie.epiteto === especie.nombre
+    // La autoría de la especie se omite en infraespecies salvo en el autónimo
+    if (autores && especie.autor && (!infraespecie?.epiteto || autonimo)) partes.push(especie.autor)
+
+    if (infraespecie?.epiteto) {
+      partes.push(RANGOS_INFRAESPECIFICOS[infraespecie.rango] || infraespecie.rango, infraespecie.epiteto)
+      if (autores && infraespecie.autor && !autonimo) partes.push(infraespecie.autor)
+    }
+  }
+
+  return partes.join(' ')
+}
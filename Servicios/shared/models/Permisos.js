@@ -0,0 +1,82 @@
+// Modelo de dominio: catálogo de permisos y su asignación a roles
+// Auth_Service incluye los permisos del rol en el JWT (claim `permisos`) y cada servicio
+// los exige con shared/middleware/permisos.js en lugar de comparar el nombre del rol.
+
+export const PERMISOS = {
+  MUESTRA_CLASIFICAR: 'muestra:clasificar',     // clasificar muestras y registrar determinaciones
+  CLASIFICACION_FIRMAR: 'clasificacion:firmar', // firmar electrónicamente una clasificación propia
+  PAQUETE_RECIBIR: 'paquete:recibir',           // recepción de paquetes y registro de muestras
+  TAXONOMIA_EDITAR: 'taxonomia:editar',         // catálogo taxonómico, sinonimia e importación de listas
+  ADMIN_USUARIOS: 'admin:usuarios',             // usuarios, sesiones, bloqueos y verificación en dos pasos
+  ADMIN_CATALOGOS: 'admin:catalogos',           // herbarios y división político-administrativa
+  ADMIN_EXPORTAR: 'admin:exportar',             // exportaciones Darwin Core
+  ADMIN_ESTADISTICAS: 'admin:estadisticas',    // estadísticas globales del panel de administración
+  HERBARIO_CAMBIAR: 'herbario:cambiar'          // operar sobre cualquier herbario eligiendo el contexto
+}
+
+export const CATALOGO_PERMISOS = Object.values(PERMISOS)
+
+const PERMISOS_ADMINISTRACION = [
+  PERMISOS.MUESTRA_CLASIFICAR,
+  PERMISOS.PAQUETE_RECIBIR,
+  PERMISOS.TAXONOMIA_EDITAR,
+  PERMISOS.ADMIN_USUARIOS,
+  PERMISOS.ADMIN_CATALOGOS,
+  PERMISOS.ADMIN_EXPORTAR,
+  PERMISOS.ADMIN_ESTADISTICAS
+]
+
+// La firma es un acto personal del determinador: solo los laboratoristas la tienen
+export const PERMISOS_POR_ROL = {
+  consulta: [],
+  recepcionista: [PERMISOS.PAQUETE_RECIBIR],
+  laboratorista: [PERMISOS.MUESTRA_CLASIFICAR, PERMISOS.CLASIFICACION_FIRMAR],
+  admin: PERMISOS_ADMINISTRACION,
+  super_admin: [...PERMISOS_ADMINISTRACION, PERMISOS.HERBARIO_CAMBIAR]
+}
+
+// Permiso que exige cada grupo de rutas /admin/* de Gest_Herb_service; el Api_Gateway
+// las expone con este mismo mapa y Gest_Herb lo vuelve a comprobar
+export const PERMISOS_RUTAS_ADMIN = {
+  '/admin/herbario': PERMISOS.ADMIN_CATALOGOS,
+  '/admin/regiones': PERMISOS.ADMIN_CATALOGOS,
+  '/admin/departamentos': PERMISOS.ADMIN_CATALOGOS,
+  '/admin/municipios': PERMISOS.ADMIN_CATALOGOS,
+  '/admin/usuarios': PERMISOS.ADMIN_USUARIOS,
+  '/admin/estadisticas': PERMISOS.ADMIN_ESTADISTICAS,
+  '/admin/exportaciones': PERMISOS.ADMIN_EXPORTAR,
+  '/admin/taxonomia': PERMISOS.TAXONOMIA_EDITAR
+}
+
+/**
+ * Permisos de un rol (vacío si el rol no existe)
+ * @param {string} rol
+ * @returns {Array<string>}
+ */
+export function permisosDeRol(rol) {
+  return [...(PERMISOS_POR_ROL[rol] || [])]
+}
+
+/**
+ * Roles que tienen un permiso
+ * @param {string} permiso
+ * @returns {Array<string>}
+ */
+export function rolesConPermiso(permiso) {
+  return Object.keys(PERMISOS_POR_ROL).filter(rol => PERMISOS_POR_ROL[rol].includes(permiso))
+}
+
+/**
+ * Indica si un usuario (claims del JWT) tiene un permiso
+ * Los tokens emitidos antes del claim `permisos` se resuelven por su rol.
+ * @param {Object} usuario - { permisos?, role? } o { rol }
+ * @param {string} permiso
+ * @returns {boolean}
+ */
+export function tienePermiso(usuario, permiso) {
+  if (!usuario) return false
+  const permisos = Array.isArray(usuario.permisos)
+    ? usuario.permisos
+    : permisosDeRol(usuario.role ?? usuario.rol)
+  return permisos.includes(permiso)
+}
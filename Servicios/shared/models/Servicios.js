@@ -0,0 +1,53 @@
+// Modelo de dominio: identidades de los servicios internos y operaciones que cada uno puede
+// invocar en otro servicio. El que llama firma la petición con su propia clave
+// (shared/middleware/servicios.js) y el destino la verifica contra este catálogo.
+
+export const SERVICIOS = {
+  GATEWAY: 'api_gateway',
+  LAB: 'lab_service',
+  RECEPCION: 'recepcion_service'
+}
+
+// Operaciones permitidas a cada servicio: 'MÉTODO /ruta', con :parámetros
+// Lab_Service y Recepcion_service invocan Gest_Herb_service; el Api_Gateway, Auth_Service
+export const OPERACIONES_POR_SERVICIO = {
+  [SERVICIOS.GATEWAY]: [
+    'GET /auth/revocaciones'
+  ],
+  [SERVICIOS.LAB]: [
+    'GET /muestras/pendientes',
+    'GET /muestras/:id',
+    'PUT /muestras/:id',
+    'POST /clasificaciones',
+    'GET /taxonomia/buscar',
+    'GET /taxonomia/familias',
+    'GET /taxonomia/generos/:familiaId',
+    'GET /taxonomia/especies/:generoId'
+  ],
+  [SERVICIOS.RECEPCION]: [
+    'GET /ubicaciones/conglomerados',
+    'POST /conglomerados/sincronizar/:id'
+  ]
+}
+
+const patronOperacion = (operacion) => {
+  const [metodo, ruta] = operacion.split(' ')
+  const expresion = ruta.split('/').map(tramo => (tramo.startsWith(':') ? '[^/]+' : tramo)).join('/')
+  return { metodo, regex: new RegExp(`^${expresion}/?$`) }
+}
+
+const PATRONES_POR_SERVICIO = Object.fromEntries(
+  Object.entries(OPERACIONES_POR_SERVICIO).map(([servicio, operaciones]) => [servicio, operaciones.map(patronOperacion)])
+)
+
+/**
+ * Indica si un servicio puede invocar una operación
+ * @param {string} servicio - Valor de SERVICIOS
+ * @param {string} metodo - Método HTTP
+ * @param {string} ruta - Ruta sin query
+ * @returns {boolean}
+ */
+export function operacionPermitida(servicio, metodo, ruta) {
+  const patrones = PATRONES_POR_SERVICIO[servicio] || []
+  return patrones.some(p => p.metodo === metodo.toUpperCase() && p.regex.test(ruta))
+}
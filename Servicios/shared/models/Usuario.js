@@ -1,4 +1,6 @@
 // Modelo de dominio: Usuario
+import { PERMISOS, permisosDeRol } from './Permisos.js'
+
 export class Usuario {
   constructor(data = {}) {
     this.id = data.id || null
@@ -21,12 +23,25 @@ export class Usuario {
     return this.rol === 'recepcionista'
   }
 
+  // Permisos del rol según el catálogo compartido
+  get permisos() {
+    return permisosDeRol(this.rol)
+  }
+
+  tienePermiso(permiso) {
+    return this.permisos.includes(permiso)
+  }
+
   puedeClasificar() {
-    return this.esLaboratorista() || this.esAdmin()
+    return this.tienePermiso(PERMISOS.MUESTRA_CLASIFICAR)
+  }
+
+  puedeFirmar() {
+    return this.tienePermiso(PERMISOS.CLASIFICACION_FIRMAR)
   }
 
   puedeGestionarPaquetes() {
-    return this.esRecepcionista() || this.esAdmin()
+    return this.tienePermiso(PERMISOS.PAQUETE_RECIBIR)
   }
 
   toJSON() {